@@ -0,0 +1,43 @@
+// Lint (`npm run lint`): regras recomendadas do ESLint, uso de variáveis no JSX e regras dos hooks
+import js from '@eslint/js';
+import globals from 'globals';
+import react from 'eslint-plugin-react';
+import reactHooks from 'eslint-plugin-react-hooks';
+
+export default [
+    { ignores: ['dist', 'coverage'] },
+    js.configs.recommended,
+    {
+        files: ['**/*.{js,jsx,mjs}'],
+        languageOptions: {
+            ecmaVersion: 'latest',
+            sourceType: 'module',
+            parserOptions: { ecmaFeatures: { jsx: true } },
+            globals: globals.browser,
+        },
+        plugins: { react, 'react-hooks': reactHooks },
+        rules: {
+            'react/jsx-uses-vars': 'error',
+            'react/jsx-uses-react': 'error',
+            'react-hooks/rules-of-hooks': 'error',
+            'no-unused-vars': ['error', { ignoreRestSiblings: true }], // ex.: withoutId descarta o id com rest
+            // Os efeitos listam só as dependências que devem refazer a leitura ou a escrita (ex.: fleetMembershipKey
+            // em vez do objeto), então a lista completa não é exigida
+        },
+    },
+    {
+        // Variáveis globais definidas pelo index.html antes de carregar o app
+        files: ['main.jsx'],
+        languageOptions: {
+            globals: { __app_id: 'readonly', __firebase_config: 'readonly', __initial_auth_token: 'readonly', __firebase_emulators: 'readonly' },
+        },
+    },
+    {
+        files: ['public/sw.js'],
+        languageOptions: { sourceType: 'script', globals: globals.serviceworker },
+    },
+    {
+        files: ['tests/**/*.js'],
+        languageOptions: { globals: globals.node },
+    },
+];
@@ -0,0 +1,113 @@
+// Rota por GPS do turno ao vivo: filtro da tremulação, distância e rota resumida guardada no registro.
+// Sem dependências do React ou do Firebase, para poder reproduzir trajetos gravados nos testes.
+
+export const GPS_MAX_ACCURACY_M = 50; // Leituras menos precisas que isso são descartadas
+export const GPS_MIN_STEP_M = 20; // Deslocamentos menores (ou dentro da margem de erro) são tremulação com a moto parada
+export const GPS_MAX_SPEED_KMH = 150; // Acima disso é salto de posição, não deslocamento real
+export const ROUTE_MAX_POINTS = 300; // Pontos da rota resumida guardada no registro
+const EARTH_RADIUS_KM = 6371;
+
+// Distância em km entre dois pontos { lat, lng } (fórmula de haversine)
+export const getDistanceKm = (a, b) => {
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const dLat = toRadians(b.lat - a.lat);
+    const dLng = toRadians(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+};
+
+// Trajeto em memória. lastPoint: último ponto aceito do trecho atual (null = novo trecho, ex.: ao retomar após a pausa)
+export const EMPTY_GPS_TRACK = { points: [], distanceKm: 0, lastPoint: null };
+
+// Acrescenta uma leitura { lat, lng, accuracy, time } ao trajeto, filtrando a tremulação do GPS:
+// leituras imprecisas, passos menores que a margem de erro e saltos impossíveis são ignorados.
+export const addGpsPoint = (track, reading) => {
+    if (!(reading.accuracy <= GPS_MAX_ACCURACY_M)) return track;
+    const point = { lat: reading.lat, lng: reading.lng, time: reading.time };
+    if (!track.lastPoint) return { ...track, points: [...track.points, point], lastPoint: point };
+
+    const stepKm = getDistanceKm(track.lastPoint, point);
+    if (stepKm * 1000 < Math.max(GPS_MIN_STEP_M, reading.accuracy)) return track;
+    const hours = (point.time - track.lastPoint.time) / 3600000;
+    if (hours <= 0 || stepKm / hours > GPS_MAX_SPEED_KMH) return track;
+    return { points: [...track.points, point], distanceKm: track.distanceKm + stepKm, lastPoint: point };
+};
+
+// Começa um novo trecho (ao retomar após a pausa): o deslocamento durante a pausa não entra na distância
+export const startGpsSegment = (track) => ({ ...track, lastPoint: null });
+
+// Reproduz trechos gravados (cada um começa após uma pausa) com a mesma lógica do rastreamento ao vivo
+export const replayGpsTrace = (segments, track = EMPTY_GPS_TRACK) =>
+    segments.reduce((current, readings) => readings.reduce(addGpsPoint, startGpsSegment(current)), track);
+
+// Distância filtrada de uma sequência de leituras gravadas
+export const getTraceDistanceKm = (readings) => replayGpsTrace([readings]).distanceKm;
+
+// Reduz a rota a no máximo maxPoints pontos (Douglas-Peucker), aumentando a tolerância até caber
+export const simplifyRoute = (points, maxPoints = ROUTE_MAX_POINTS) => {
+    if (points.length <= maxPoints) return points;
+    // Projeção plana local em metros (suficiente para a área de um turno)
+    const latScale = 110540;
+    const lngScale = 111320 * Math.cos(points[0].lat * Math.PI / 180);
+    const projected = points.map(point => ({ x: point.lng * lngScale, y: point.lat * latScale }));
+    const distanceToSegment = (p, a, b) => {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared > 0 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared)) : 0;
+        return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+    };
+
+    for (let tolerance = 5; ; tolerance *= 2) {
+        const keep = new Array(points.length).fill(false);
+        keep[0] = true;
+        keep[points.length - 1] = true;
+        const stack = [[0, points.length - 1]];
+        while (stack.length > 0) {
+            const [start, end] = stack.pop();
+            let farthest = -1;
+            let farthestDistance = tolerance;
+            for (let index = start + 1; index < end; index++) {
+                const distance = distanceToSegment(projected[index], projected[start], projected[end]);
+                if (distance > farthestDistance) {
+                    farthest = index;
+                    farthestDistance = distance;
+                }
+            }
+            if (farthest > 0) {
+                keep[farthest] = true;
+                stack.push([start, farthest], [farthest, end]);
+            }
+        }
+        const simplified = points.filter((_, index) => keep[index]);
+        if (simplified.length <= maxPoints) return simplified;
+    }
+};
+
+// Rota resumida gravada no turno e no registro diário. O Firestore não aceita listas de listas,
+// então os pontos ficam em uma lista plana [lat, lng, lat, lng, ...] com 5 casas (~1 m).
+export const toStoredRoute = (track) => ({
+    path: simplifyRoute(track.points).flatMap(point => [Number(point.lat.toFixed(5)), Number(point.lng.toFixed(5))]),
+    distanceKm: Number(track.distanceKm.toFixed(3)),
+});
+
+// Normaliza a rota lida do Firestore ou do formulário (null quando não há rota)
+export const normalizeRoute = (route) => {
+    if (!route || !Array.isArray(route.path)) return null;
+    const path = route.path.map(Number).filter(value => isFinite(value));
+    if (path.length < 4 || path.length % 2 !== 0) return null;
+    return { path, distanceKm: parseFloat(route.distanceKm) || 0 };
+};
+
+// Pontos { lat, lng } de uma rota guardada
+export const getRoutePoints = (route) => {
+    const points = [];
+    for (let index = 0; index + 1 < route.path.length; index += 2) points.push({ lat: route.path[index], lng: route.path[index + 1] });
+    return points;
+};
+
+// Retoma um trajeto gravado no turno (após recarregar a página), começando um novo trecho
+export const fromStoredRoute = (route) => {
+    const normalized = normalizeRoute(route);
+    return normalized ? { points: getRoutePoints(normalized), distanceKm: normalized.distanceKm, lastPoint: null } : EMPTY_GPS_TRACK;
+};
@@ -1,13 +1,17 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, doc, setDoc, collection, query, onSnapshot, orderBy, addDoc } from 'firebase/firestore';
-import { Loader2, Settings, Calendar, LineChart, TrendingUp, DollarSign, Bike, BatteryCharging, User, Camera } from 'lucide-react';
+import { getAuth, connectAuthEmulator, signInAnonymously, signInWithCustomToken, onAuthStateChanged, EmailAuthProvider, GoogleAuthProvider, linkWithCredential, linkWithPopup, signInWithEmailAndPassword, signInWithPopup, sendPasswordResetEmail, signOut } from 'firebase/auth';
+import { initializeFirestore, connectFirestoreEmulator, persistentLocalCache, persistentMultipleTabManager, waitForPendingWrites, doc, getDoc, setDoc, collection, query, onSnapshot, orderBy, where, getDocsFromServer, addDoc, updateDoc, deleteDoc, writeBatch, increment } from 'firebase/firestore';
+import { getStorage, connectStorageEmulator, ref as storageRef, uploadBytes, getDownloadURL, deleteObject } from 'firebase/storage';
+import { GPS_MAX_SPEED_KMH, ROUTE_MAX_POINTS, EMPTY_GPS_TRACK, addGpsPoint, startGpsSegment, toStoredRoute, normalizeRoute, getRoutePoints, fromStoredRoute } from './gps.js';
+import { Loader2, Ellipsis, Settings, Calendar, LineChart, TrendingUp, DollarSign, Bike, BatteryCharging, User, Camera, History, ChevronLeft, ChevronRight, Pencil, Trash2, Undo2, X, Check, Wrench, Gauge, TriangleAlert, Fuel, Scale, Smartphone, HandCoins, Plus, Timer, Play, Pause, Square, Clock, ChartColumn, DatabaseBackup, Download, Upload, CloudOff, RefreshCw, LogIn, LogOut, Mail, ShieldCheck, Target, Flame, Receipt, Landmark, Copy, Utensils, Coffee, SquareParking, Siren, CircleDot, Droplets, Package, Tag, Users, Navigation, MapPin, Calculator, FileText, Printer } from 'lucide-react';
 
 // --- Variáveis Globais (Fornecidas pelo index.html) ---
 const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
 const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
-const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? initialAuthToken : null;
+const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+// Emuladores locais (ex.: { authUrl: 'http://127.0.0.1:9099', firestoreHost: '127.0.0.1', firestorePort: 8080, storageHost: '127.0.0.1', storagePort: 9199 })
+const firebaseEmulators = typeof __firebase_emulators !== 'undefined' ? __firebase_emulators : null;
 
 // Função auxiliar para formatar moeda
 const formatCurrency = (amount) => {
@@ -32,33 +36,6509 @@ const getStartOfMonth = (date) => {
     return d;
 };
 
+// Função auxiliar para obter a data no formato 'YYYY-MM-DD' (horário local)
+const toDateKey = (date) => {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+};
+
+// Função auxiliar para converter 'YYYY-MM-DD' em Date no horário local
+const parseDateKey = (key) => {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(year, month - 1, day);
+};
+
+// Função auxiliar para obter o horário 'HH:MM' (horário local) de um timestamp
+const toTimeKey = (timestamp) => {
+    const date = new Date(timestamp);
+    return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+};
+
+// Hora máxima para o início do dia de trabalho (turnos noturnos que terminam de madrugada)
+const MAX_WORK_DAY_START_HOUR = 12;
+
+// Normaliza a hora de início do dia de trabalho (0 = meia-noite, dia de calendário)
+const normalizeWorkDayStartHour = (value) => Math.min(Math.max(parseInt(value) || 0, 0), MAX_WORK_DAY_START_HOUR);
+
+// Dia de trabalho ('YYYY-MM-DD', fuso do aparelho) de um instante: antes da hora de início,
+// ainda conta como o dia anterior, para que um turno das 18:00 às 02:00 fique em um só dia
+const getWorkDayKey = (timestamp, dayStartHour = 0) => {
+    const date = new Date(timestamp);
+    if (date.getHours() < dayStartHour) date.setDate(date.getDate() - 1);
+    return toDateKey(date);
+};
+
+// Dia de trabalho atual (sem hora de início: o dia de calendário local)
+const getTodayKey = (dayStartHour = 0) => getWorkDayKey(Date.now(), dayStartHour);
+
+// Função auxiliar para formatar horas decimais como '7h30'
+const formatHours = (hours) => {
+    const totalMinutes = Math.round(hours * 60);
+    return `${Math.floor(totalMinutes / 60)}h${String(totalMinutes % 60).padStart(2, '0')}`;
+};
+
+// Função auxiliar para somar dias a uma data 'YYYY-MM-DD'
+const addDaysToKey = (key, days) => {
+    const date = parseDateKey(key);
+    date.setDate(date.getDate() + days);
+    return toDateKey(date);
+};
+
+// Função auxiliar para exibir 'YYYY-MM-DD' como 'DD/MM/YYYY'
+const formatDateKey = (key) => key.split('-').reverse().join('/');
+
+// Função auxiliar para formatar moeda sem centavos (usada no calendário)
+const formatCurrencyShort = (amount) => {
+    return new Intl.NumberFormat('pt-BR', { style: 'currency', currency: 'BRL', maximumFractionDigits: 0 }).format(amount);
+};
+
+// Total das despesas lançadas em um registro (alimentação, estacionamento, multas...)
+const sumExpenses = (expenses) => (Array.isArray(expenses) ? expenses : [])
+    .reduce((sum, expense) => sum + (parseFloat(expense.amount) || 0), 0);
+
+// Lucro líquido de um registro (rendimento - combustível - óleo - demais manutenções - outras despesas)
+const getLogNetProfit = (log) => log.profit - log.gasolineCost - log.oilCost - (log.maintenanceCost || 0) - sumExpenses(log.expenses);
+
+// Verifica se a data cai em um dia de trabalho, contando a partir da Segunda-feira
+// (5 dias = Segunda a Sexta, 6 dias = Segunda a Sábado, 7 dias = todos os dias)
+const isWorkDay = (date, workDaysPerWeek) => {
+    const day = date.getDay();
+    const dayIndexFromMonday = day === 0 ? 6 : day - 1;
+    return dayIndexFromMonday < workDaysPerWeek;
+};
+
+// Agrupa os registros por data, somando os valores de cada dia
+const groupLogsByDate = (logs) => {
+    const days = {};
+    logs.forEach(log => {
+        if (!days[log.date]) {
+            days[log.date] = { date: log.date, logs: [], profit: 0, gasolineCost: 0, oilCost: 0, maintenanceCost: 0, expensesCost: 0, kmRidden: 0, hoursWorked: 0, netProfit: 0 };
+        }
+        const day = days[log.date];
+        day.logs.push(log);
+        day.profit += log.profit;
+        day.gasolineCost += log.gasolineCost;
+        day.oilCost += log.oilCost;
+        day.maintenanceCost += log.maintenanceCost || 0;
+        day.expensesCost += sumExpenses(log.expenses);
+        day.kmRidden += log.kmRidden || 0;
+        day.hoursWorked += log.hoursWorked || 0;
+        day.netProfit += getLogNetProfit(log);
+    });
+    return days;
+};
+
+// Itens de manutenção preventiva. O óleo usa os campos oilChangeCost/oilChangeIntervalKm da configuração.
+const MAINTENANCE_ITEMS = [
+    { key: 'oil', label: 'Troca de Óleo' },
+    { key: 'chainKit', label: 'Kit Relação' },
+    { key: 'tires', label: 'Pneus' },
+    { key: 'brakePads', label: 'Pastilhas de Freio' },
+    { key: 'sparkPlug', label: 'Vela de Ignição' },
+];
+
+// Fração do intervalo a partir da qual a manutenção é exibida como "próxima"
+const MAINTENANCE_WARNING_RATIO = 0.1;
+
+// Normaliza as configurações de manutenção (exceto óleo) lidas do Firestore ou do formulário
+const normalizeMaintenanceSettings = (maintenance = {}) => {
+    const normalized = {};
+    MAINTENANCE_ITEMS.filter(item => item.key !== 'oil').forEach(item => {
+        const settings = maintenance[item.key] || {};
+        normalized[item.key] = {
+            cost: parseFloat(settings.cost) || 0,
+            intervalKm: parseInt(settings.intervalKm) || 0,
+        };
+    });
+    return normalized;
+};
+
+// Lista os itens de manutenção com custo, intervalo e custo por km
+const getMaintenanceItems = (config) => {
+    return MAINTENANCE_ITEMS.map(item => {
+        const settings = item.key === 'oil'
+            ? { cost: parseFloat(config.oilChangeCost) || 0, intervalKm: parseInt(config.oilChangeIntervalKm) || 0 }
+            : normalizeMaintenanceSettings(config.maintenance)[item.key];
+        return {
+            ...item,
+            ...settings,
+            costPerKm: settings.cost > 0 && settings.intervalKm > 0 ? settings.cost / settings.intervalKm : 0,
+        };
+    });
+};
+
+// Amortiza o custo de cada item pelos km rodados: óleo separado, demais itens somados
+const calculateMaintenanceCosts = (config, kmRidden) => {
+    const km = kmRidden > 0 ? kmRidden : 0;
+    let oilCost = 0;
+    let maintenanceCost = 0;
+    getMaintenanceItems(config).forEach(item => {
+        if (item.key === 'oil') {
+            oilCost = item.costPerKm * km;
+        } else {
+            maintenanceCost += item.costPerKm * km;
+        }
+    });
+    return { oilCost, maintenanceCost };
+};
+
+// Km usados para amortizar óleo e manutenção (e estimar o combustível): os do hodômetro ou, sem eles,
+// os rastreados pelo GPS. Sem nenhum dos dois é 0, e o registro fica sem esses custos (avisado na tela).
+const getCostedKm = (kmRidden, route) => (kmRidden > 0 ? kmRidden : route?.distanceKm || 0);
+
+// Maior leitura de hodômetro conhecida (registros diários, serviços realizados e abastecimentos)
+const getCurrentOdometer = (logs, maintenanceRecords, fuelLogs = []) => {
+    let odometer = 0;
+    logs.forEach(log => { if (log.endOdometer > odometer) odometer = log.endOdometer; });
+    maintenanceRecords.forEach(record => { if (record.odometer > odometer) odometer = record.odometer; });
+    fuelLogs.forEach(fuelLog => { if (fuelLog.odometer > odometer) odometer = fuelLog.odometer; });
+    return odometer;
+};
+
+// Situação de cada item: próximo vencimento a partir do último serviço registrado
+const getMaintenanceStatus = (config, maintenanceRecords, currentOdometer) => {
+    return getMaintenanceItems(config).map(item => {
+        const lastService = maintenanceRecords
+            .filter(record => record.itemKey === item.key)
+            .reduce((latest, record) => (!latest || record.odometer > latest.odometer ? record : latest), null);
+
+        let kmRemaining = null;
+        let status = 'unknown';
+        if (lastService && item.intervalKm > 0) {
+            kmRemaining = lastService.odometer + item.intervalKm - currentOdometer;
+            if (kmRemaining <= 0) {
+                status = 'overdue';
+            } else if (kmRemaining <= item.intervalKm * MAINTENANCE_WARNING_RATIO) {
+                status = 'soon';
+            } else {
+                status = 'ok';
+            }
+        }
+        return { ...item, lastService, kmRemaining, status };
+    });
+};
+
+// Rótulos dos tipos de combustível
+const FUEL_LABELS = { gasoline: 'Gasolina', alcohol: 'Etanol' };
+
+// Rendimento do etanol em relação à gasolina usado quando ainda não há medições próprias
+const DEFAULT_ETHANOL_EFFICIENCY_RATIO = 0.7;
+
+// --- Veículos ---
+
+// Veículo principal: montado a partir dos campos antigos de user_settings até ganhar documento próprio
+const DEFAULT_VEHICLE_ID = 'default';
+
+const VEHICLE_TYPES = { motorcycle: 'Moto', car: 'Carro' };
+
+// Normaliza um veículo lido do Firestore, do formulário ou das configurações antigas
+const normalizeVehicle = (id, data = {}) => ({
+    id,
+    name: String(data.name || '').trim() || 'Meu veículo',
+    type: VEHICLE_TYPES[data.type] ? data.type : 'motorcycle',
+    photoUrl: data.photoUrl || '', // URL do Storage (ou Base64 salvo antes do envio ao Storage)
+    photoPath: data.photoPath || '', // Caminho no Storage, para substituir/remover a foto
+    fuelType: FUEL_LABELS[data.fuelType] ? data.fuelType : 'gasoline',
+    oilChangeCost: parseFloat(data.oilChangeCost) || 0,
+    oilChangeIntervalKm: parseInt(data.oilChangeIntervalKm) || 0,
+    maintenance: normalizeMaintenanceSettings(data.maintenance),
+});
+
+// Veículo principal a partir das configurações (contas criadas antes dos veículos)
+const vehicleFromSettings = (settings) => normalizeVehicle(DEFAULT_VEHICLE_ID, {
+    name: settings.bikeModel,
+    photoUrl: settings.bikePhotoUrl,
+    fuelType: settings.fuelType,
+    oilChangeCost: settings.oilChangeCost,
+    oilChangeIntervalKm: settings.oilChangeIntervalKm,
+    maintenance: settings.maintenance,
+});
+
+// Lista de veículos, com o principal primeiro
+const getVehicles = (vehicleDocs, settings) => {
+    const mainVehicle = vehicleDocs.find(vehicle => vehicle.id === DEFAULT_VEHICLE_ID) || vehicleFromSettings(settings);
+    const others = vehicleDocs
+        .filter(vehicle => vehicle.id !== DEFAULT_VEHICLE_ID)
+        .sort((a, b) => a.name.localeCompare(b.name));
+    return [mainVehicle, ...others];
+};
+
+// Registros sem vehicleId (anteriores aos veículos) pertencem ao veículo principal
+const getVehicleId = (item) => item.vehicleId || DEFAULT_VEHICLE_ID;
+const filterByVehicle = (items, vehicleId) => items.filter(item => getVehicleId(item) === vehicleId);
+
+// Calcula os tanques completos (de um abastecimento "tanque cheio" ao próximo) a partir dos abastecimentos.
+// O consumo de cada tanque é atribuído ao combustível colocado no início dele.
+const getFuelStats = (fuelLogs) => {
+    const sorted = [...fuelLogs].sort((a, b) => a.odometer - b.odometer);
+    const tanks = [];
+    let tankStart = null;
+    let liters = 0;
+    let cost = 0;
+
+    sorted.forEach(fuelLog => {
+        if (tankStart) {
+            liters += fuelLog.liters;
+            cost += fuelLog.totalCost;
+        }
+        if (!fuelLog.fullTank) return;
+
+        if (tankStart) {
+            const km = fuelLog.odometer - tankStart.odometer;
+            if (km > 0 && liters > 0) {
+                tanks.push({
+                    id: fuelLog.id,
+                    date: fuelLog.date,
+                    fuelType: tankStart.fuelType,
+                    km,
+                    liters,
+                    cost,
+                    kmPerLiter: km / liters,
+                    costPerKm: cost / km,
+                });
+            }
+        }
+        tankStart = fuelLog;
+        liters = 0;
+        cost = 0;
+    });
+
+    // Médias por combustível, ponderadas pelos km de cada tanque
+    const byFuel = {};
+    Object.keys(FUEL_LABELS).forEach(fuelType => {
+        const fuelTanks = tanks.filter(tank => tank.fuelType === fuelType);
+        const km = fuelTanks.reduce((sum, tank) => sum + tank.km, 0);
+        const tankLiters = fuelTanks.reduce((sum, tank) => sum + tank.liters, 0);
+        const tankCost = fuelTanks.reduce((sum, tank) => sum + tank.cost, 0);
+        byFuel[fuelType] = {
+            tanks: fuelTanks.length,
+            kmPerLiter: tankLiters > 0 ? km / tankLiters : 0,
+            costPerKm: km > 0 ? tankCost / km : 0,
+        };
+    });
+
+    const totalKm = tanks.reduce((sum, tank) => sum + tank.km, 0);
+    const totalCost = tanks.reduce((sum, tank) => sum + tank.cost, 0);
+
+    return {
+        tanks: tanks.reverse(), // Mais recente primeiro
+        byFuel,
+        costPerKm: totalKm > 0 ? totalCost / totalKm : 0,
+    };
+};
+
+// Compara o custo por km do etanol e da gasolina aos preços informados.
+// Usa o km/l medido de cada combustível; sem medição, estima pela proporção padrão de 70%.
+const compareFuelPrices = (fuelStats, gasolinePrice, ethanolPrice) => {
+    let gasolineKmPerLiter = fuelStats.byFuel.gasoline.kmPerLiter;
+    let ethanolKmPerLiter = fuelStats.byFuel.alcohol.kmPerLiter;
+    let estimated = false;
+
+    if (!gasolineKmPerLiter && ethanolKmPerLiter) {
+        gasolineKmPerLiter = ethanolKmPerLiter / DEFAULT_ETHANOL_EFFICIENCY_RATIO;
+        estimated = true;
+    } else if (gasolineKmPerLiter && !ethanolKmPerLiter) {
+        ethanolKmPerLiter = gasolineKmPerLiter * DEFAULT_ETHANOL_EFFICIENCY_RATIO;
+        estimated = true;
+    }
+
+    if (!(gasolinePrice > 0) || !(ethanolPrice > 0)) return null;
+
+    // Sem nenhuma medição, vale só a proporção de preços
+    if (!gasolineKmPerLiter || !ethanolKmPerLiter) {
+        const ratio = ethanolPrice / gasolinePrice;
+        return {
+            best: ratio <= DEFAULT_ETHANOL_EFFICIENCY_RATIO ? 'alcohol' : 'gasoline',
+            ratio,
+            breakEvenRatio: DEFAULT_ETHANOL_EFFICIENCY_RATIO,
+            gasolineCostPerKm: 0,
+            ethanolCostPerKm: 0,
+            estimated: true,
+        };
+    }
+
+    const gasolineCostPerKm = gasolinePrice / gasolineKmPerLiter;
+    const ethanolCostPerKm = ethanolPrice / ethanolKmPerLiter;
+    return {
+        best: ethanolCostPerKm <= gasolineCostPerKm ? 'alcohol' : 'gasoline',
+        ratio: ethanolPrice / gasolinePrice,
+        breakEvenRatio: ethanolKmPerLiter / gasolineKmPerLiter,
+        gasolineCostPerKm,
+        ethanolCostPerKm,
+        estimated,
+    };
+};
+
+// Soma o combustível de um período: abastecimentos + valores digitados em registros antigos
+// (registros novos guardam apenas uma estimativa por km, que não entra nos relatórios)
+const sumFuelCost = (logs, fuelLogs, isInPeriod) => {
+    let total = 0;
+    fuelLogs.forEach(fuelLog => { if (isInPeriod(fuelLog.date)) total += fuelLog.totalCost; });
+    logs.forEach(log => { if (!log.fuelCostEstimated && isInPeriod(log.date)) total += log.gasolineCost; });
+    return total;
+};
+
+// Fontes de rendimento padrão (plataformas e clientes particulares)
+const DEFAULT_EARNING_SOURCES = [
+    { id: 'ifood', name: 'iFood' },
+    { id: 'uber_moto', name: 'Uber Moto' },
+    { id: '99', name: '99' },
+    { id: 'lalamove', name: 'Lalamove' },
+    { id: 'private', name: 'Clientes Particulares' },
+];
+
+// Linhas especiais do detalhamento por plataforma
+const TIPS_SOURCE = { id: 'tips', name: 'Gorjetas' };
+const UNSPLIT_SOURCE = { id: 'unsplit', name: 'Não Detalhado' }; // Registros antigos, só com o total do dia
+
+// Fonte de um valor do registro: a configurada, a linha "Não Detalhado" ou o próprio ID (fonte removida)
+const findEarningSource = (sources, sourceId) => sources.find(source => source.id === sourceId)
+    || (sourceId === UNSPLIT_SOURCE.id ? UNSPLIT_SOURCE : { id: sourceId, name: sourceId });
+
+// Normaliza a lista de fontes de rendimento lida do Firestore ou do formulário
+const normalizeEarningSources = (sources) => {
+    if (!Array.isArray(sources) || sources.length === 0) return DEFAULT_EARNING_SOURCES;
+    return sources
+        .filter(source => source && source.id && source.name)
+        .map(source => ({ id: String(source.id), name: String(source.name).trim() }));
+};
+
+// Gera um ID estável para uma nova fonte a partir do nome (ex: 'Loggi Express' -> 'loggi_express')
+const createEarningSourceId = (name, sources) => {
+    const base = name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'fonte';
+    let id = base;
+    let suffix = 2;
+    while (sources.some(source => source.id === id) || id === TIPS_SOURCE.id || id === UNSPLIT_SOURCE.id) {
+        id = `${base}_${suffix++}`;
+    }
+    return id;
+};
+
+// Mantém apenas os valores positivos do rendimento por fonte
+const normalizeEarnings = (earnings = {}) => {
+    const normalized = {};
+    Object.entries(earnings || {}).forEach(([sourceId, amount]) => {
+        const value = parseFloat(amount) || 0;
+        if (value > 0) normalized[sourceId] = value;
+    });
+    return normalized;
+};
+
+// Rendimento bruto do dia: soma das fontes + gorjetas
+const sumEarnings = (earnings, tips) => {
+    const sourcesTotal = Object.values(normalizeEarnings(earnings)).reduce((sum, amount) => sum + amount, 0);
+    return sourcesTotal + (parseFloat(tips) || 0);
+};
+
+// Detalha o rendimento bruto de um período por fonte, com participação, R$/km e R$/hora.
+// Os km e as horas de um registro contam para todas as fontes com rendimento naquele registro.
+const getEarningsBreakdown = (logs, sources, isInPeriod) => {
+    const rows = {};
+    const addAmount = (source, amount, km, hours) => {
+        if (!(amount > 0)) return;
+        if (!rows[source.id]) rows[source.id] = { id: source.id, name: source.name, gross: 0, km: 0, hours: 0, logs: 0 };
+        rows[source.id].gross += amount;
+        rows[source.id].km += km;
+        rows[source.id].hours += hours;
+        rows[source.id].logs++;
+    };
+
+    logs.forEach(log => {
+        if (!isInPeriod(log.date)) return;
+        const km = log.kmRidden || 0;
+        const hours = log.hoursWorked || 0;
+        const earnings = normalizeEarnings(log.earnings);
+        let splitTotal = log.tips || 0;
+
+        Object.entries(earnings).forEach(([sourceId, amount]) => {
+            addAmount(findEarningSource(sources, sourceId), amount, km, hours);
+            splitTotal += amount;
+        });
+        addAmount(TIPS_SOURCE, log.tips || 0, 0, 0);
+        // O que não foi detalhado (ou registros antigos) fica em uma linha própria
+        const remainder = log.profit - splitTotal;
+        const isUnsplitLog = Object.keys(earnings).length === 0;
+        if (remainder > 0.005) addAmount(UNSPLIT_SOURCE, remainder, isUnsplitLog ? km : 0, isUnsplitLog ? hours : 0);
+    });
+
+    const totalGross = Object.values(rows).reduce((sum, row) => sum + row.gross, 0);
+    return {
+        totalGross,
+        rows: Object.values(rows)
+            .map(row => ({
+                ...row,
+                share: totalGross > 0 ? row.gross / totalGross : 0,
+                perKm: row.km > 0 ? row.gross / row.km : 0,
+                perHour: row.hours > 0 ? row.gross / row.hours : 0,
+            }))
+            .sort((a, b) => b.gross - a.gross),
+    };
+};
+
+// Normaliza as corridas/entregas de um registro (plataforma, valor, gorjeta, km, bairros e horário 'HH:MM')
+const normalizeRides = (rides) => (Array.isArray(rides) ? rides : [])
+    .map(ride => ({
+        sourceId: String(ride.sourceId || UNSPLIT_SOURCE.id),
+        amount: parseFloat(ride.amount) || 0,
+        tip: parseFloat(ride.tip) || 0,
+        distanceKm: parseFloat(ride.distanceKm) || 0,
+        pickup: String(ride.pickup || '').trim(),
+        dropoff: String(ride.dropoff || '').trim(),
+        time: ride.time || '',
+    }))
+    .filter(ride => ride.amount > 0 || ride.tip > 0);
+
+// Totais do dia a partir das corridas. As gorjetas avulsas (sem corrida) somam às das corridas.
+const getDayTotalsFromRides = (rides, extraTips) => {
+    const earnings = {};
+    let tips = parseFloat(extraTips) || 0;
+    normalizeRides(rides).forEach(ride => {
+        if (ride.amount > 0) earnings[ride.sourceId] = (earnings[ride.sourceId] || 0) + ride.amount;
+        tips += ride.tip;
+    });
+    return { earnings, tips, profit: sumEarnings(earnings, tips) };
+};
+
+// Gorjetas de um registro que vieram das corridas (o restante é avulso)
+const sumRideTips = (rides) => normalizeRides(rides).reduce((sum, ride) => sum + ride.tip, 0);
+
+// Acrescenta uma corrida a um registro já salvo. Sem corridas detalhadas, o valor só soma ao rendimento da plataforma;
+// o que o registro tinha sem detalhar (ex.: só o total do dia) passa para a linha "Não Detalhado" antes da soma.
+const addRideToLog = (log, ride) => {
+    if (log.rides.length === 0) {
+        const earnings = { ...log.earnings };
+        const unsplit = log.profit - sumEarnings(log.earnings, log.tips);
+        if (unsplit > 0.005) earnings[UNSPLIT_SOURCE.id] = (earnings[UNSPLIT_SOURCE.id] || 0) + unsplit;
+        earnings[ride.sourceId] = (earnings[ride.sourceId] || 0) + ride.amount;
+        return { ...log, earnings, profit: sumEarnings(earnings, log.tips) };
+    }
+    const rides = [...log.rides, ride];
+    return { ...log, rides, ...getDayTotalsFromRides(rides, log.tips - sumRideTips(log.rides)) };
+};
+
+// Quantidade de bairros exibidos no ranking dos relatórios
+const TOP_NEIGHBORHOODS_COUNT = 5;
+
+// Estatísticas das corridas de um período: ticket médio, R$/km, corridas por hora e melhores bairros
+// de coleta. Registros antigos (só com o total do dia) não entram nessas médias.
+const getRideStats = (logs, isInPeriod) => {
+    const stats = { count: 0, gross: 0, distanceKm: 0, grossWithDistance: 0, hours: 0, ridesWithHours: 0 };
+    const neighborhoods = {};
+
+    logs.forEach(log => {
+        if (!isInPeriod(log.date)) return;
+        const rides = normalizeRides(log.rides);
+        if (rides.length === 0) return;
+        if (log.hoursWorked > 0) {
+            stats.hours += log.hoursWorked;
+            stats.ridesWithHours += rides.length;
+        }
+        rides.forEach(ride => {
+            const gross = ride.amount + ride.tip;
+            stats.count++;
+            stats.gross += gross;
+            if (ride.distanceKm > 0) {
+                stats.distanceKm += ride.distanceKm;
+                stats.grossWithDistance += gross;
+            }
+            if (!ride.pickup) return;
+            const key = ride.pickup.toLocaleLowerCase('pt-BR');
+            if (!neighborhoods[key]) neighborhoods[key] = { name: ride.pickup, count: 0, gross: 0, distanceKm: 0, grossWithDistance: 0 };
+            const neighborhood = neighborhoods[key];
+            neighborhood.count++;
+            neighborhood.gross += gross;
+            if (ride.distanceKm > 0) {
+                neighborhood.distanceKm += ride.distanceKm;
+                neighborhood.grossWithDistance += gross;
+            }
+        });
+    });
+
+    return {
+        count: stats.count,
+        gross: stats.gross,
+        averageTicket: stats.count > 0 ? stats.gross / stats.count : 0,
+        perKm: stats.distanceKm > 0 ? stats.grossWithDistance / stats.distanceKm : 0,
+        ridesPerHour: stats.hours > 0 ? stats.ridesWithHours / stats.hours : 0,
+        topNeighborhoods: Object.values(neighborhoods)
+            .map(neighborhood => ({
+                name: neighborhood.name,
+                count: neighborhood.count,
+                gross: neighborhood.gross,
+                averageTicket: neighborhood.gross / neighborhood.count,
+                perKm: neighborhood.distanceKm > 0 ? neighborhood.grossWithDistance / neighborhood.distanceKm : 0,
+            }))
+            .sort((a, b) => b.gross - a.gross)
+            .slice(0, TOP_NEIGHBORHOODS_COUNT),
+    };
+};
+
+// Ícones disponíveis para as categorias de despesa (o ID do ícone é salvo na configuração)
+const EXPENSE_ICONS = {
+    utensils: { label: 'Alimentação', Icon: Utensils },
+    coffee: { label: 'Café/Lanche', Icon: Coffee },
+    parking: { label: 'Estacionamento', Icon: SquareParking },
+    fine: { label: 'Multa', Icon: Siren },
+    tire: { label: 'Pneu', Icon: CircleDot },
+    phone: { label: 'Celular', Icon: Smartphone },
+    wash: { label: 'Lavagem', Icon: Droplets },
+    package: { label: 'Equipamento', Icon: Package },
+    tag: { label: 'Outros', Icon: Tag },
+};
+
+// Categorias de despesa padrão (além de combustível e manutenção, que têm cálculo próprio)
+const DEFAULT_EXPENSE_CATEGORIES = [
+    { id: 'food', name: 'Alimentação', icon: 'utensils' },
+    { id: 'parking', name: 'Estacionamento', icon: 'parking' },
+    { id: 'fines', name: 'Multas', icon: 'fine' },
+    { id: 'tire_repair', name: 'Borracharia', icon: 'tire' },
+    { id: 'phone_credit', name: 'Recarga de Celular', icon: 'phone' },
+];
+
+// Despesas de categorias removidas das configurações
+const UNKNOWN_EXPENSE_CATEGORY = { id: 'other', name: 'Outras', icon: 'tag' };
+
+// Normaliza a lista de categorias de despesa lida do Firestore ou do formulário
+const normalizeExpenseCategories = (categories) => {
+    if (!Array.isArray(categories)) return DEFAULT_EXPENSE_CATEGORIES;
+    return categories
+        .filter(category => category && category.id && category.name)
+        .map(category => ({
+            id: String(category.id),
+            name: String(category.name).trim(),
+            icon: EXPENSE_ICONS[category.icon] ? category.icon : 'tag',
+        }));
+};
+
+// Mantém apenas as linhas de despesa com valor positivo
+const normalizeExpenses = (expenses) => (Array.isArray(expenses) ? expenses : [])
+    .map(expense => ({
+        categoryId: String(expense.categoryId || UNKNOWN_EXPENSE_CATEGORY.id),
+        amount: parseFloat(expense.amount) || 0,
+        note: String(expense.note || '').trim(),
+    }))
+    .filter(expense => expense.amount > 0);
+
+// Categoria de uma despesa (categorias removidas caem em "Outras")
+const getExpenseCategory = (categories, categoryId) =>
+    categories.find(category => category.id === categoryId) || { ...UNKNOWN_EXPENSE_CATEGORY, id: categoryId };
+
+// Quantidade de categorias destacadas como as que mais cresceram em relação ao período anterior
+const EXPENSE_GROWTH_HIGHLIGHTS = 3;
+
+// Detalha as despesas de um período por categoria, com participação e variação em relação ao
+// período anterior. As categorias que mais cresceram (em R$) são marcadas com isTopGrowth.
+const getExpensesBreakdown = (logs, categories, range, previousRange) => {
+    const totalsByCategory = (periodRange) => {
+        const totals = {};
+        logs.forEach(log => {
+            if (!isDateInRange(log.date, periodRange)) return;
+            normalizeExpenses(log.expenses).forEach(expense => {
+                totals[expense.categoryId] = (totals[expense.categoryId] || 0) + expense.amount;
+            });
+        });
+        return totals;
+    };
+    const current = totalsByCategory(range);
+    const previous = totalsByCategory(previousRange);
+    const total = Object.values(current).reduce((sum, amount) => sum + amount, 0);
+    const previousTotal = Object.values(previous).reduce((sum, amount) => sum + amount, 0);
+
+    const rows = Object.entries(current)
+        .map(([categoryId, amount]) => ({
+            ...getExpenseCategory(categories, categoryId),
+            amount,
+            previousAmount: previous[categoryId] || 0,
+            growth: amount - (previous[categoryId] || 0),
+            share: total > 0 ? amount / total : 0,
+        }))
+        .sort((a, b) => b.amount - a.amount);
+
+    const topGrowthIds = rows
+        .filter(row => row.growth > 0.005)
+        .sort((a, b) => b.growth - a.growth)
+        .slice(0, EXPENSE_GROWTH_HIGHLIGHTS)
+        .map(row => row.id);
+
+    return {
+        total,
+        previousTotal,
+        rows: rows.map(row => ({ ...row, isTopGrowth: topGrowthIds.includes(row.id) })),
+    };
+};
+
+// Faixas de horário para a análise de produtividade
+const TIME_BANDS = [
+    { id: 'dawn', label: 'Madrugada (0h–6h)', start: 0, end: 6 },
+    { id: 'morning', label: 'Manhã (6h–12h)', start: 6, end: 12 },
+    { id: 'afternoon', label: 'Tarde (12h–18h)', start: 12, end: 18 },
+    { id: 'night', label: 'Noite (18h–24h)', start: 18, end: 24 },
+];
+
+const WEEKDAY_NAMES = ['Domingo', 'Segunda', 'Terça', 'Quarta', 'Quinta', 'Sexta', 'Sábado'];
+
+// Distribui as horas de um turno pelas faixas de horário (o turno pode passar da meia-noite)
+const splitHoursByBand = (startTime, hours) => {
+    const [startHour, startMinute] = startTime.split(':').map(Number);
+    const result = {};
+    let cursor = startHour + startMinute / 60;
+    let remaining = Math.min(hours, 24);
+    while (remaining > 0.0001) {
+        const hourOfDay = cursor % 24;
+        const band = TIME_BANDS.find(item => hourOfDay >= item.start && hourOfDay < item.end);
+        const chunk = Math.min(remaining, band.end - hourOfDay);
+        result[band.id] = (result[band.id] || 0) + chunk;
+        cursor += chunk;
+        remaining -= chunk;
+    }
+    return result;
+};
+
+// Produtividade de um período: R$/hora líquido, média de horas e ranking de dias da semana e faixas de horário.
+// Considera apenas registros com horas trabalhadas informadas.
+const getProductivityStats = (logs, isInPeriod) => {
+    const periodLogs = logs.filter(log => isInPeriod(log.date) && log.hoursWorked > 0);
+    const days = Object.values(groupLogsByDate(periodLogs));
+
+    const weekdays = WEEKDAY_NAMES.map((name, index) => ({ index, name, netProfit: 0, hours: 0, days: 0 }));
+    days.forEach(day => {
+        const weekday = weekdays[parseDateKey(day.date).getDay()];
+        weekday.netProfit += day.netProfit;
+        weekday.hours += day.hoursWorked;
+        weekday.days++;
+    });
+
+    // O líquido de cada registro é rateado pelas horas em cada faixa
+    const bands = TIME_BANDS.map(band => ({ ...band, netProfit: 0, hours: 0 }));
+    periodLogs.forEach(log => {
+        if (!log.startTime) return;
+        const netProfit = getLogNetProfit(log);
+        Object.entries(splitHoursByBand(log.startTime, log.hoursWorked)).forEach(([bandId, hours]) => {
+            const band = bands.find(item => item.id === bandId);
+            band.hours += hours;
+            band.netProfit += netProfit * (hours / log.hoursWorked);
+        });
+    });
+
+    const totalHours = days.reduce((sum, day) => sum + day.hoursWorked, 0);
+    const totalNet = days.reduce((sum, day) => sum + day.netProfit, 0);
+
+    return {
+        totalHours,
+        netPerHour: totalHours > 0 ? totalNet / totalHours : 0,
+        averageHoursPerDay: days.length > 0 ? totalHours / days.length : 0,
+        weekdays: weekdays
+            .filter(weekday => weekday.days > 0)
+            .map(weekday => ({ ...weekday, averageNet: weekday.netProfit / weekday.days, netPerHour: weekday.netProfit / weekday.hours }))
+            .sort((a, b) => b.averageNet - a.averageNet),
+        bands: bands
+            .filter(band => band.hours > 0)
+            .map(band => ({ ...band, netPerHour: band.netProfit / band.hours }))
+            .sort((a, b) => b.netPerHour - a.netPerHour),
+    };
+};
+
+// Tempo trabalhado em um turno ao vivo (ms), descontando as pausas
+const getShiftWorkedMs = (shift, now) => {
+    const end = shift.endedAt || shift.pausedAt || now;
+    return Math.max(0, end - shift.startedAt - (shift.pausedMs || 0));
+};
+
+// Converte um turno encerrado nos valores iniciais do Registro Diário.
+// Cada ganho lançado vira uma corrida; lançamentos de gorjeta viram gorjetas avulsas.
+const getShiftDraft = (shift, dayStartHour) => {
+    const rides = [];
+    let tips = 0;
+    (shift.entries || []).forEach(entry => {
+        if (entry.sourceId === TIPS_SOURCE.id) {
+            tips += entry.amount;
+        } else {
+            rides.push({
+                sourceId: entry.sourceId,
+                amount: entry.amount,
+                tip: entry.tip || '',
+                distanceKm: entry.distanceKm || '',
+                pickup: entry.pickup || '',
+                dropoff: entry.dropoff || '',
+                time: toTimeKey(entry.time),
+            });
+        }
+    });
+    // Com rota por GPS, o hodômetro final é estimado pela distância percorrida
+    const route = normalizeRoute(shift.gpsTrack);
+    return {
+        date: getWorkDayKey(shift.startedAt, dayStartHour),
+        rides,
+        tips: tips > 0 ? tips : '',
+        startTime: toTimeKey(shift.startedAt),
+        hoursWorked: (getShiftWorkedMs(shift, shift.endedAt) / 3600000).toFixed(2),
+        startOdometer: shift.startOdometer > 0 ? String(shift.startOdometer) : '',
+        endOdometer: shift.startOdometer > 0 && route ? (shift.startOdometer + route.distanceKm).toFixed(1) : '',
+        route,
+    };
+};
+
+// Função auxiliar para formatar a duração de um turno como '02:15:08'
+const formatDuration = (ms) => {
+    const totalSeconds = Math.floor(ms / 1000);
+    const hours = String(Math.floor(totalSeconds / 3600)).padStart(2, '0');
+    const minutes = String(Math.floor((totalSeconds % 3600) / 60)).padStart(2, '0');
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return `${hours}:${minutes}:${seconds}`;
+};
+
+// --- Rota por GPS (rastreamento opcional durante o turno ao vivo; cálculos em gps.js) ---
+
+const GPS_SAVE_INTERVAL_MS = 60000; // Intervalo entre as gravações do trajeto no turno ao vivo
+
+// --- Calculadora de Ofertas (aceitar ou recusar uma corrida) ---
+
+const DEFAULT_OFFER_AVERAGE_SPEED_KMH = 20; // Velocidade média no trânsito, para estimar o tempo da corrida
+const OFFER_STOP_MINUTES = 5; // Tempo parado na coleta e na entrega, somado ao tempo rodando
+const OFFER_WARNING_RATIO = 0.8; // Abaixo de 80% de um mínimo, a oferta fica vermelha (entre 80% e 100%, amarela)
+
+const OFFER_VERDICTS = {
+    green: { label: 'Vale a pena', className: 'bg-green-900/40 border-green-500 text-green-300' },
+    yellow: { label: 'No limite', className: 'bg-yellow-900/40 border-yellow-500 text-yellow-300' },
+    red: { label: 'Não compensa', className: 'bg-red-900/40 border-red-500 text-red-300' },
+};
+
+// Custo variável por km do veículo: combustível medido nos abastecimentos, óleo e demais itens amortizados
+const getCostPerKm = (vehicle, fuelCostPerKm) => {
+    const { oilCost, maintenanceCost } = calculateMaintenanceCosts(vehicle, 1);
+    const fuel = fuelCostPerKm > 0 ? fuelCostPerKm : 0;
+    return { fuel, oil: oilCost, maintenance: maintenanceCost, total: fuel + oilCost + maintenanceCost };
+};
+
+// Resultado de uma oferta { amount, pickupKm, tripKm } pelo custo por km e pelos mínimos das configurações.
+// verdict: 'green' atende aos mínimos, 'yellow' fica perto deles, 'red' dá prejuízo ou fica bem abaixo.
+const evaluateOffer = ({ amount, pickupKm, tripKm }, costPerKm, settings) => {
+    const totalKm = (pickupKm > 0 ? pickupKm : 0) + (tripKm > 0 ? tripKm : 0);
+    const cost = totalKm * costPerKm;
+    const net = amount - cost;
+    const hours = totalKm / (settings.offerAverageSpeedKmh || DEFAULT_OFFER_AVERAGE_SPEED_KMH) + OFFER_STOP_MINUTES / 60;
+    const perKm = totalKm > 0 ? net / totalKm : 0;
+    const perHour = hours > 0 ? net / hours : 0;
+    const ratios = [[settings.offerMinPerKm, perKm], [settings.offerMinPerHour, perHour]]
+        .filter(([minimum]) => minimum > 0)
+        .map(([minimum, value]) => value / minimum);
+    let verdict = 'green';
+    if (net <= 0 || ratios.some(ratio => ratio < OFFER_WARNING_RATIO)) verdict = 'red';
+    else if (ratios.some(ratio => ratio < 1)) verdict = 'yellow';
+    return { totalKm, cost, net, minutes: hours * 60, perKm, perHour, verdict };
+};
+
+// Presets do seletor de período dos relatórios
+const PERIOD_PRESETS = [
+    { id: 'last7', label: 'Últimos 7 dias' },
+    { id: 'last30', label: 'Últimos 30 dias' },
+    { id: 'week', label: 'Semana' },
+    { id: 'month', label: 'Mês' },
+    { id: 'year', label: 'Ano' },
+    { id: 'custom', label: 'Personalizado' },
+];
+
+// Presets de calendário, navegáveis para períodos anteriores
+const CALENDAR_PERIOD_PRESETS = ['week', 'month', 'year'];
+
+// Desloca a data de referência de um período de calendário (direction: -1 anterior, 1 seguinte)
+const shiftPeriodAnchor = (preset, anchor, direction) => {
+    if (preset === 'week') return new Date(anchor.getFullYear(), anchor.getMonth(), anchor.getDate() + 7 * direction);
+    if (preset === 'month') return new Date(anchor.getFullYear(), anchor.getMonth() + direction, 1);
+    return new Date(anchor.getFullYear() + direction, 0, 1);
+};
+
+// Intervalo de datas (inclusivo, chaves 'YYYY-MM-DD') e rótulo de um período
+const getPeriodRange = ({ preset, anchor, customRange }, todayKey = getTodayKey()) => {
+    switch (preset) {
+        case 'last7':
+            return { from: addDaysToKey(todayKey, -6), to: todayKey, label: 'Últimos 7 dias' };
+        case 'last30':
+            return { from: addDaysToKey(todayKey, -29), to: todayKey, label: 'Últimos 30 dias' };
+        case 'week': {
+            const from = toDateKey(getStartOfWeek(anchor));
+            const to = addDaysToKey(from, 6);
+            return { from, to, label: `Semana de ${formatDateKey(from).slice(0, 5)} a ${formatDateKey(to).slice(0, 5)}` };
+        }
+        case 'month':
+            return {
+                from: toDateKey(new Date(anchor.getFullYear(), anchor.getMonth(), 1)),
+                to: toDateKey(new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0)),
+                label: `${MONTH_NAMES[anchor.getMonth()]} ${anchor.getFullYear()}`,
+            };
+        case 'year':
+            return { from: `${anchor.getFullYear()}-01-01`, to: `${anchor.getFullYear()}-12-31`, label: `Ano ${anchor.getFullYear()}` };
+        default:
+            return {
+                from: customRange.from,
+                to: customRange.to,
+                label: `${formatDateKey(customRange.from)} a ${formatDateKey(customRange.to)}`,
+            };
+    }
+};
+
+// Período anterior equivalente: semana/mês/ano anterior ou o mesmo número de dias imediatamente antes
+const getPreviousPeriodRange = (period, todayKey = getTodayKey()) => {
+    if (CALENDAR_PERIOD_PRESETS.includes(period.preset)) {
+        return getPeriodRange({ ...period, anchor: shiftPeriodAnchor(period.preset, period.anchor, -1) }, todayKey);
+    }
+    const range = getPeriodRange(period, todayKey);
+    const length = Math.round((parseDateKey(range.to) - parseDateKey(range.from)) / 86400000) + 1;
+    const to = addDaysToKey(range.from, -1);
+    const from = addDaysToKey(to, -(length - 1));
+    return { from, to, label: `${formatDateKey(from)} a ${formatDateKey(to)}` };
+};
+
+// Verifica se a data 'YYYY-MM-DD' está dentro do intervalo
+const isDateInRange = (date, range) => !!date && date >= range.from && date <= range.to;
+
+// Agregação de um período, usada por todos os cartões e gráficos dos relatórios.
+// O combustível vem dos abastecimentos; a meta é verificada com o líquido somado de cada dia.
+const summarizePeriod = (logs, fuelLogs, range, dailyGoal) => {
+    const isInPeriod = (date) => isDateInRange(date, range);
+    const days = Object.values(groupLogsByDate(logs.filter(log => isInPeriod(log.date))));
+
+    const summary = {
+        totalProfit: 0,
+        totalGas: sumFuelCost(logs, fuelLogs, isInPeriod),
+        totalOil: 0,
+        totalMaintenance: 0,
+        totalExpenses: 0,
+        totalKm: 0,
+        totalHours: 0,
+        daysLogged: days.length,
+        daysMetGoal: 0,
+    };
+    days.forEach(day => {
+        summary.totalProfit += day.profit;
+        summary.totalOil += day.oilCost;
+        summary.totalMaintenance += day.maintenanceCost;
+        summary.totalExpenses += day.expensesCost;
+        summary.totalKm += day.kmRidden;
+        summary.totalHours += day.hoursWorked;
+        if (dailyGoal > 0 && day.netProfit >= dailyGoal) summary.daysMetGoal++;
+    });
+    summary.netProfit = summary.totalProfit - summary.totalGas - summary.totalOil - summary.totalMaintenance - summary.totalExpenses;
+    return summary;
+};
+
+// Lista as datas 'YYYY-MM-DD' de um intervalo (inclusivo)
+const getDateKeysInRange = (range) => {
+    const keys = [];
+    if (!range.from || !range.to) return keys;
+    for (let key = range.from; key <= range.to; key = addDaysToKey(key, 1)) keys.push(key);
+    return keys;
+};
+
+// Limite de dias exibidos nos gráficos diários (períodos maiores mostram os últimos dias)
+const MAX_CHART_DAYS = 366;
+
+// Série diária para os gráficos, com os mesmos números de summarizePeriod e média móvel de 7 dias do líquido
+const getDailySeries = (logs, fuelLogs, range, dailyGoal) => {
+    const keys = getDateKeysInRange(range).slice(-MAX_CHART_DAYS);
+    if (keys.length === 0) return [];
+    // Registros e abastecimentos agrupados por data uma vez: cada dia resume só os próprios registros
+    const logsByDate = groupLogsByDate(logs);
+    const fuelLogsByDate = {};
+    fuelLogs.forEach(fuelLog => { (fuelLogsByDate[fuelLog.date] = fuelLogsByDate[fuelLog.date] || []).push(fuelLog); });
+    const summarizeDay = (date) => summarizePeriod(logsByDate[date]?.logs || [], fuelLogsByDate[date] || [], { from: date, to: date }, dailyGoal);
+    // Os 6 dias antes do primeiro entram só na média móvel (o líquido de um intervalo é a soma do líquido dos dias)
+    const days = getDateKeysInRange({ from: addDaysToKey(keys[0], -6), to: keys[keys.length - 1] }).map(summarizeDay);
+    return keys.map((date, index) => ({
+        date,
+        ...days[index + 6],
+        rollingAverage: days.slice(index, index + 7).reduce((sum, day) => sum + day.netProfit, 0) / 7,
+    }));
+};
+
+// Dimensões internas dos gráficos SVG (escalados para a largura da tela)
+const CHART_HEIGHT = 100;
+const CHART_BAR_WIDTH = 10;
+
+// Quantidade de meses na comparação mês a mês
+const MONTH_COMPARISON_COUNT = 6;
+
+// Série mensal (últimos N meses até a data final) para a comparação mês a mês
+const getMonthlySeries = (logs, fuelLogs, endKey, months, dailyGoal) => {
+    const end = parseDateKey(endKey);
+    const series = [];
+    for (let offset = months - 1; offset >= 0; offset--) {
+        const anchor = new Date(end.getFullYear(), end.getMonth() - offset, 1);
+        const range = getPeriodRange({ preset: 'month', anchor });
+        series.push({ ...range, shortLabel: MONTH_NAMES[anchor.getMonth()].slice(0, 3), ...summarizePeriod(logs, fuelLogs, range, dailyGoal) });
+    }
+    return series;
+};
+
+// Conta os dias de trabalho de um intervalo 'YYYY-MM-DD' (inclusivo)
+const countWorkDays = (range, workDaysPerWeek) =>
+    getDateKeysInRange(range).filter(key => isWorkDay(parseDateKey(key), workDaysPerWeek)).length;
+
+// Metas semanal e mensal: valor definido nas configurações ou derivado da meta diária
+// (meta diária × dias de trabalho da semana / do mês)
+const getGoalTargets = (config, todayKey) => {
+    const monthRange = getPeriodRange({ preset: 'month', anchor: parseDateKey(todayKey) });
+    return {
+        weekly: config.weeklyGoal > 0 ? config.weeklyGoal : config.dailyGoal * config.workDaysPerWeek,
+        monthly: config.monthlyGoal > 0 ? config.monthlyGoal : config.dailyGoal * countWorkDays(monthRange, config.workDaysPerWeek),
+        isWeeklyDerived: !(config.weeklyGoal > 0),
+        isMonthlyDerived: !(config.monthlyGoal > 0),
+    };
+};
+
+// Andamento de uma meta no período que contém hoje: líquido até agora, projeção no ritmo atual
+// (líquido por dia de trabalho decorrido) e quanto ainda falta hoje e por dia de trabalho restante
+const getGoalProgress = (logs, fuelLogs, range, target, workDaysPerWeek, todayKey) => {
+    const netProfit = summarizePeriod(logs, fuelLogs, { from: range.from, to: todayKey }, 0).netProfit;
+    const todayNet = summarizePeriod(logs, fuelLogs, { from: todayKey, to: todayKey }, 0).netProfit;
+    const netBeforeToday = netProfit - todayNet;
+
+    const totalWorkDays = countWorkDays(range, workDaysPerWeek);
+    const elapsedWorkDays = countWorkDays({ from: range.from, to: todayKey }, workDaysPerWeek);
+    const remainingWorkDays = countWorkDays({ from: todayKey, to: range.to }, workDaysPerWeek); // Inclui hoje
+
+    const remaining = Math.max(0, target - netProfit);
+    const neededPerRemainingDay = remainingWorkDays > 0 ? remaining / remainingWorkDays : remaining;
+    const neededToday = remainingWorkDays > 0
+        ? Math.max(0, (target - netBeforeToday) / remainingWorkDays - todayNet)
+        : 0;
+
+    return {
+        target,
+        netProfit,
+        progress: target > 0 ? Math.max(0, netProfit / target) : 0,
+        remaining,
+        projection: elapsedWorkDays > 0 ? (netProfit / elapsedWorkDays) * totalWorkDays : null,
+        neededToday,
+        neededPerRemainingDay,
+        remainingWorkDays,
+    };
+};
+
+// Sequências de dias com a meta diária batida (líquido somado do dia). Dias de folga sem meta batida
+// não quebram a sequência, e hoje só conta quando já foi batido (o dia ainda está em andamento).
+// Com versões das configurações, cada dia usa a meta e a jornada que valiam naquela data.
+const getGoalStreaks = (logs, dailyGoal, workDaysPerWeek, todayKey, settingsVersions = []) => {
+    const streaks = { current: 0, best: 0 };
+    if (dailyGoal <= 0 || logs.length === 0) return streaks;
+
+    const logsByDate = groupLogsByDate(logs);
+    const firstDate = Object.keys(logsByDate).sort()[0];
+    let running = 0;
+    getDateKeysInRange({ from: firstDate, to: todayKey }).forEach(key => {
+        const day = logsByDate[key];
+        const version = getSettingsVersionOn(settingsVersions, key);
+        const dayGoal = version && version.dailyGoal > 0 ? version.dailyGoal : dailyGoal;
+        if (day && day.netProfit >= dayGoal) {
+            running++;
+            streaks.best = Math.max(streaks.best, running);
+        } else if (key !== todayKey && isWorkDay(parseDateKey(key), version ? version.workDaysPerWeek : workDaysPerWeek)) {
+            running = 0;
+        }
+    });
+    streaks.current = running;
+    return streaks;
+};
+
+// Frequências dos custos fixos e recorrentes (parcela, seguro, IPVA, plano de celular, bag...)
+const FIXED_COST_FREQUENCIES = [
+    { id: 'weekly', label: 'Semanal' },
+    { id: 'monthly', label: 'Mensal' },
+    { id: 'yearly', label: 'Anual' },
+    { id: 'once', label: 'Único (rateado do início ao fim)' },
+];
+
+// Rateio dos custos fixos: por todos os dias do calendário ou apenas pelos dias de trabalho
+const FIXED_COST_ALLOCATIONS = [
+    { id: 'calendar', label: 'Todos os dias do calendário' },
+    { id: 'workDays', label: 'Apenas os dias de trabalho' },
+];
+
+// Normaliza a lista de custos fixos salva no documento de configurações
+const normalizeFixedCosts = (costs) => {
+    if (!Array.isArray(costs)) return [];
+    return costs
+        .filter(cost => cost && cost.id && cost.name)
+        .map(cost => ({
+            id: String(cost.id),
+            name: String(cost.name).trim(),
+            amount: parseFloat(cost.amount) || 0,
+            frequency: FIXED_COST_FREQUENCIES.some(frequency => frequency.id === cost.frequency) ? cost.frequency : 'monthly',
+            startDate: DATE_KEY_PATTERN.test(cost.startDate || '') ? cost.startDate : '',
+            endDate: DATE_KEY_PATTERN.test(cost.endDate || '') ? cost.endDate : '', // Vazio = sem data de término
+        }));
+};
+
+// Ciclo de cobrança que contém a data (semana, mês, ano ou o intervalo do custo único)
+const getFixedCostCycle = (cost, dateKey) => {
+    const date = parseDateKey(dateKey);
+    if (cost.frequency === 'once') return { from: cost.startDate, to: cost.endDate };
+    if (cost.frequency === 'weekly') return getPeriodRange({ preset: 'week', anchor: date });
+    if (cost.frequency === 'yearly') return getPeriodRange({ preset: 'year', anchor: date });
+    return getPeriodRange({ preset: 'month', anchor: date });
+};
+
+// Quantidade de dias do ciclo que recebem parte do custo (memoizado: os ciclos se repetem muito)
+const fixedCostCycleDaysCache = new Map();
+const countFixedCostCycleDays = (cycle, allocation, workDaysPerWeek) => {
+    const cacheKey = `${cycle.from}|${cycle.to}|${allocation}|${workDaysPerWeek}`;
+    if (!fixedCostCycleDaysCache.has(cacheKey)) {
+        fixedCostCycleDaysCache.set(cacheKey, allocation === 'workDays'
+            ? countWorkDays(cycle, workDaysPerWeek)
+            : getDateKeysInRange(cycle).length);
+    }
+    return fixedCostCycleDaysCache.get(cacheKey);
+};
+
+// Parcela de um custo fixo atribuída a uma data. O valor do ciclo é dividido pelos dias do ciclo inteiro,
+// então um custo que começa ou termina no meio do mês é cobrado proporcionalmente.
+const getFixedCostForDate = (cost, dateKey, allocation, workDaysPerWeek) => {
+    if (cost.amount <= 0 || !cost.startDate || dateKey < cost.startDate) return 0;
+    if (cost.endDate && dateKey > cost.endDate) return 0;
+    if (cost.frequency === 'once' && !cost.endDate) return 0; // Custo único precisa do período de rateio
+    if (allocation === 'workDays' && !isWorkDay(parseDateKey(dateKey), workDaysPerWeek)) return 0;
+
+    const cycleDays = countFixedCostCycleDays(getFixedCostCycle(cost, dateKey), allocation, workDaysPerWeek);
+    return cycleDays > 0 ? cost.amount / cycleDays : 0;
+};
+
+// Total dos custos fixos rateados em um intervalo
+const sumFixedCosts = (config, range) => {
+    const costs = config.fixedCosts || [];
+    if (costs.length === 0) return 0;
+    return getDateKeysInRange(range).reduce((total, dateKey) => total + costs.reduce(
+        (dayTotal, cost) => dayTotal + getFixedCostForDate(cost, dateKey, config.fixedCostAllocation, config.workDaysPerWeek), 0
+    ), 0);
+};
+
+// Acrescenta ao resumo do período os custos fixos e o lucro líquido real (após custos fixos)
+const withFixedCosts = (summary, config, range) => {
+    const totalFixedCosts = sumFixedCosts(config, range);
+    return { ...summary, totalFixedCosts, trueNetProfit: summary.netProfit - totalFixedCosts };
+};
+
+// Valor mensal equivalente de um custo fixo, para referência na configuração
+const getMonthlyEquivalent = (cost) => {
+    if (cost.frequency === 'weekly') return cost.amount * 52 / 12;
+    if (cost.frequency === 'yearly') return cost.amount / 12;
+    if (cost.frequency === 'once') {
+        if (!cost.startDate || !cost.endDate) return 0;
+        const months = getDateKeysInRange({ from: cost.startDate, to: cost.endDate }).length / (365.25 / 12);
+        return months > 0 ? cost.amount / months : 0;
+    }
+    return cost.amount;
+};
+
+// Limite anual de faturamento do MEI e fração do limite a partir da qual o app avisa
+const MEI_ANNUAL_LIMIT = 81000;
+const MEI_LIMIT_WARNING_RATIO = 0.8;
+// Tolerância acima do limite: até 20% paga a diferença; acima disso o desenquadramento é retroativo
+const MEI_LIMIT_TOLERANCE_RATIO = 1.2;
+
+// O DAS de cada mês (competência 'YYYY-MM') vence no dia 20 do mês seguinte; o lembrete aparece alguns dias antes
+const DAS_DUE_DAY = 20;
+const DAS_REMINDER_DAYS = 5;
+
+// Limite do ano: no ano de abertura é proporcional aos meses de atividade (1/12 do limite por mês)
+const getMeiAnnualLimit = (year, openingDate) => {
+    if (!openingDate || parseInt(openingDate.slice(0, 4)) !== year) return MEI_ANNUAL_LIMIT;
+    const openingMonth = parseInt(openingDate.slice(5, 7));
+    return (MEI_ANNUAL_LIMIT / 12) * (12 - openingMonth + 1);
+};
+
+// Data de vencimento 'YYYY-MM-DD' do DAS de uma competência
+const getDasDueDate = (competence) => {
+    const [year, month] = competence.split('-').map(Number);
+    return toDateKey(new Date(year, month, DAS_DUE_DAY)); // month (1-12) como índice = mês seguinte
+};
+
+// Formata a competência 'YYYY-MM' (ex: 'Outubro/2026')
+const formatCompetence = (competence) => {
+    const [year, month] = competence.split('-').map(Number);
+    return `${MONTH_NAMES[month - 1]}/${year}`;
+};
+
+// DAS em aberto: competências dos últimos 12 meses desde a abertura do MEI sem pagamento registrado.
+// Sem data de abertura, considera apenas a competência do mês passado.
+const getPendingDas = (dasPayments, todayKey, openingDate) => {
+    const paidCompetences = new Set(dasPayments.map(payment => payment.competence));
+    const today = parseDateKey(todayKey);
+    const pending = [];
+    for (let offset = openingDate ? 12 : 1; offset >= 1; offset--) {
+        const competence = toDateKey(new Date(today.getFullYear(), today.getMonth() - offset, 1)).slice(0, 7);
+        if (paidCompetences.has(competence) || (openingDate && competence < openingDate.slice(0, 7))) continue;
+        const dueDate = getDasDueDate(competence);
+        const daysUntilDue = Math.round((parseDateKey(dueDate) - today) / 86400000);
+        pending.push({ competence, dueDate, daysUntilDue, isOverdue: daysUntilDue < 0 });
+    }
+    return pending;
+};
+
+// Resumo anual para a DASN-SIMEI: receita bruta, despesas (como nos relatórios, com custos fixos) e DAS pago por mês.
+// Os meses são cortados em hoje para não ratear custos fixos de dias que ainda não chegaram.
+const getMeiYearSummary = (logs, fuelLogs, dasPayments, config, year, todayKey) => {
+    const months = MONTH_NAMES.map((name, index) => {
+        const monthRange = getPeriodRange({ preset: 'month', anchor: new Date(year, index, 1) });
+        const competence = monthRange.from.slice(0, 7);
+        const das = dasPayments
+            .filter(payment => payment.competence === competence)
+            .reduce((total, payment) => total + payment.amount, 0);
+        if (monthRange.from > todayKey) return { competence, name, revenue: 0, expenses: 0, das };
+
+        const range = { from: monthRange.from, to: monthRange.to < todayKey ? monthRange.to : todayKey };
+        const summary = withFixedCosts(summarizePeriod(logs, fuelLogs, range, 0), config, range);
+        return {
+            competence,
+            name,
+            revenue: summary.totalProfit,
+            expenses: summary.totalGas + summary.totalOil + summary.totalMaintenance + summary.totalExpenses + summary.totalFixedCosts,
+            das,
+        };
+    });
+    const totals = months.reduce((sum, month) => ({
+        revenue: sum.revenue + month.revenue,
+        expenses: sum.expenses + month.expenses,
+        das: sum.das + month.das,
+    }), { revenue: 0, expenses: 0, das: 0 });
+    return { months, totals };
+};
+
+// Texto do resumo anual (colunas separadas por tabulação), para colar em planilhas ou consultar na declaração
+const meiYearSummaryToText = (summary, year) => [
+    `Resumo MEI ${year}`,
+    ['Mês', 'Receita Bruta', 'Despesas', 'DAS Pago'].join('\t'),
+    ...summary.months.map(month => [month.name, toCsvNumber(month.revenue), toCsvNumber(month.expenses), toCsvNumber(month.das)].join('\t')),
+    ['Total', toCsvNumber(summary.totals.revenue), toCsvNumber(summary.totals.expenses), toCsvNumber(summary.totals.das)].join('\t'),
+    '',
+    `Receita bruta total - prestação de serviços (DASN-SIMEI): ${formatCurrency(summary.totals.revenue)}`,
+].join('\n');
+
+// --- Comprovante de Renda (página para impressão e PDF, gerados no próprio aparelho) ---
+
+// Quantidades de meses oferecidas no comprovante (o mês escolhido e os anteriores)
+const INCOME_STATEMENT_MONTH_OPTIONS = [1, 3, 6, 12];
+
+// Resumo mês a mês dos `months` meses terminados em endMonth ('YYYY-MM'), já com os custos fixos.
+// Meses futuros ficam de fora e o mês em andamento conta até hoje.
+const getIncomeStatement = (logs, fuelLogs, config, endMonth, months, todayKey) => {
+    const [endYear, endMonthNumber] = endMonth.split('-').map(Number);
+    const rows = [];
+    for (let offset = months - 1; offset >= 0; offset--) {
+        const monthRange = getPeriodRange({ preset: 'month', anchor: new Date(endYear, endMonthNumber - 1 - offset, 1) });
+        if (monthRange.from > todayKey) continue;
+        const range = { from: monthRange.from, to: monthRange.to < todayKey ? monthRange.to : todayKey };
+        const summary = withFixedCosts(summarizePeriod(logs, fuelLogs, range, 0), config, range);
+        rows.push({
+            competence: monthRange.from.slice(0, 7),
+            label: monthRange.label,
+            range,
+            gross: summary.totalProfit,
+            costs: summary.totalProfit - summary.trueNetProfit,
+            net: summary.trueNetProfit,
+            daysWorked: summary.daysLogged,
+            km: summary.totalKm,
+        });
+    }
+    const totals = rows.reduce((sum, row) => ({
+        gross: sum.gross + row.gross,
+        costs: sum.costs + row.costs,
+        net: sum.net + row.net,
+        daysWorked: sum.daysWorked + row.daysWorked,
+        km: sum.km + row.km,
+    }), { gross: 0, costs: 0, net: 0, daysWorked: 0, km: 0 });
+    const range = rows.length > 0 ? { from: rows[0].range.from, to: rows[rows.length - 1].range.to } : null;
+    return {
+        rows,
+        totals,
+        range,
+        vehicleIds: range ? [...new Set(logs.filter(log => isDateInRange(log.date, range)).map(getVehicleId))] : [],
+        averages: {
+            grossPerMonth: rows.length > 0 ? totals.gross / rows.length : 0,
+            netPerMonth: rows.length > 0 ? totals.net / rows.length : 0,
+            daysPerMonth: rows.length > 0 ? totals.daysWorked / rows.length : 0,
+            netPerDay: totals.daysWorked > 0 ? totals.net / totals.daysWorked : 0,
+        },
+    };
+};
+
+// Linhas de identificação e de médias, iguais na página impressa e no PDF.
+// header: { name, vehicles, issuedOn ('YYYY-MM-DD') }
+const getIncomeStatementDetails = (statement, header) => ({
+    identification: [
+        ['Nome', header.name],
+        ['Atividade', 'Entregador autônomo por aplicativos'],
+        ['Veículo', header.vehicles || 'Não informado'],
+        ['Período', statement.range ? `${formatDateKey(statement.range.from)} a ${formatDateKey(statement.range.to)}` : '-'],
+    ],
+    averages: [
+        ['Rendimento bruto médio por mês', formatCurrency(statement.averages.grossPerMonth)],
+        ['Rendimento líquido médio por mês', formatCurrency(statement.averages.netPerMonth)],
+        ['Dias trabalhados por mês (média)', statement.averages.daysPerMonth.toFixed(1).replace('.', ',')],
+        ['Rendimento líquido médio por dia trabalhado', formatCurrency(statement.averages.netPerDay)],
+    ],
+    footer: [
+        'Valores registrados pelo próprio entregador no Rota Max.',
+        'Custos incluem combustível, óleo, manutenção, despesas do dia e custos fixos rateados.',
+        `Emitido em ${formatDateKey(header.issuedOn)}.`,
+    ],
+});
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+
+// Página HTML independente (estilos embutidos), pronta para imprimir ou salvar como PDF pelo navegador
+const incomeStatementToHtml = (statement, header) => {
+    const details = getIncomeStatementDetails(statement, header);
+    const cell = (value, align = 'left', tag = 'td') => `<${tag} style="text-align:${align}">${escapeHtml(value)}</${tag}>`;
+    const row = (cells) => `<tr>${cells.join('')}</tr>`;
+    return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+<meta charset="UTF-8">
+<title>Comprovante de Renda - ${escapeHtml(header.name)}</title>
+<style>
+body { font-family: Helvetica, Arial, sans-serif; color: #111; margin: 40px; font-size: 13px; }
+h1 { font-size: 20px; margin: 0 0 16px; }
+table { width: 100%; border-collapse: collapse; margin-bottom: 20px; }
+th, td { padding: 6px 8px; border-bottom: 1px solid #ccc; }
+th { background: #f0f0f0; }
+.info td:first-child, .averages td:first-child { width: 45%; color: #555; }
+tfoot td { font-weight: bold; border-top: 2px solid #111; }
+p { color: #555; font-size: 11px; }
+@media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>Comprovante de Renda</h1>
+<table class="info">${details.identification.map(([label, value]) => row([cell(label), cell(value)])).join('')}</table>
+<table>
+<thead>${row([cell('Mês', 'left', 'th'), cell('Dias', 'right', 'th'), cell('Bruto', 'right', 'th'), cell('Custos', 'right', 'th'), cell('Líquido', 'right', 'th')])}</thead>
+<tbody>${statement.rows.map(month => row([cell(month.label), cell(month.daysWorked, 'right'), cell(formatCurrency(month.gross), 'right'), cell(formatCurrency(month.costs), 'right'), cell(formatCurrency(month.net), 'right')])).join('')}</tbody>
+<tfoot>${row([cell('Total'), cell(statement.totals.daysWorked, 'right'), cell(formatCurrency(statement.totals.gross), 'right'), cell(formatCurrency(statement.totals.costs), 'right'), cell(formatCurrency(statement.totals.net), 'right')])}</tfoot>
+</table>
+<table class="averages">${details.averages.map(([label, value]) => row([cell(label), cell(value, 'right')])).join('')}</table>
+<p>${details.footer.map(escapeHtml).join('<br>')}</p>
+</body>
+</html>`;
+};
+
+// Página A4 em pontos (1/72 de polegada)
+const PDF_PAGE_WIDTH = 595;
+const PDF_PAGE_HEIGHT = 842;
+const PDF_MARGIN = 40;
+
+// As fontes padrão do PDF usam WinAnsi (Latin-1): acentos do português funcionam, outros símbolos viram '-'
+const toPdfText = (text) => String(text).replace(/[^\x20-\x7e\xa0-\xff]/g, '-');
+
+// Largura aproximada na Helvetica (milésimos do tamanho da fonte), usada para alinhar os valores à direita
+const PDF_CHAR_WIDTHS = { ' ': 278, '\xa0': 278, ',': 278, '.': 278, '-': 333, 'R': 722 };
+const getPdfTextWidth = (text, size) => [...text].reduce((width, char) => width + (PDF_CHAR_WIDTHS[char] || 556), 0) * size / 1000;
+
+// Monta um PDF 1.4 mínimo: uma página por item de pageStreams (operadores de conteúdo), Helvetica e Helvetica-Bold
+const buildPdf = (pageStreams) => {
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${pageStreams.map((_, index) => `${5 + index * 2} 0 R`).join(' ')}] /Count ${pageStreams.length} >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+    ];
+    pageStreams.forEach((stream, index) => {
+        objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_PAGE_WIDTH} ${PDF_PAGE_HEIGHT}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${6 + index * 2} 0 R >>`);
+        objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    });
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, index) => {
+        const offset = pdf.length;
+        pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+    const xrefOffset = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')}`;
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+    // Todo o texto já está em Latin-1: cada caractere vira um byte
+    return Uint8Array.from(pdf, char => char.charCodeAt(0) & 0xff);
+};
+
+// Comprovante em PDF (uma página; até 12 meses cabem com folga)
+const incomeStatementToPdf = (statement, header) => {
+    const details = getIncomeStatementDetails(statement, header);
+    const ops = [];
+    let y = PDF_PAGE_HEIGHT - PDF_MARGIN - 16;
+    const text = (x, value, { size = 10, bold = false, align = 'left' } = {}) => {
+        const content = toPdfText(value);
+        const left = align === 'right' ? x - getPdfTextWidth(content, size) : x;
+        ops.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${left.toFixed(2)} ${y} Td (${content.replace(/[\\()]/g, '\\$&')}) Tj ET`);
+    };
+    const rule = (width = 0.5) => ops.push(`${width} w ${PDF_MARGIN} ${y - 5} m ${PDF_PAGE_WIDTH - PDF_MARGIN} ${y - 5} l S`);
+    const right = PDF_PAGE_WIDTH - PDF_MARGIN;
+    const columns = [[PDF_MARGIN, 'left'], [260, 'right'], [355, 'right'], [455, 'right'], [right, 'right']];
+    const tableRow = (values, bold = false) => {
+        values.forEach((value, index) => text(columns[index][0], value, { bold, align: columns[index][1] }));
+        rule(bold ? 1 : 0.3);
+        y -= 20;
+    };
+
+    text(PDF_MARGIN, 'Comprovante de Renda', { size: 18, bold: true });
+    y -= 32;
+    details.identification.forEach(([label, value]) => {
+        text(PDF_MARGIN, label, { bold: true });
+        text(150, value);
+        y -= 16;
+    });
+    y -= 16;
+    tableRow(['Mês', 'Dias', 'Bruto', 'Custos', 'Líquido'], true);
+    statement.rows.forEach(month => tableRow([month.label, month.daysWorked, formatCurrency(month.gross), formatCurrency(month.costs), formatCurrency(month.net)]));
+    tableRow(['Total', statement.totals.daysWorked, formatCurrency(statement.totals.gross), formatCurrency(statement.totals.costs), formatCurrency(statement.totals.net)], true);
+    y -= 16;
+    details.averages.forEach(([label, value]) => {
+        text(PDF_MARGIN, label);
+        text(right, value, { bold: true, align: 'right' });
+        y -= 16;
+    });
+    y = PDF_MARGIN + 12 * (details.footer.length - 1);
+    details.footer.forEach(line => {
+        text(PDF_MARGIN, line, { size: 8 });
+        y -= 12;
+    });
+    return buildPdf([ops.join('\n')]);
+};
+
+// Variação percentual entre dois valores (null quando não há base de comparação)
+const getDelta = (current, previous) => {
+    if (!previous) return null;
+    return (current - previous) / Math.abs(previous);
+};
+
+// --- Frota (dono acompanha os números de quem aluga suas motos) ---
+
+// Alfabeto dos códigos de convite, sem caracteres fáceis de confundir (0/O, 1/I/L)
+const FLEET_INVITE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const FLEET_INVITE_CODE_LENGTH = 6;
+
+// O que o entregador pode compartilhar com o dono da frota (cada chave é uma parte do resumo publicado)
+const FLEET_SHARE_OPTIONS = [
+    { key: 'logs', label: 'Registros (rendimento, custos e lucro)' },
+    { key: 'km', label: 'Km rodados e hodômetro' },
+    { key: 'maintenance', label: 'Situação da manutenção' },
+];
+
+// Gera um código de convite aleatório (ex.: 'K7QM2X')
+const generateInviteCode = () => {
+    const values = crypto.getRandomValues(new Uint32Array(FLEET_INVITE_CODE_LENGTH));
+    return Array.from(values, value => FLEET_INVITE_ALPHABET[value % FLEET_INVITE_ALPHABET.length]).join('');
+};
+
+// Normaliza o código digitado (maiúsculas, sem espaços ou traços)
+const normalizeInviteCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const normalizeFleetShare = (share = {}) => Object.fromEntries(FLEET_SHARE_OPTIONS.map(option => [option.key, !!share[option.key]]));
+
+// Frota própria (dono): nome e código de convite atual
+const normalizeFleet = (fleet) => (fleet && fleet.inviteCode
+    ? { name: String(fleet.name || '').trim(), inviteCode: normalizeInviteCode(fleet.inviteCode) }
+    : null);
+
+// Participação em uma frota (entregador): dono, código usado na entrada e o que é compartilhado
+const normalizeFleetMembership = (membership) => (membership && membership.ownerId
+    ? {
+        ownerId: String(membership.ownerId),
+        fleetName: String(membership.fleetName || ''),
+        inviteCode: normalizeInviteCode(membership.inviteCode),
+        share: normalizeFleetShare(membership.share),
+    }
+    : null);
+
+// Resumo do mês atual publicado para o dono da frota, por veículo. Só entram as partes que o
+// entregador escolheu compartilhar; as regras do Firestore recusam as demais.
+const getFleetRiderSummary = ({ share, vehicles, dailyLogs, fuelLogs, maintenanceRecords, dailyGoal, todayKey }) => {
+    const range = getPeriodRange({ preset: 'month', anchor: parseDateKey(todayKey) }, todayKey);
+    const summary = {
+        period: { from: range.from, to: range.to, label: range.label },
+        vehicles: Object.fromEntries(vehicles.map(vehicle => [vehicle.id, { name: vehicle.name, type: vehicle.type }])),
+    };
+    const perVehicle = (getValue) => Object.fromEntries(vehicles.map(vehicle => [vehicle.id, getValue(vehicle)]));
+    const getVehicleSummary = (vehicle) => summarizePeriod(filterByVehicle(dailyLogs, vehicle.id), filterByVehicle(fuelLogs, vehicle.id), range, dailyGoal);
+    const getVehicleOdometer = (vehicle) => getCurrentOdometer(
+        filterByVehicle(dailyLogs, vehicle.id), filterByVehicle(maintenanceRecords, vehicle.id), filterByVehicle(fuelLogs, vehicle.id)
+    );
+
+    if (share.logs) {
+        summary.logs = perVehicle(vehicle => {
+            const vehicleSummary = getVehicleSummary(vehicle);
+            return {
+                daysLogged: vehicleSummary.daysLogged,
+                gross: vehicleSummary.totalProfit,
+                costs: vehicleSummary.totalProfit - vehicleSummary.netProfit,
+                net: vehicleSummary.netProfit,
+                hours: vehicleSummary.totalHours,
+            };
+        });
+    }
+    if (share.km) {
+        summary.km = perVehicle(vehicle => ({ km: getVehicleSummary(vehicle).totalKm, odometer: getVehicleOdometer(vehicle) }));
+    }
+    if (share.maintenance) {
+        summary.maintenance = perVehicle(vehicle => getMaintenanceStatus(vehicle, filterByVehicle(maintenanceRecords, vehicle.id), getVehicleOdometer(vehicle))
+            .map(item => ({ key: item.key, label: item.label, status: item.status, kmRemaining: item.kmRemaining })));
+    }
+    return summary;
+};
+
+// Linhas do painel do dono: uma por veículo de cada entregador, com os totais da frota
+const getFleetDashboard = (riders) => {
+    const totals = { gross: 0, net: 0, km: 0, daysLogged: 0, overdue: 0 };
+    const rows = [];
+    riders.forEach(rider => {
+        Object.entries(rider.vehicles || {}).forEach(([vehicleId, vehicle]) => {
+            const logs = rider.logs?.[vehicleId] || null;
+            const km = rider.km?.[vehicleId] || null;
+            const maintenance = rider.maintenance?.[vehicleId] || null;
+            // Veículos sem nenhum dado compartilhado no período não aparecem
+            if (!(logs?.daysLogged > 0) && !(km?.odometer > 0) && !maintenance?.some(item => item.status !== 'unknown')) return;
+            const overdue = maintenance ? maintenance.filter(item => item.status === 'overdue').length : 0;
+            if (logs) {
+                totals.gross += logs.gross;
+                totals.net += logs.net;
+                totals.daysLogged += logs.daysLogged;
+            }
+            if (km) totals.km += km.km;
+            totals.overdue += overdue;
+            rows.push({ riderId: rider.id, riderName: rider.name, vehicleId, vehicle, logs, km, maintenance, overdue });
+        });
+    });
+    return { totals, rows };
+};
+
+// Campos do documento user_settings gravados no Firestore. Também normaliza o documento lido (campos ausentes
+// em contas antigas recebem o padrão de DEFAULT_CONFIG), então a leitura e a gravação usam as mesmas regras.
+const toSettingsDocument = (settings) => ({
+    username: settings.username || '',
+    bikeModel: settings.bikeModel || '',
+    oilChangeCost: parseFloat(settings.oilChangeCost) || 0,
+    oilChangeIntervalKm: parseInt(settings.oilChangeIntervalKm) || 0,
+    dailyGoal: parseFloat(settings.dailyGoal) || 0,
+    weeklyGoal: parseFloat(settings.weeklyGoal) || 0,
+    monthlyGoal: parseFloat(settings.monthlyGoal) || 0,
+    workDaysPerWeek: parseInt(settings.workDaysPerWeek) || 7,
+    workDayStartHour: normalizeWorkDayStartHour(settings.workDayStartHour),
+    fuelType: settings.fuelType || 'gasoline',
+    bikePhotoUrl: settings.bikePhotoUrl || '', // Salvar Base64 ou URL fallback
+    maintenance: normalizeMaintenanceSettings(settings.maintenance),
+    earningSources: normalizeEarningSources(settings.earningSources),
+    expenseCategories: normalizeExpenseCategories(settings.expenseCategories),
+    fixedCosts: normalizeFixedCosts(settings.fixedCosts),
+    fixedCostAllocation: settings.fixedCostAllocation === 'workDays' ? 'workDays' : 'calendar',
+    meiEnabled: !!settings.meiEnabled,
+    meiOpeningDate: settings.meiOpeningDate || '',
+    dasAmount: parseFloat(settings.dasAmount) || 0,
+    activeVehicleId: settings.activeVehicleId || DEFAULT_VEHICLE_ID,
+    fleet: normalizeFleet(settings.fleet),
+    fleetMembership: normalizeFleetMembership(settings.fleetMembership),
+    offerMinPerKm: parseFloat(settings.offerMinPerKm) || 0,
+    offerMinPerHour: parseFloat(settings.offerMinPerHour) || 0,
+    offerAverageSpeedKmh: parseFloat(settings.offerAverageSpeedKmh) || DEFAULT_OFFER_AVERAGE_SPEED_KMH,
+});
+
+// Campos de um documento de daily_logs gravados no Firestore
+const toDailyLogDocument = (logData) => ({
+    date: logData.date, // Armazenando como string 'YYYY-MM-DD'
+    profit: parseFloat(logData.profit) || 0,
+    gasolineCost: parseFloat(logData.gasolineCost) || 0,
+    oilCost: parseFloat(logData.oilCost) || 0,
+    maintenanceCost: parseFloat(logData.maintenanceCost) || 0,
+    startOdometer: parseFloat(logData.startOdometer) || 0,
+    endOdometer: parseFloat(logData.endOdometer) || 0,
+    kmRidden: parseFloat(logData.kmRidden) || 0,
+    earnings: normalizeEarnings(logData.earnings),
+    tips: parseFloat(logData.tips) || 0,
+    rides: normalizeRides(logData.rides),
+    expenses: normalizeExpenses(logData.expenses),
+    hoursWorked: parseFloat(logData.hoursWorked) || 0,
+    startTime: logData.startTime || '',
+    fuelCostEstimated: !!logData.fuelCostEstimated, // true: gasolineCost estimado pelos abastecimentos
+    vehicleId: getVehicleId(logData),
+    route: normalizeRoute(logData.route), // Rota resumida do GPS (null sem rastreamento)
+    settingsVersionId: logData.settingsVersionId || '', // Versão das configurações em vigor ao salvar ('' = anterior às versões)
+});
+
+// Registro diário lido do Firestore, com os números e listas normalizados
+const normalizeDailyLog = (id, data) => ({
+    id,
+    ...data,
+    date: data.date instanceof Date ? toDateKey(data.date) : data.date, // Garantir que a data esteja no formato string 'YYYY-MM-DD'
+    profit: parseFloat(data.profit) || 0,
+    gasolineCost: parseFloat(data.gasolineCost) || 0,
+    oilCost: parseFloat(data.oilCost) || 0, // Custo do óleo amortizado por km
+    maintenanceCost: parseFloat(data.maintenanceCost) || 0, // Demais itens amortizados por km
+    startOdometer: parseFloat(data.startOdometer) || 0,
+    endOdometer: parseFloat(data.endOdometer) || 0,
+    kmRidden: parseFloat(data.kmRidden) || 0,
+    earnings: normalizeEarnings(data.earnings), // Rendimento bruto por fonte
+    tips: parseFloat(data.tips) || 0,
+    rides: normalizeRides(data.rides), // Corridas/entregas do dia (registros antigos: vazio)
+    expenses: normalizeExpenses(data.expenses), // Outras despesas do dia, por categoria
+    hoursWorked: parseFloat(data.hoursWorked) || 0,
+    startTime: data.startTime || '', // Início do turno 'HH:MM'
+    vehicleId: getVehicleId(data),
+    route: normalizeRoute(data.route),
+    settingsVersionId: data.settingsVersionId || '',
+});
+
+// --- Versões das Configurações (parâmetros de custo em vigor a partir de cada data) ---
+
+// Parâmetros que entram nos custos e metas dos registros: jornada, meta diária e custos por km de cada veículo.
+// Veículos em ordem de ID para que a comparação entre versões não dependa da ordem do Firestore.
+const toCostParameters = (settings, vehicles) => ({
+    workDaysPerWeek: parseInt(settings.workDaysPerWeek) || 7,
+    dailyGoal: parseFloat(settings.dailyGoal) || 0,
+    vehicles: Object.fromEntries([...vehicles]
+        .sort((a, b) => a.id.localeCompare(b.id))
+        .map(vehicle => [vehicle.id, {
+            oilChangeCost: parseFloat(vehicle.oilChangeCost) || 0,
+            oilChangeIntervalKm: parseInt(vehicle.oilChangeIntervalKm) || 0,
+            maintenance: normalizeMaintenanceSettings(vehicle.maintenance),
+        }])),
+});
+
+// Normaliza um documento de settings_versions ({ effectiveFrom, savedAt, ...parâmetros })
+const normalizeSettingsVersion = (id, data) => ({
+    id,
+    effectiveFrom: data.effectiveFrom || '',
+    savedAt: data.savedAt || 0,
+    ...toCostParameters(data, Object.entries(data.vehicles || {}).map(([vehicleId, vehicle]) => ({ id: vehicleId, ...vehicle }))),
+});
+
+const isSameCostParameters = (a, b) => JSON.stringify([a.workDaysPerWeek, a.dailyGoal, a.vehicles]) === JSON.stringify([b.workDaysPerWeek, b.dailyGoal, b.vehicles]);
+
+// Versão em vigor em uma data: a mais recente com effectiveFrom até a data (null antes da primeira versão)
+const getSettingsVersionOn = (versions, dateKey) => versions
+    .filter(version => version.effectiveFrom <= dateKey)
+    .reduce((latest, version) => (!latest || version.effectiveFrom > latest.effectiveFrom
+        || (version.effectiveFrom === latest.effectiveFrom && version.savedAt > latest.savedAt) ? version : latest), null);
+
+// Versões que valeram em algum dia do intervalo, em ordem de vigência
+const getSettingsVersionsInRange = (versions, range) => {
+    const first = getSettingsVersionOn(versions, range.from);
+    const later = versions
+        .filter(version => version.effectiveFrom > range.from && version.effectiveFrom <= range.to)
+        .filter(version => getSettingsVersionOn(versions, version.effectiveFrom) === version); // Só a última de cada dia
+    return [...(first ? [first] : []), ...later.sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom))];
+};
+
+// Prévia do recálculo dos custos de óleo e manutenção dos registros a partir de fromDate, com os custos atuais de cada veículo.
+// netDelta: quanto o lucro líquido de cada registro muda (positivo quando o custo cai).
+const getCostRecalculation = (logs, vehicles, fromDate) => {
+    const changes = [];
+    logs.filter(log => log.date >= fromDate).forEach(log => {
+        const vehicle = vehicles.find(item => item.id === getVehicleId(log));
+        if (!vehicle) return; // Veículo excluído: não há custos atuais para aplicar
+        const km = getCostedKm(log.kmRidden, log.route);
+        const { oilCost, maintenanceCost } = calculateMaintenanceCosts(vehicle, km);
+        const netDelta = (log.oilCost + log.maintenanceCost) - (oilCost + maintenanceCost);
+        if (Math.abs(netDelta) < 0.005) return;
+        changes.push({ log, km, oilCost, maintenanceCost, netDelta });
+    });
+    changes.sort((a, b) => a.log.date.localeCompare(b.log.date));
+    return { changes, netDelta: changes.reduce((sum, change) => sum + change.netDelta, 0) };
+};
+
+// --- Resumos por Período (totais do mês e da semana de cada veículo, gravados junto com os registros) ---
+// Os relatórios leem os resumos em vez de todos os registros; os detalhes (plataformas, corridas, despesas
+// por categoria) continuam vindo dos registros carregados.
+
+// Versão do formato dos resumos: contas com uma versão menor têm os resumos refeitos a partir dos registros
+const PERIOD_SUMMARY_VERSION = 1;
+
+// Campos somados em cada resumo e em cada dia do resumo (logs: quantidade de registros)
+const PERIOD_SUMMARY_FIELDS = ['profit', 'gasolineCost', 'manualGasolineCost', 'oilCost', 'maintenanceCost', 'expensesCost', 'kmRidden', 'hoursWorked', 'netProfit', 'logs'];
+
+// Valores de um registro nos resumos. manualGasolineCost: combustível digitado em registros antigos,
+// o único que entra nos relatórios (o estimado por km dá lugar aos abastecimentos)
+const getLogSummaryValues = (logData) => {
+    const log = toDailyLogDocument(logData);
+    return {
+        profit: log.profit,
+        gasolineCost: log.gasolineCost,
+        manualGasolineCost: logData.fuelCostEstimated ? 0 : log.gasolineCost,
+        oilCost: log.oilCost,
+        maintenanceCost: log.maintenanceCost,
+        expensesCost: sumExpenses(log.expenses),
+        kmRidden: log.kmRidden,
+        hoursWorked: log.hoursWorked,
+        netProfit: getLogNetProfit(log),
+        logs: 1,
+    };
+};
+
+// Períodos de resumo que contêm a data: o mês e a semana (Segunda a Domingo)
+const getSummaryPeriods = (dateKey) => {
+    const date = parseDateKey(dateKey);
+    const weekFrom = toDateKey(getStartOfWeek(date));
+    return [
+        { period: 'month', from: `${dateKey.slice(0, 7)}-01`, to: toDateKey(new Date(date.getFullYear(), date.getMonth() + 1, 0)) },
+        { period: 'week', from: weekFrom, to: addDaysToKey(weekFrom, 6) },
+    ];
+};
+
+// ID do documento de resumo, ex.: 'month_2025-03-01_moto1'
+const getSummaryDocId = (summary) => `${summary.period}_${summary.from}_${summary.vehicleId}`;
+
+// Variações dos resumos para uma lista de alterações { oldLog, newLog } (null = registro criado ou excluído),
+// agrupadas por documento. Só com registros novos, são os próprios resumos (usado para refazê-los).
+const getSummaryDeltas = (changes) => {
+    const deltas = {};
+    const addLog = (log, sign) => {
+        const values = getLogSummaryValues(log);
+        const vehicleId = getVehicleId(log);
+        getSummaryPeriods(log.date).forEach(period => {
+            const id = getSummaryDocId({ ...period, vehicleId });
+            if (!deltas[id]) deltas[id] = { ...period, vehicleId, totals: {}, days: {} };
+            const delta = deltas[id];
+            if (!delta.days[log.date]) delta.days[log.date] = {};
+            PERIOD_SUMMARY_FIELDS.forEach(field => {
+                delta.totals[field] = (delta.totals[field] || 0) + sign * values[field];
+                delta.days[log.date][field] = (delta.days[log.date][field] || 0) + sign * values[field];
+            });
+        });
+    };
+    changes.forEach(({ oldLog, newLog }) => {
+        if (oldLog) addLog(oldLog, -1);
+        if (newLog) addLog(newLog, 1);
+    });
+    return deltas;
+};
+
+// Documento para gravar uma variação com set/merge: increment soma no servidor, sem depender de ler o resumo
+// (duas escritas simultâneas, mesmo offline, não se sobrescrevem)
+const toSummaryIncrement = (delta) => {
+    const toIncrements = (values) => Object.fromEntries(Object.entries(values).map(([field, value]) => [field, increment(value)]));
+    return {
+        period: delta.period,
+        from: delta.from,
+        to: delta.to,
+        vehicleId: delta.vehicleId,
+        totals: toIncrements(delta.totals),
+        days: Object.fromEntries(Object.entries(delta.days).map(([date, values]) => [date, toIncrements(values)])),
+    };
+};
+
+// Resumo lido do Firestore. As somas sucessivas com increment acumulam resíduos de ponto flutuante; arredonda.
+const normalizePeriodSummary = (id, data) => {
+    const toValues = (values) => Object.fromEntries(PERIOD_SUMMARY_FIELDS.map(field => [
+        field, Math.round((parseFloat(values?.[field]) || 0) * 1e6) / 1e6,
+    ]));
+    return {
+        id,
+        period: data.period === 'week' ? 'week' : 'month',
+        from: data.from || '',
+        to: data.to || '',
+        vehicleId: getVehicleId(data),
+        totals: toValues(data.totals),
+        days: Object.fromEntries(Object.entries(data.days || {}).map(([date, values]) => [date, toValues(values)])),
+    };
+};
+
+// Registros sintéticos (um por dia e veículo) montados a partir dos resumos, no formato aceito por summarizePeriod,
+// getDailySeries, getGoalStreaks etc. O combustível digitado vira um registro à parte para continuar nos relatórios.
+// Com range, intervalos dentro de uma semana leem os resumos semanais; os demais (e sem range), os mensais.
+const getSummaryDayLogs = (summaries, range = null) => {
+    const period = range && range.to <= addDaysToKey(toDateKey(getStartOfWeek(parseDateKey(range.from))), 6) ? 'week' : 'month';
+    const dayLogs = [];
+    summaries
+        .filter(summary => summary.period === period && (!range || (summary.from <= range.to && summary.to >= range.from)))
+        .forEach(summary => Object.entries(summary.days).forEach(([date, day]) => {
+            if (day.logs <= 0 || (range && !isDateInRange(date, range))) return; // Dia com todos os registros excluídos
+            dayLogs.push({
+                date,
+                vehicleId: summary.vehicleId,
+                profit: day.profit,
+                gasolineCost: day.gasolineCost - day.manualGasolineCost,
+                fuelCostEstimated: true,
+                oilCost: day.oilCost,
+                maintenanceCost: day.maintenanceCost,
+                expenses: [{ amount: day.expensesCost }],
+                kmRidden: day.kmRidden,
+                hoursWorked: day.hoursWorked,
+            });
+            if (day.manualGasolineCost > 0) {
+                dayLogs.push({
+                    date, vehicleId: summary.vehicleId, profit: 0, gasolineCost: day.manualGasolineCost, fuelCostEstimated: false,
+                    oilCost: 0, maintenanceCost: 0, expenses: [], kmRidden: 0, hoursWorked: 0,
+                });
+            }
+        }));
+    return dayLogs.sort((a, b) => b.date.localeCompare(a.date));
+};
+
+// Meses de registros escutados antes do mês atual (períodos mais antigos são lidos à parte, só o intervalo pedido)
+const LOGS_WINDOW_MONTHS = 12;
+
+// Primeiro dia da janela de registros: o mês de LOGS_WINDOW_MONTHS meses atrás
+const getLogsWindowStart = (todayKey) => {
+    const today = parseDateKey(todayKey);
+    return toDateKey(new Date(today.getFullYear(), today.getMonth() - LOGS_WINDOW_MONTHS, 1));
+};
+
+// Quantidade de registros da conta, pelos resumos mensais
+const countSummaryLogs = (summaries) => summaries
+    .filter(summary => summary.period === 'month')
+    .reduce((total, summary) => total + summary.totals.logs, 0);
+
+// Os resumos mensais a partir de fromDate (primeiro dia de um mês) batem com os registros dessas datas?
+// As variações com increment partem do registro que o aparelho tinha: uma edição sobre uma cópia desatualizada
+// (outra aba ou aparelho) ou uma escrita durante a reconstrução deixa os totais errados sem nenhum erro.
+const hasSummaryDrift = (summaries, logs, fromDate) => {
+    const expected = getSummaryDeltas(logs.filter(log => log.date >= fromDate).map(log => ({ oldLog: null, newLog: log })));
+    const stored = summaries.filter(summary => summary.period === 'month' && summary.from >= fromDate);
+    const isSameDay = (a = {}, b = {}) => PERIOD_SUMMARY_FIELDS.every(field => Math.abs((a[field] || 0) - (b[field] || 0)) < 0.01);
+    if (Object.entries(expected).some(([id, delta]) => delta.period === 'month' && !stored.some(summary => summary.id === id))) return true;
+    return stored.some(summary => {
+        const days = expected[summary.id]?.days || {};
+        return [...new Set([...Object.keys(summary.days), ...Object.keys(days)])]
+            .some(date => !isSameDay(summary.days[date], days[date]));
+    });
+};
+
+// --- Validação (os mesmos limites são conferidos pelas regras em firestore.rules) ---
+
+const VALIDATION_LIMITS = {
+    dailyAmount: 100000, // R$ em cada valor de um registro diário
+    goal: 1000000, // R$ das metas e custos das configurações
+    odometer: 10000000, // km
+    dailyKm: 2000, // km rodados em um dia
+    intervalKm: 200000, // km entre serviços de manutenção
+    hoursWorked: 24,
+    rides: 300, // corridas por registro
+    expenses: 100, // despesas por registro
+    settingsList: 100, // fontes, categorias e custos fixos
+    usernameLength: 60,
+};
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_KEY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// 'YYYY-MM-DD' de um dia que existe no calendário, entre 2000 e 2099 (recusa '2099-13-45')
+const isValidDateKey = (key) => typeof key === 'string' && DATE_KEY_PATTERN.test(key)
+    && key >= '2000-01-01' && key <= '2099-12-31' && toDateKey(parseDateKey(key)) === key;
+
+// Valor entre 0 e o limite. Retorna a mensagem de erro ou null.
+const checkAmount = (value, label, max, format = formatCurrency) => {
+    if (typeof value !== 'number' || !isFinite(value)) return `${label}: valor inválido.`;
+    if (value < 0) return `${label}: o valor não pode ser negativo.`;
+    if (value > max) return `${label}: o valor passa do limite de ${format(max)}.`;
+    return null;
+};
+
+const formatKm = (km) => `${km.toLocaleString('pt-BR')} km`;
+
+// Confere um documento de daily_logs (já no formato de toDailyLogDocument). Retorna a lista de erros.
+const validateDailyLog = (log) => {
+    const { dailyAmount, odometer, dailyKm, hoursWorked } = VALIDATION_LIMITS;
+    const errors = [
+        !isValidDateKey(log.date) && `Data inválida (${log.date || 'vazia'}).`,
+        checkAmount(log.profit, 'Rendimento bruto', dailyAmount),
+        checkAmount(log.gasolineCost, 'Combustível', dailyAmount),
+        checkAmount(log.oilCost, 'Custo de óleo', dailyAmount),
+        checkAmount(log.maintenanceCost, 'Custo de manutenção', dailyAmount),
+        checkAmount(log.tips, 'Gorjetas', dailyAmount),
+        checkAmount(log.startOdometer, 'Hodômetro inicial', odometer, formatKm),
+        checkAmount(log.endOdometer, 'Hodômetro final', odometer, formatKm),
+        checkAmount(log.kmRidden, 'Km rodados', dailyKm, formatKm),
+        checkAmount(log.hoursWorked, 'Horas trabalhadas', hoursWorked, (hours) => `${hours} horas`),
+        log.endOdometer > 0 && log.endOdometer < log.startOdometer && 'O hodômetro final não pode ser menor que o inicial.',
+        log.startTime && !TIME_KEY_PATTERN.test(log.startTime) && 'Horário de início inválido.',
+        ...Object.values(log.earnings || {}).map(amount => checkAmount(amount, 'Rendimento por plataforma', dailyAmount)),
+        (log.rides || []).length > VALIDATION_LIMITS.rides && `Máximo de ${VALIDATION_LIMITS.rides} corridas por dia.`,
+        ...(log.rides || []).flatMap(ride => [
+            checkAmount(ride.amount, 'Valor da corrida', dailyAmount),
+            checkAmount(ride.tip, 'Gorjeta da corrida', dailyAmount),
+            checkAmount(ride.distanceKm, 'Distância da corrida', dailyKm, formatKm),
+        ]),
+        (log.expenses || []).length > VALIDATION_LIMITS.expenses && `Máximo de ${VALIDATION_LIMITS.expenses} despesas por dia.`,
+        ...(log.expenses || []).map(expense => checkAmount(expense.amount, 'Despesa', dailyAmount)),
+        log.route && log.route.path.length > ROUTE_MAX_POINTS * 2 && `A rota pode ter até ${ROUTE_MAX_POINTS} pontos.`,
+        log.route && checkAmount(log.route.distanceKm, 'Km da rota', dailyKm, formatKm),
+    ];
+    return [...new Set(errors.filter(Boolean))];
+};
+
+// Confere o documento user_settings (já no formato de toSettingsDocument). Retorna a lista de erros.
+const validateSettings = (settings) => {
+    const { goal, intervalKm, settingsList, usernameLength } = VALIDATION_LIMITS;
+    const errors = [
+        String(settings.username || '').length > usernameLength && `O nome pode ter até ${usernameLength} caracteres.`,
+        checkAmount(settings.oilChangeCost, 'Custo da troca de óleo', goal),
+        checkAmount(settings.oilChangeIntervalKm, 'Intervalo da troca de óleo', intervalKm, formatKm),
+        checkAmount(settings.dailyGoal, 'Meta diária', goal),
+        checkAmount(settings.weeklyGoal, 'Meta semanal', goal),
+        checkAmount(settings.monthlyGoal, 'Meta mensal', goal),
+        checkAmount(settings.dasAmount, 'Valor do DAS', goal),
+        checkAmount(settings.offerMinPerKm, 'Mínimo por km', goal),
+        checkAmount(settings.offerMinPerHour, 'Mínimo por hora', goal),
+        !(settings.offerAverageSpeedKmh > 0 && settings.offerAverageSpeedKmh <= GPS_MAX_SPEED_KMH) && `A velocidade média deve ser maior que zero e de até ${GPS_MAX_SPEED_KMH} km/h.`,
+        !(settings.workDaysPerWeek >= 1 && settings.workDaysPerWeek <= 7) && 'Os dias de trabalho por semana devem ficar entre 1 e 7.',
+        settings.meiOpeningDate && !isValidDateKey(settings.meiOpeningDate) && 'Data de abertura do MEI inválida.',
+        ...Object.values(settings.maintenance || {}).flatMap(item => [
+            checkAmount(item.cost, 'Custo de manutenção', goal),
+            checkAmount(item.intervalKm, 'Intervalo de manutenção', intervalKm, formatKm),
+        ]),
+        settings.earningSources.length > settingsList && `Máximo de ${settingsList} plataformas.`,
+        settings.expenseCategories.length > settingsList && `Máximo de ${settingsList} categorias de despesa.`,
+        settings.fixedCosts.length > settingsList && `Máximo de ${settingsList} custos fixos.`,
+        ...settings.fixedCosts.flatMap(cost => [
+            checkAmount(cost.amount, `Custo fixo "${cost.name}"`, goal),
+            cost.startDate && !isValidDateKey(cost.startDate) && `Custo fixo "${cost.name}": data de início inválida.`,
+            cost.endDate && !isValidDateKey(cost.endDate) && `Custo fixo "${cost.name}": data de término inválida.`,
+        ]),
+    ];
+    return [...new Set(errors.filter(Boolean))];
+};
+
+// --- Backup (Exportação e Importação) ---
+
+const BACKUP_FORMAT = 'rota-max-backup';
+const BACKUP_VERSION = 1;
+
+// Limite de operações por lote de escrita do Firestore (máximo da API: 500)
+const BATCH_WRITE_LIMIT = 450;
+
+// Remove o ID local antes de gravar/exportar um documento
+const withoutId = ({ id, ...data }) => data;
+
+// Demais coleções do usuário no backup (chave no arquivo -> coleção no Firestore).
+// São copiadas como estão e, ao mesclar, entram apenas os documentos cujo ID ainda não existe.
+const BACKUP_RECORD_COLLECTIONS = [
+    { key: 'fuelLogs', collectionName: 'fuel_logs' },
+    { key: 'maintenanceRecords', collectionName: 'maintenance_records' },
+    { key: 'dasPayments', collectionName: 'das_payments' },
+    { key: 'vehicles', collectionName: 'vehicles', isValid: (record) => record && record.id && record.name },
+];
+
+// Monta o backup versionado com configurações e todas as coleções do usuário
+// (records: listas atuais indexadas pelas chaves de BACKUP_RECORD_COLLECTIONS)
+const buildBackup = (config, dailyLogs, records) => ({
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings: toSettingsDocument(config),
+    dailyLogs: dailyLogs.map(log => ({ id: log.id, ...toDailyLogDocument(log) })),
+    ...Object.fromEntries(BACKUP_RECORD_COLLECTIONS.map(({ key }) => [key, (records[key] || []).map(record => ({ ...record }))])),
+});
+
+// Formata número para CSV no padrão brasileiro (vírgula decimal)
+const toCsvNumber = (value) => (Number(value) || 0).toFixed(2).replace('.', ',');
+
+// Escapa um campo de texto para CSV
+const toCsvText = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+
+// Gera o CSV dos registros diários (separador ';' para abrir direto em planilhas pt-BR)
+const dailyLogsToCsv = (logs, earningSources) => {
+    const sourceIds = [...new Set([
+        ...earningSources.map(source => source.id),
+        ...logs.flatMap(log => Object.keys(log.earnings || {})),
+    ])];
+    const header = [
+        'Data', 'Início', 'Horas', 'Hodômetro Inicial', 'Hodômetro Final', 'Km',
+        ...sourceIds.map(sourceId => findEarningSource(earningSources, sourceId).name), TIPS_SOURCE.name,
+        'Bruto', 'Combustível', 'Óleo', 'Manutenção', 'Outras Despesas', 'Líquido',
+    ];
+    const rows = [...logs]
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .map(log => [
+            toCsvText(log.date),
+            toCsvText(log.startTime),
+            toCsvNumber(log.hoursWorked),
+            toCsvNumber(log.startOdometer),
+            toCsvNumber(log.endOdometer),
+            toCsvNumber(log.kmRidden),
+            ...sourceIds.map(sourceId => toCsvNumber((log.earnings || {})[sourceId])),
+            toCsvNumber(log.tips),
+            toCsvNumber(log.profit),
+            toCsvNumber(log.gasolineCost),
+            toCsvNumber(log.oilCost),
+            toCsvNumber(log.maintenanceCost),
+            toCsvNumber(sumExpenses(log.expenses)),
+            toCsvNumber(getLogNetProfit(log)),
+        ].join(';'));
+    return [header.map(toCsvText).join(';'), ...rows].join('\r\n');
+};
+
+// Dispara o download de um arquivo gerado no navegador
+const downloadFile = (content, filename, mimeType) => {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
+
+// Valida o conteúdo de um arquivo de backup. Retorna a lista de erros e o backup normalizado.
+const validateBackup = (data) => {
+    const errors = [];
+    if (!data || typeof data !== 'object' || data.format !== BACKUP_FORMAT) {
+        return { errors: ['O arquivo não é um backup do Rota Max.'], backup: null };
+    }
+    if (!(data.version >= 1 && data.version <= BACKUP_VERSION)) {
+        return { errors: [`Versão de backup não suportada (${data.version}). Atualize o aplicativo.`], backup: null };
+    }
+    if (!Array.isArray(data.dailyLogs)) errors.push('Lista de registros diários ausente.');
+
+    const dailyLogs = [];
+    (data.dailyLogs || []).forEach((log, index) => {
+        if (!log || !isValidDateKey(log.date)) {
+            errors.push(`Registro ${index + 1}: data inválida (${log?.date}).`);
+            return;
+        }
+        if (isNaN(parseFloat(log.profit))) {
+            errors.push(`Registro ${index + 1} (${log.date}): rendimento inválido.`);
+            return;
+        }
+        // Registros fora dos limites seriam recusados pelo Firestore
+        const logDocument = toDailyLogDocument(log);
+        const logErrors = validateDailyLog(logDocument);
+        if (logErrors.length > 0) {
+            errors.push(`Registro ${index + 1} (${log.date}): ${logErrors.join(' ')}`);
+            return;
+        }
+        dailyLogs.push({ ...(log.id ? { id: String(log.id) } : {}), ...logDocument });
+    });
+
+    // Configurações fora dos limites não são restauradas (os registros continuam sendo importados)
+    let settings = data.settings && typeof data.settings === 'object' ? data.settings : null;
+    const settingsErrors = settings ? validateSettings(toSettingsDocument({ ...DEFAULT_CONFIG, ...settings })) : [];
+    if (settingsErrors.length > 0) {
+        errors.push(`Configurações: ${settingsErrors.join(' ')}`);
+        settings = null;
+    }
+
+    const isValidRecord = (record) => record && record.id && DATE_KEY_PATTERN.test(record.date);
+    return {
+        errors,
+        backup: {
+            exportedAt: data.exportedAt,
+            settings,
+            dailyLogs,
+            ...Object.fromEntries(BACKUP_RECORD_COLLECTIONS.map(({ key, isValid = isValidRecord }) => [key, (Array.isArray(data[key]) ? data[key] : []).filter(isValid)])),
+        },
+    };
+};
+
+// Assinatura dos valores de um registro, para detectar duplicados
+const getLogSignature = (log) => JSON.stringify([
+    log.date, log.profit, log.gasolineCost, log.oilCost, log.maintenanceCost, sumExpenses(log.expenses), log.kmRidden, log.hoursWorked,
+].map(value => (typeof value === 'number' ? Math.round(value * 100) : value)));
+
+// Classifica as datas do backup em relação aos registros atuais:
+// novas (sem registros no app), duplicadas (mesmos valores) e conflitantes (valores diferentes)
+const classifyImportedLogs = (existingLogs, importedLogs) => {
+    const existingByDate = groupLogsByDate(existingLogs);
+    const importedByDate = groupLogsByDate(importedLogs);
+    const result = { newDates: [], duplicateDates: [], conflictDates: [] };
+
+    Object.keys(importedByDate).sort().forEach(date => {
+        const existing = existingByDate[date];
+        if (!existing) {
+            result.newDates.push(date);
+            return;
+        }
+        const existingSignatures = existing.logs.map(getLogSignature).sort().join('|');
+        const importedSignatures = importedByDate[date].logs.map(getLogSignature).sort().join('|');
+        (existingSignatures === importedSignatures ? result.duplicateDates : result.conflictDates).push(date);
+    });
+    return result;
+};
+
+// --- Imagens (Fotos dos Veículos e Comprovantes) ---
+
+// Fotos de celular chegam com vários MB: reduzimos no aparelho antes de enviar ao Storage
+const IMAGE_MAX_DIMENSION = 1280;
+const RECEIPT_MAX_DIMENSION = 1600; // Comprovantes precisam de texto legível
+const IMAGE_QUALITY = 0.8;
+const IMAGE_MAX_INPUT_SIZE = 30 * 1024 * 1024;
+const IMAGE_ACCEPT = 'image/png, image/jpeg, image/webp, image/heic, image/heif, .heic, .heif';
+
+const isHeicFile = (file) => /^image\/hei[cf]/.test(file.type) || /\.hei[cf]$/i.test(file.name || '');
+
+// Decodifica a imagem respeitando a orientação EXIF (fotos de celular vêm "deitadas")
+const decodeImage = async (blob) => {
+    if (typeof createImageBitmap === 'function') {
+        try {
+            return await createImageBitmap(blob, { imageOrientation: 'from-image' });
+        } catch {
+            // Alguns navegadores não aceitam as opções; tenta pelo <img>
+        }
+    }
+    const url = URL.createObjectURL(blob);
+    try {
+        const image = new Image();
+        image.src = url;
+        await image.decode();
+        return image;
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+};
+
+// Redimensiona e comprime para JPEG. HEIC só é decodificado nativamente no Safari;
+// nos demais navegadores o conversor é carregado sob demanda.
+const compressImage = async (file, maxDimension = IMAGE_MAX_DIMENSION) => {
+    if (!file.type.startsWith('image/') && !isHeicFile(file)) {
+        throw new Error('O arquivo selecionado não é uma imagem.');
+    }
+    if (file.size > IMAGE_MAX_INPUT_SIZE) {
+        throw new Error('A imagem é muito grande (máx. 30MB).');
+    }
+
+    let image;
+    try {
+        image = await decodeImage(file);
+    } catch {
+        if (!isHeicFile(file)) throw new Error('Não foi possível ler o arquivo de imagem.');
+        const { default: heic2any } = await import('heic2any');
+        const converted = await heic2any({ blob: file, toType: 'image/jpeg', quality: IMAGE_QUALITY });
+        image = await decodeImage(Array.isArray(converted) ? converted[0] : converted);
+    }
+
+    const scale = Math.min(1, maxDimension / Math.max(image.width, image.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(image.width * scale);
+    canvas.height = Math.round(image.height * scale);
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff'; // PNG transparente vira fundo branco no JPEG
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+    if (typeof image.close === 'function') image.close();
+
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', IMAGE_QUALITY));
+    if (!blob) throw new Error('Não foi possível comprimir a imagem.');
+    return blob;
+};
+
+// Caminho no Storage, espelhando o caminho do documento no Firestore
+const getImageStoragePath = (userId, ...segments) => ['artifacts', appId, 'users', userId, ...segments].join('/') + '.jpg';
+
+// Nomes dos meses e dias da semana para o calendário
+const MONTH_NAMES = ['Janeiro', 'Fevereiro', 'Março', 'Abril', 'Maio', 'Junho', 'Julho', 'Agosto', 'Setembro', 'Outubro', 'Novembro', 'Dezembro'];
+const WEEKDAY_LABELS = ['Seg', 'Ter', 'Qua', 'Qui', 'Sex', 'Sáb', 'Dom'];
+
+// Tempo (ms) em que a opção "Desfazer" fica disponível após excluir um registro
+const UNDO_TIMEOUT_MS = 10000;
+
+// Configuração padrão (usuário novo ou conta sem configurações salvas)
+const DEFAULT_CONFIG = {
+    username: '',
+    bikeModel: '',
+    oilChangeCost: 0,
+    oilChangeIntervalKm: 0,
+    dailyGoal: 0,
+    weeklyGoal: 0, // 0 = meta diária × dias de trabalho por semana
+    monthlyGoal: 0, // 0 = meta diária × dias de trabalho do mês
+    workDaysPerWeek: 7,
+    workDayStartHour: 0, // Hora em que começa o dia de trabalho (turnos que viram a madrugada)
+    fuelType: 'gasoline', 
+    bikePhotoUrl: '', // Armazena Base64 da foto
+    maintenance: normalizeMaintenanceSettings(), // Custo e intervalo (km) dos demais itens de manutenção
+    earningSources: DEFAULT_EARNING_SOURCES, // Plataformas/clientes para detalhar o rendimento
+    expenseCategories: DEFAULT_EXPENSE_CATEGORIES, // Categorias das despesas lançadas nos registros
+    fixedCosts: [], // Custos fixos e recorrentes rateados no lucro líquido real
+    fixedCostAllocation: 'calendar',
+    meiEnabled: false, // Lembretes do DAS e acompanhamento do limite anual
+    meiOpeningDate: '', // Data de abertura do MEI (limite proporcional no primeiro ano)
+    dasAmount: 0, // Valor mensal do DAS
+    activeVehicleId: DEFAULT_VEHICLE_ID, // Veículo em uso (registros, abastecimentos e manutenções novos)
+    fleet: null, // Frota própria (dono): { name, inviteCode }
+    fleetMembership: null, // Frota em que participa (entregador): { ownerId, fleetName, inviteCode, share }
+    offerMinPerKm: 0, // Calculadora de ofertas: mínimo líquido por km (0 = sem mínimo)
+    offerMinPerHour: 0, // Mínimo líquido por hora estimada (0 = sem mínimo)
+    offerAverageSpeedKmh: DEFAULT_OFFER_AVERAGE_SPEED_KMH,
+};
+
+// Dados da conta exibidos no perfil (o objeto do Firebase não é guardado no estado)
+const toAuthProfile = (user) => ({
+    uid: user.uid,
+    isAnonymous: user.isAnonymous,
+    email: user.email || '',
+    displayName: user.displayName || '',
+    photoURL: user.photoURL || '',
+    providers: user.providerData.map(provider => provider.providerId),
+});
+
+// Mensagens amigáveis para os erros mais comuns do Firebase Auth
+const AUTH_ERROR_MESSAGES = {
+    'auth/invalid-email': 'E-mail inválido.',
+    'auth/missing-password': 'Informe a senha.',
+    'auth/weak-password': 'A senha precisa ter pelo menos 6 caracteres.',
+    'auth/email-already-in-use': 'Este e-mail já tem uma conta. Use "Entrar com uma conta existente".',
+    'auth/credential-already-in-use': 'Esta conta já está ligada a outro usuário. Use "Entrar com uma conta existente".',
+    'auth/provider-already-linked': 'Este método de login já está vinculado à sua conta.',
+    'auth/invalid-credential': 'E-mail ou senha incorretos.',
+    'auth/wrong-password': 'E-mail ou senha incorretos.',
+    'auth/user-not-found': 'Nenhuma conta encontrada com este e-mail.',
+    'auth/too-many-requests': 'Muitas tentativas. Aguarde alguns minutos e tente novamente.',
+    'auth/popup-closed-by-user': 'A janela de login foi fechada antes de concluir.',
+    'auth/popup-blocked': 'O navegador bloqueou a janela de login. Permita pop-ups e tente novamente.',
+    'auth/network-request-failed': 'Sem conexão com a internet. Tente novamente quando estiver online.',
+    'auth/requires-recent-login': 'Por segurança, saia e entre novamente antes de continuar.',
+};
+
+const getAuthErrorMessage = (e) => AUTH_ERROR_MESSAGES[e.code] || 'Não foi possível concluir. Tente novamente.';
+
 // Instâncias Globais do Firebase
 let app = null;
 let db = null;
 let auth = null;
+let storage = null;
+
+// URL da imagem de fallback para a foto da moto
+const PLACEHOLDER_BIKE_URL = "https://placehold.co/150x150/1f2937/ffffff?text=Rota+Max";
+
+// Registros de um intervalo { from, to } de datas. Dentro da janela escutada pelo App (logsWindow), usa os
+// registros já carregados (quem chama filtra as datas); antes dela, escuta só o intervalo pedido, sem
+// estender a janela: cada mês antigo aberto no histórico lê apenas aquele mês.
+const useDailyLogsInRange = (logsWindow, range) => {
+    const { userId } = logsWindow;
+    const isBeforeWindow = !!userId && isValidDateKey(range.from) && isValidDateKey(range.to) && range.from < logsWindow.from;
+    const rangeKey = isBeforeWindow ? `${userId}|${range.from}|${range.to}` : '';
+    const [rangeLogs, setRangeLogs] = useState({ key: '', logs: [] });
+
+    useEffect(() => {
+        if (!rangeKey || !db) return;
+        const logsCollectionRef = collection(db, 'artifacts', appId, 'users', userId, 'daily_logs');
+        const q = query(logsCollectionRef, where('date', '>=', range.from), where('date', '<=', range.to), orderBy('date', 'desc'));
+
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setRangeLogs({ key: rangeKey, logs: snapshot.docs.map(doc => normalizeDailyLog(doc.id, doc.data())) });
+        }, (e) => {
+            console.error("Erro ao ler registros do período:", e);
+            setRangeLogs({ key: rangeKey, logs: [] });
+        });
+
+        return () => unsubscribe();
+    }, [rangeKey]);
+
+    if (!isBeforeWindow) return { logs: logsWindow.logs, isLoading: logsWindow.isLoading };
+    return rangeLogs.key === rangeKey ? { logs: rangeLogs.logs, isLoading: false } : { logs: [], isLoading: true };
+};
+
+
+// --- Telas com Formulários (fora do App: as atualizações do Firestore re-renderizam o App sem desmontá-las,
+// então o que está sendo digitado não se perde) ---
+
+// Componente: Configuração
+const ConfigurationView = ({ config, loading, saveConfig }) => {
+    const [formData, setFormData] = useState(config);
+    const [errors, setErrors] = useState([]); // Valores fora dos limites aceitos
+    const [newSourceName, setNewSourceName] = useState('');
+    const [newCategoryName, setNewCategoryName] = useState('');
+
+    useEffect(() => {
+        setFormData(config);
+    }, [config]);
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleSourceNameChange = (sourceId, name) => {
+        setFormData(prev => ({
+            ...prev,
+            earningSources: prev.earningSources.map(source => source.id === sourceId ? { ...source, name } : source),
+        }));
+    };
+
+    const removeSource = (sourceId) => {
+        setFormData(prev => ({
+            ...prev,
+            earningSources: prev.earningSources.filter(source => source.id !== sourceId),
+        }));
+    };
+
+    const addSource = () => {
+        const name = newSourceName.trim();
+        if (!name) return;
+        setFormData(prev => ({
+            ...prev,
+            earningSources: [...prev.earningSources, { id: createEarningSourceId(name, prev.earningSources), name }],
+        }));
+        setNewSourceName('');
+    };
+
+    const handleCategoryChange = (categoryId, field, value) => {
+        setFormData(prev => ({
+            ...prev,
+            expenseCategories: prev.expenseCategories.map(category => category.id === categoryId ? { ...category, [field]: value } : category),
+        }));
+    };
+
+    const removeCategory = (categoryId) => {
+        setFormData(prev => ({
+            ...prev,
+            expenseCategories: prev.expenseCategories.filter(category => category.id !== categoryId),
+        }));
+    };
+
+    const addCategory = () => {
+        const name = newCategoryName.trim();
+        if (!name) return;
+        setFormData(prev => ({
+            ...prev,
+            // Mesmo formato de ID das fontes de rendimento (ex: 'Pedágio' -> 'pedagio')
+            expenseCategories: [...prev.expenseCategories, { id: createEarningSourceId(name, prev.expenseCategories), name, icon: 'tag' }],
+        }));
+        setNewCategoryName('');
+    };
+
+    const handleFixedCostChange = (costId, field, value) => {
+        setFormData(prev => ({
+            ...prev,
+            fixedCosts: prev.fixedCosts.map(cost => cost.id === costId ? { ...cost, [field]: value } : cost),
+        }));
+    };
+
+    const removeFixedCost = (costId) => {
+        setFormData(prev => ({
+            ...prev,
+            fixedCosts: prev.fixedCosts.filter(cost => cost.id !== costId),
+        }));
+    };
+
+    const addFixedCost = () => {
+        setFormData(prev => ({
+            ...prev,
+            fixedCosts: [...prev.fixedCosts, { id: Date.now().toString(36), name: '', amount: '', frequency: 'monthly', startDate: getTodayKey(), endDate: '' }],
+        }));
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const validationErrors = validateSettings(toSettingsDocument(formData));
+        setErrors(validationErrors);
+        if (validationErrors.length === 0) saveConfig(formData);
+    };
+
+    return (
+        <div className="p-4 bg-gray-800 shadow-2xl rounded-xl max-w-lg mx-auto border border-gray-700">
+            {/* Título Centralizado */}
+            <h2 className="text-3xl font-extrabold mb-6 text-indigo-400 flex items-center justify-center">
+                <Settings className="w-6 h-6 mr-2" />
+                Configurações
+            </h2>
+            <form onSubmit={handleSubmit} className="space-y-6">
+                
+                {/* User Info */}
+                <div className="p-4 bg-gray-700 rounded-lg shadow-inner">
+                    <h3 className="font-semibold text-indigo-300 mb-4 flex items-center border-b border-indigo-500/50 pb-2">
+                        <User className="w-4 h-4 mr-2"/> Dados Pessoais
+                    </h3>
+                    
+                    <div>
+                        <label className="block text-sm font-medium text-gray-400">Nome de Usuário</label>
+                        <input type="text" name="username" value={formData.username} onChange={handleChange}
+                            className="mt-1 block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-indigo-500 focus:ring-indigo-500"
+                            placeholder="Seu nome ou apelido" required
+                        />
+                    </div>
+                </div>
+
+                {/* Goals */}
+                <div className="p-4 bg-gray-700 rounded-lg shadow-inner">
+                    <h3 className="font-semibold text-green-300 mb-4 flex items-center border-b border-green-500/50 pb-2">
+                        <Target className="w-4 h-4 mr-2"/> Metas e Jornada
+                    </h3>
+                    
+                    {/* Dias de Trabalho por Semana */}
+                    <div>
+                        <label className="block text-sm font-medium text-gray-400">Dias de Trabalho por Semana</label>
+                        <select name="workDaysPerWeek" value={formData.workDaysPerWeek} onChange={handleChange}
+                            className="mt-1 block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-indigo-500 focus:ring-indigo-500"
+                        >
+                            <option value="5">5 Dias (Segunda a Sexta)</option>
+                            <option value="6">6 Dias</option>
+                            <option value="7">7 Dias (Todos os dias)</option>
+                        </select>
+                        <p className="text-xs text-gray-500 mt-1">Usado para apontar dias de trabalho sem registro no histórico.</p>
+                    </div>
+
+                    {/* Início do Dia de Trabalho */}
+                    <div>
+                        <label className="block text-sm font-medium text-gray-400 mt-3">O Dia de Trabalho Começa às</label>
+                        <select name="workDayStartHour" value={formData.workDayStartHour} onChange={handleChange}
+                            className="mt-1 block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-indigo-500 focus:ring-indigo-500"
+                        >
+                            {Array.from({ length: MAX_WORK_DAY_START_HOUR + 1 }, (_, hour) => (
+                                <option key={hour} value={hour}>{String(hour).padStart(2, '0')}:00{hour === 0 ? ' (meia-noite)' : ''}</option>
+                            ))}
+                        </select>
+                        <p className="text-xs text-gray-500 mt-1">Quem trabalha à noite pode escolher, por exemplo, 04:00: um turno das 18:00 às 02:00 conta como um só dia.</p>
+                    </div>
+                    
+                    <div>
+                        <label className="block text-sm font-medium text-gray-400 mt-3">Meta Diária de Lucro Líquido (R$)</label>
+                        <input type="number" name="dailyGoal" value={formData.dailyGoal} onChange={handleChange}
+                            className="mt-1 block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-indigo-500 focus:ring-indigo-500"
+                            step="0.01" min="0" placeholder="Ex: 150.00"
+                        />
+                    </div>
+                    <div className="grid grid-cols-2 gap-3">
+                        <div>
+                            <label className="block text-sm font-medium text-gray-400 mt-3">Meta Semanal (R$)</label>
+                            <input type="number" name="weeklyGoal" value={formData.weeklyGoal} onChange={handleChange}
+                                className="mt-1 block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-indigo-500 focus:ring-indigo-500"
+                                step="0.01" min="0" placeholder="0 = automática"
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-400 mt-3">Meta Mensal (R$)</label>
+                            <input type="number" name="monthlyGoal" value={formData.monthlyGoal} onChange={handleChange}
+                                className="mt-1 block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-indigo-500 focus:ring-indigo-500"
+                                step="0.01" min="0" placeholder="0 = automática"
+                            />
+                        </div>
+                    </div>
+                    <p className="text-xs text-gray-500 mt-1">Deixe em 0 para calcular pela meta diária × dias de trabalho.</p>
+                </div>
+
+                {/* Offer Calculator */}
+                <div className="p-4 bg-gray-700 rounded-lg shadow-inner">
+                    <h3 className="font-semibold text-yellow-300 mb-4 flex items-center border-b border-yellow-500/50 pb-2">
+                        <Calculator className="w-4 h-4 mr-2"/> Calculadora de Ofertas
+                    </h3>
+                    <div className="grid grid-cols-2 gap-3">
+                        <div>
+                            <label className="block text-sm font-medium text-gray-400">Mínimo Líquido por Km (R$)</label>
+                            <input type="number" name="offerMinPerKm" value={formData.offerMinPerKm} onChange={handleChange}
+                                className="mt-1 block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-indigo-500 focus:ring-indigo-500"
+                                step="0.01" min="0" placeholder="0 = sem mínimo"
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-400">Mínimo Líquido por Hora (R$)</label>
+                            <input type="number" name="offerMinPerHour" value={formData.offerMinPerHour} onChange={handleChange}
+                                className="mt-1 block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-indigo-500 focus:ring-indigo-500"
+                                step="0.01" min="0" placeholder="0 = sem mínimo"
+                            />
+                        </div>
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-400 mt-3">Velocidade Média no Trânsito (km/h)</label>
+                        <input type="number" name="offerAverageSpeedKmh" value={formData.offerAverageSpeedKmh} onChange={handleChange}
+                            className="mt-1 block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-indigo-500 focus:ring-indigo-500"
+                            step="1" min="1" max={GPS_MAX_SPEED_KMH}
+                        />
+                    </div>
+                    <p className="text-xs text-gray-500 mt-1">A oferta fica verde quando atinge os mínimos, amarela quando chega perto e vermelha quando fica bem abaixo ou dá prejuízo.</p>
+                </div>
+
+                {/* Earning Sources */}
+                <div className="p-4 bg-gray-700 rounded-lg shadow-inner">
+                    <h3 className="font-semibold text-cyan-300 mb-4 flex items-center border-b border-cyan-500/50 pb-2">
+                        <Smartphone className="w-4 h-4 mr-2"/> Plataformas e Clientes
+                    </h3>
+                    <p className="text-xs text-gray-500 mb-3">
+                        Fontes de rendimento exibidas no Registro Diário. Remover uma fonte não apaga os valores já registrados.
+                    </p>
+                    <div className="space-y-2">
+                        {formData.earningSources.map(source => (
+                            <div key={source.id} className="flex gap-2">
+                                <input type="text" value={source.name} onChange={(e) => handleSourceNameChange(source.id, e.target.value)}
+                                    className="block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-indigo-500 focus:ring-indigo-500"
+                                    required
+                                />
+                                <button type="button" onClick={() => removeSource(source.id)}
+                                    className="p-2 rounded-lg text-gray-400 hover:bg-gray-600 hover:text-red-400" aria-label={`Remover ${source.name}`}
+                                >
+                                    <Trash2 className="w-4 h-4" />
+                                </button>
+                            </div>
+                        ))}
+                        <div className="flex gap-2">
+                            <input type="text" value={newSourceName} onChange={(e) => setNewSourceName(e.target.value)}
+                                className="block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-indigo-500 focus:ring-indigo-500"
+                                placeholder="Nova plataforma ou cliente"
+                            />
+                            <button type="button" onClick={addSource}
+                                className="p-2 rounded-lg text-gray-400 hover:bg-gray-600 hover:text-cyan-300" aria-label="Adicionar fonte"
+                            >
+                                <Plus className="w-4 h-4" />
+                            </button>
+                        </div>
+                    </div>
+                </div>
+
+                {/* Expense Categories */}
+                <div className="p-4 bg-gray-700 rounded-lg shadow-inner">
+                    <h3 className="font-semibold text-orange-300 mb-4 flex items-center border-b border-orange-500/50 pb-2">
+                        <Tag className="w-4 h-4 mr-2"/> Categorias de Despesa
+                    </h3>
+                    <p className="text-xs text-gray-500 mb-3">
+                        Despesas do dia além de combustível e manutenção. Remover uma categoria não apaga os valores já registrados.
+                    </p>
+                    <div className="space-y-2">
+                        {formData.expenseCategories.map(category => (
+                            <div key={category.id} className="flex gap-2">
+                                <select value={category.icon} onChange={(e) => handleCategoryChange(category.id, 'icon', e.target.value)}
+                                    className="block w-32 rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 text-sm focus:border-indigo-500 focus:ring-indigo-500"
+                                    aria-label={`Ícone de ${category.name}`}
+                                >
+                                    {Object.entries(EXPENSE_ICONS).map(([iconId, icon]) => (
+                                        <option key={iconId} value={iconId}>{icon.label}</option>
+                                    ))}
+                                </select>
+                                <input type="text" value={category.name} onChange={(e) => handleCategoryChange(category.id, 'name', e.target.value)}
+                                    className="block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-indigo-500 focus:ring-indigo-500"
+                                    required
+                                />
+                                <button type="button" onClick={() => removeCategory(category.id)}
+                                    className="p-2 rounded-lg text-gray-400 hover:bg-gray-600 hover:text-red-400" aria-label={`Remover ${category.name}`}
+                                >
+                                    <Trash2 className="w-4 h-4" />
+                                </button>
+                            </div>
+                        ))}
+                        <div className="flex gap-2">
+                            <input type="text" value={newCategoryName} onChange={(e) => setNewCategoryName(e.target.value)}
+                                className="block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-indigo-500 focus:ring-indigo-500"
+                                placeholder="Nova categoria (ex: Pedágio)"
+                            />
+                            <button type="button" onClick={addCategory}
+                                className="p-2 rounded-lg text-gray-400 hover:bg-gray-600 hover:text-orange-300" aria-label="Adicionar categoria"
+                            >
+                                <Plus className="w-4 h-4" />
+                            </button>
+                        </div>
+                    </div>
+                </div>
+
+                {/* Fixed Costs */}
+                <div className="p-4 bg-gray-700 rounded-lg shadow-inner">
+                    <h3 className="font-semibold text-pink-300 mb-4 flex items-center border-b border-pink-500/50 pb-2">
+                        <Receipt className="w-4 h-4 mr-2"/> Custos Fixos e Recorrentes
+                    </h3>
+                    <p className="text-xs text-gray-500 mb-3">
+                        Parcela ou consórcio da moto, seguro, IPVA e licenciamento, plano de dados, bag, depreciação...
+                        São rateados por dia e descontados no Lucro Líquido Real dos relatórios.
+                    </p>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-400">Ratear Por</label>
+                        <select name="fixedCostAllocation" value={formData.fixedCostAllocation} onChange={handleChange}
+                            className="mt-1 block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-indigo-500 focus:ring-indigo-500"
+                        >
+                            {FIXED_COST_ALLOCATIONS.map(allocation => <option key={allocation.id} value={allocation.id}>{allocation.label}</option>)}
+                        </select>
+                    </div>
+                    <div className="space-y-4 mt-4">
+                        {formData.fixedCosts.map(cost => (
+                            <div key={cost.id} className="p-3 bg-gray-800 rounded-lg space-y-2">
+                                <div className="flex gap-2">
+                                    <input type="text" value={cost.name} onChange={(e) => handleFixedCostChange(cost.id, 'name', e.target.value)}
+                                        className="block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-indigo-500 focus:ring-indigo-500"
+                                        placeholder="Nome" required
+                                    />
+                                    <button type="button" onClick={() => removeFixedCost(cost.id)}
+                                        className="p-2 rounded-lg text-gray-400 hover:bg-gray-600 hover:text-red-400" aria-label={`Remover ${cost.name}`}
+                                    >
+                                        <Trash2 className="w-4 h-4" />
+                                    </button>
+                                </div>
+                                <div className="grid grid-cols-2 gap-2">
+                                    <div>
+                                        <label className="block text-xs text-gray-500">Valor (R$)</label>
+                                        <input type="number" value={cost.amount} onChange={(e) => handleFixedCostChange(cost.id, 'amount', e.target.value)}
+                                            className="mt-1 block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-indigo-500 focus:ring-indigo-500"
+                                            step="0.01" min="0" required
+                                        />
+                                    </div>
+                                    <div>
+                                        <label className="block text-xs text-gray-500">Frequência</label>
+                                        <select value={cost.frequency} onChange={(e) => handleFixedCostChange(cost.id, 'frequency', e.target.value)}
+                                            className="mt-1 block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-indigo-500 focus:ring-indigo-500"
+                                        >
+                                            {FIXED_COST_FREQUENCIES.map(frequency => <option key={frequency.id} value={frequency.id}>{frequency.label}</option>)}
+                                        </select>
+                                    </div>
+                                    <div>
+                                        <label className="block text-xs text-gray-500">Início</label>
+                                        <input type="date" value={cost.startDate} onChange={(e) => handleFixedCostChange(cost.id, 'startDate', e.target.value)}
+                                            className="mt-1 block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-indigo-500 focus:ring-indigo-500"
+                                            required
+                                        />
+                                    </div>
+                                    <div>
+                                        <label className="block text-xs text-gray-500">Término {cost.frequency !== 'once' && '(opcional)'}</label>
+                                        <input type="date" value={cost.endDate} onChange={(e) => handleFixedCostChange(cost.id, 'endDate', e.target.value)}
+                                            className="mt-1 block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-indigo-500 focus:ring-indigo-500"
+                                            min={cost.startDate} required={cost.frequency === 'once'}
+                                        />
+                                    </div>
+                                </div>
+                                <p className="text-xs text-gray-500">
+                                    Equivale a {formatCurrency(getMonthlyEquivalent(normalizeFixedCosts([cost])[0] || cost))} por mês.
+                                </p>
+                            </div>
+                        ))}
+                        <button type="button" onClick={addFixedCost}
+                            className="w-full py-2 rounded-lg text-sm font-semibold text-pink-300 border border-dashed border-pink-500/50 hover:bg-gray-600 flex items-center justify-center"
+                        >
+                            <Plus className="w-4 h-4 mr-1" /> Adicionar custo fixo
+                        </button>
+                    </div>
+                </div>
+
+                {/* MEI */}
+                <div className="p-4 bg-gray-700 rounded-lg shadow-inner">
+                    <h3 className="font-semibold text-teal-300 mb-4 flex items-center border-b border-teal-500/50 pb-2">
+                        <Landmark className="w-4 h-4 mr-2"/> MEI
+                    </h3>
+                    <label className="flex items-center text-sm text-gray-300">
+                        <input type="checkbox" name="meiEnabled" checked={!!formData.meiEnabled}
+                            onChange={(e) => setFormData(prev => ({ ...prev, meiEnabled: e.target.checked }))} className="mr-2"
+                        />
+                        Sou MEI (lembretes do DAS e aviso do limite anual)
+                    </label>
+                    {formData.meiEnabled && (
+                        <div className="grid grid-cols-2 gap-3 mt-3">
+                            <div>
+                                <label className="block text-sm font-medium text-gray-400">Data de Abertura</label>
+                                <input type="date" name="meiOpeningDate" value={formData.meiOpeningDate} onChange={handleChange}
+                                    className="mt-1 block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-indigo-500 focus:ring-indigo-500"
+                                />
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-400">Valor do DAS (R$)</label>
+                                <input type="number" name="dasAmount" value={formData.dasAmount} onChange={handleChange}
+                                    className="mt-1 block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-indigo-500 focus:ring-indigo-500"
+                                    step="0.01" min="0" placeholder="Ex: 76.90"
+                                />
+                            </div>
+                        </div>
+                    )}
+                </div>
+
+                {errors.length > 0 && (
+                    <ul className="p-3 rounded-lg bg-red-900/40 border border-red-500/50 text-sm text-red-300 list-disc list-inside">
+                        {errors.map(error => <li key={error}>{error}</li>)}
+                    </ul>
+                )}
+                <button type="submit"
+                    className="w-full py-3 px-4 border border-transparent rounded-lg shadow-lg text-lg font-bold text-white bg-indigo-600 hover:bg-indigo-500 transition duration-150 ease-in-out transform hover:scale-[1.01] focus:outline-none focus:ring-4 focus:ring-indigo-600/50"
+                    disabled={loading}
+                >
+                    {loading ? 'Salvando...' : 'Salvar Configurações'}
+                </button>
+            </form>
+            {config.username && <p className="mt-4 text-center text-sm text-gray-400">Configuração de **{config.username}** salva.</p>}
+        </div>
+    );
+};
+
+// Componente: Corridas/Entregas do Registro (Plataforma, Valor, Gorjeta, Km, Bairros e Horário)
+const RideLinesEditor = ({ rides, onChange, sources, neighborhoods }) => {
+    const updateLine = (index, field, value) => {
+        onChange(rides.map((ride, lineIndex) => lineIndex === index ? { ...ride, [field]: value } : ride));
+    };
+    const removeLine = (index) => onChange(rides.filter((_, lineIndex) => lineIndex !== index));
+    const addLine = () => onChange([...rides, {
+        sourceId: rides[rides.length - 1]?.sourceId || sources[0]?.id || UNSPLIT_SOURCE.id,
+        amount: '', tip: '', distanceKm: '', pickup: '', dropoff: '',
+        time: toTimeKey(Date.now()),
+    }]);
+
+    const fieldClassName = "block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 text-sm focus:border-green-500 focus:ring-green-500";
+
+    return (
+        <div className="space-y-3">
+            <datalist id="ride-neighborhoods">
+                {neighborhoods.map(name => <option key={name} value={name} />)}
+            </datalist>
+            {rides.map((ride, index) => {
+                // Fontes removidas continuam visíveis nas corridas que já as usam
+                const options = sources.some(source => source.id === ride.sourceId) ? sources : [...sources, { id: ride.sourceId, name: ride.sourceId }];
+                return (
+                    <div key={index} className="p-2 bg-gray-800 rounded-md space-y-2">
+                        <div className="flex gap-2 items-center">
+                            <input type="time" value={ride.time} onChange={(e) => updateLine(index, 'time', e.target.value)}
+                                className={`${fieldClassName} w-28 flex-shrink-0`} aria-label="Horário"
+                            />
+                            <select value={ride.sourceId} onChange={(e) => updateLine(index, 'sourceId', e.target.value)} className={fieldClassName} aria-label="Plataforma">
+                                {options.map(option => (
+                                    <option key={option.id} value={option.id}>{option.name}</option>
+                                ))}
+                            </select>
+                            <button type="button" onClick={() => removeLine(index)}
+                                className="p-2 rounded-lg text-gray-400 hover:bg-gray-600 hover:text-red-400" aria-label="Remover corrida"
+                            >
+                                <Trash2 className="w-4 h-4" />
+                            </button>
+                        </div>
+                        <div className="grid grid-cols-3 gap-2">
+                            <input type="number" value={ride.amount} onChange={(e) => updateLine(index, 'amount', e.target.value)}
+                                className={fieldClassName} step="0.01" min="0" placeholder="Valor" aria-label="Valor" required
+                            />
+                            <input type="number" value={ride.tip} onChange={(e) => updateLine(index, 'tip', e.target.value)}
+                                className={fieldClassName} step="0.01" min="0" placeholder="Gorjeta" aria-label="Gorjeta"
+                            />
+                            <input type="number" value={ride.distanceKm} onChange={(e) => updateLine(index, 'distanceKm', e.target.value)}
+                                className={fieldClassName} step="0.1" min="0" placeholder="Km" aria-label="Distância (km)"
+                            />
+                        </div>
+                        <div className="grid grid-cols-2 gap-2">
+                            <input type="text" value={ride.pickup} onChange={(e) => updateLine(index, 'pickup', e.target.value)}
+                                className={fieldClassName} placeholder="Bairro de coleta" list="ride-neighborhoods"
+                            />
+                            <input type="text" value={ride.dropoff} onChange={(e) => updateLine(index, 'dropoff', e.target.value)}
+                                className={fieldClassName} placeholder="Bairro de entrega" list="ride-neighborhoods"
+                            />
+                        </div>
+                    </div>
+                );
+            })}
+            <button type="button" onClick={addLine} className="flex items-center text-sm font-semibold text-green-300 hover:text-green-200">
+                <Plus className="w-4 h-4 mr-1" /> Adicionar corrida/entrega
+            </button>
+        </div>
+    );
+};
+
+// Componente: Despesas do Registro (Linhas com Categoria, Valor e Observação)
+const ExpenseLinesEditor = ({ expenses, onChange, categories }) => {
+    const updateLine = (index, field, value) => {
+        onChange(expenses.map((expense, lineIndex) => lineIndex === index ? { ...expense, [field]: value } : expense));
+    };
+    const removeLine = (index) => onChange(expenses.filter((_, lineIndex) => lineIndex !== index));
+    const addLine = () => onChange([...expenses, { categoryId: categories[0]?.id || UNKNOWN_EXPENSE_CATEGORY.id, amount: '', note: '' }]);
+
+    const fieldClassName = "block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 text-sm focus:border-orange-500 focus:ring-orange-500";
+
+    return (
+        <div className="space-y-3">
+            {expenses.map((expense, index) => {
+                const category = getExpenseCategory(categories, expense.categoryId);
+                const { Icon } = EXPENSE_ICONS[category.icon] || EXPENSE_ICONS.tag;
+                // Categorias removidas continuam visíveis nas linhas que já as usam
+                const options = categories.some(item => item.id === category.id) ? categories : [...categories, category];
+                return (
+                    <div key={index} className="space-y-1">
+                        <div className="flex gap-2 items-center">
+                            <Icon className="w-4 h-4 text-orange-400 flex-shrink-0" />
+                            <select value={expense.categoryId} onChange={(e) => updateLine(index, 'categoryId', e.target.value)} className={fieldClassName} aria-label="Categoria">
+                                {options.map(option => (
+                                    <option key={option.id} value={option.id}>{option.name}</option>
+                                ))}
+                            </select>
+                            <input type="number" value={expense.amount} onChange={(e) => updateLine(index, 'amount', e.target.value)}
+                                className={`${fieldClassName} w-28 flex-shrink-0`} step="0.01" min="0" placeholder="0,00" aria-label="Valor" required
+                            />
+                            <button type="button" onClick={() => removeLine(index)}
+                                className="p-2 rounded-lg text-gray-400 hover:bg-gray-600 hover:text-red-400" aria-label="Remover despesa"
+                            >
+                                <Trash2 className="w-4 h-4" />
+                            </button>
+                        </div>
+                        <input type="text" value={expense.note} onChange={(e) => updateLine(index, 'note', e.target.value)}
+                            className={fieldClassName} placeholder="Observação (opcional)"
+                        />
+                    </div>
+                );
+            })}
+            <button type="button" onClick={addLine} className="flex items-center text-sm font-semibold text-orange-300 hover:text-orange-200">
+                <Plus className="w-4 h-4 mr-1" /> Adicionar despesa
+            </button>
+        </div>
+    );
+};
+
+// Componente: Registro Diário
+const DailyLogView = ({ config, activeShift, activeVehicle, currentOdometer, fuelStats, maintenanceStatus, knownNeighborhoods, loading, addDailyLog, saveActiveShift, clearActiveShift }) => {
+    const today = getTodayKey(config.workDayStartHour);
+    // Turno ao vivo encerrado: o formulário já vem preenchido com seus valores
+    const shiftDraft = activeShift && activeShift.endedAt ? getShiftDraft(activeShift, config.workDayStartHour) : null;
+    const [date, setDate] = useState(shiftDraft ? shiftDraft.date : today);
+    const [earnings, setEarnings] = useState({}); // Rendimento bruto por fonte (dias sem corridas detalhadas)
+    const [rides, setRides] = useState(shiftDraft ? shiftDraft.rides : []); // Corridas/entregas do dia
+    const [tips, setTips] = useState(shiftDraft ? shiftDraft.tips : ''); // Com corridas: só as gorjetas avulsas
+    const [expenses, setExpenses] = useState([]); // Outras despesas do dia (alimentação, estacionamento...)
+    const [startTime, setStartTime] = useState(shiftDraft ? shiftDraft.startTime : '');
+    const [hoursWorked, setHoursWorked] = useState(shiftDraft ? shiftDraft.hoursWorked : '');
+    // O hodômetro inicial parte da última leitura conhecida
+    const [startOdometer, setStartOdometer] = useState(
+        shiftDraft?.startOdometer || (currentOdometer > 0 ? String(currentOdometer) : '')
+    );
+    const [endOdometer, setEndOdometer] = useState(shiftDraft ? shiftDraft.endOdometer : '');
+    const [message, setMessage] = useState('');
+    const route = shiftDraft ? shiftDraft.route : null; // Rota gravada pelo GPS no turno
+
+    // A tela não é remontada quando os registros chegam: preenche o hodômetro inicial se ainda estiver vazio
+    useEffect(() => {
+        if (startOdometer === '' && currentOdometer > 0) setStartOdometer(String(currentOdometer));
+    }, [currentOdometer]);
+
+    const kmRidden = useMemo(() => {
+        const start = parseFloat(startOdometer);
+        const end = parseFloat(endOdometer);
+        return start >= 0 && end > start ? end - start : 0;
+    }, [startOdometer, endOdometer]);
+
+    // Amortiza óleo e demais itens de manutenção pelos km rodados no dia (sem hodômetro, pelos km do GPS)
+    const costedKm = getCostedKm(kmRidden, route);
+    const { oilCost, maintenanceCost } = useMemo(
+        () => calculateMaintenanceCosts(activeVehicle, costedKm),
+        [activeVehicle, costedKm]
+    );
+    const hasKmCosts = getMaintenanceItems(activeVehicle).some(item => item.costPerKm > 0);
+
+    // Combustível do dia estimado pelo custo por km medido nos abastecimentos
+    const estimatedFuelCost = costedKm * fuelStats.costPerKm;
+
+    // Com corridas lançadas, o rendimento por plataforma e as gorjetas são calculados por elas
+    const hasRides = rides.length > 0;
+    const rideTotals = getDayTotalsFromRides(rides, tips);
+    const dayEarnings = hasRides ? rideTotals.earnings : earnings;
+    const dayTips = hasRides ? rideTotals.tips : tips;
+    const grossTotal = sumEarnings(dayEarnings, dayTips);
+
+    const handleEarningChange = (sourceId, value) => {
+        setEarnings(prev => ({ ...prev, [sourceId]: value }));
+    };
+
+    const dueMaintenance = maintenanceStatus.filter(item => item.status === 'soon' || item.status === 'overdue');
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setMessage('');
+        if (parseFloat(endOdometer) < parseFloat(startOdometer)) {
+            setMessage('O hodômetro final não pode ser menor que o inicial.');
+            return;
+        }
+        if (grossTotal <= 0) {
+            setMessage('Informe o rendimento de pelo menos uma plataforma.');
+            return;
+        }
+        const logData = {
+            date,
+            profit: grossTotal,
+            earnings: dayEarnings,
+            tips: dayTips,
+            rides,
+            expenses,
+            hoursWorked,
+            startTime,
+            gasolineCost: estimatedFuelCost,
+            fuelCostEstimated: true, // Os relatórios usam os abastecimentos reais
+            oilCost, // Custo do óleo amortizado pelos km do dia
+            maintenanceCost, // Demais itens amortizados pelos km do dia
+            startOdometer,
+            endOdometer,
+            kmRidden,
+            route,
+        };
+        const errors = validateDailyLog(toDailyLogDocument(logData));
+        if (errors.length > 0) {
+            setMessage(errors.join(' '));
+            return;
+        }
+        const success = await addDailyLog(logData);
+
+        if (success) {
+            setMessage('Registro salvo com sucesso!');
+            if (shiftDraft) await clearActiveShift();
+            setEarnings({});
+            setRides([]);
+            setTips('');
+            setExpenses([]);
+            setStartTime('');
+            setHoursWorked('');
+            setStartOdometer(endOdometer);
+            setEndOdometer('');
+        } else {
+            setMessage('Falha ao salvar o registro. Tente novamente.');
+        }
+    };
+
+    return (
+        <div className="p-4 bg-gray-800 shadow-2xl rounded-xl max-w-lg mx-auto border border-gray-700">
+            {/* Título Centralizado */}
+            <h2 className="text-3xl font-extrabold mb-6 text-indigo-400 flex items-center justify-center">
+                <Calendar className="w-6 h-6 mr-2" />
+                Registro Diário
+            </h2>
+
+            {/* Turno ao Vivo */}
+            {shiftDraft ? (
+                <div className="mb-6 p-3 bg-indigo-900/40 rounded-md border border-indigo-500/50 text-sm text-indigo-200">
+                    <p className="font-semibold flex items-center"><Timer className="w-4 h-4 mr-1"/> Turno encerrado: confira os valores e registre o dia.</p>
+                    <button type="button" onClick={clearActiveShift} className="mt-2 text-xs text-gray-400 hover:text-red-400">
+                        Descartar turno
+                    </button>
+                </div>
+            ) : (
+                <button type="button"
+                    onClick={() => saveActiveShift({ startedAt: Date.now(), pausedAt: null, pausedMs: 0, endedAt: null, entries: [], startOdometer: currentOdometer })}
+                    className="w-full mb-6 py-3 px-4 rounded-lg shadow-lg text-lg font-bold text-white bg-indigo-600 hover:bg-indigo-500 flex items-center justify-center"
+                >
+                    <Play className="w-5 h-5 mr-2"/> Iniciar Turno ao Vivo
+                </button>
+            )}
+
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <div>
+                    <label className="block text-sm font-medium text-gray-400">Data do Registro</label>
+                    <input type="date" value={date} onChange={(e) => setDate(e.target.value)}
+                        className="mt-1 block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-green-500 focus:ring-green-500"
+                        required
+                    />
+                </div>
+                {/* Horário Trabalhado */}
+                <div className="grid grid-cols-2 gap-3">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-400 flex items-center">
+                            <Clock className="w-4 h-4 mr-1 text-indigo-400"/> Início do Turno
+                        </label>
+                        <input type="time" value={startTime} onChange={(e) => setStartTime(e.target.value)}
+                            className="mt-1 block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-indigo-500 focus:ring-indigo-500"
+                        />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-400 flex items-center">
+                            <Timer className="w-4 h-4 mr-1 text-indigo-400"/> Horas Trabalhadas
+                        </label>
+                        <input type="number" value={hoursWorked} onChange={(e) => setHoursWorked(e.target.value)}
+                            className="mt-1 block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-indigo-500 focus:ring-indigo-500"
+                            step="0.25" min="0" max="24" placeholder="Ex: 8.5"
+                        />
+                    </div>
+                </div>
+                {/* Corridas e Entregas */}
+                <div className="p-3 bg-gray-700 rounded-md border border-green-500/50">
+                    <label className="block text-sm font-medium text-gray-400 flex items-center mb-2">
+                        <Bike className="w-4 h-4 mr-1 text-green-500"/> Corridas e Entregas (opcional)
+                    </label>
+                    <RideLinesEditor rides={rides} onChange={setRides} sources={config.earningSources} neighborhoods={knownNeighborhoods} />
+                    {!hasRides && (
+                        <p className="text-xs text-gray-500 mt-2">Sem corridas detalhadas, informe só o total de cada plataforma abaixo.</p>
+                    )}
+                </div>
+
+                {/* Rendimento Bruto por Plataforma */}
+                <div className="p-3 bg-gray-700 rounded-md border border-green-500/50">
+                    <label className="block text-sm font-medium text-gray-400 flex items-center mb-2">
+                        <TrendingUp className="w-4 h-4 mr-1 text-green-500"/> Rendimento Bruto por Plataforma (R$)
+                    </label>
+                    <div className="grid grid-cols-2 gap-3">
+                        {hasRides ? Object.entries(dayEarnings).map(([sourceId, amount]) => (
+                            <div key={sourceId}>
+                                <p className="text-xs font-medium text-gray-400">{config.earningSources.find(source => source.id === sourceId)?.name || sourceId}</p>
+                                <p className="mt-1 p-2 text-white font-semibold">{formatCurrency(amount)}</p>
+                            </div>
+                        )) : config.earningSources.map(source => (
+                            <div key={source.id}>
+                                <label className="block text-xs font-medium text-gray-400">{source.name}</label>
+                                <input type="number" value={earnings[source.id] || ''} onChange={(e) => handleEarningChange(source.id, e.target.value)}
+                                    className="mt-1 block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-green-500 focus:ring-green-500"
+                                    step="0.01" min="0" placeholder="0,00"
+                                />
+                            </div>
+                        ))}
+                        <div>
+                            <label className="block text-xs font-medium text-gray-400 flex items-center">
+                                <HandCoins className="w-3 h-3 mr-1 text-yellow-400"/> {hasRides ? 'Gorjetas Avulsas' : TIPS_SOURCE.name}
+                            </label>
+                            <input type="number" value={tips} onChange={(e) => setTips(e.target.value)}
+                                className="mt-1 block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-green-500 focus:ring-green-500"
+                                step="0.01" min="0" placeholder="0,00"
+                            />
+                        </div>
+                    </div>
+                    <p className="mt-3 text-lg font-extrabold text-green-400">Total Bruto: {formatCurrency(grossTotal)}</p>
+                    {hasRides && (
+                        <p className="text-xs text-gray-500 mt-1">
+                            Calculado pelas {rides.length} corridas{rideTotals.tips > (parseFloat(tips) || 0) && `, com ${formatCurrency(rideTotals.tips - (parseFloat(tips) || 0))} de gorjetas nas corridas`}.
+                        </p>
+                    )}
+                </div>
+
+                {/* Hodômetro */}
+                <div className="grid grid-cols-2 gap-3">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-400 flex items-center">
+                            <Gauge className="w-4 h-4 mr-1 text-indigo-400"/> Hodômetro Inicial (Km)
+                        </label>
+                        <input type="number" value={startOdometer} onChange={(e) => setStartOdometer(e.target.value)}
+                            className="mt-1 block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-indigo-500 focus:ring-indigo-500"
+                            step="0.1" min="0" placeholder="Ex: 25300" required
+                        />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-400 flex items-center">
+                            <Gauge className="w-4 h-4 mr-1 text-indigo-400"/> Hodômetro Final (Km)
+                        </label>
+                        <input type="number" value={endOdometer} onChange={(e) => setEndOdometer(e.target.value)}
+                            className="mt-1 block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-indigo-500 focus:ring-indigo-500"
+                            step="0.1" min="0" placeholder="Ex: 25480" required
+                        />
+                    </div>
+                </div>
+                {route && (
+                    <p className="text-xs text-gray-500 -mt-2 flex items-center">
+                        <Navigation className="w-3 h-3 mr-1 text-indigo-400"/>
+                        {route.distanceKm.toFixed(1)} km rastreados por GPS no turno{shiftDraft.endOdometer && ', já somados ao hodômetro final'}. A rota será salva com o registro.
+                    </p>
+                )}
+
+                {/* Custo de Manutenção Amortizado por Km */}
+                {costedKm > 0 && (oilCost > 0 || maintenanceCost > 0) && (
+                    <div className="p-3 bg-gray-700 rounded-md mt-4 border border-indigo-500/50">
+                        <label className="block text-sm font-medium text-gray-400 flex items-center">
+                            <DollarSign className="w-4 h-4 mr-1 text-indigo-400"/> Custo de Manutenção do Dia
+                        </label>
+                        <p className="mt-1 text-xl font-extrabold text-indigo-400">
+                            {formatCurrency(oilCost + maintenanceCost)}
+                        </p>
+                        <p className="text-xs text-gray-500 mt-1">
+                            Óleo {formatCurrency(oilCost)} + Demais itens {formatCurrency(maintenanceCost)}, amortizados por {costedKm.toFixed(1)} km {kmRidden > 0 ? 'rodados' : 'rastreados por GPS'}.
+                        </p>
+                    </div>
+                )}
+                {costedKm === 0 && hasKmCosts && endOdometer !== '' && (
+                    <p className="text-xs text-yellow-400 flex items-center">
+                        <TriangleAlert className="w-3 h-3 mr-1 flex-shrink-0"/> Sem km rodados: óleo, manutenção e combustível não entram no custo do dia.
+                    </p>
+                )}
+
+                {/* Combustível Estimado por Km */}
+                {kmRidden > 0 && (
+                    <div className="p-3 bg-gray-700 rounded-md mt-4 border border-red-500/50">
+                        <label className="block text-sm font-medium text-gray-400 flex items-center">
+                            <Fuel className="w-4 h-4 mr-1 text-red-400"/> Combustível Estimado do Dia
+                        </label>
+                        {fuelStats.costPerKm > 0 ? (
+                            <>
+                                <p className="mt-1 text-xl font-extrabold text-red-400">{formatCurrency(estimatedFuelCost)}</p>
+                                <p className="text-xs text-gray-500 mt-1">
+                                    {kmRidden.toFixed(1)} km × {formatCurrency(fuelStats.costPerKm)}/km medido nos abastecimentos. Os relatórios usam os abastecimentos reais.
+                                </p>
+                            </>
+                        ) : (
+                            <p className="text-xs text-gray-500 mt-1">Registre abastecimentos de tanque cheio na aba Combustível para estimar o custo por km.</p>
+                        )}
+                    </div>
+                )}
+
+                {/* Outras Despesas */}
+                <div className="p-3 bg-gray-700 rounded-md border border-orange-500/50">
+                    <label className="block text-sm font-medium text-gray-400 flex items-center mb-2">
+                        <Receipt className="w-4 h-4 mr-1 text-orange-400"/> Outras Despesas do Dia
+                    </label>
+                    <ExpenseLinesEditor expenses={expenses} onChange={setExpenses} categories={config.expenseCategories} />
+                    {sumExpenses(expenses) > 0 && (
+                        <p className="mt-3 text-lg font-extrabold text-orange-400">Total de Despesas: {formatCurrency(sumExpenses(expenses))}</p>
+                    )}
+                </div>
+
+                {/* Avisos de Manutenção */}
+                {dueMaintenance.length > 0 && (
+                    <div className="p-3 bg-yellow-900/40 rounded-md border border-yellow-500/50 text-sm text-yellow-300 space-y-1">
+                        {dueMaintenance.map(item => (
+                            <p key={item.key} className="flex items-center">
+                                <TriangleAlert className="w-4 h-4 mr-1"/>
+                                {item.status === 'overdue'
+                                    ? `${item.label}: vencida há ${Math.abs(item.kmRemaining).toFixed(0)} km`
+                                    : `${item.label}: vence em ${item.kmRemaining.toFixed(0)} km`}
+                            </p>
+                        ))}
+                    </div>
+                )}
+
+                <button type="submit"
+                    className="w-full py-3 px-4 border border-transparent rounded-lg shadow-lg text-lg font-bold text-white bg-green-600 hover:bg-green-500 transition duration-150 ease-in-out transform hover:scale-[1.01] focus:outline-none focus:ring-4 focus:ring-green-600/50"
+                    disabled={loading}
+                >
+                    {loading ? 'Salvando...' : 'Registrar Dia'}
+                </button>
+                {message && <p className={`mt-3 text-center text-sm font-semibold ${message.includes('sucesso') ? 'text-green-400' : 'text-red-400'}`}>{message}</p>}
+            </form>
+        </div>
+    );
+};
+
+// --- Componentes dos Relatórios (fora de ReportsView: o ponto selecionado nos gráficos não se perde a cada re-renderização) ---
+
+// Variação em relação ao período anterior. inverse: para custos, aumento é ruim.
+const Delta = ({ current, previous, inverse = false }) => {
+    const delta = getDelta(current, previous);
+    if (delta === null) return null;
+    const isGood = inverse ? delta <= 0 : delta >= 0;
+    return (
+        <span className={`ml-2 text-xs font-semibold ${isGood ? 'text-green-400' : 'text-red-400'}`}>
+            {delta >= 0 ? '▲' : '▼'} {Math.abs(delta * 100).toFixed(0)}%
+        </span>
+    );
+};
+
+// Rendimento bruto e custo variável (combustível, óleo, manutenção e despesas) por km rodado
+const getPerKm = (summary) => summary.totalKm > 0 ? {
+    gross: summary.totalProfit / summary.totalKm,
+    cost: (summary.totalGas + summary.totalOil + summary.totalMaintenance + summary.totalExpenses) / summary.totalKm,
+} : { gross: 0, cost: 0 };
+
+// Resumo do período com a variação de cada total em relação ao período anterior
+const ReportCard = ({ title, current, previous, range, previousRange, config, vehicle, showVehicle, hasFixedCosts, oilParameters, fuelStats }) => (
+    <div className="bg-gray-800 p-6 rounded-xl shadow-2xl transition duration-300 border-t-4 border-indigo-500 hover:border-t-indigo-400">
+        <h3 className="text-xl font-semibold text-gray-100 mb-1">{title}</h3>
+        <p className="text-xs text-gray-500 mb-4">Comparado a {previousRange.label}</p>
+        <div className="space-y-3">
+            <div className="flex justify-between text-lg">
+                <span className="flex items-center text-green-400"><TrendingUp className="w-5 h-5 mr-2"/> Rendimento Bruto Total:</span>
+                <span className="font-bold text-gray-100">{formatCurrency(current.totalProfit)}<Delta current={current.totalProfit} previous={previous.totalProfit} /></span>
+            </div>
+            <div className="flex justify-between text-lg">
+                <span className="flex items-center text-red-400"><BatteryCharging className="w-5 h-5 mr-2"/> Combustível (Abastecimentos):</span>
+                <span className="font-bold text-gray-100">{formatCurrency(current.totalGas)}<Delta current={current.totalGas} previous={previous.totalGas} inverse /></span>
+            </div>
+            {current.totalOil > 0 && ( // Exibir o custo do óleo amortizado por km
+                 <div className="flex justify-between text-lg">
+                    <span className="flex items-center text-red-400"><DollarSign className="w-5 h-5 mr-2"/> Custo de Óleo (por Km):</span>
+                    <span className="font-bold text-gray-100">{formatCurrency(current.totalOil)}<Delta current={current.totalOil} previous={previous.totalOil} inverse /></span>
+                </div>
+            )}
+            {current.totalMaintenance > 0 && (
+                 <div className="flex justify-between text-lg">
+                    <span className="flex items-center text-red-400"><Wrench className="w-5 h-5 mr-2"/> Demais Manutenções (por Km):</span>
+                    <span className="font-bold text-gray-100">{formatCurrency(current.totalMaintenance)}<Delta current={current.totalMaintenance} previous={previous.totalMaintenance} inverse /></span>
+                </div>
+            )}
+            {current.totalExpenses > 0 && (
+                 <div className="flex justify-between text-lg">
+                    <span className="flex items-center text-red-400"><Receipt className="w-5 h-5 mr-2"/> Outras Despesas:</span>
+                    <span className="font-bold text-gray-100">{formatCurrency(current.totalExpenses)}<Delta current={current.totalExpenses} previous={previous.totalExpenses} inverse /></span>
+                </div>
+            )}
+            {current.totalKm > 0 && (
+                 <div className="flex justify-between text-lg">
+                    <span className="flex items-center text-gray-400"><Gauge className="w-5 h-5 mr-2"/> Km Rodados:</span>
+                    <span className="font-bold text-gray-100">{current.totalKm.toFixed(1)} km<Delta current={current.totalKm} previous={previous.totalKm} /></span>
+                </div>
+            )}
+            {current.totalKm > 0 && (
+                <>
+                    <div className="flex justify-between text-base">
+                        <span className="flex items-center text-green-400"><Navigation className="w-4 h-4 mr-2"/> Bruto por Km:</span>
+                        <span className="font-bold text-gray-100">{formatCurrency(getPerKm(current).gross)}<Delta current={getPerKm(current).gross} previous={getPerKm(previous).gross} /></span>
+                    </div>
+                    <div className="flex justify-between text-base">
+                        <span className="flex items-center text-red-400"><Navigation className="w-4 h-4 mr-2"/> Custo por Km:</span>
+                        <span className="font-bold text-gray-100">{formatCurrency(getPerKm(current).cost)}<Delta current={getPerKm(current).cost} previous={getPerKm(previous).cost} inverse /></span>
+                    </div>
+                </>
+            )}
+            <div className="pt-4 border-t border-gray-700 mt-4">
+                <div className="flex justify-between text-2xl">
+                    <span className="font-extrabold text-indigo-400">{hasFixedCosts ? 'Lucro Líquido Operacional:' : 'Lucro Líquido:'}</span>
+                    <span className={`font-extrabold ${current.netProfit >= 0 ? 'text-green-400' : 'text-red-500'}`}>
+                        {formatCurrency(current.netProfit)}<Delta current={current.netProfit} previous={previous.netProfit} />
+                    </span>
+                </div>
+                <p className="text-right text-xs text-gray-500 mt-1">Período anterior: {formatCurrency(previous.netProfit)}</p>
+            </div>
+            {hasFixedCosts && (
+                <div className="pt-4 border-t border-gray-700">
+                    <div className="flex justify-between text-lg">
+                        <span className="flex items-center text-red-400"><Receipt className="w-5 h-5 mr-2"/> Custos Fixos (Rateados):</span>
+                        <span className="font-bold text-gray-100">{formatCurrency(current.totalFixedCosts)}<Delta current={current.totalFixedCosts} previous={previous.totalFixedCosts} inverse /></span>
+                    </div>
+                    <div className="flex justify-between text-2xl mt-3">
+                        <span className="font-extrabold text-indigo-400">Lucro Líquido Real:</span>
+                        <span className={`font-extrabold ${current.trueNetProfit >= 0 ? 'text-green-400' : 'text-red-500'}`}>
+                            {formatCurrency(current.trueNetProfit)}<Delta current={current.trueNetProfit} previous={previous.trueNetProfit} />
+                        </span>
+                    </div>
+                    <p className="text-right text-xs text-gray-500 mt-1">Período anterior: {formatCurrency(previous.trueNetProfit)}</p>
+                </div>
+            )}
+        </div>
+        <div className="mt-4 pt-4 border-t border-gray-700 border-dashed text-sm text-gray-400">
+            <p>Dias Registrados: <span className="font-bold text-gray-200">{current.daysLogged}</span></p>
+            {config.dailyGoal > 0 && (
+                <p>Meta Diária ({formatCurrency(config.dailyGoal)}) Atingida: <span className={`font-bold ${current.daysMetGoal > 0 ? 'text-indigo-400' : 'text-gray-400'}`}>{current.daysMetGoal} dias</span></p>
+            )}
+            {showVehicle && <p>Veículo: <span className="font-bold text-gray-200">{vehicle.name}</span></p>}
+            {oilParameters.map(entry => (
+                <p key={entry.from}>
+                    Custo do Óleo ({formatCurrency(entry.oilChangeCost)}): Amortizado a cada {entry.oilChangeIntervalKm} km{entry.from > range.from && ` a partir de ${formatDateKey(entry.from)}`}.
+                </p>
+            ))}
+            <p>Combustível: <span className="font-bold text-gray-200">{FUEL_LABELS[vehicle.fuelType]}</span>
+                {fuelStats.costPerKm > 0 && <> — Custo Medido: <span className="font-bold text-gray-200">{formatCurrency(fuelStats.costPerKm)}/km</span></>}
+            </p>
+        </div>
+    </div>
+);
+
+// Andamento de uma meta (semana ou mês atual)
+const GoalProgressBar = ({ title, goal, isDerived }) => {
+    const isMet = goal.netProfit >= goal.target;
+    return (
+        <div className="space-y-2">
+            <div className="flex justify-between items-baseline">
+                <span className="font-semibold text-gray-100">{title}</span>
+                <span className="text-sm text-gray-400">
+                    <span className={`font-bold ${isMet ? 'text-green-400' : 'text-gray-100'}`}>{formatCurrency(goal.netProfit)}</span> de {formatCurrency(goal.target)}
+                </span>
+            </div>
+            <div className="w-full h-3 bg-gray-700 rounded-full overflow-hidden">
+                <div className={`h-full ${isMet ? 'bg-green-500' : 'bg-indigo-500'}`} style={{ width: `${Math.min(goal.progress, 1) * 100}%` }} />
+            </div>
+            <div className="grid grid-cols-2 gap-x-4 gap-y-1 text-xs text-gray-400">
+                {goal.projection !== null && (
+                    <p>Projeção no ritmo atual: <span className={`font-bold ${goal.projection >= goal.target ? 'text-green-400' : 'text-yellow-400'}`}>{formatCurrency(goal.projection)}</span></p>
+                )}
+                {isMet ? (
+                    <p className="text-green-400 font-semibold">Meta atingida!</p>
+                ) : (
+                    <>
+                        <p>Ainda falta hoje: <span className="font-bold text-gray-200">{formatCurrency(goal.neededToday)}</span></p>
+                        <p>Por dia de trabalho restante ({goal.remainingWorkDays}): <span className="font-bold text-gray-200">{formatCurrency(goal.neededPerRemainingDay)}</span></p>
+                    </>
+                )}
+                {isDerived && <p className="col-span-2 text-gray-500">Calculada pela meta diária × dias de trabalho.</p>}
+            </div>
+        </div>
+    );
+};
+
+// --- Gráficos (SVG próprio: funcionam offline e seguem o tema escuro) ---
+
+// Detalhes do ponto tocado/apontado em um gráfico
+const ChartTooltip = ({ title, rows }) => (
+    <div className="min-h-[3rem] mb-2 text-xs text-gray-300">
+        {title ? (
+            <>
+                <p className="font-semibold text-gray-100">{title}</p>
+                <p className="flex flex-wrap gap-x-3">
+                    {rows.map(([label, value, colorClass]) => (
+                        <span key={label} className={colorClass}>{label}: {value}</span>
+                    ))}
+                </p>
+            </>
+        ) : (
+            <p className="text-gray-500">Toque em uma barra para ver os detalhes.</p>
+        )}
+    </div>
+);
+
+// Gráfico: lucro líquido diário (barras), meta diária (tracejada) e média móvel de 7 dias (linha)
+const NetProfitChart = ({ series, dailyGoal }) => {
+    const [selected, setSelected] = useState(null);
+    const values = series.flatMap(point => [point.netProfit, point.rollingAverage]);
+    const max = Math.max(0, dailyGoal, ...values);
+    const min = Math.min(0, ...values);
+    const y = (value) => ((max - value) / (max - min || 1)) * CHART_HEIGHT;
+    const width = series.length * CHART_BAR_WIDTH;
+    const point = selected !== null ? series[selected] : null;
+
+    return (
+        <div>
+            <ChartTooltip
+                title={point && formatDateKey(point.date)}
+                rows={point ? [
+                    ['Líquido', formatCurrency(point.netProfit), point.netProfit >= 0 ? 'text-green-400' : 'text-red-400'],
+                    ['Média 7 dias', formatCurrency(point.rollingAverage), 'text-yellow-400'],
+                    ...(dailyGoal > 0 ? [['Meta', formatCurrency(dailyGoal), 'text-indigo-400']] : []),
+                ] : []}
+            />
+            <svg viewBox={`0 0 ${width} ${CHART_HEIGHT}`} preserveAspectRatio="none" className="w-full h-40" onMouseLeave={() => setSelected(null)}>
+                <line x1="0" x2={width} y1={y(0)} y2={y(0)} className="stroke-gray-600" vectorEffect="non-scaling-stroke" />
+                {series.map((item, index) => (
+                    <rect key={item.date}
+                        x={index * CHART_BAR_WIDTH + CHART_BAR_WIDTH * 0.15} width={CHART_BAR_WIDTH * 0.7}
+                        y={Math.min(y(item.netProfit), y(0))} height={Math.abs(y(item.netProfit) - y(0))}
+                        className={`${item.netProfit >= 0 ? 'fill-green-500' : 'fill-red-500'} ${selected === index ? 'opacity-100' : 'opacity-70'}`}
+                    />
+                ))}
+                {dailyGoal > 0 && (
+                    <line x1="0" x2={width} y1={y(dailyGoal)} y2={y(dailyGoal)}
+                        className="stroke-indigo-400" strokeWidth="2" strokeDasharray="6 4" vectorEffect="non-scaling-stroke"
+                    />
+                )}
+                <polyline fill="none" className="stroke-yellow-400" strokeWidth="2" vectorEffect="non-scaling-stroke"
+                    points={series.map((item, index) => `${index * CHART_BAR_WIDTH + CHART_BAR_WIDTH / 2},${y(item.rollingAverage)}`).join(' ')}
+                />
+                {/* Áreas de toque: a coluna inteira de cada dia */}
+                {series.map((item, index) => (
+                    <rect key={`hit-${item.date}`} x={index * CHART_BAR_WIDTH} width={CHART_BAR_WIDTH} y="0" height={CHART_HEIGHT}
+                        fill="transparent" onClick={() => setSelected(index)} onMouseEnter={() => setSelected(index)}
+                    />
+                ))}
+            </svg>
+            <div className="flex justify-between text-xs text-gray-500 mt-1">
+                <span>{formatDateKey(series[0].date)}</span>
+                <span>{formatDateKey(series[series.length - 1].date)}</span>
+            </div>
+            <div className="flex flex-wrap gap-4 mt-2 text-xs text-gray-400">
+                <span className="flex items-center"><span className="w-3 h-3 rounded bg-green-500 mr-1" /> Líquido do dia</span>
+                <span className="flex items-center"><span className="w-3 h-0.5 bg-yellow-400 mr-1" /> Média móvel 7 dias</span>
+                {dailyGoal > 0 && <span className="flex items-center"><span className="w-3 h-0.5 border-t-2 border-dashed border-indigo-400 mr-1" /> Meta diária</span>}
+            </div>
+        </div>
+    );
+};
+
+// Gráfico: custos diários empilhados (combustível, óleo e demais manutenções)
+const CostsChart = ({ series }) => {
+    const [selected, setSelected] = useState(null);
+    const layers = [
+        { key: 'totalGas', label: 'Combustível', className: 'fill-red-500', legendClass: 'bg-red-500', textClass: 'text-red-400' },
+        { key: 'totalOil', label: 'Óleo', className: 'fill-indigo-500', legendClass: 'bg-indigo-500', textClass: 'text-indigo-400' },
+        { key: 'totalMaintenance', label: 'Demais manutenções', className: 'fill-yellow-500', legendClass: 'bg-yellow-500', textClass: 'text-yellow-400' },
+        { key: 'totalExpenses', label: 'Outras despesas', className: 'fill-orange-500', legendClass: 'bg-orange-500', textClass: 'text-orange-400' },
+    ];
+    const max = Math.max(1, ...series.map(item => layers.reduce((sum, layer) => sum + item[layer.key], 0)));
+    const width = series.length * CHART_BAR_WIDTH;
+    const point = selected !== null ? series[selected] : null;
+
+    return (
+        <div>
+            <ChartTooltip
+                title={point && formatDateKey(point.date)}
+                rows={point ? layers.map(layer => [layer.label, formatCurrency(point[layer.key]), layer.textClass]) : []}
+            />
+            <svg viewBox={`0 0 ${width} ${CHART_HEIGHT}`} preserveAspectRatio="none" className="w-full h-40" onMouseLeave={() => setSelected(null)}>
+                {series.map((item, index) => {
+                    let stackTop = CHART_HEIGHT;
+                    return (
+                        <g key={item.date} className={selected === index ? 'opacity-100' : 'opacity-70'}>
+                            {layers.map(layer => {
+                                const height = (item[layer.key] / max) * CHART_HEIGHT;
+                                stackTop -= height;
+                                return (
+                                    <rect key={layer.key} x={index * CHART_BAR_WIDTH + CHART_BAR_WIDTH * 0.15} width={CHART_BAR_WIDTH * 0.7}
+                                        y={stackTop} height={height} className={layer.className}
+                                    />
+                                );
+                            })}
+                        </g>
+                    );
+                })}
+                {series.map((item, index) => (
+                    <rect key={`hit-${item.date}`} x={index * CHART_BAR_WIDTH} width={CHART_BAR_WIDTH} y="0" height={CHART_HEIGHT}
+                        fill="transparent" onClick={() => setSelected(index)} onMouseEnter={() => setSelected(index)}
+                    />
+                ))}
+            </svg>
+            <div className="flex justify-between text-xs text-gray-500 mt-1">
+                <span>{formatDateKey(series[0].date)}</span>
+                <span>{formatDateKey(series[series.length - 1].date)}</span>
+            </div>
+            <div className="flex flex-wrap gap-4 mt-2 text-xs text-gray-400">
+                {layers.map(layer => (
+                    <span key={layer.key} className="flex items-center"><span className={`w-3 h-3 rounded mr-1 ${layer.legendClass}`} /> {layer.label}</span>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+// Gráfico: comparação mês a mês (bruto e líquido)
+const MonthComparisonChart = ({ series }) => {
+    const [selected, setSelected] = useState(null);
+    const max = Math.max(1, ...series.map(item => Math.max(item.totalProfit, item.netProfit)));
+    const min = Math.min(0, ...series.map(item => item.netProfit));
+    const y = (value) => ((max - value) / (max - min || 1)) * CHART_HEIGHT;
+    const groupWidth = CHART_BAR_WIDTH * 3;
+    const width = series.length * groupWidth;
+    const point = selected !== null ? series[selected] : null;
+
+    return (
+        <div>
+            <ChartTooltip
+                title={point && point.label}
+                rows={point ? [
+                    ['Bruto', formatCurrency(point.totalProfit), 'text-gray-300'],
+                    ['Líquido', formatCurrency(point.netProfit), point.netProfit >= 0 ? 'text-green-400' : 'text-red-400'],
+                    ['Dias', point.daysLogged, 'text-gray-400'],
+                ] : []}
+            />
+            <svg viewBox={`0 0 ${width} ${CHART_HEIGHT}`} preserveAspectRatio="none" className="w-full h-40" onMouseLeave={() => setSelected(null)}>
+                <line x1="0" x2={width} y1={y(0)} y2={y(0)} className="stroke-gray-600" vectorEffect="non-scaling-stroke" />
+                {series.map((item, index) => (
+                    <g key={item.from} className={selected === index ? 'opacity-100' : 'opacity-70'}>
+                        <rect x={index * groupWidth + CHART_BAR_WIDTH * 0.4} width={CHART_BAR_WIDTH}
+                            y={y(item.totalProfit)} height={y(0) - y(item.totalProfit)} className="fill-gray-500"
+                        />
+                        <rect x={index * groupWidth + CHART_BAR_WIDTH * 1.6} width={CHART_BAR_WIDTH}
+                            y={Math.min(y(item.netProfit), y(0))} height={Math.abs(y(item.netProfit) - y(0))}
+                            className={item.netProfit >= 0 ? 'fill-green-500' : 'fill-red-500'}
+                        />
+                        <rect x={index * groupWidth} width={groupWidth} y="0" height={CHART_HEIGHT}
+                            fill="transparent" onClick={() => setSelected(index)} onMouseEnter={() => setSelected(index)}
+                        />
+                    </g>
+                ))}
+            </svg>
+            <div className="grid text-xs text-gray-500 mt-1 text-center" style={{ gridTemplateColumns: `repeat(${series.length}, minmax(0, 1fr))` }}>
+                {series.map(item => <span key={item.from}>{item.shortLabel}</span>)}
+            </div>
+            <div className="flex flex-wrap gap-4 mt-2 text-xs text-gray-400">
+                <span className="flex items-center"><span className="w-3 h-3 rounded bg-gray-500 mr-1" /> Bruto</span>
+                <span className="flex items-center"><span className="w-3 h-3 rounded bg-green-500 mr-1" /> Líquido</span>
+            </div>
+        </div>
+    );
+};
+
+// Componente: Relatórios (Cálculos e Visualização)
+const ReportsView = ({ config, logsWindow, summaryLogs, periodSummaries, fuelLogs, fuelStats, vehicles, activeVehicle, settingsVersions, reportPeriod, setReportPeriod }) => {
+    // Período selecionado e o período anterior equivalente, para comparação
+    const todayKey = getTodayKey(config.workDayStartHour);
+    const range = useMemo(() => getPeriodRange(reportPeriod, todayKey), [reportPeriod, todayKey]);
+    const previousRange = useMemo(() => getPreviousPeriodRange(reportPeriod, todayKey), [reportPeriod, todayKey]);
+
+    // Filtro por veículo: custos fixos são da conta toda e só entram na visão de todos os veículos
+    const isAllVehicles = reportPeriod.vehicleId === 'all';
+    const reportVehicle = isAllVehicles ? activeVehicle : vehicles.find(vehicle => vehicle.id === reportPeriod.vehicleId) || activeVehicle;
+    // Os detalhes do período e do anterior precisam dos registros desde o início do período anterior
+    const detailsRange = useMemo(() => ({ from: previousRange.from, to: range.to }), [previousRange.from, range.to]);
+    const { logs: detailLogs } = useDailyLogsInRange(logsWindow, detailsRange);
+    // Totais e gráficos vêm dos resumos por período (summaryLogs: um registro por dia e veículo);
+    // os detalhes por plataforma, corrida e despesa, dos registros do período
+    const { reportLogs, reportSummaryLogs, reportFuelLogs } = useMemo(() => ({
+        reportLogs: isAllVehicles ? detailLogs : filterByVehicle(detailLogs, reportPeriod.vehicleId),
+        reportSummaryLogs: isAllVehicles ? summaryLogs : filterByVehicle(summaryLogs, reportPeriod.vehicleId),
+        reportFuelLogs: isAllVehicles ? fuelLogs : filterByVehicle(fuelLogs, reportPeriod.vehicleId),
+    }), [detailLogs, summaryLogs, fuelLogs, isAllVehicles, reportPeriod.vehicleId]);
+
+    // Totais dos períodos (resumos): só mudam com os resumos, o período ou as configurações
+    const { summary, previousSummary } = useMemo(() => {
+        const summarize = (periodRange) => {
+            const periodSummary = summarizePeriod(reportSummaryLogs, reportFuelLogs, periodRange, config.dailyGoal);
+            return isAllVehicles ? withFixedCosts(periodSummary, config, periodRange) : periodSummary;
+        };
+        return { summary: summarize(range), previousSummary: summarize(previousRange) };
+    }, [reportSummaryLogs, reportFuelLogs, isAllVehicles, config, range, previousRange]);
+
+    // Detalhes dos períodos (registros carregados)
+    const { earningsBreakdown, previousBreakdown, expensesBreakdown, productivity, previousProductivity, rideStats } = useMemo(() => {
+        const isInPeriod = (date) => isDateInRange(date, range);
+        const isInPreviousPeriod = (date) => isDateInRange(date, previousRange);
+        return {
+            earningsBreakdown: getEarningsBreakdown(reportLogs, config.earningSources, isInPeriod),
+            previousBreakdown: getEarningsBreakdown(reportLogs, config.earningSources, isInPreviousPeriod),
+            expensesBreakdown: getExpensesBreakdown(reportLogs, config.expenseCategories, range, previousRange),
+            productivity: getProductivityStats(reportLogs, isInPeriod),
+            previousProductivity: getProductivityStats(reportLogs, isInPreviousPeriod),
+            rideStats: getRideStats(reportLogs, isInPeriod),
+        };
+    }, [reportLogs, config.earningSources, config.expenseCategories, range, previousRange]);
+
+    // Séries dos gráficos: dias do período e os 6 meses até o fim do período
+    const { dailySeries, monthlySeries } = useMemo(() => ({
+        dailySeries: getDailySeries(reportSummaryLogs, reportFuelLogs, range, config.dailyGoal),
+        monthlySeries: getMonthlySeries(reportSummaryLogs, reportFuelLogs, range.to, MONTH_COMPARISON_COUNT, config.dailyGoal),
+    }), [reportSummaryLogs, reportFuelLogs, range, config.dailyGoal]);
+
+    // Comparativo entre veículos no período selecionado
+    const vehicleComparison = useMemo(() => vehicles
+        .map(vehicle => {
+            const vehicleSummary = summarizePeriod(filterByVehicle(summaryLogs, vehicle.id), filterByVehicle(fuelLogs, vehicle.id), range, config.dailyGoal);
+            return {
+                vehicle,
+                summary: vehicleSummary,
+                netPerKm: vehicleSummary.totalKm > 0 ? vehicleSummary.netProfit / vehicleSummary.totalKm : 0,
+            };
+        })
+        .filter(row => row.summary.daysLogged > 0 || row.summary.totalGas > 0),
+    [vehicles, summaryLogs, fuelLogs, range, config.dailyGoal]);
+    const reportFuelStats = useMemo(
+        () => isAllVehicles ? fuelStats : getFuelStats(reportFuelLogs),
+        [isAllVehicles, reportFuelLogs]
+    );
+
+    // Metas da semana e do mês atuais (independentes do período selecionado). A semana lê os resumos semanais;
+    // sem resumos (ainda sendo refeitos), usa os mesmos registros do restante do relatório.
+    const goals = useMemo(() => {
+        const targets = getGoalTargets(config, todayKey);
+        const weekRange = getPeriodRange({ preset: 'week', anchor: parseDateKey(todayKey) }, todayKey);
+        const weekLogs = periodSummaries.length > 0 ? getSummaryDayLogs(periodSummaries, weekRange) : summaryLogs;
+        return {
+            targets,
+            weekly: getGoalProgress(weekLogs, fuelLogs, weekRange, targets.weekly, config.workDaysPerWeek, todayKey),
+            monthly: getGoalProgress(summaryLogs, fuelLogs, getPeriodRange({ preset: 'month', anchor: parseDateKey(todayKey) }, todayKey), targets.monthly, config.workDaysPerWeek, todayKey),
+            streaks: getGoalStreaks(summaryLogs, config.dailyGoal, config.workDaysPerWeek, todayKey, settingsVersions),
+        };
+    }, [summaryLogs, periodSummaries, fuelLogs, config, todayKey, settingsVersions]);
+
+    const setPreset = (preset) => setReportPeriod(prev => ({ ...prev, preset, anchor: parseDateKey(todayKey) }));
+    const navigatePeriod = (direction) => setReportPeriod(prev => ({ ...prev, anchor: shiftPeriodAnchor(prev.preset, prev.anchor, direction) }));
+    const setCustomRange = (field, value) => setReportPeriod(prev => ({ ...prev, customRange: { ...prev.customRange, [field]: value } }));
+
+    const hasFixedCosts = isAllVehicles && config.fixedCosts.length > 0;
+
+    // Custo do óleo em vigor no período, pelas versões das configurações (sem versões, o atual do veículo)
+    const oilParameters = useMemo(() => {
+        const entries = getSettingsVersionsInRange(settingsVersions, range)
+            .filter(version => version.vehicles[reportVehicle.id])
+            .map(version => ({ from: version.effectiveFrom, ...version.vehicles[reportVehicle.id] }))
+            .filter((entry, index, list) => index === 0
+                || entry.oilChangeCost !== list[index - 1].oilChangeCost || entry.oilChangeIntervalKm !== list[index - 1].oilChangeIntervalKm);
+        return entries.length > 0 ? entries : [{ from: '', oilChangeCost: reportVehicle.oilChangeCost, oilChangeIntervalKm: reportVehicle.oilChangeIntervalKm }];
+    }, [settingsVersions, range, reportVehicle]);
+
+    if (logsWindow.logs.length === 0 && summaryLogs.length === 0) {
+        return (
+            <div className="p-8 text-center bg-gray-700 rounded-xl max-w-2xl mx-auto border border-gray-600 shadow-xl">
+                <p className="text-2xl font-bold text-yellow-400">Nenhum registro encontrado!</p>
+                <p className="text-gray-400 mt-3">Vá para a aba "Registro Diário" para começar a adicionar seus rendimentos e gastos e ver seus relatórios aqui.</p>
+            </div>
+        );
+    }
+
+    const isCalendarPreset = CALENDAR_PERIOD_PRESETS.includes(reportPeriod.preset);
+
+    return (
+        <div className="p-4 max-w-4xl mx-auto space-y-8">
+            {/* Título Centralizado */}
+            <h2 className="text-3xl font-extrabold text-gray-100 mb-6 flex items-center justify-center">
+                <LineChart className="w-6 h-6 mr-3 text-indigo-400" />
+                Resumo de Lucros e Gastos
+            </h2>
+
+            {/* Goals */}
+            {(goals.targets.weekly > 0 || goals.targets.monthly > 0) && (
+                <div className="bg-gray-800 p-6 rounded-xl shadow-2xl border-t-4 border-indigo-500 space-y-6">
+                    <div className="flex justify-between items-center">
+                        <h3 className="text-xl font-semibold text-gray-100 flex items-center">
+                            <Target className="w-5 h-5 mr-2 text-indigo-400"/> Metas
+                        </h3>
+                        {config.dailyGoal > 0 && (
+                            <div className="text-right text-xs text-gray-400">
+                                <p className="flex items-center justify-end">
+                                    <Flame className={`w-4 h-4 mr-1 ${goals.streaks.current > 0 ? 'text-orange-400' : 'text-gray-600'}`} />
+                                    Sequência: <span className="font-bold text-gray-100 ml-1">{goals.streaks.current} {goals.streaks.current === 1 ? 'dia' : 'dias'}</span>
+                                </p>
+                                <p>Recorde: <span className="font-bold text-gray-200">{goals.streaks.best} {goals.streaks.best === 1 ? 'dia' : 'dias'}</span></p>
+                            </div>
+                        )}
+                    </div>
+                    {goals.targets.weekly > 0 && <GoalProgressBar title="Meta da Semana" goal={goals.weekly} isDerived={goals.targets.isWeeklyDerived} />}
+                    {goals.targets.monthly > 0 && <GoalProgressBar title="Meta do Mês" goal={goals.monthly} isDerived={goals.targets.isMonthlyDerived} />}
+                </div>
+            )}
+
+            {/* Period Picker */}
+            <div className="flex flex-col items-center gap-3">
+                <div className="flex flex-wrap justify-center gap-2">
+                    {PERIOD_PRESETS.map(preset => (
+                        <button key={preset.id} onClick={() => setPreset(preset.id)}
+                            className={`px-3 py-1 rounded-lg text-sm font-semibold ${reportPeriod.preset === preset.id ? 'bg-indigo-600 text-white' : 'bg-gray-700 text-gray-400 hover:text-indigo-300'}`}
+                        >
+                            {preset.label}
+                        </button>
+                    ))}
+                </div>
+                {isCalendarPreset && (
+                    <div className="flex items-center gap-4">
+                        <button onClick={() => navigatePeriod(-1)} className="p-2 rounded-lg text-gray-400 hover:bg-gray-700 hover:text-indigo-400" aria-label="Período anterior">
+                            <ChevronLeft className="w-5 h-5" />
+                        </button>
+                        <span className="text-lg font-semibold text-gray-100">{range.label}</span>
+                        <button onClick={() => navigatePeriod(1)} className="p-2 rounded-lg text-gray-400 hover:bg-gray-700 hover:text-indigo-400" aria-label="Próximo período">
+                            <ChevronRight className="w-5 h-5" />
+                        </button>
+                    </div>
+                )}
+                {reportPeriod.preset === 'custom' && (
+                    <div className="grid grid-cols-2 gap-3 w-full max-w-md">
+                        <input type="date" value={reportPeriod.customRange.from} onChange={(e) => setCustomRange('from', e.target.value)}
+                            className="block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-indigo-500 focus:ring-indigo-500"
+                        />
+                        <input type="date" value={reportPeriod.customRange.to} onChange={(e) => setCustomRange('to', e.target.value)}
+                            className="block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-indigo-500 focus:ring-indigo-500"
+                        />
+                    </div>
+                )}
+                {vehicles.length > 1 && (
+                    <select value={reportPeriod.vehicleId} onChange={(e) => setReportPeriod(prev => ({ ...prev, vehicleId: e.target.value }))}
+                        className="rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 text-sm focus:border-indigo-500 focus:ring-indigo-500"
+                        aria-label="Filtrar por veículo"
+                    >
+                        <option value="all">Todos os veículos</option>
+                        {vehicles.map(vehicle => (
+                            <option key={vehicle.id} value={vehicle.id}>{vehicle.name}</option>
+                        ))}
+                    </select>
+                )}
+            </div>
+
+            <ReportCard
+                title={`Resumo: ${range.label}`}
+                current={summary}
+                previous={previousSummary}
+                range={range}
+                previousRange={previousRange}
+                config={config}
+                vehicle={reportVehicle}
+                showVehicle={vehicles.length > 1}
+                hasFixedCosts={hasFixedCosts}
+                oilParameters={oilParameters}
+                fuelStats={reportFuelStats}
+            />
+
+            {/* Vehicle Comparison */}
+            {vehicles.length > 1 && vehicleComparison.length > 0 && (
+                <div className="bg-gray-800 p-6 rounded-xl shadow-2xl border-t-4 border-indigo-500">
+                    <h3 className="text-xl font-semibold text-gray-100 mb-4 flex items-center">
+                        <Bike className="w-5 h-5 mr-2 text-indigo-400"/> Comparativo por Veículo
+                    </h3>
+                    <div className="overflow-x-auto">
+                        <table className="w-full text-sm">
+                            <thead>
+                                <tr className="text-gray-400 text-left">
+                                    <th className="py-2 pr-3">Veículo</th>
+                                    <th className="py-2 pr-3 text-right">Bruto</th>
+                                    <th className="py-2 pr-3 text-right">Km</th>
+                                    <th className="py-2 pr-3 text-right">Líquido</th>
+                                    <th className="py-2 text-right">Líquido/Km</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {vehicleComparison.map(row => (
+                                    <tr key={row.vehicle.id} className="border-t border-gray-700 text-gray-200">
+                                        <td className="py-2 pr-3 font-medium">{row.vehicle.name}</td>
+                                        <td className="py-2 pr-3 text-right">{formatCurrency(row.summary.totalProfit)}</td>
+                                        <td className="py-2 pr-3 text-right">{row.summary.totalKm.toFixed(1)}</td>
+                                        <td className={`py-2 pr-3 text-right font-bold ${row.summary.netProfit >= 0 ? 'text-green-400' : 'text-red-500'}`}>{formatCurrency(row.summary.netProfit)}</td>
+                                        <td className="py-2 text-right">{row.netPerKm !== 0 ? formatCurrency(row.netPerKm) : '—'}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    <p className="text-xs text-gray-500 mt-3">Combustível pelos abastecimentos de cada veículo; custos fixos não entram no comparativo.</p>
+                </div>
+            )}
+
+            {/* Charts */}
+            <div className="bg-gray-800 p-6 rounded-xl shadow-2xl border-t-4 border-green-500 space-y-8">
+                <h3 className="text-xl font-semibold text-gray-100 flex items-center">
+                    <ChartColumn className="w-5 h-5 mr-2 text-green-400"/> Gráficos
+                </h3>
+                {dailySeries.length > 0 && (
+                    <>
+                        <div>
+                            <p className="text-sm font-semibold text-gray-300 mb-2">Lucro Líquido Diário</p>
+                            <NetProfitChart series={dailySeries} dailyGoal={config.dailyGoal} />
+                        </div>
+                        <div>
+                            <p className="text-sm font-semibold text-gray-300 mb-2">Custos por Dia</p>
+                            <CostsChart series={dailySeries} />
+                        </div>
+                    </>
+                )}
+                <div>
+                    <p className="text-sm font-semibold text-gray-300 mb-2">Comparação Mês a Mês</p>
+                    <MonthComparisonChart series={monthlySeries} />
+                </div>
+            </div>
+
+            {/* Expenses by Category */}
+            {(expensesBreakdown.rows.length > 0 || expensesBreakdown.previousTotal > 0) && (
+                <div className="bg-gray-800 p-6 rounded-xl shadow-2xl border-t-4 border-orange-500">
+                    <h3 className="text-xl font-semibold text-gray-100 mb-4 flex items-center">
+                        <Receipt className="w-5 h-5 mr-2 text-orange-400"/> Despesas por Categoria
+                    </h3>
+                    {expensesBreakdown.rows.length === 0 ? (
+                        <p className="text-sm text-gray-400">Nenhuma despesa no período ({formatCurrency(expensesBreakdown.previousTotal)} em {previousRange.label}).</p>
+                    ) : (
+                        <div className="space-y-3">
+                            {expensesBreakdown.rows.map(row => {
+                                const { Icon } = EXPENSE_ICONS[row.icon] || EXPENSE_ICONS.tag;
+                                return (
+                                    <div key={row.id}>
+                                        <div className="flex justify-between text-sm">
+                                            <span className="text-gray-300 font-medium flex items-center">
+                                                <Icon className="w-4 h-4 mr-2 text-orange-400" /> {row.name}
+                                                {row.isTopGrowth && (
+                                                    <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-semibold bg-red-900/60 text-red-300" title={`+${formatCurrency(row.growth)} em relação a ${previousRange.label}`}>
+                                                        Maior alta
+                                                    </span>
+                                                )}
+                                            </span>
+                                            <span className="text-gray-100 font-bold">
+                                                {formatCurrency(row.amount)}
+                                                <span className="ml-2 text-xs text-gray-400">{(row.share * 100).toFixed(0)}%</span>
+                                                <Delta current={row.amount} previous={row.previousAmount} inverse />
+                                            </span>
+                                        </div>
+                                        <div className="w-full h-2 bg-gray-700 rounded-full mt-1">
+                                            <div className="h-2 bg-orange-500 rounded-full" style={{ width: `${row.share * 100}%` }} />
+                                        </div>
+                                    </div>
+                                );
+                            })}
+                            <p className="pt-3 border-t border-gray-700 text-sm text-gray-400">
+                                Total de Despesas: <span className="font-bold text-gray-100">{formatCurrency(expensesBreakdown.total)}</span>
+                                <Delta current={expensesBreakdown.total} previous={expensesBreakdown.previousTotal} inverse />
+                            </p>
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {/* Earnings by Platform */}
+            <div className="bg-gray-800 p-6 rounded-xl shadow-2xl border-t-4 border-cyan-500">
+                <h3 className="text-xl font-semibold text-gray-100 mb-4 flex items-center">
+                    <Smartphone className="w-5 h-5 mr-2 text-cyan-400"/> Rendimento por Plataforma
+                </h3>
+                {earningsBreakdown.rows.length === 0 ? (
+                    <p className="text-sm text-gray-400">Nenhum rendimento no período.</p>
+                ) : (
+                    <div className="space-y-3">
+                        {earningsBreakdown.rows.map(row => (
+                            <div key={row.id}>
+                                <div className="flex justify-between text-sm">
+                                    <span className="text-gray-300 font-medium">{row.name}</span>
+                                    <span className="text-gray-100 font-bold">
+                                        {formatCurrency(row.gross)}
+                                        <span className="ml-2 text-xs text-gray-400">{(row.share * 100).toFixed(0)}%</span>
+                                        <Delta current={row.gross} previous={previousBreakdown.rows.find(previousRow => previousRow.id === row.id)?.gross} />
+                                    </span>
+                                </div>
+                                <div className="w-full h-2 bg-gray-700 rounded-full mt-1">
+                                    <div className="h-2 bg-cyan-500 rounded-full" style={{ width: `${row.share * 100}%` }} />
+                                </div>
+                                {(row.perKm > 0 || row.perHour > 0) && (
+                                    <p className="text-xs text-gray-500 mt-1">
+                                        {[
+                                            row.perHour > 0 && `${formatCurrency(row.perHour)}/hora`,
+                                            row.perKm > 0 && `${formatCurrency(row.perKm)}/km`,
+                                        ].filter(Boolean).join(' · ')} nos dias trabalhados
+                                    </p>
+                                )}
+                            </div>
+                        ))}
+                        <p className="pt-3 border-t border-gray-700 text-sm text-gray-400">
+                            Total Bruto: <span className="font-bold text-gray-100">{formatCurrency(earningsBreakdown.totalGross)}</span>
+                            <Delta current={earningsBreakdown.totalGross} previous={previousBreakdown.totalGross} />
+                        </p>
+                    </div>
+                )}
+            </div>
+
+            {/* Rides and Deliveries */}
+            {rideStats.count > 0 && (
+                <div className="bg-gray-800 p-6 rounded-xl shadow-2xl border-t-4 border-emerald-500">
+                    <h3 className="text-xl font-semibold text-gray-100 mb-1 flex items-center">
+                        <Bike className="w-5 h-5 mr-2 text-emerald-400"/> Corridas e Entregas
+                    </h3>
+                    <p className="text-xs text-gray-500 mb-4">Somente dias com corridas detalhadas.</p>
+                    <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
+                        <div>
+                            <p className="text-sm text-gray-400">Corridas</p>
+                            <p className="text-2xl font-extrabold text-gray-100">{rideStats.count}</p>
+                        </div>
+                        <div>
+                            <p className="text-sm text-gray-400">Ticket Médio</p>
+                            <p className="text-2xl font-extrabold text-emerald-400">{formatCurrency(rideStats.averageTicket)}</p>
+                        </div>
+                        <div>
+                            <p className="text-sm text-gray-400">R$ por Km</p>
+                            <p className="text-2xl font-extrabold text-gray-100">{rideStats.perKm > 0 ? formatCurrency(rideStats.perKm) : '—'}</p>
+                        </div>
+                        <div>
+                            <p className="text-sm text-gray-400">Corridas por Hora</p>
+                            <p className="text-2xl font-extrabold text-gray-100">{rideStats.ridesPerHour > 0 ? rideStats.ridesPerHour.toFixed(1) : '—'}</p>
+                        </div>
+                    </div>
+                    {rideStats.topNeighborhoods.length > 0 && (
+                        <div className="mt-6">
+                            <p className="text-sm font-semibold text-gray-300 mb-2">Melhores Bairros de Coleta</p>
+                            <table className="w-full text-sm">
+                                <thead>
+                                    <tr className="text-gray-500 text-left">
+                                        <th className="font-medium pb-1">Bairro</th>
+                                        <th className="font-medium pb-1 text-right">Corridas</th>
+                                        <th className="font-medium pb-1 text-right">Ticket</th>
+                                        <th className="font-medium pb-1 text-right">R$/km</th>
+                                        <th className="font-medium pb-1 text-right">Total</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {rideStats.topNeighborhoods.map(neighborhood => (
+                                        <tr key={neighborhood.name} className="border-t border-gray-700 text-gray-300">
+                                            <td className="py-1">{neighborhood.name}</td>
+                                            <td className="py-1 text-right">{neighborhood.count}</td>
+                                            <td className="py-1 text-right">{formatCurrency(neighborhood.averageTicket)}</td>
+                                            <td className="py-1 text-right">{neighborhood.perKm > 0 ? formatCurrency(neighborhood.perKm) : '—'}</td>
+                                            <td className="py-1 text-right font-bold text-gray-100">{formatCurrency(neighborhood.gross)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {/* Productivity */}
+            <div className="bg-gray-800 p-6 rounded-xl shadow-2xl border-t-4 border-yellow-500">
+                <h3 className="text-xl font-semibold text-gray-100 mb-4 flex items-center">
+                    <Clock className="w-5 h-5 mr-2 text-yellow-400"/> Produtividade
+                </h3>
+                {productivity.totalHours === 0 ? (
+                    <p className="text-sm text-gray-400">Informe as horas trabalhadas (ou use o Turno ao Vivo) para ver o R$/hora.</p>
+                ) : (
+                    <div className="space-y-4">
+                        <div className="grid grid-cols-2 gap-4">
+                            <div>
+                                <p className="text-sm text-gray-400">Líquido por Hora</p>
+                                <p className={`text-2xl font-extrabold ${productivity.netPerHour >= 0 ? 'text-green-400' : 'text-red-500'}`}>{formatCurrency(productivity.netPerHour)}<Delta current={productivity.netPerHour} previous={previousProductivity.netPerHour} /></p>
+                            </div>
+                            <div>
+                                <p className="text-sm text-gray-400">Média de Horas por Dia</p>
+                                <p className="text-2xl font-extrabold text-gray-100">{formatHours(productivity.averageHoursPerDay)}<Delta current={productivity.averageHoursPerDay} previous={previousProductivity.averageHoursPerDay} /></p>
+                            </div>
+                        </div>
+                        <div>
+                            <p className="text-sm font-semibold text-gray-300 mb-2">Dias da Semana Mais Lucrativos</p>
+                            {productivity.weekdays.map(weekday => (
+                                <div key={weekday.index} className="flex justify-between text-sm py-1 border-b border-gray-700">
+                                    <span className="text-gray-300">{weekday.name} <span className="text-xs text-gray-500">({weekday.days} dia(s))</span></span>
+                                    <span className="text-gray-100 font-semibold">{formatCurrency(weekday.averageNet)}/dia · {formatCurrency(weekday.netPerHour)}/h</span>
+                                </div>
+                            ))}
+                        </div>
+                        {productivity.bands.length > 0 && (
+                            <div>
+                                <p className="text-sm font-semibold text-gray-300 mb-2">Faixas de Horário</p>
+                                {productivity.bands.map(band => (
+                                    <div key={band.id} className="flex justify-between text-sm py-1 border-b border-gray-700">
+                                        <span className="text-gray-300">{band.label} <span className="text-xs text-gray-500">({formatHours(band.hours)})</span></span>
+                                        <span className="text-gray-100 font-semibold">{formatCurrency(band.netPerHour)}/h</span>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+                )}
+            </div>
+
+            {/* Last 5 Logs */}
+            <div className="mt-8 bg-gray-700 p-6 rounded-xl shadow-inner border border-gray-600">
+                <h3 className="text-xl font-semibold text-gray-100 mb-4">Últimos Registros</h3>
+                <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-600">
+                        <thead className="bg-gray-600">
+                            <tr>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Data</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Rendimento (R$)</th> 
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Combustível (R$)</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Óleo (R$)</th> 
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Manutenção (R$)</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Líquido (R$)</th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-gray-800 divide-y divide-gray-700">
+                            {logsWindow.logs.slice(0, 5).map((log) => {
+                                const net = getLogNetProfit(log);
+                                return (
+                                    <tr key={log.id} className="hover:bg-gray-700 transition duration-150">
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-300">{log.date}</td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-green-400">{formatCurrency(log.profit)}</td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-red-400">{formatCurrency(log.gasolineCost)}</td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-red-400">{formatCurrency(log.oilCost)}</td> 
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-red-400">{formatCurrency(log.maintenanceCost)}</td>
+                                        <td className={`px-6 py-4 whitespace-nowrap text-sm font-semibold ${net >= 0 ? 'text-indigo-400' : 'text-red-500'}`}>{formatCurrency(net)}</td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// Componente: Perfil (Conta, Vinculação e Login em Outro Aparelho)
+const ProfileView = ({ authProfile, config, totalLogCount, linkEmailAccount, signInEmailAccount, resetPassword, linkGoogleAccount, signInGoogleAccount, signOutAccount }) => {
+    const [email, setEmail] = useState(authProfile?.email || '');
+    const [password, setPassword] = useState('');
+    const [passwordConfirm, setPasswordConfirm] = useState('');
+    const [busy, setBusy] = useState(false);
+    const [message, setMessage] = useState({ text: '', isError: false });
+
+    if (!authProfile) return null;
+
+    const hasPassword = authProfile.providers.includes('password');
+    const hasGoogle = authProfile.providers.includes('google.com');
+
+    // Executa uma ação de conta e mostra o erro (ou a mensagem de sucesso) retornado
+    const runAuthAction = async (action, successMessage = '') => {
+        setBusy(true);
+        setMessage({ text: '', isError: false });
+        const authError = await action();
+        setBusy(false);
+        setMessage({ text: authError || successMessage, isError: !!authError });
+    };
+
+    const handleLinkEmail = (e) => {
+        e.preventDefault();
+        if (password !== passwordConfirm) {
+            setMessage({ text: 'As senhas não conferem.', isError: true });
+            return;
+        }
+        runAuthAction(() => linkEmailAccount(email.trim(), password), 'Conta protegida com sucesso!');
+    };
+
+    const handleSignIn = (e) => {
+        e.preventDefault();
+        runAuthAction(() => signInEmailAccount(email.trim(), password));
+    };
+
+    const handleResetPassword = () => {
+        if (!email.trim()) {
+            setMessage({ text: 'Informe o e-mail para receber o link de redefinição.', isError: true });
+            return;
+        }
+        runAuthAction(() => resetPassword(email.trim()), 'Enviamos um link de redefinição para o seu e-mail.');
+    };
+
+    const inputClass = "w-full p-2 border border-gray-600 rounded-lg bg-gray-900 text-white focus:ring-indigo-500 focus:border-indigo-500";
+    const googleButton = (label, onClick) => (
+        <button type="button" onClick={onClick} disabled={busy}
+            className="w-full py-2 px-4 rounded-lg font-bold text-gray-900 bg-white hover:bg-gray-200 disabled:opacity-50 flex items-center justify-center"
+        >
+            <span className="font-extrabold text-indigo-600 mr-2">G</span> {label}
+        </button>
+    );
+
+    return (
+        <div className="p-4 bg-gray-800 shadow-2xl rounded-xl max-w-lg mx-auto border border-gray-700 space-y-6">
+            <h2 className="text-2xl font-extrabold text-indigo-400 flex items-center justify-center">
+                <User className="w-6 h-6 mr-2" />
+                Minha Conta
+            </h2>
+
+            {/* Situação da Conta */}
+            {authProfile.isAnonymous ? (
+                <div className="p-4 rounded-lg bg-yellow-900/30 border border-yellow-500/50 text-sm text-yellow-200">
+                    <p className="font-bold flex items-center mb-1"><TriangleAlert className="w-4 h-4 mr-2" /> Conta anônima</p>
+                    <p>Seus dados ficam só neste aparelho. Se o navegador for limpo, o histórico é perdido.
+                    Vincule um e-mail ou o Google para protegê-lo e acessá-lo em outros aparelhos.</p>
+                </div>
+            ) : (
+                <div className="p-4 rounded-lg bg-green-900/30 border border-green-500/50 text-sm text-green-200 flex items-center">
+                    {authProfile.photoURL
+                        ? <img src={authProfile.photoURL} alt="" className="w-10 h-10 rounded-full mr-3" referrerPolicy="no-referrer" />
+                        : <ShieldCheck className="w-8 h-8 mr-3 flex-shrink-0" />}
+                    <div>
+                        <p className="font-bold">{authProfile.displayName || config.username || 'Conta protegida'}</p>
+                        <p>{authProfile.email}</p>
+                        <p className="text-xs text-green-300/80 mt-1">
+                            Login com: {[hasPassword && 'E-mail e senha', hasGoogle && 'Google'].filter(Boolean).join(' e ')}
+                        </p>
+                    </div>
+                </div>
+            )}
+
+            {/* Vincular (anônima) ou adicionar outro método de login */}
+            {(!hasPassword || !hasGoogle) && (
+                <div className="p-4 bg-gray-700 rounded-lg shadow-inner space-y-3">
+                    <h3 className="font-semibold text-indigo-300 flex items-center">
+                        <ShieldCheck className="w-4 h-4 mr-2"/> {authProfile.isAnonymous ? 'Proteger Meus Dados' : 'Adicionar Método de Login'}
+                    </h3>
+                    {authProfile.isAnonymous && <p className="text-xs text-gray-400">Todos os {totalLogCount} registros continuam na conta após vincular.</p>}
+                    {!hasGoogle && googleButton('Vincular conta Google', () => runAuthAction(linkGoogleAccount, 'Conta Google vinculada!'))}
+                    {!hasPassword && (
+                        <form onSubmit={handleLinkEmail} className="space-y-2">
+                            <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} placeholder="E-mail" required autoComplete="email" className={inputClass} />
+                            <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} placeholder="Senha (mín. 6 caracteres)" required autoComplete="new-password" className={inputClass} />
+                            <input type="password" value={passwordConfirm} onChange={(e) => setPasswordConfirm(e.target.value)} placeholder="Confirmar senha" required autoComplete="new-password" className={inputClass} />
+                            <button type="submit" disabled={busy} className="w-full py-2 px-4 rounded-lg font-bold text-white bg-indigo-600 hover:bg-indigo-500 disabled:opacity-50 flex items-center justify-center">
+                                <Mail className="w-4 h-4 mr-2" /> Vincular e-mail e senha
+                            </button>
+                        </form>
+                    )}
+                </div>
+            )}
+
+            {/* Entrar em outra conta (apenas a partir da sessão anônima) */}
+            {authProfile.isAnonymous && (
+                <div className="p-4 bg-gray-700 rounded-lg shadow-inner space-y-3">
+                    <h3 className="font-semibold text-indigo-300 flex items-center">
+                        <LogIn className="w-4 h-4 mr-2"/> Entrar com uma Conta Existente
+                    </h3>
+                    {totalLogCount > 0 && (
+                        <p className="text-xs text-yellow-300">
+                            Os {totalLogCount} registros desta sessão anônima não vão para a outra conta.
+                            Exporte um backup em Configurações antes, se quiser importá-los depois.
+                        </p>
+                    )}
+                    {googleButton('Entrar com Google', () => runAuthAction(signInGoogleAccount))}
+                    <form onSubmit={handleSignIn} className="space-y-2">
+                        <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} placeholder="E-mail" required autoComplete="email" className={inputClass} />
+                        <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} placeholder="Senha" required autoComplete="current-password" className={inputClass} />
+                        <button type="submit" disabled={busy} className="w-full py-2 px-4 rounded-lg font-bold text-white bg-gray-600 hover:bg-gray-500 disabled:opacity-50 flex items-center justify-center">
+                            <LogIn className="w-4 h-4 mr-2" /> Entrar
+                        </button>
+                    </form>
+                    <button type="button" onClick={handleResetPassword} disabled={busy} className="text-xs text-indigo-300 hover:text-indigo-200 underline">
+                        Esqueci minha senha
+                    </button>
+                </div>
+            )}
+
+            {!authProfile.isAnonymous && (
+                <button type="button" onClick={() => runAuthAction(signOutAccount)} disabled={busy}
+                    className="w-full py-2 px-4 rounded-lg font-bold text-red-300 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 flex items-center justify-center"
+                >
+                    <LogOut className="w-4 h-4 mr-2" /> Sair desta conta
+                </button>
+            )}
+
+            {message.text && <p className={`text-center text-sm font-semibold ${message.isError ? 'text-red-400' : 'text-green-400'}`}>{message.text}</p>}
+            <p className="text-center text-xs text-gray-600">ID: {authProfile.uid}</p>
+        </div>
+    );
+};
+
+// Componente: Seleção de Imagem (Reduz e Comprime no Aparelho Antes do Envio)
+const ImageInput = ({ label, maxDimension = IMAGE_MAX_DIMENSION, onImage }) => {
+    const [status, setStatus] = useState({ text: '', isError: false });
+
+    const handleFileChange = async (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+        setStatus({ text: 'Processando imagem...', isError: false });
+        try {
+            const blob = await compressImage(file, maxDimension);
+            onImage({ blob, previewUrl: URL.createObjectURL(blob) });
+            setStatus({ text: `Imagem pronta (${Math.ceil(blob.size / 1024)}KB).`, isError: false });
+        } catch (e) {
+            console.error("Erro ao processar imagem:", e);
+            setStatus({ text: `ERRO: ${e.message}`, isError: true });
+            event.target.value = null; // Limpar o input
+        }
+    };
+
+    return (
+        <div className="w-full">
+            <label className="block text-sm font-medium text-gray-400 flex items-center">
+                <Camera className="w-4 h-4 mr-1"/> {label}
+            </label>
+            <input 
+                type="file" 
+                accept={IMAGE_ACCEPT}
+                onChange={handleFileChange}
+                className="mt-1 block w-full text-sm text-gray-400 
+                file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 
+                file:text-sm file:font-semibold file:bg-indigo-600 file:text-white 
+                hover:file:bg-indigo-500 file:cursor-pointer bg-gray-900 rounded-lg p-1"
+            />
+            {status.text && (
+                <p className={`mt-1 text-xs font-semibold ${status.isError ? 'text-red-400' : 'text-green-400'}`}>
+                    {status.text}
+                </p>
+            )}
+        </div>
+    );
+};
+
+// Miniatura de comprovante que abre a imagem em tamanho real
+const ReceiptThumbnail = ({ url }) => (
+    <a href={url} target="_blank" rel="noopener noreferrer" className="flex-shrink-0" aria-label="Ver comprovante">
+        <img src={url} alt="Comprovante" className="w-10 h-10 object-cover rounded border border-gray-600 hover:border-indigo-400" />
+    </a>
+);
+
+// Componente: Veículos (Cadastro, Custos de Manutenção e Veículo em Uso)
+const VehiclesView = ({ config, vehicles, activeVehicle, saveConfig, saveVehicle, deleteVehicle }) => {
+    const [formData, setFormData] = useState(null); // Veículo em edição (null = lista de veículos)
+    const [vehicleToDelete, setVehicleToDelete] = useState(null);
+
+    const startEditing = (vehicle) => {
+        setFormData(vehicle
+            ? { ...vehicle }
+            : { ...normalizeVehicle('', { fuelType: activeVehicle.fuelType, type: activeVehicle.type }), name: '' });
+    };
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleMaintenanceChange = (itemKey, field, value) => {
+        setFormData(prev => ({
+            ...prev,
+            maintenance: {
+                ...prev.maintenance,
+                [itemKey]: { ...prev.maintenance[itemKey], [field]: value },
+            },
+        }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (await saveVehicle(formData)) setFormData(null);
+    };
+
+    const confirmDelete = async () => {
+        await deleteVehicle(vehicleToDelete.id);
+        setVehicleToDelete(null);
+    };
+
+    const inputClassName = "mt-1 block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-indigo-500 focus:ring-indigo-500";
+
+    return (
+        <div className="p-4 mt-8 bg-gray-800 shadow-2xl rounded-xl max-w-lg mx-auto border border-gray-700">
+            <h2 className="text-2xl font-extrabold mb-4 text-indigo-400 flex items-center justify-center">
+                <Bike className="w-6 h-6 mr-2" />
+                Veículos
+            </h2>
+
+            {formData ? (
+                <form onSubmit={handleSubmit} className="space-y-6">
+                    {/* Foto e Identificação */}
+                    <div className="p-4 bg-gray-700 rounded-lg shadow-inner">
+                        <div className="flex flex-col items-center mb-6">
+                            <img 
+                                src={formData.photo?.previewUrl || formData.photoUrl || PLACEHOLDER_BIKE_URL} 
+                                alt="Foto do Veículo"
+                                className="w-32 h-32 object-cover rounded-full border-4 border-indigo-500 shadow-xl mb-3"
+                                // Lidar com erro para URL e Base64 (se corrompido)
+                                onError={(e) => { e.target.onerror = null; e.target.src=PLACEHOLDER_BIKE_URL; }} 
+                            />
+                            <ImageInput
+                                label="Foto do Veículo (Câmera/Galeria)"
+                                onImage={(photo) => setFormData(prev => ({ ...prev, photo }))}
+                            />
+                            <p className="text-xs text-gray-500 mt-1 w-full">
+                                A foto é reduzida no aparelho e enviada ao salvar o veículo.
+                            </p>
+                        </div>
+
+                        <div>
+                            <label className="block text-sm font-medium text-gray-400">Modelo do Veículo</label>
+                            <input type="text" name="name" value={formData.name} onChange={handleChange}
+                                className={inputClassName} placeholder="Ex: Honda CG 160" required
+                            />
+                        </div>
+                        <div className="grid grid-cols-2 gap-3">
+                            <div>
+                                <label className="block text-sm font-medium text-gray-400 mt-3">Tipo</label>
+                                <select name="type" value={formData.type} onChange={handleChange} className={inputClassName}>
+                                    {Object.entries(VEHICLE_TYPES).map(([value, label]) => (
+                                        <option key={value} value={value}>{label}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-400 mt-3">Combustível Utilizado</label>
+                                <select name="fuelType" value={formData.fuelType} onChange={handleChange} className={inputClassName}>
+                                    <option value="gasoline">Gasolina</option>
+                                    <option value="alcohol">Etanol (Álcool)</option>
+                                </select>
+                            </div>
+                        </div>
+                        <p className="text-xs text-gray-500 mt-1">Combustível sugerido ao registrar abastecimentos.</p>
+                    </div>
+
+                    {/* Manutenção Preventiva */}
+                    <div className="p-4 bg-gray-700 rounded-lg shadow-inner">
+                        <h3 className="font-semibold text-yellow-300 mb-4 flex items-center border-b border-yellow-500/50 pb-2">
+                            <Wrench className="w-4 h-4 mr-2"/> Manutenção Preventiva
+                        </h3>
+                        <p className="text-xs text-gray-500 mb-3">
+                            O custo de cada item é amortizado pelos km rodados em cada registro feito com este veículo.
+                        </p>
+                        <div className="grid grid-cols-2 gap-3">
+                            <div>
+                                <label className="block text-sm font-medium text-gray-400">Troca de Óleo (R$)</label>
+                                <input type="number" name="oilChangeCost" value={formData.oilChangeCost} onChange={handleChange}
+                                    className={inputClassName} step="0.01" min="0" placeholder="Ex: 80.00"
+                                />
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-400">Intervalo (Km)</label>
+                                <input type="number" name="oilChangeIntervalKm" value={formData.oilChangeIntervalKm} onChange={handleChange}
+                                    className={inputClassName} min="1" placeholder="Ex: 1000"
+                                />
+                            </div>
+                        </div>
+                        {MAINTENANCE_ITEMS.filter(item => item.key !== 'oil').map(item => (
+                            <div key={item.key} className="grid grid-cols-2 gap-3 mt-3">
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-400">{item.label} (R$)</label>
+                                    <input type="number" value={formData.maintenance[item.key].cost}
+                                        onChange={(e) => handleMaintenanceChange(item.key, 'cost', e.target.value)}
+                                        className={inputClassName} step="0.01" min="0" placeholder="Custo"
+                                    />
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-400">Intervalo (Km)</label>
+                                    <input type="number" value={formData.maintenance[item.key].intervalKm}
+                                        onChange={(e) => handleMaintenanceChange(item.key, 'intervalKm', e.target.value)}
+                                        className={inputClassName} min="0" placeholder="Km"
+                                    />
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+
+                    <div className="flex gap-3">
+                        <button type="submit"
+                            className="flex-1 flex items-center justify-center py-3 px-4 rounded-lg font-bold text-white bg-indigo-600 hover:bg-indigo-500"
+                        >
+                            <Check className="w-4 h-4 mr-1" /> Salvar Veículo
+                        </button>
+                        <button type="button" onClick={() => setFormData(null)}
+                            className="flex-1 flex items-center justify-center py-3 px-4 rounded-lg font-bold text-gray-300 bg-gray-600 hover:bg-gray-500"
+                        >
+                            <X className="w-4 h-4 mr-1" /> Cancelar
+                        </button>
+                    </div>
+                </form>
+            ) : (
+                <>
+                    <ul className="space-y-3">
+                        {vehicles.map(vehicle => {
+                            const isActive = vehicle.id === activeVehicle.id;
+                            return (
+                                <li key={vehicle.id} className={`bg-gray-700 p-3 rounded-lg flex items-center gap-3 border ${isActive ? 'border-indigo-500' : 'border-gray-600'}`}>
+                                    <img
+                                        src={vehicle.photoUrl || PLACEHOLDER_BIKE_URL}
+                                        alt={vehicle.name}
+                                        className="w-12 h-12 object-cover rounded-full border-2 border-indigo-500 flex-shrink-0"
+                                        onError={(e) => { e.target.onerror = null; e.target.src=PLACEHOLDER_BIKE_URL; }}
+                                    />
+                                    <div className="flex-1 text-sm">
+                                        <p className="font-semibold text-gray-100">{vehicle.name}</p>
+                                        <p className="text-xs text-gray-400">{VEHICLE_TYPES[vehicle.type]} — {FUEL_LABELS[vehicle.fuelType]}</p>
+                                    </div>
+                                    {isActive ? (
+                                        <span className="text-xs font-semibold text-indigo-300">Em uso</span>
+                                    ) : (
+                                        <button onClick={() => saveConfig({ ...config, activeVehicleId: vehicle.id })} className="text-xs font-semibold text-gray-300 hover:text-indigo-300">
+                                            Usar
+                                        </button>
+                                    )}
+                                    <button onClick={() => startEditing(vehicle)} className="p-2 rounded-lg text-gray-400 hover:bg-gray-600 hover:text-indigo-400" aria-label="Editar veículo">
+                                        <Pencil className="w-4 h-4" />
+                                    </button>
+                                    {!isActive && vehicle.id !== DEFAULT_VEHICLE_ID && (
+                                        <button onClick={() => setVehicleToDelete(vehicle)} className="p-2 rounded-lg text-gray-400 hover:bg-gray-600 hover:text-red-400" aria-label="Excluir veículo">
+                                            <Trash2 className="w-4 h-4" />
+                                        </button>
+                                    )}
+                                </li>
+                            );
+                        })}
+                    </ul>
+                    <button onClick={() => startEditing(null)}
+                        className="mt-4 w-full flex items-center justify-center py-2 px-4 rounded-lg font-bold text-white bg-indigo-600 hover:bg-indigo-500"
+                    >
+                        <Plus className="w-4 h-4 mr-1" /> Adicionar Veículo
+                    </button>
+                </>
+            )}
+
+            {/* Confirmação de Exclusão */}
+            {vehicleToDelete && (
+                <div className="fixed inset-0 bg-black/70 flex items-center justify-center p-4 z-30">
+                    <div className="bg-gray-800 p-6 rounded-xl shadow-2xl border border-red-500 max-w-sm w-full">
+                        <p className="text-xl font-bold text-gray-100 mb-2">Excluir {vehicleToDelete.name}?</p>
+                        <p className="text-sm text-gray-400 mb-6">
+                            Os registros, abastecimentos e manutenções deste veículo são mantidos no histórico.
+                        </p>
+                        <div className="flex gap-3">
+                            <button onClick={confirmDelete}
+                                className="flex-1 py-2 px-4 rounded-lg font-bold text-white bg-red-600 hover:bg-red-500"
+                            >
+                                Excluir
+                            </button>
+                            <button onClick={() => setVehicleToDelete(null)}
+                                className="flex-1 py-2 px-4 rounded-lg font-bold text-gray-300 bg-gray-600 hover:bg-gray-500"
+                            >
+                                Cancelar
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Componente: Recalcular Custos (Prévia dos Registros Afetados e da Diferença no Lucro Líquido)
+const CostRecalculationView = ({ config, logsWindow, vehicles, settingsVersions, loading, getVehicleName, applyCostRecalculation }) => {
+    const [costRecalc, setCostRecalc] = useState({ fromDate: '', confirming: false, message: '' });
+    const todayKey = getTodayKey(config.workDayStartHour);
+    const latestVersion = settingsVersions[settingsVersions.length - 1];
+    const fromDate = costRecalc.fromDate || latestVersion?.effectiveFrom || todayKey;
+    // A prévia precisa de todos os registros desde a data escolhida: enquanto eles chegam, não há prévia nem aplicação
+    const logsRange = useMemo(() => ({ from: fromDate, to: todayKey }), [fromDate, todayKey]);
+    const { logs, isLoading: isLoadingLogs } = useDailyLogsInRange(logsWindow, logsRange);
+    const recalculation = useMemo(() => getCostRecalculation(logs, vehicles, fromDate), [logs, vehicles, fromDate]);
+    const recentVersions = [...settingsVersions].reverse().slice(0, 5);
+    const updateForm = (changes) => setCostRecalc(prev => ({ ...prev, ...changes }));
+
+    const handleApply = async () => {
+        const count = recalculation.changes.length;
+        const success = await applyCostRecalculation(recalculation.changes);
+        updateForm({ confirming: false, message: success ? `${count} registros recalculados.` : 'Falha ao recalcular. Tente novamente.' });
+    };
+
+    return (
+        <div className="p-4 mt-8 bg-gray-800 shadow-2xl rounded-xl max-w-lg mx-auto border border-gray-700 space-y-4">
+            <h2 className="text-2xl font-extrabold text-indigo-400 flex items-center justify-center">
+                <RefreshCw className="w-6 h-6 mr-2" />
+                Recalcular Custos
+            </h2>
+            <p className="text-sm text-gray-400">
+                Cada registro guarda o custo de óleo e manutenção do dia em que foi salvo. Depois de mudar os custos de um veículo,
+                aplique os valores atuais aos registros a partir de uma data.
+            </p>
+
+            {recentVersions.length > 0 && (
+                <div>
+                    <p className="text-xs font-medium text-gray-400 mb-1">Alterações das configurações</p>
+                    <div className="flex flex-wrap gap-2">
+                        {recentVersions.map(version => (
+                            <button key={version.id} type="button" onClick={() => updateForm({ fromDate: version.effectiveFrom, confirming: false, message: '' })}
+                                className={`py-1 px-3 rounded-full text-xs font-semibold ${version.effectiveFrom === fromDate ? 'bg-indigo-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}
+                            >
+                                {formatDateKey(version.effectiveFrom)}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            <div>
+                <label className="block text-sm font-medium text-gray-400">Recalcular a partir de</label>
+                <input type="date" value={fromDate} max={todayKey} onChange={(e) => e.target.value && updateForm({ fromDate: e.target.value, confirming: false, message: '' })}
+                    className="mt-1 block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-indigo-500 focus:ring-indigo-500"
+                />
+            </div>
+
+            {isLoadingLogs ? (
+                <p className="text-sm text-gray-400 flex items-center">
+                    <Loader2 className="w-4 h-4 mr-2 animate-spin text-indigo-400" /> Carregando os registros desde {formatDateKey(fromDate)}...
+                </p>
+            ) : recalculation.changes.length > 0 ? (
+                <>
+                    <ul className="max-h-64 overflow-y-auto space-y-1 text-sm">
+                        {recalculation.changes.map(({ log, km, oilCost, maintenanceCost, netDelta }) => (
+                            <li key={log.id} className="flex justify-between bg-gray-700 p-2 rounded-md">
+                                <span className="text-gray-300">
+                                    {formatDateKey(log.date)}
+                                    {vehicles.length > 1 && <span className="ml-2 text-xs text-gray-500">{getVehicleName(getVehicleId(log))}</span>}
+                                    <span className="block text-xs text-gray-500">
+                                        {formatCurrency(log.oilCost + log.maintenanceCost)} → {formatCurrency(oilCost + maintenanceCost)} em {km.toFixed(1)} km
+                                    </span>
+                                </span>
+                                <span className={`font-bold ${netDelta >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                                    {netDelta >= 0 ? '+' : ''}{formatCurrency(netDelta)}
+                                </span>
+                            </li>
+                        ))}
+                    </ul>
+                    <p className="text-sm text-gray-300">
+                        {recalculation.changes.length} registros mudam. Lucro líquido:{' '}
+                        <span className={`font-bold ${recalculation.netDelta >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                            {recalculation.netDelta >= 0 ? '+' : ''}{formatCurrency(recalculation.netDelta)}
+                        </span>
+                    </p>
+                    {costRecalc.confirming ? (
+                        <div className="flex gap-3">
+                            <button type="button" onClick={handleApply} disabled={loading || isLoadingLogs}
+                                className="flex-1 py-2 px-4 rounded-lg font-bold text-white bg-indigo-600 hover:bg-indigo-500"
+                            >
+                                Confirmar
+                            </button>
+                            <button type="button" onClick={() => updateForm({ confirming: false })}
+                                className="flex-1 py-2 px-4 rounded-lg font-bold text-gray-300 bg-gray-600 hover:bg-gray-500"
+                            >
+                                Cancelar
+                            </button>
+                        </div>
+                    ) : (
+                        <button type="button" onClick={() => updateForm({ confirming: true, message: '' })}
+                            className="w-full py-2 px-4 rounded-lg font-bold text-white bg-indigo-600 hover:bg-indigo-500 flex items-center justify-center"
+                        >
+                            <RefreshCw className="w-4 h-4 mr-1" /> Aplicar aos {recalculation.changes.length} registros
+                        </button>
+                    )}
+                </>
+            ) : (
+                <p className="text-sm text-gray-500">Nenhum registro a partir de {formatDateKey(fromDate)} muda com os custos atuais.</p>
+            )}
+            {costRecalc.message && <p className="text-sm text-center text-indigo-300">{costRecalc.message}</p>}
+        </div>
+    );
+};
+
+// Componente: Frota (Entrar com Código de Convite, Compartilhamento e Criação da Frota Própria)
+const FleetSettingsView = ({ config, fleetRiders, isOnline, saveConfig, joinFleet, createFleet, leaveFleet, regenerateFleetInvite, deleteFleet }) => {
+    // Código digitado, compartilhamento escolhido e mensagem de resultado
+    const [fleetForm, setFleetForm] = useState({ inviteCode: '', fleetName: '', share: normalizeFleetShare({ logs: true, km: true, maintenance: true }), busy: false, message: '' });
+    const membership = config.fleetMembership;
+    const updateForm = (changes) => setFleetForm(prev => ({ ...prev, ...changes }));
+    const inputClassName = "mt-1 block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-indigo-500 focus:ring-indigo-500";
+
+    const handleJoin = async (e) => {
+        e.preventDefault();
+        updateForm({ busy: true, message: '' });
+        const errorMessage = await joinFleet(fleetForm.inviteCode, fleetForm.share);
+        updateForm(errorMessage
+            ? { busy: false, message: errorMessage }
+            : { busy: false, inviteCode: '', message: 'Você entrou na frota. Seu resumo será enviado ao dono.' });
+    };
+
+    const handleShareChange = (key, checked) => {
+        if (membership) {
+            saveConfig({ ...config, fleetMembership: { ...membership, share: { ...membership.share, [key]: checked } } });
+        } else {
+            updateForm({ share: { ...fleetForm.share, [key]: checked } });
+        }
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        if (!fleetForm.fleetName.trim()) return;
+        const success = await createFleet(fleetForm.fleetName);
+        updateForm({ fleetName: '', message: success ? 'Frota criada! Envie o código de convite aos entregadores.' : 'Falha ao criar a frota. Tente novamente.' });
+    };
+
+    const copyInviteCode = async () => {
+        try {
+            await navigator.clipboard.writeText(config.fleet.inviteCode);
+            updateForm({ message: 'Código copiado!' });
+        } catch (e) {
+            console.error("Erro ao copiar código:", e);
+            updateForm({ message: 'Não foi possível copiar. Anote o código manualmente.' });
+        }
+    };
+
+    const share = membership ? membership.share : fleetForm.share;
+
+    return (
+        <div className="p-4 mt-8 bg-gray-800 shadow-2xl rounded-xl max-w-lg mx-auto border border-gray-700 space-y-6">
+            <h2 className="text-2xl font-extrabold text-indigo-400 flex items-center justify-center">
+                <Users className="w-6 h-6 mr-2" />
+                Frota
+            </h2>
+
+            {/* Participar de uma Frota */}
+            <div className="p-4 bg-gray-700 rounded-lg shadow-inner space-y-3">
+                <h3 className="font-semibold text-indigo-300 flex items-center">
+                    <Bike className="w-4 h-4 mr-2"/> {membership ? `Participando de ${membership.fleetName || 'uma frota'}` : 'Participar de uma Frota'}
+                </h3>
+                <p className="text-xs text-gray-400">
+                    Quem aluga a moto de um dono de frota pode compartilhar um resumo do mês. Escolha o que o dono pode ver:
+                </p>
+                <div className="space-y-2">
+                    {FLEET_SHARE_OPTIONS.map(option => (
+                        <label key={option.key} className="flex items-center text-sm text-gray-300">
+                            <input type="checkbox" checked={share[option.key]} onChange={(e) => handleShareChange(option.key, e.target.checked)}
+                                className="mr-2 rounded border-gray-600 bg-gray-900 text-indigo-500 focus:ring-indigo-500"
+                            />
+                            {option.label}
+                        </label>
+                    ))}
+                </div>
+                {membership ? (
+                    <button type="button" onClick={leaveFleet} className="w-full py-2 px-4 rounded-lg font-bold text-gray-300 bg-gray-600 hover:bg-red-600 hover:text-white">
+                        Sair da Frota
+                    </button>
+                ) : (
+                    <form onSubmit={handleJoin} className="flex gap-2">
+                        <input type="text" value={fleetForm.inviteCode} onChange={(e) => updateForm({ inviteCode: e.target.value })}
+                            className={`${inputClassName} uppercase tracking-widest`} placeholder="Código de convite" maxLength={FLEET_INVITE_CODE_LENGTH + 2} required
+                        />
+                        <button type="submit" disabled={fleetForm.busy || !isOnline}
+                            className="mt-1 py-2 px-4 rounded-lg font-bold text-white bg-indigo-600 hover:bg-indigo-500 disabled:opacity-50"
+                        >
+                            {fleetForm.busy ? <Loader2 className="w-4 h-4 animate-spin" /> : 'Entrar'}
+                        </button>
+                    </form>
+                )}
+                {!membership && !isOnline && <p className="text-xs text-yellow-400">É preciso estar online para validar o convite.</p>}
+            </div>
+
+            {/* Frota Própria */}
+            <div className="p-4 bg-gray-700 rounded-lg shadow-inner space-y-3">
+                <h3 className="font-semibold text-indigo-300 flex items-center">
+                    <Users className="w-4 h-4 mr-2"/> Sou Dono de Frota
+                </h3>
+                {config.fleet ? (
+                    <>
+                        <p className="text-sm text-gray-300">
+                            {config.fleet.name} — {fleetRiders.length} entregador{fleetRiders.length === 1 ? '' : 'es'}. Acompanhe na aba Frota.
+                        </p>
+                        <div className="flex items-center justify-between bg-gray-900 rounded-lg p-3">
+                            <span className="text-2xl font-mono font-extrabold tracking-widest text-green-400">{config.fleet.inviteCode}</span>
+                            <span className="flex gap-2">
+                                <button type="button" onClick={copyInviteCode} className="p-2 rounded-lg text-gray-400 hover:bg-gray-700 hover:text-indigo-300" aria-label="Copiar código">
+                                    <Copy className="w-4 h-4" />
+                                </button>
+                                <button type="button" onClick={regenerateFleetInvite} className="p-2 rounded-lg text-gray-400 hover:bg-gray-700 hover:text-indigo-300" aria-label="Gerar novo código">
+                                    <RefreshCw className="w-4 h-4" />
+                                </button>
+                            </span>
+                        </div>
+                        <p className="text-xs text-gray-500">Um novo código invalida o anterior; quem já entrou continua na frota.</p>
+                        <button type="button" onClick={deleteFleet} className="w-full text-xs text-gray-500 hover:text-red-400">
+                            Encerrar a frota e apagar os resumos recebidos
+                        </button>
+                    </>
+                ) : (
+                    <form onSubmit={handleCreate} className="flex gap-2">
+                        <input type="text" value={fleetForm.fleetName} onChange={(e) => updateForm({ fleetName: e.target.value })}
+                            className={inputClassName} placeholder="Nome da frota" required
+                        />
+                        <button type="submit" className="mt-1 py-2 px-4 rounded-lg font-bold text-white bg-indigo-600 hover:bg-indigo-500">
+                            Criar
+                        </button>
+                    </form>
+                )}
+            </div>
+
+            {fleetForm.message && <p className="text-sm text-center text-indigo-300">{fleetForm.message}</p>}
+        </div>
+    );
+};
+
+// Datas de um grupo da pré-visualização da importação (as 10 primeiras)
+const DateList = ({ dates, colorClass }) => (
+    <p className={`text-xs ${colorClass} break-words`}>
+        {dates.slice(0, 10).map(formatDateKey).join(', ')}{dates.length > 10 && ` e mais ${dates.length - 10}`}
+    </p>
+);
+
+// Componente: Backup (Exportação JSON/CSV e Importação com Pré-visualização)
+const BackupView = ({ config, logsWindow, fuelLogs, maintenanceRecords, dasPayments, vehicleDocs, totalLogCount, loading, loadAllDailyLogs, importBackup }) => {
+    // Importação em andamento (arquivo lido, modo escolhido e resultado)
+    const [backupImport, setBackupImport] = useState({ file: null, mode: 'merge', overwriteConflicts: false, confirmingReplace: false, message: '' });
+    const { file: importFile, mode: importMode, overwriteConflicts, message } = backupImport;
+    const updateImport = (changes) => setBackupImport(prev => ({ ...prev, ...changes }));
+    // Registros atuais entre a primeira e a última data do arquivo, comparados a cada render
+    const importDates = importFile && importFile.backup ? importFile.backup.dailyLogs.map(log => log.date).sort() : [];
+    const importFrom = importDates[0] || '';
+    const importTo = importDates[importDates.length - 1] || '';
+    const importRange = useMemo(() => ({ from: importFrom, to: importTo }), [importFrom, importTo]);
+    const { logs: existingLogs, isLoading: isLoadingLogs } = useDailyLogsInRange(logsWindow, importRange);
+    const classification = importFile && importFile.backup ? classifyImportedLogs(existingLogs, importFile.backup.dailyLogs) : null;
+
+    const fileStamp = getTodayKey();
+
+    // As exportações leem todos os registros, não só os da janela carregada
+    const exportJson = async () => {
+        const allLogs = await loadAllDailyLogs();
+        if (!allLogs) return;
+        const backup = buildBackup(config, allLogs, { fuelLogs, maintenanceRecords, dasPayments, vehicles: vehicleDocs });
+        downloadFile(JSON.stringify(backup, null, 2), `rota-max-backup-${fileStamp}.json`, 'application/json');
+    };
+
+    const exportCsv = async () => {
+        const allLogs = await loadAllDailyLogs();
+        if (!allLogs) return;
+        // BOM para o Excel reconhecer UTF-8 (acentos)
+        downloadFile('﻿' + dailyLogsToCsv(allLogs, config.earningSources), `rota-max-registros-${fileStamp}.csv`, 'text/csv;charset=utf-8');
+    };
+
+    const handleFileChange = (event) => {
+        updateImport({ message: '', confirmingReplace: false });
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onloadend = () => {
+            let data = null;
+            try {
+                data = JSON.parse(reader.result);
+            } catch {
+                updateImport({ file: { name: file.name, backup: null, errors: ['O arquivo não é um JSON válido.'] } });
+                return;
+            }
+            const { errors, backup } = validateBackup(data);
+            updateImport({ file: { name: file.name, backup, errors } });
+        };
+        reader.onerror = () => {
+            updateImport({ file: { name: file.name, backup: null, errors: ['Não foi possível ler o arquivo.'] } });
+        };
+        reader.readAsText(file);
+        event.target.value = null; // Permite escolher o mesmo arquivo novamente
+    };
+
+    const handleImport = async () => {
+        // Substituir tudo exige um segundo toque para confirmar
+        if (importMode === 'replace' && !backupImport.confirmingReplace) {
+            updateImport({ confirmingReplace: true });
+            return;
+        }
+        const success = await importBackup(importFile.backup, importMode, overwriteConflicts, existingLogs);
+        updateImport(success
+            ? { file: null, confirmingReplace: false, message: 'Backup importado com sucesso!' }
+            : { confirmingReplace: false, message: 'Falha ao importar o backup. Tente novamente.' });
+    };
+
+    return (
+        <div className="p-4 mt-8 bg-gray-800 shadow-2xl rounded-xl max-w-lg mx-auto border border-gray-700 space-y-6">
+            <h2 className="text-2xl font-extrabold text-indigo-400 flex items-center justify-center">
+                <DatabaseBackup className="w-6 h-6 mr-2" />
+                Backup dos Dados
+            </h2>
+
+            {/* Exportar */}
+            <div className="p-4 bg-gray-700 rounded-lg shadow-inner">
+                <h3 className="font-semibold text-indigo-300 mb-3 flex items-center">
+                    <Download className="w-4 h-4 mr-2"/> Exportar
+                </h3>
+                <p className="text-xs text-gray-400 mb-3">
+                    {totalLogCount} registros, {fuelLogs.length} abastecimentos, {maintenanceRecords.length} manutenções e {dasPayments.length} pagamentos do DAS.
+                </p>
+                <div className="grid grid-cols-2 gap-3">
+                    <button type="button" onClick={exportJson} className="py-2 px-4 rounded-lg font-bold text-white bg-indigo-600 hover:bg-indigo-500">
+                        Backup (JSON)
+                    </button>
+                    <button type="button" onClick={exportCsv} disabled={totalLogCount === 0} className="py-2 px-4 rounded-lg font-bold text-white bg-green-600 hover:bg-green-500 disabled:opacity-50">
+                        Planilha (CSV)
+                    </button>
+                </div>
+                <p className="text-xs text-gray-500 mt-2">O JSON restaura tudo, inclusive as configurações. O CSV é só para planilhas.</p>
+            </div>
+
+            {/* Importar */}
+            <div className="p-4 bg-gray-700 rounded-lg shadow-inner space-y-3">
+                <h3 className="font-semibold text-indigo-300 flex items-center">
+                    <Upload className="w-4 h-4 mr-2"/> Importar Backup
+                </h3>
+                <input type="file" accept="application/json,.json" onChange={handleFileChange}
+                    className="block w-full text-sm text-gray-400 
+                    file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 
+                    file:text-sm file:font-semibold file:bg-indigo-600 file:text-white 
+                    hover:file:bg-indigo-500 file:cursor-pointer bg-gray-900 rounded-lg p-1"
+                />
+
+                {importFile && importFile.errors.length > 0 && (
+                    <div className="p-3 rounded-md bg-red-900/40 border border-red-500/50 text-sm text-red-300 space-y-1">
+                        {importFile.errors.slice(0, 5).map(error => <p key={error}>{error}</p>)}
+                        {importFile.errors.length > 5 && <p>... e mais {importFile.errors.length - 5} erro(s).</p>}
+                        {importFile.backup && <p className="text-xs text-red-200">Os itens inválidos serão ignorados.</p>}
+                    </div>
+                )}
+
+                {importFile && importFile.backup && (
+                    <div className="space-y-3 text-sm text-gray-300">
+                        <p>
+                            <span className="font-semibold">{importFile.name}</span>
+                            {importFile.backup.exportedAt && <> — exportado em {new Date(importFile.backup.exportedAt).toLocaleString('pt-BR')}</>}
+                        </p>
+                        <div className="space-y-2">
+                            <p className="text-green-400 font-semibold">Datas novas: {classification.newDates.length}</p>
+                            <DateList dates={classification.newDates} colorClass="text-gray-400" />
+                            <p className="text-gray-400 font-semibold">Duplicadas (serão ignoradas): {classification.duplicateDates.length}</p>
+                            <p className="text-yellow-400 font-semibold">Conflitantes (valores diferentes): {classification.conflictDates.length}</p>
+                            <DateList dates={classification.conflictDates} colorClass="text-yellow-300" />
+                        </div>
+
+                        <div className="flex gap-4">
+                            <label className="flex items-center">
+                                <input type="radio" name="importMode" value="merge" checked={importMode === 'merge'} onChange={() => updateImport({ mode: 'merge', confirmingReplace: false })} className="mr-2" />
+                                Mesclar
+                            </label>
+                            <label className="flex items-center">
+                                <input type="radio" name="importMode" value="replace" checked={importMode === 'replace'} onChange={() => updateImport({ mode: 'replace' })} className="mr-2" />
+                                Substituir tudo
+                            </label>
+                        </div>
+                        {importMode === 'merge' ? (
+                            <label className="flex items-center text-xs text-gray-400">
+                                <input type="checkbox" checked={overwriteConflicts} onChange={(e) => updateImport({ overwriteConflicts: e.target.checked })} className="mr-2" />
+                                Nas datas conflitantes, usar os registros do arquivo
+                            </label>
+                        ) : (
+                            <p className="text-xs text-red-300">
+                                Todos os registros, abastecimentos, manutenções e configurações atuais serão apagados e trocados pelo arquivo.
+                            </p>
+                        )}
+
+                        <div className="grid grid-cols-2 gap-3">
+                            <button type="button" onClick={handleImport} disabled={loading || isLoadingLogs}
+                                className={`py-2 px-4 rounded-lg font-bold text-white disabled:opacity-50 ${importMode === 'replace' ? 'bg-red-600 hover:bg-red-500' : 'bg-indigo-600 hover:bg-indigo-500'}`}
+                            >
+                                {loading ? 'Importando...' : isLoadingLogs ? 'Carregando registros...' : (backupImport.confirmingReplace ? 'Confirmar Substituição' : 'Importar')}
+                            </button>
+                            <button type="button" onClick={() => updateImport({ file: null, confirmingReplace: false })} className="py-2 px-4 rounded-lg font-bold text-gray-300 bg-gray-600 hover:bg-gray-500">
+                                Cancelar
+                            </button>
+                        </div>
+                    </div>
+                )}
+                {message && <p className={`text-center text-sm font-semibold ${message.includes('sucesso') ? 'text-green-400' : 'text-red-400'}`}>{message}</p>}
+            </div>
+        </div>
+    );
+};
+
+// Componente: Turno ao Vivo (Cronômetro, Pausas e Ganhos Lançados Durante o Turno)
+const LiveShiftView = ({ config, activeShift, gpsTrack, gpsError, knownNeighborhoods, saveActiveShift, clearActiveShift }) => {
+    const [now, setNow] = useState(Date.now());
+    const [sourceId, setSourceId] = useState(config.earningSources[0]?.id || TIPS_SOURCE.id);
+    const [amount, setAmount] = useState('');
+    const [rideDetails, setRideDetails] = useState({ tip: '', distanceKm: '', pickup: '', dropoff: '' }); // Detalhes opcionais da corrida
+    const [confirmingCancel, setConfirmingCancel] = useState(false);
+
+    // Atualiza o cronômetro a cada segundo
+    useEffect(() => {
+        const interval = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(interval);
+    }, []);
+
+    const entries = activeShift.entries || [];
+    const isPaused = !!activeShift.pausedAt;
+    const workedMs = getShiftWorkedMs(activeShift, now);
+    const grossTotal = entries.reduce((sum, entry) => sum + entry.amount + (parseFloat(entry.tip) || 0), 0);
+    const isTipEntry = sourceId === TIPS_SOURCE.id;
+    const goalProgress = config.dailyGoal > 0 ? Math.min(grossTotal / config.dailyGoal, 1) : 0;
+    const sources = [...config.earningSources, TIPS_SOURCE];
+    const sourceNames = Object.fromEntries(sources.map(source => [source.id, source.name]));
+    const gpsKm = gpsTrack.distanceKm || normalizeRoute(activeShift.gpsTrack)?.distanceKm || 0;
+
+    const handleAddEntry = async (e) => {
+        e.preventDefault();
+        const value = parseFloat(amount);
+        if (!(value > 0)) return;
+        const entry = { id: Date.now().toString(36), sourceId, amount: value, time: Date.now() };
+        if (!isTipEntry) {
+            const tip = parseFloat(rideDetails.tip);
+            const distanceKm = parseFloat(rideDetails.distanceKm);
+            if (tip > 0) entry.tip = tip;
+            if (distanceKm > 0) entry.distanceKm = distanceKm;
+            if (rideDetails.pickup.trim()) entry.pickup = rideDetails.pickup.trim();
+            if (rideDetails.dropoff.trim()) entry.dropoff = rideDetails.dropoff.trim();
+        }
+        const success = await saveActiveShift({ ...activeShift, entries: [...entries, entry] });
+        if (success) {
+            setAmount('');
+            setRideDetails({ tip: '', distanceKm: '', pickup: '', dropoff: '' });
+        }
+    };
+
+    const handleRideDetailChange = (field, value) => setRideDetails(prev => ({ ...prev, [field]: value }));
+
+    const removeEntry = (entryId) => {
+        saveActiveShift({ ...activeShift, entries: entries.filter(entry => entry.id !== entryId) });
+    };
+
+    const togglePause = () => {
+        const timestamp = Date.now();
+        if (isPaused) {
+            saveActiveShift({ ...activeShift, pausedAt: null, pausedMs: (activeShift.pausedMs || 0) + (timestamp - activeShift.pausedAt) });
+        } else {
+            saveActiveShift({ ...activeShift, pausedAt: timestamp });
+        }
+    };
+
+    // Ao encerrar, o turno vira um rascunho do Registro Diário (com a rota completa, se o GPS estava ligado)
+    const endShift = () => {
+        const timestamp = Date.now();
+        const pausedMs = (activeShift.pausedMs || 0) + (isPaused ? timestamp - activeShift.pausedAt : 0);
+        const finalTrack = gpsTrack.points.length > 1 ? { gpsTrack: { ...toStoredRoute(gpsTrack), savedAt: timestamp } } : {};
+        saveActiveShift({ ...activeShift, ...finalTrack, pausedAt: null, pausedMs, endedAt: timestamp });
+    };
+
+    // Ao desligar, grava o trajeto até aqui (ele continua valendo para o registro do dia)
+    const toggleGps = () => {
+        const finalTrack = activeShift.gpsEnabled && gpsTrack.points.length > 1 ? { gpsTrack: { ...toStoredRoute(gpsTrack), savedAt: Date.now() } } : {};
+        saveActiveShift({ ...activeShift, ...finalTrack, gpsEnabled: !activeShift.gpsEnabled });
+    };
+
+    return (
+        <div className="p-4 bg-gray-800 shadow-2xl rounded-xl max-w-lg mx-auto border border-gray-700 space-y-6">
+            {/* Título Centralizado */}
+            <h2 className="text-3xl font-extrabold text-indigo-400 flex items-center justify-center">
+                <Timer className="w-6 h-6 mr-2" />
+                Turno ao Vivo
+            </h2>
+
+            {/* Cronômetro */}
+            <div className="text-center">
+                <p className={`text-5xl font-extrabold tabular-nums ${isPaused ? 'text-yellow-400' : 'text-gray-100'}`}>{formatDuration(workedMs)}</p>
+                <p className="text-sm text-gray-400 mt-1">
+                    Iniciado às {toTimeKey(activeShift.startedAt)}{isPaused && ' — Pausado'}
+                </p>
+            </div>
+
+            {/* Ganhos x Meta */}
+            <div className="p-4 bg-gray-700 rounded-lg">
+                <div className="flex justify-between text-lg">
+                    <span className="text-green-400 font-semibold">Bruto no Turno:</span>
+                    <span className="font-extrabold text-gray-100">{formatCurrency(grossTotal)}</span>
+                </div>
+                {config.dailyGoal > 0 && (
+                    <>
+                        <div className="w-full h-3 bg-gray-800 rounded-full mt-3">
+                            <div className={`h-3 rounded-full ${goalProgress >= 1 ? 'bg-green-500' : 'bg-indigo-500'}`} style={{ width: `${goalProgress * 100}%` }} />
+                        </div>
+                        <p className="text-xs text-gray-400 mt-1">
+                            {(goalProgress * 100).toFixed(0)}% da meta diária de {formatCurrency(config.dailyGoal)} (custos descontados ao registrar o dia)
+                        </p>
+                    </>
+                )}
+                {workedMs > 0 && grossTotal > 0 && (
+                    <p className="text-xs text-gray-400 mt-1">{formatCurrency(grossTotal / (workedMs / 3600000))}/hora bruto</p>
+                )}
+            </div>
+
+            {/* Rota por GPS (opcional) */}
+            <div className="p-4 bg-gray-700 rounded-lg">
+                <div className="flex items-center justify-between">
+                    <span className="text-sm font-semibold text-gray-300 flex items-center">
+                        <Navigation className="w-4 h-4 mr-1 text-indigo-400"/> Km por GPS
+                    </span>
+                    <button type="button" onClick={toggleGps}
+                        className={`py-1 px-3 rounded-lg text-xs font-bold text-white ${activeShift.gpsEnabled ? 'bg-indigo-600 hover:bg-indigo-500' : 'bg-gray-600 hover:bg-gray-500'}`}
+                    >
+                        {activeShift.gpsEnabled ? 'Ligado' : 'Desligado'}
+                    </button>
+                </div>
+                {activeShift.gpsEnabled || gpsKm > 0 ? (
+                    <p className="text-lg font-extrabold text-gray-100 mt-2">
+                        {gpsKm.toFixed(1)} km
+                        {gpsKm > 0 && grossTotal > 0 && <span className="text-xs text-gray-400 font-normal ml-2">{formatCurrency(grossTotal / gpsKm)}/km bruto</span>}
+                    </p>
+                ) : (
+                    <p className="text-xs text-gray-400 mt-2">Ligue para somar os km rodados pela localização do aparelho. A tela precisa ficar aberta durante o turno.</p>
+                )}
+                {activeShift.gpsEnabled && isPaused && <p className="text-xs text-yellow-400 mt-1">Rastreamento parado durante a pausa.</p>}
+                {activeShift.gpsEnabled && gpsError && <p className="text-xs text-red-400 mt-1">{gpsError}</p>}
+            </div>
+
+            {/* Lançar Ganho */}
+            <form onSubmit={handleAddEntry} className="grid grid-cols-2 gap-3">
+                <select value={sourceId} onChange={(e) => setSourceId(e.target.value)}
+                    className="block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-green-500 focus:ring-green-500"
+                >
+                    {sources.map(source => (
+                        <option key={source.id} value={source.id}>{source.name}</option>
+                    ))}
+                </select>
+                <input type="number" value={amount} onChange={(e) => setAmount(e.target.value)}
+                    className="block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-green-500 focus:ring-green-500"
+                    step="0.01" min="0" placeholder="R$" required
+                />
+                {!isTipEntry && (
+                    <>
+                        <datalist id="live-neighborhoods">
+                            {knownNeighborhoods.map(name => <option key={name} value={name} />)}
+                        </datalist>
+                        <input type="number" value={rideDetails.tip} onChange={(e) => handleRideDetailChange('tip', e.target.value)}
+                            className="block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 text-sm focus:border-green-500 focus:ring-green-500"
+                            step="0.01" min="0" placeholder="Gorjeta (opcional)"
+                        />
+                        <input type="number" value={rideDetails.distanceKm} onChange={(e) => handleRideDetailChange('distanceKm', e.target.value)}
+                            className="block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 text-sm focus:border-green-500 focus:ring-green-500"
+                            step="0.1" min="0" placeholder="Km (opcional)"
+                        />
+                        <input type="text" value={rideDetails.pickup} onChange={(e) => handleRideDetailChange('pickup', e.target.value)}
+                            className="block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 text-sm focus:border-green-500 focus:ring-green-500"
+                            placeholder="Bairro de coleta" list="live-neighborhoods"
+                        />
+                        <input type="text" value={rideDetails.dropoff} onChange={(e) => handleRideDetailChange('dropoff', e.target.value)}
+                            className="block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 text-sm focus:border-green-500 focus:ring-green-500"
+                            placeholder="Bairro de entrega" list="live-neighborhoods"
+                        />
+                    </>
+                )}
+                <button type="submit" className="col-span-2 py-2 px-4 rounded-lg font-bold text-white bg-green-600 hover:bg-green-500 flex items-center justify-center">
+                    <Plus className="w-4 h-4 mr-1"/> Lançar Ganho
+                </button>
+            </form>
+
+            {entries.length > 0 && (
+                <ul className="space-y-2">
+                    {[...entries].reverse().map(entry => (
+                        <li key={entry.id} className="flex items-center justify-between bg-gray-700 p-2 rounded-lg text-sm">
+                            <span className="text-gray-300">
+                                {toTimeKey(entry.time)} — {sourceNames[entry.sourceId] || entry.sourceId}
+                                {(entry.pickup || entry.dropoff) && <span className="block text-xs text-gray-500">{entry.pickup || '?'} → {entry.dropoff || '?'}</span>}
+                                {entry.distanceKm > 0 && <span className="block text-xs text-gray-500">{entry.distanceKm} km</span>}
+                            </span>
+                            <span className="flex items-center">
+                                <span className="font-bold text-green-400 mr-2">
+                                    {formatCurrency(entry.amount)}
+                                    {entry.tip > 0 && <span className="block text-xs text-yellow-400 font-normal text-right">+ {formatCurrency(entry.tip)}</span>}
+                                </span>
+                                <button onClick={() => removeEntry(entry.id)} className="p-1 rounded text-gray-400 hover:text-red-400" aria-label="Remover ganho">
+                                    <X className="w-4 h-4" />
+                                </button>
+                            </span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {/* Controles do Turno */}
+            <div className="grid grid-cols-2 gap-3">
+                <button onClick={togglePause}
+                    className="py-3 px-4 rounded-lg font-bold text-white bg-yellow-600 hover:bg-yellow-500 flex items-center justify-center"
+                >
+                    {isPaused ? <><Play className="w-5 h-5 mr-1"/> Retomar</> : <><Pause className="w-5 h-5 mr-1"/> Pausar</>}
+                </button>
+                <button onClick={endShift}
+                    className="py-3 px-4 rounded-lg font-bold text-white bg-red-600 hover:bg-red-500 flex items-center justify-center"
+                >
+                    <Square className="w-5 h-5 mr-1"/> Encerrar
+                </button>
+            </div>
+            {confirmingCancel ? (
+                <div className="flex gap-3 text-sm">
+                    <button onClick={clearActiveShift} className="flex-1 py-2 rounded-lg font-bold text-white bg-red-700 hover:bg-red-600">Descartar turno</button>
+                    <button onClick={() => setConfirmingCancel(false)} className="flex-1 py-2 rounded-lg font-bold text-gray-300 bg-gray-600 hover:bg-gray-500">Manter</button>
+                </div>
+            ) : (
+                <button onClick={() => setConfirmingCancel(true)} className="w-full text-xs text-gray-500 hover:text-red-400">
+                    Cancelar turno sem registrar
+                </button>
+            )}
+        </div>
+    );
+};
+
+// Componente: Comprovante de Renda (Mês Escolhido ou Últimos Meses, Impressão e PDF)
+const IncomeStatementView = ({ config, summaryLogs, fuelLogs, getVehicleName }) => {
+    // Último mês e quantidade de meses do comprovante
+    const [incomeStatementForm, setIncomeStatementForm] = useState(() => ({ endMonth: getTodayKey().slice(0, 7), months: 1, message: '' }));
+    const todayKey = getTodayKey(config.workDayStartHour);
+    const statement = useMemo(
+        () => getIncomeStatement(summaryLogs, fuelLogs, config, incomeStatementForm.endMonth, incomeStatementForm.months, todayKey),
+        [summaryLogs, fuelLogs, config, incomeStatementForm, todayKey]
+    );
+    const header = {
+        name: config.username || 'Entregador',
+        vehicles: statement.vehicleIds.map(getVehicleName).join(', '),
+        issuedOn: todayKey,
+    };
+    const fileName = `comprovante-de-renda-${statement.range ? `${statement.range.from}-a-${statement.range.to}` : incomeStatementForm.endMonth}`;
+
+    const handleChange = (field, value) => setIncomeStatementForm(prev => ({ ...prev, [field]: value, message: '' }));
+
+    // Abre a página do comprovante em outra janela e chama a impressão (funciona sem internet)
+    const printStatement = () => {
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            setIncomeStatementForm(prev => ({ ...prev, message: 'Libere as janelas pop-up para imprimir o comprovante.' }));
+            return;
+        }
+        printWindow.document.write(incomeStatementToHtml(statement, header));
+        printWindow.document.close();
+        printWindow.focus();
+        printWindow.print();
+    };
+
+    const downloadPdf = () => {
+        downloadFile(incomeStatementToPdf(statement, header), `${fileName}.pdf`, 'application/pdf');
+    };
+
+    return (
+        <div className="p-4 max-w-4xl mx-auto">
+            <div className="bg-gray-800 p-6 rounded-xl shadow-2xl border-t-4 border-green-500 space-y-4">
+                <h3 className="text-xl font-semibold text-gray-100 flex items-center">
+                    <FileText className="w-5 h-5 mr-2 text-green-400" /> Comprovante de Renda
+                </h3>
+                <p className="text-sm text-gray-400">
+                    Para apresentar a imobiliárias, bancos e financeiras: rendimento bruto, custos e líquido de cada mês, com dias trabalhados e médias.
+                </p>
+                <div className="grid grid-cols-2 gap-3">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-400">Até o Mês</label>
+                        <input type="month" value={incomeStatementForm.endMonth} max={todayKey.slice(0, 7)} onChange={(e) => e.target.value && handleChange('endMonth', e.target.value)}
+                            className="mt-1 block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-green-500 focus:ring-green-500"
+                        />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-400">Período</label>
+                        <select value={incomeStatementForm.months} onChange={(e) => handleChange('months', parseInt(e.target.value))}
+                            className="mt-1 block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-green-500 focus:ring-green-500"
+                        >
+                            {INCOME_STATEMENT_MONTH_OPTIONS.map(months => (
+                                <option key={months} value={months}>{months === 1 ? 'Somente este mês' : `Últimos ${months} meses`}</option>
+                            ))}
+                        </select>
+                    </div>
+                </div>
+
+                {statement.rows.length > 0 ? (
+                    <>
+                        <div className="overflow-x-auto">
+                            <table className="w-full text-sm text-left">
+                                <thead className="text-gray-400 border-b border-gray-700">
+                                    <tr>
+                                        <th className="py-2 pr-2">Mês</th>
+                                        <th className="py-2 px-2 text-right">Dias</th>
+                                        <th className="py-2 px-2 text-right">Bruto</th>
+                                        <th className="py-2 px-2 text-right">Custos</th>
+                                        <th className="py-2 pl-2 text-right">Líquido</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {statement.rows.map(month => (
+                                        <tr key={month.competence} className="border-b border-gray-700/50 text-gray-300">
+                                            <td className="py-2 pr-2">{month.label}</td>
+                                            <td className="py-2 px-2 text-right">{month.daysWorked}</td>
+                                            <td className="py-2 px-2 text-right text-green-400">{formatCurrency(month.gross)}</td>
+                                            <td className="py-2 px-2 text-right text-red-400">{formatCurrency(month.costs)}</td>
+                                            <td className="py-2 pl-2 text-right font-semibold">{formatCurrency(month.net)}</td>
+                                        </tr>
+                                    ))}
+                                    <tr className="font-bold text-gray-100">
+                                        <td className="py-2 pr-2">Total</td>
+                                        <td className="py-2 px-2 text-right">{statement.totals.daysWorked}</td>
+                                        <td className="py-2 px-2 text-right">{formatCurrency(statement.totals.gross)}</td>
+                                        <td className="py-2 px-2 text-right">{formatCurrency(statement.totals.costs)}</td>
+                                        <td className="py-2 pl-2 text-right">{formatCurrency(statement.totals.net)}</td>
+                                    </tr>
+                                </tbody>
+                            </table>
+                        </div>
+                        <p className="text-sm text-gray-400">
+                            Média mensal: {formatCurrency(statement.averages.netPerMonth)} líquido em {statement.averages.daysPerMonth.toFixed(1)} dias — {formatCurrency(statement.averages.netPerDay)} por dia trabalhado.
+                        </p>
+                        {!config.username && <p className="text-xs text-yellow-400">Informe seu nome nas Configurações para ele aparecer no comprovante.</p>}
+                        <div className="grid grid-cols-2 gap-3">
+                            <button type="button" onClick={printStatement}
+                                className="py-2 px-4 rounded-lg font-bold text-white bg-indigo-600 hover:bg-indigo-500 flex items-center justify-center"
+                            >
+                                <Printer className="w-4 h-4 mr-1" /> Imprimir
+                            </button>
+                            <button type="button" onClick={downloadPdf}
+                                className="py-2 px-4 rounded-lg font-bold text-white bg-green-600 hover:bg-green-500 flex items-center justify-center"
+                            >
+                                <Download className="w-4 h-4 mr-1" /> Baixar PDF
+                            </button>
+                        </div>
+                    </>
+                ) : (
+                    <p className="text-sm text-gray-500">Nenhum mês do período escolhido já começou.</p>
+                )}
+                {incomeStatementForm.message && <p className="text-sm text-yellow-400">{incomeStatementForm.message}</p>}
+            </div>
+        </div>
+    );
+};
+
+// Componente: Rota do Dia (Desenho do Trajeto do GPS, sem Serviço de Mapas Externo)
+const RouteMap = ({ route }) => {
+    const points = getRoutePoints(route);
+    const width = 300;
+    const height = 200;
+    const padding = 12;
+    // Projeção plana: a longitude encolhe com o cosseno da latitude, mantendo as proporções do trajeto
+    const lngScale = Math.cos(points[0].lat * Math.PI / 180);
+    const xs = points.map(point => point.lng * lngScale);
+    const ys = points.map(point => -point.lat);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    const spanX = Math.max(...xs) - minX;
+    const spanY = Math.max(...ys) - minY;
+    const scale = Math.min((width - 2 * padding) / (spanX || 1), (height - 2 * padding) / (spanY || 1));
+    const offsetX = (width - spanX * scale) / 2;
+    const offsetY = (height - spanY * scale) / 2;
+    const projected = xs.map((x, index) => [offsetX + (x - minX) * scale, offsetY + (ys[index] - minY) * scale]);
+    const start = projected[0];
+    const end = projected[projected.length - 1];
+
+    return (
+        <div className="w-full">
+            <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-48 bg-gray-900 rounded-lg border border-gray-700">
+                <polyline points={projected.map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' ')}
+                    fill="none" stroke="#818cf8" strokeWidth="2" strokeLinejoin="round" strokeLinecap="round"
+                />
+                <circle cx={start[0]} cy={start[1]} r="4" fill="#22c55e" />
+                <circle cx={end[0]} cy={end[1]} r="4" fill="#ef4444" />
+            </svg>
+            <p className="text-xs text-gray-500 mt-1 flex items-center">
+                <MapPin className="w-3 h-3 mr-1 text-green-500"/> Início
+                <MapPin className="w-3 h-3 ml-3 mr-1 text-red-500"/> Fim
+                <span className="ml-auto">{route.distanceKm.toFixed(1)} km por GPS</span>
+            </p>
+        </div>
+    );
+};
+
+// Componente: Histórico (Calendário do Mês, Edição e Exclusão de Registros)
+const HistoryView = ({ config, logsWindow, fuelLogs, maintenanceRecords, vehicles, activeVehicle, knownNeighborhoods, loading, historyMonth, setHistoryMonth, historySelectedDate, setHistorySelectedDate, lastDeletedLog, getVehicleName, updateDailyLog, deleteDailyLog, restoreDeletedLog }) => {
+    const [editingLogId, setEditingLogId] = useState(null);
+    const [editData, setEditData] = useState(null);
+    const [editErrors, setEditErrors] = useState([]); // Valores fora dos limites aceitos
+    const [logToDelete, setLogToDelete] = useState(null);
+    const [routeLogId, setRouteLogId] = useState(null); // Registro com a rota do GPS aberta
+
+    const todayKey = getTodayKey(config.workDayStartHour);
+    const monthKey = toDateKey(historyMonth).slice(0, 7); // 'YYYY-MM'
+
+    // O histórico é lido mês a mês: um mês antes da janela carregada pelo App lê só os próprios registros
+    const monthRange = useMemo(() => ({
+        from: toDateKey(historyMonth),
+        to: toDateKey(new Date(historyMonth.getFullYear(), historyMonth.getMonth() + 1, 0)),
+    }), [historyMonth]);
+    const { logs: monthLogs, isLoading: isLoadingMonth } = useDailyLogsInRange(logsWindow, monthRange);
+
+    const logsByDate = useMemo(() => groupLogsByDate(monthLogs), [monthLogs]);
+
+    // Células do calendário (Segunda a Domingo), com espaços vazios antes do dia 1
+    const calendarCells = useMemo(() => {
+        const year = historyMonth.getFullYear();
+        const month = historyMonth.getMonth();
+        const daysInMonth = new Date(year, month + 1, 0).getDate();
+        const leadingBlanks = (new Date(year, month, 1).getDay() + 6) % 7;
+
+        const cells = Array(leadingBlanks).fill(null);
+        for (let day = 1; day <= daysInMonth; day++) {
+            cells.push(new Date(year, month, day));
+        }
+        return cells;
+    }, [historyMonth]);
+
+    // Resumo do mês exibido. O líquido do mês usa os abastecimentos, como os relatórios; o de cada dia (no calendário
+    // e nos registros) usa o combustível estimado por km, já que um abastecimento cobre vários dias.
+    const monthSummary = useMemo(() => {
+        const { netProfit } = summarizePeriod(monthLogs, fuelLogs, monthRange, config.dailyGoal);
+        let daysLogged = 0;
+        let daysMetGoal = 0;
+        let missingWorkDays = 0;
+
+        calendarCells.forEach(cellDate => {
+            if (!cellDate) return;
+            const key = toDateKey(cellDate);
+            const day = logsByDate[key];
+            if (day) {
+                daysLogged++;
+                if (config.dailyGoal > 0 && day.netProfit >= config.dailyGoal) daysMetGoal++;
+            } else if (key <= todayKey && isWorkDay(cellDate, config.workDaysPerWeek)) {
+                missingWorkDays++;
+            }
+        });
+
+        return { netProfit, daysLogged, daysMetGoal, missingWorkDays };
+    }, [calendarCells, logsByDate, monthLogs, fuelLogs, monthRange, todayKey, config.dailyGoal, config.workDaysPerWeek]);
+
+    // Registros listados: do dia selecionado ou de todo o mês
+    const visibleLogs = historySelectedDate
+        ? (logsByDate[historySelectedDate]?.logs || [])
+        : monthLogs.filter(log => log.date && log.date.startsWith(monthKey));
+
+    // Comprovantes de abastecimentos e manutenções, exibidos no registro do mesmo dia e veículo
+    const receiptsByDay = useMemo(() => {
+        const grouped = {};
+        [...fuelLogs, ...maintenanceRecords].filter(item => item.receiptUrl).forEach(item => {
+            const key = `${item.date}|${getVehicleId(item)}`;
+            (grouped[key] = grouped[key] || []).push(item);
+        });
+        return grouped;
+    }, [fuelLogs, maintenanceRecords]);
+
+    const changeMonth = (offset) => {
+        setHistoryMonth(new Date(historyMonth.getFullYear(), historyMonth.getMonth() + offset, 1));
+        setHistorySelectedDate(null);
+    };
+
+    const handleDayClick = (key) => {
+        setHistorySelectedDate(historySelectedDate === key ? null : key);
+    };
+
+    const startEditing = (log) => {
+        setEditingLogId(log.id);
+        setEditData({
+            date: log.date,
+            profit: log.profit,
+            gasolineCost: log.gasolineCost,
+            oilCost: log.oilCost,
+            maintenanceCost: log.maintenanceCost,
+            startOdometer: log.startOdometer || '',
+            endOdometer: log.endOdometer || '',
+            kmRidden: log.kmRidden,
+            earnings: log.earnings,
+            // Com corridas, o campo de gorjetas guarda só as avulsas
+            tips: (log.rides || []).length > 0 ? (log.tips - sumRideTips(log.rides)) || '' : log.tips || '',
+            rides: log.rides || [],
+            expenses: log.expenses || [],
+            hoursWorked: log.hoursWorked || '',
+            startTime: log.startTime || '',
+            vehicleId: getVehicleId(log),
+            route: log.route,
+            settingsVersionId: log.settingsVersionId,
+            // Registros detalhados por plataforma têm o bruto calculado pelas fontes
+            isSplit: Object.keys(log.earnings).length > 0 || log.tips > 0 || (log.rides || []).length > 0,
+        });
+    };
+
+    const cancelEditing = () => {
+        setEditingLogId(null);
+        setEditData(null);
+        setEditErrors([]);
+    };
+
+    const editingLog = monthLogs.find(log => log.id === editingLogId);
+
+    const handleEditChange = (e) => {
+        const { name, value } = e.target;
+        setEditData(prev => {
+            const next = { ...prev, [name]: value };
+            // Ao corrigir o hodômetro, recalcula os km e a manutenção amortizada
+            // (também ao trocar o veículo, usando os custos do veículo do registro)
+            if (name === 'startOdometer' || name === 'endOdometer' || name === 'vehicleId') {
+                const start = parseFloat(next.startOdometer);
+                const end = parseFloat(next.endOdometer);
+                next.kmRidden = start >= 0 && end > start ? end - start : 0;
+                const logVehicleId = getVehicleId(next);
+                const logVehicle = vehicles.find(vehicle => vehicle.id === logVehicleId) || activeVehicle;
+                const costedKm = getCostedKm(next.kmRidden, next.route);
+                const costs = calculateMaintenanceCosts(logVehicle, costedKm);
+                next.oilCost = costs.oilCost.toFixed(2);
+                next.maintenanceCost = costs.maintenanceCost.toFixed(2);
+                if (editingLog?.fuelCostEstimated) {
+                    const { costPerKm } = getFuelStats(filterByVehicle(fuelLogs, logVehicleId));
+                    next.gasolineCost = (costedKm * costPerKm).toFixed(2);
+                }
+            }
+            return next;
+        });
+    };
+
+    const handleEditEarningChange = (sourceId, value) => {
+        setEditData(prev => {
+            const earnings = { ...prev.earnings, [sourceId]: value };
+            return { ...prev, earnings, profit: sumEarnings(earnings, prev.tips) };
+        });
+    };
+
+    const handleEditTipsChange = (e) => {
+        const tips = e.target.value;
+        setEditData(prev => ({
+            ...prev,
+            tips,
+            profit: prev.rides.length > 0 ? getDayTotalsFromRides(prev.rides, tips).profit : sumEarnings(prev.earnings, tips),
+        }));
+    };
+
+    // Com corridas, o rendimento por plataforma passa a ser calculado por elas
+    const handleEditRidesChange = (rides) => {
+        setEditData(prev => {
+            if (rides.length === 0) return { ...prev, rides, profit: sumEarnings(prev.earnings, prev.tips) };
+            const totals = getDayTotalsFromRides(rides, prev.tips);
+            return { ...prev, rides, earnings: totals.earnings, profit: totals.profit, isSplit: true };
+        });
+    };
+
+    // Fontes exibidas na edição: as configuradas + as que já existem no registro
+    const editSources = editData ? [
+        ...config.earningSources,
+        ...Object.keys(editData.earnings)
+            .filter(sourceId => !config.earningSources.some(source => source.id === sourceId))
+            .map(sourceId => findEarningSource(config.earningSources, sourceId)),
+    ] : [];
+
+    const handleEditSubmit = async (e) => {
+        e.preventDefault();
+        const logData = editData.rides.length > 0
+            ? { ...editData, tips: getDayTotalsFromRides(editData.rides, editData.tips).tips }
+            : editData;
+        const errors = validateDailyLog(toDailyLogDocument(logData));
+        setEditErrors(errors);
+        if (errors.length > 0) return;
+        const success = await updateDailyLog(editingLog, logData);
+        if (success) cancelEditing();
+    };
+
+    const confirmDelete = async () => {
+        const log = logToDelete;
+        setLogToDelete(null);
+        await deleteDailyLog(log);
+    };
+
+    // Estilo de cada dia do calendário conforme o resultado
+    const getDayClassName = (key, day, cellDate) => {
+        if (key === historySelectedDate) return 'bg-indigo-600 border-indigo-300 text-white';
+        if (day) {
+            if (config.dailyGoal > 0 && day.netProfit >= config.dailyGoal) return 'bg-green-900/60 border-green-500 text-gray-100';
+            return 'bg-gray-700 border-gray-500 text-gray-100';
+        }
+        if (key > todayKey) return 'bg-gray-800 border-gray-700 text-gray-600';
+        if (isWorkDay(cellDate, config.workDaysPerWeek)) return 'bg-gray-800 border-yellow-500/70 border-dashed text-gray-400';
+        return 'bg-gray-800 border-gray-700 text-gray-500';
+    };
+
+    const inputClassName = "mt-1 block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-indigo-500 focus:ring-indigo-500";
+
+    return (
+        <div className="p-4 max-w-4xl mx-auto space-y-8">
+            {/* Título Centralizado */}
+            <h2 className="text-3xl font-extrabold text-gray-100 mb-6 flex items-center justify-center">
+                <History className="w-6 h-6 mr-3 text-indigo-400" />
+                Histórico de Registros
+            </h2>
+
+            {/* Calendário do Mês */}
+            <div className="bg-gray-800 p-4 sm:p-6 rounded-xl shadow-2xl border-t-4 border-indigo-500">
+                <div className="flex items-center justify-between mb-4">
+                    <button onClick={() => changeMonth(-1)} className="p-2 rounded-lg text-gray-400 hover:bg-gray-700 hover:text-indigo-400" aria-label="Mês anterior">
+                        <ChevronLeft className="w-5 h-5" />
+                    </button>
+                    <h3 className="text-xl font-semibold text-gray-100 flex items-center">
+                        {MONTH_NAMES[historyMonth.getMonth()]} {historyMonth.getFullYear()}
+                        {isLoadingMonth && <Loader2 className="w-4 h-4 ml-2 animate-spin text-indigo-400" aria-label="Carregando registros" />}
+                    </h3>
+                    <button onClick={() => changeMonth(1)} className="p-2 rounded-lg text-gray-400 hover:bg-gray-700 hover:text-indigo-400" aria-label="Próximo mês">
+                        <ChevronRight className="w-5 h-5" />
+                    </button>
+                </div>
+
+                <div className="grid grid-cols-7 gap-1 sm:gap-2 text-center">
+                    {WEEKDAY_LABELS.map(label => (
+                        <div key={label} className="text-xs font-medium text-gray-400 uppercase pb-1">{label}</div>
+                    ))}
+                    {calendarCells.map((cellDate, index) => {
+                        if (!cellDate) return <div key={`blank-${index}`} />;
+                        const key = toDateKey(cellDate);
+                        const day = logsByDate[key];
+                        return (
+                            <button
+                                key={key}
+                                onClick={() => handleDayClick(key)}
+                                className={`flex flex-col items-center justify-start min-h-[3.5rem] p-1 rounded-lg border transition duration-150 hover:border-indigo-400 ${getDayClassName(key, day, cellDate)}`}
+                            >
+                                <span className="text-xs font-semibold">{cellDate.getDate()}</span>
+                                {day && (
+                                    <span className={`text-[10px] sm:text-xs font-bold mt-1 ${day.netProfit >= 0 ? 'text-green-300' : 'text-red-400'}`}>
+                                        {formatCurrencyShort(day.netProfit)}
+                                    </span>
+                                )}
+                            </button>
+                        );
+                    })}
+                </div>
+
+                {/* Legenda */}
+                <div className="flex flex-wrap gap-4 mt-4 text-xs text-gray-400">
+                    {config.dailyGoal > 0 && (
+                        <span className="flex items-center"><span className="w-3 h-3 rounded bg-green-900/60 border border-green-500 mr-1" /> Meta atingida</span>
+                    )}
+                    <span className="flex items-center"><span className="w-3 h-3 rounded bg-gray-700 border border-gray-500 mr-1" /> Com registro</span>
+                    <span className="flex items-center"><span className="w-3 h-3 rounded bg-gray-800 border border-dashed border-yellow-500/70 mr-1" /> Dia de trabalho sem registro</span>
+                    <span className="flex items-center"><Fuel className="w-3 h-3 mr-1" /> Líquido do dia com o combustível estimado por km</span>
+                </div>
+
+                {/* Resumo do Mês */}
+                <div className="mt-4 pt-4 border-t border-gray-700 border-dashed text-sm text-gray-400 space-y-1">
+                    <p>Lucro Líquido do Mês (com os abastecimentos): <span className={`font-bold ${monthSummary.netProfit >= 0 ? 'text-green-400' : 'text-red-500'}`}>{formatCurrency(monthSummary.netProfit)}</span></p>
+                    <p>Dias Registrados: <span className="font-bold text-gray-200">{monthSummary.daysLogged}</span></p>
+                    {config.dailyGoal > 0 && (
+                        <p>Meta Diária ({formatCurrency(config.dailyGoal)}) Atingida: <span className="font-bold text-indigo-400">{monthSummary.daysMetGoal} dias</span></p>
+                    )}
+                    <p>Dias de Trabalho sem Registro: <span className={`font-bold ${monthSummary.missingWorkDays > 0 ? 'text-yellow-400' : 'text-gray-200'}`}>{monthSummary.missingWorkDays}</span></p>
+                </div>
+            </div>
+
+            {/* Lista de Registros */}
+            <div className="bg-gray-700 p-6 rounded-xl shadow-inner border border-gray-600">
+                <div className="flex items-center justify-between mb-4">
+                    <h3 className="text-xl font-semibold text-gray-100">
+                        {historySelectedDate ? `Registros de ${historySelectedDate}` : 'Registros do Mês'}
+                    </h3>
+                    {historySelectedDate && (
+                        <button onClick={() => setHistorySelectedDate(null)} className="text-sm text-indigo-400 hover:text-indigo-300">
+                            Ver mês inteiro
+                        </button>
+                    )}
+                </div>
+
+                {visibleLogs.length === 0 ? (
+                    <p className="text-gray-400 text-sm">Nenhum registro neste período.</p>
+                ) : (
+                    <ul className="space-y-3">
+                        {visibleLogs.map(log => {
+                            const net = getLogNetProfit(log);
+
+                            if (editingLogId === log.id && editData) {
+                                return (
+                                    <li key={log.id} className="bg-gray-800 p-4 rounded-lg border border-indigo-500">
+                                        <form onSubmit={handleEditSubmit} className="grid grid-cols-2 gap-3">
+                                            <div className="col-span-2">
+                                                <label className="block text-sm font-medium text-gray-400">Data do Registro</label>
+                                                <input type="date" name="date" value={editData.date} onChange={handleEditChange} className={inputClassName} required />
+                                            </div>
+                                            {vehicles.length > 1 && (
+                                                <div className="col-span-2">
+                                                    <label className="block text-sm font-medium text-gray-400">Veículo</label>
+                                                    <select name="vehicleId" value={editData.vehicleId} onChange={handleEditChange} className={inputClassName}>
+                                                        {vehicles.map(vehicle => (
+                                                            <option key={vehicle.id} value={vehicle.id}>{vehicle.name}</option>
+                                                        ))}
+                                                    </select>
+                                                </div>
+                                            )}
+                                            <div className="col-span-2">
+                                                <label className="block text-sm font-medium text-gray-400 mb-1">Corridas e Entregas</label>
+                                                <RideLinesEditor rides={editData.rides} onChange={handleEditRidesChange} sources={config.earningSources} neighborhoods={knownNeighborhoods} />
+                                            </div>
+                                            {editData.isSplit ? (
+                                                <>
+                                                    {editData.rides.length > 0 ? Object.entries(editData.earnings).map(([sourceId, amount]) => (
+                                                        <div key={sourceId}>
+                                                            <p className="block text-sm font-medium text-gray-400">{editSources.find(source => source.id === sourceId)?.name || sourceId}</p>
+                                                            <p className="mt-1 p-2 text-white font-semibold">{formatCurrency(amount)}</p>
+                                                        </div>
+                                                    )) : editSources.map(source => (
+                                                        <div key={source.id}>
+                                                            <label className="block text-sm font-medium text-gray-400">{source.name} (R$)</label>
+                                                            <input type="number" value={editData.earnings[source.id] || ''} onChange={(e) => handleEditEarningChange(source.id, e.target.value)} className={inputClassName} step="0.01" min="0" />
+                                                        </div>
+                                                    ))}
+                                                    <div>
+                                                        <label className="block text-sm font-medium text-gray-400">{editData.rides.length > 0 ? 'Gorjetas Avulsas' : TIPS_SOURCE.name} (R$)</label>
+                                                        <input type="number" value={editData.tips} onChange={handleEditTipsChange} className={inputClassName} step="0.01" min="0" />
+                                                    </div>
+                                                    <p className="col-span-2 text-sm font-bold text-green-400">Rendimento Bruto: {formatCurrency(editData.profit)}</p>
+                                                </>
+                                            ) : (
+                                                <div>
+                                                    <label className="block text-sm font-medium text-gray-400">Rendimento Bruto (R$)</label>
+                                                    <input type="number" name="profit" value={editData.profit} onChange={handleEditChange} className={inputClassName} step="0.01" min="0" required />
+                                                </div>
+                                            )}
+                                            <div>
+                                                <label className="block text-sm font-medium text-gray-400">Combustível (R$)</label>
+                                                <input type="number" name="gasolineCost" value={editData.gasolineCost} onChange={handleEditChange} className={inputClassName} step="0.01" min="0" required />
+                                            </div>
+                                            <div className="col-span-2 p-3 bg-gray-700 rounded-md">
+                                                <label className="block text-sm font-medium text-gray-400 mb-2">Outras Despesas</label>
+                                                <ExpenseLinesEditor expenses={editData.expenses} onChange={(expenses) => setEditData(prev => ({ ...prev, expenses }))} categories={config.expenseCategories} />
+                                            </div>
+                                            <div>
+                                                <label className="block text-sm font-medium text-gray-400">Início do Turno</label>
+                                                <input type="time" name="startTime" value={editData.startTime} onChange={handleEditChange} className={inputClassName} />
+                                            </div>
+                                            <div>
+                                                <label className="block text-sm font-medium text-gray-400">Horas Trabalhadas</label>
+                                                <input type="number" name="hoursWorked" value={editData.hoursWorked} onChange={handleEditChange} className={inputClassName} step="0.25" min="0" max="24" />
+                                            </div>
+                                            <div>
+                                                <label className="block text-sm font-medium text-gray-400">Hodômetro Inicial (Km)</label>
+                                                <input type="number" name="startOdometer" value={editData.startOdometer} onChange={handleEditChange} className={inputClassName} step="0.1" min="0" />
+                                            </div>
+                                            <div>
+                                                <label className="block text-sm font-medium text-gray-400">Hodômetro Final (Km)</label>
+                                                <input type="number" name="endOdometer" value={editData.endOdometer} onChange={handleEditChange} className={inputClassName} step="0.1" min="0" />
+                                            </div>
+                                            <div>
+                                                <label className="block text-sm font-medium text-gray-400">Óleo (R$)</label>
+                                                <input type="number" name="oilCost" value={editData.oilCost} onChange={handleEditChange} className={inputClassName} step="0.01" min="0" />
+                                            </div>
+                                            <div>
+                                                <label className="block text-sm font-medium text-gray-400">Manutenção (R$)</label>
+                                                <input type="number" name="maintenanceCost" value={editData.maintenanceCost} onChange={handleEditChange} className={inputClassName} step="0.01" min="0" />
+                                            </div>
+                                            {editErrors.length > 0 && (
+                                                <ul className="col-span-2 p-3 rounded-lg bg-red-900/40 border border-red-500/50 text-sm text-red-300 list-disc list-inside">
+                                                    {editErrors.map(error => <li key={error}>{error}</li>)}
+                                                </ul>
+                                            )}
+                                            <div className="col-span-2 flex gap-3">
+                                                <button type="submit" disabled={loading}
+                                                    className="flex-1 flex items-center justify-center py-2 px-4 rounded-lg font-bold text-white bg-indigo-600 hover:bg-indigo-500"
+                                                >
+                                                    <Check className="w-4 h-4 mr-1" /> {loading ? 'Salvando...' : 'Salvar'}
+                                                </button>
+                                                <button type="button" onClick={cancelEditing}
+                                                    className="flex-1 flex items-center justify-center py-2 px-4 rounded-lg font-bold text-gray-300 bg-gray-600 hover:bg-gray-500"
+                                                >
+                                                    <X className="w-4 h-4 mr-1" /> Cancelar
+                                                </button>
+                                            </div>
+                                        </form>
+                                    </li>
+                                );
+                            }
+
+                            return (
+                                <li key={log.id} className="bg-gray-800 p-4 rounded-lg flex flex-wrap items-center justify-between gap-3">
+                                    <div className="text-sm">
+                                        <p className="font-medium text-gray-300">
+                                            {log.date}
+                                            {log.kmRidden > 0 && <span className="ml-2 text-xs text-gray-500">{log.kmRidden.toFixed(1)} km</span>}
+                                            {getCostedKm(log.kmRidden, log.route) === 0 && <span className="ml-2 text-xs text-yellow-500">sem km: custo de manutenção não estimado</span>}
+                                            {log.rides.length > 0 && <span className="ml-2 text-xs text-gray-500">{log.rides.length} corridas</span>}
+                                            {vehicles.length > 1 && <span className="ml-2 text-xs text-gray-500">{getVehicleName(getVehicleId(log))}</span>}
+                                        </p>
+                                        <p className="text-gray-400">
+                                            <span className="text-green-400">{formatCurrency(log.profit)}</span>
+                                            {' - '}<span className="text-red-400">{formatCurrency(log.gasolineCost + log.oilCost + log.maintenanceCost + sumExpenses(log.expenses))}</span>
+                                            {' = '}<span className={`font-semibold ${net >= 0 ? 'text-indigo-400' : 'text-red-500'}`}>{formatCurrency(net)}</span>
+                                            {log.fuelCostEstimated && <span className="ml-1 text-xs text-gray-500">(combustível estimado)</span>}
+                                        </p>
+                                    </div>
+                                    {receiptsByDay[`${log.date}|${getVehicleId(log)}`] && (
+                                        <div className="flex flex-wrap gap-2 ml-auto">
+                                            {receiptsByDay[`${log.date}|${getVehicleId(log)}`].map(item => (
+                                                <ReceiptThumbnail key={item.id} url={item.receiptUrl} />
+                                            ))}
+                                        </div>
+                                    )}
+                                    <div className="flex gap-2">
+                                        {log.route && (
+                                            <button onClick={() => setRouteLogId(routeLogId === log.id ? null : log.id)}
+                                                className={`p-2 rounded-lg hover:bg-gray-700 ${routeLogId === log.id ? 'text-indigo-400' : 'text-gray-400 hover:text-indigo-400'}`} aria-label="Ver rota"
+                                            >
+                                                <Navigation className="w-4 h-4" />
+                                            </button>
+                                        )}
+                                        <button onClick={() => startEditing(log)} className="p-2 rounded-lg text-gray-400 hover:bg-gray-700 hover:text-indigo-400" aria-label="Editar registro">
+                                            <Pencil className="w-4 h-4" />
+                                        </button>
+                                        <button onClick={() => setLogToDelete(log)} className="p-2 rounded-lg text-gray-400 hover:bg-gray-700 hover:text-red-400" aria-label="Excluir registro">
+                                            <Trash2 className="w-4 h-4" />
+                                        </button>
+                                    </div>
+                                    {routeLogId === log.id && log.route && <RouteMap route={log.route} />}
+                                </li>
+                            );
+                        })}
+                    </ul>
+                )}
+            </div>
+
+            {/* Confirmação de Exclusão */}
+            {logToDelete && (
+                <div className="fixed inset-0 bg-black/70 flex items-center justify-center p-4 z-30">
+                    <div className="bg-gray-800 p-6 rounded-xl shadow-2xl border border-red-500 max-w-sm w-full">
+                        <p className="text-xl font-bold text-gray-100 mb-2">Excluir registro?</p>
+                        <p className="text-sm text-gray-400 mb-6">
+                            {logToDelete.date} — Rendimento {formatCurrency(logToDelete.profit)}, Líquido {formatCurrency(getLogNetProfit(logToDelete))}.
+                        </p>
+                        <div className="flex gap-3">
+                            <button onClick={confirmDelete} disabled={loading}
+                                className="flex-1 py-2 px-4 rounded-lg font-bold text-white bg-red-600 hover:bg-red-500"
+                            >
+                                Excluir
+                            </button>
+                            <button onClick={() => setLogToDelete(null)}
+                                className="flex-1 py-2 px-4 rounded-lg font-bold text-gray-300 bg-gray-600 hover:bg-gray-500"
+                            >
+                                Cancelar
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Desfazer Exclusão */}
+            {lastDeletedLog && (
+                <div className="fixed bottom-20 left-1/2 -translate-x-1/2 bg-gray-700 text-gray-100 px-4 py-3 rounded-lg shadow-2xl border border-gray-600 flex items-center gap-4 z-30">
+                    <span className="text-sm">Registro de {lastDeletedLog.date} excluído.</span>
+                    <button onClick={restoreDeletedLog} disabled={loading} className="flex items-center text-sm font-bold text-indigo-400 hover:text-indigo-300">
+                        <Undo2 className="w-4 h-4 mr-1" /> Desfazer
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Componente: Manutenção (Situação dos Itens e Serviços Realizados)
+const MaintenanceView = ({ config, activeVehicle, currentOdometer, maintenanceStatus, vehicleMaintenanceRecords, loading, addMaintenanceRecord, deleteMaintenanceRecord }) => {
+    const [formData, setFormData] = useState({
+        itemKey: 'oil',
+        date: getTodayKey(config.workDayStartHour),
+        odometer: currentOdometer > 0 ? String(currentOdometer) : '',
+        cost: activeVehicle.oilChangeCost || '',
+        receipt: null, // { blob, previewUrl } da foto do comprovante
+    });
+    const [recordToDelete, setRecordToDelete] = useState(null);
+    const [message, setMessage] = useState('');
+
+    const itemLabels = Object.fromEntries(MAINTENANCE_ITEMS.map(item => [item.key, item.label]));
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => {
+            const next = { ...prev, [name]: value };
+            // Sugere o custo configurado para o item escolhido
+            if (name === 'itemKey') {
+                const item = maintenanceStatus.find(status => status.key === value);
+                next.cost = item && item.cost > 0 ? item.cost : '';
+            }
+            return next;
+        });
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setMessage('');
+        const success = await addMaintenanceRecord(formData);
+        if (success) setFormData(prev => ({ ...prev, receipt: null }));
+        setMessage(success ? 'Manutenção registrada com sucesso!' : 'Falha ao registrar a manutenção. Tente novamente.');
+    };
+
+    const confirmDelete = async () => {
+        const recordId = recordToDelete;
+        setRecordToDelete(null);
+        await deleteMaintenanceRecord(recordId);
+    };
+
+    const statusStyles = {
+        ok: 'border-green-500 text-green-400',
+        soon: 'border-yellow-500 text-yellow-400',
+        overdue: 'border-red-500 text-red-400',
+        unknown: 'border-gray-600 text-gray-400',
+    };
+
+    const getStatusText = (item) => {
+        if (item.intervalKm <= 0) return 'Configure o intervalo em Configurações.';
+        if (!item.lastService) return 'Registre o último serviço para acompanhar.';
+        if (item.status === 'overdue') return `Vencida há ${Math.abs(item.kmRemaining).toFixed(0)} km`;
+        return `Vence em ${item.kmRemaining.toFixed(0)} km (no hodômetro ${(item.lastService.odometer + item.intervalKm).toFixed(0)})`;
+    };
+
+    const inputClassName = "mt-1 block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-yellow-500 focus:ring-yellow-500";
+
+    return (
+        <div className="p-4 max-w-4xl mx-auto space-y-8">
+            {/* Título Centralizado */}
+            <h2 className="text-3xl font-extrabold text-gray-100 mb-6 flex items-center justify-center">
+                <Wrench className="w-6 h-6 mr-3 text-yellow-400" />
+                Manutenção
+            </h2>
+
+            <p className="text-center text-gray-400">
+                Hodômetro atual: <span className="font-bold text-gray-100">{currentOdometer > 0 ? `${currentOdometer.toFixed(0)} km` : 'sem leituras'}</span>
+            </p>
+
+            {/* Situação dos Itens */}
+            <div className="grid gap-4 sm:grid-cols-2">
+                {maintenanceStatus.map(item => (
+                    <div key={item.key} className={`bg-gray-800 p-4 rounded-xl shadow-2xl border-l-4 ${statusStyles[item.status]}`}>
+                        <h3 className="text-lg font-semibold text-gray-100">{item.label}</h3>
+                        <p className={`text-sm font-semibold mt-1 ${statusStyles[item.status]}`}>{getStatusText(item)}</p>
+                        <div className="mt-2 text-xs text-gray-400 space-y-1">
+                            <p>{formatCurrency(item.cost)} a cada {item.intervalKm} km ({formatCurrency(item.costPerKm)}/km)</p>
+                            {item.lastService && (
+                                <p>Último serviço: {item.lastService.date} em {item.lastService.odometer.toFixed(0)} km</p>
+                            )}
+                        </div>
+                    </div>
+                ))}
+            </div>
+
+            {/* Registrar Serviço */}
+            <div className="p-4 bg-gray-800 shadow-2xl rounded-xl max-w-lg mx-auto border border-gray-700">
+                <h3 className="text-xl font-semibold text-gray-100 mb-4">Registrar Serviço Realizado</h3>
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-400">Item</label>
+                        <select name="itemKey" value={formData.itemKey} onChange={handleChange} className={inputClassName}>
+                            {MAINTENANCE_ITEMS.map(item => (
+                                <option key={item.key} value={item.key}>{item.label}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-400">Data do Serviço</label>
+                        <input type="date" name="date" value={formData.date} onChange={handleChange} className={inputClassName} required />
+                    </div>
+                    <div className="grid grid-cols-2 gap-3">
+                        <div>
+                            <label className="block text-sm font-medium text-gray-400">Hodômetro (Km)</label>
+                            <input type="number" name="odometer" value={formData.odometer} onChange={handleChange} className={inputClassName} step="0.1" min="0" required />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-400">Valor Pago (R$)</label>
+                            <input type="number" name="cost" value={formData.cost} onChange={handleChange} className={inputClassName} step="0.01" min="0" />
+                        </div>
+                    </div>
+                    <div className="flex items-end gap-3">
+                        {formData.receipt && <img src={formData.receipt.previewUrl} alt="Comprovante" className="w-12 h-12 object-cover rounded border border-gray-600" />}
+                        <ImageInput
+                            key={formData.receipt ? 'receipt' : 'empty'}
+                            label="Comprovante (opcional)"
+                            maxDimension={RECEIPT_MAX_DIMENSION}
+                            onImage={(receipt) => setFormData(prev => ({ ...prev, receipt }))}
+                        />
+                    </div>
+                    <button type="submit"
+                        className="w-full py-3 px-4 border border-transparent rounded-lg shadow-lg text-lg font-bold text-white bg-yellow-600 hover:bg-yellow-500 transition duration-150 ease-in-out transform hover:scale-[1.01] focus:outline-none focus:ring-4 focus:ring-yellow-600/50"
+                        disabled={loading}
+                    >
+                        {loading ? 'Salvando...' : 'Registrar Serviço'}
+                    </button>
+                    {message && <p className={`mt-3 text-center text-sm font-semibold ${message.includes('sucesso') ? 'text-green-400' : 'text-red-400'}`}>{message}</p>}
+                </form>
+            </div>
+
+            {/* Serviços Realizados */}
+            <div className="bg-gray-700 p-6 rounded-xl shadow-inner border border-gray-600">
+                <h3 className="text-xl font-semibold text-gray-100 mb-4">Serviços Realizados</h3>
+                {vehicleMaintenanceRecords.length === 0 ? (
+                    <p className="text-gray-400 text-sm">Nenhum serviço registrado.</p>
+                ) : (
+                    <ul className="space-y-3">
+                        {vehicleMaintenanceRecords.map(record => (
+                            <li key={record.id} className="bg-gray-800 p-4 rounded-lg flex items-center justify-between gap-3">
+                                <div className="text-sm flex-1">
+                                    <p className="font-medium text-gray-300">{itemLabels[record.itemKey] || record.itemKey}</p>
+                                    <p className="text-gray-400">{record.date} — {record.odometer.toFixed(0)} km — {formatCurrency(record.cost)}</p>
+                                </div>
+                                {record.receiptUrl && <ReceiptThumbnail url={record.receiptUrl} />}
+                                {recordToDelete === record.id ? (
+                                    <div className="flex gap-2">
+                                        <button onClick={confirmDelete} disabled={loading} className="px-3 py-1 rounded-lg text-sm font-bold text-white bg-red-600 hover:bg-red-500">Excluir</button>
+                                        <button onClick={() => setRecordToDelete(null)} className="px-3 py-1 rounded-lg text-sm font-bold text-gray-300 bg-gray-600 hover:bg-gray-500">Cancelar</button>
+                                    </div>
+                                ) : (
+                                    <button onClick={() => setRecordToDelete(record.id)} className="p-2 rounded-lg text-gray-400 hover:bg-gray-700 hover:text-red-400" aria-label="Excluir serviço">
+                                        <Trash2 className="w-4 h-4" />
+                                    </button>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+        </div>
+    );
+};
+
+// Componente: Combustível (Abastecimentos, Consumo e Comparador Etanol x Gasolina)
+const FuelView = ({ config, fuelLogs, vehicleFuelLogs, activeVehicle, fuelStats, currentOdometer, loading, addFuelLog, deleteFuelLog }) => {
+    const lastPriceOf = (fuelType) => fuelLogs.find(fuelLog => fuelLog.fuelType === fuelType)?.pricePerLiter || '';
+
+    const [formData, setFormData] = useState({
+        date: getTodayKey(config.workDayStartHour),
+        fuelType: activeVehicle.fuelType,
+        odometer: '',
+        liters: '',
+        pricePerLiter: lastPriceOf(activeVehicle.fuelType),
+        fullTank: true,
+        receipt: null, // { blob, previewUrl } da foto do comprovante
+    });
+    const [prices, setPrices] = useState({
+        gasoline: lastPriceOf('gasoline'),
+        alcohol: lastPriceOf('alcohol'),
+    });
+    const [fuelLogToDelete, setFuelLogToDelete] = useState(null);
+    const [message, setMessage] = useState('');
+
+    const totalCost = (parseFloat(formData.liters) || 0) * (parseFloat(formData.pricePerLiter) || 0);
+
+    const comparison = useMemo(
+        () => compareFuelPrices(fuelStats, parseFloat(prices.gasoline), parseFloat(prices.alcohol)),
+        [prices]
+    );
+
+    const handleChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setFormData(prev => {
+            const next = { ...prev, [name]: type === 'checkbox' ? checked : value };
+            // Sugere o último preço pago pelo combustível escolhido
+            if (name === 'fuelType') next.pricePerLiter = lastPriceOf(value);
+            return next;
+        });
+    };
+
+    const handlePriceChange = (e) => {
+        const { name, value } = e.target;
+        setPrices(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setMessage('');
+        const success = await addFuelLog(formData);
+        if (success) setFormData(prev => ({ ...prev, receipt: null }));
+        setMessage(success ? 'Abastecimento salvo com sucesso!' : 'Falha ao salvar o abastecimento. Tente novamente.');
+    };
+
+    const confirmDelete = async () => {
+        const fuelLogId = fuelLogToDelete;
+        setFuelLogToDelete(null);
+        await deleteFuelLog(fuelLogId);
+    };
+
+    // Variação do km/l em relação ao tanque anterior do mesmo combustível
+    const getTrend = (tank, index) => {
+        const previous = fuelStats.tanks.slice(index + 1).find(other => other.fuelType === tank.fuelType);
+        return previous ? tank.kmPerLiter - previous.kmPerLiter : null;
+    };
+
+    const inputClassName = "mt-1 block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-red-500 focus:ring-red-500";
+
+    return (
+        <div className="p-4 max-w-4xl mx-auto space-y-8">
+            {/* Título Centralizado */}
+            <h2 className="text-3xl font-extrabold text-gray-100 mb-6 flex items-center justify-center">
+                <Fuel className="w-6 h-6 mr-3 text-red-400" />
+                Combustível
+            </h2>
+
+            {/* Consumo Medido */}
+            <div className="grid gap-4 sm:grid-cols-3">
+                {Object.keys(FUEL_LABELS).map(fuelType => (
+                    <div key={fuelType} className="bg-gray-800 p-4 rounded-xl shadow-2xl border-t-4 border-red-500">
+                        <h3 className="text-sm font-semibold text-gray-400">{FUEL_LABELS[fuelType]}</h3>
+                        {fuelStats.byFuel[fuelType].tanks > 0 ? (
+                            <>
+                                <p className="text-2xl font-extrabold text-gray-100">{fuelStats.byFuel[fuelType].kmPerLiter.toFixed(1)} km/l</p>
+                                <p className="text-xs text-gray-500">{formatCurrency(fuelStats.byFuel[fuelType].costPerKm)}/km em {fuelStats.byFuel[fuelType].tanks} tanque(s)</p>
+                            </>
+                        ) : (
+                            <p className="text-sm text-gray-500 mt-1">Sem tanques completos.</p>
+                        )}
+                    </div>
+                ))}
+                <div className="bg-gray-800 p-4 rounded-xl shadow-2xl border-t-4 border-indigo-500">
+                    <h3 className="text-sm font-semibold text-gray-400">Custo Médio por Km</h3>
+                    <p className="text-2xl font-extrabold text-gray-100">{fuelStats.costPerKm > 0 ? `${formatCurrency(fuelStats.costPerKm)}/km` : '—'}</p>
+                    <p className="text-xs text-gray-500">Usado para estimar o combustível de cada dia.</p>
+                </div>
+            </div>
+
+            {/* Comparador Etanol x Gasolina */}
+            <div className="bg-gray-800 p-6 rounded-xl shadow-2xl border border-gray-700">
+                <h3 className="text-xl font-semibold text-gray-100 mb-4 flex items-center">
+                    <Scale className="w-5 h-5 mr-2 text-indigo-400" /> Etanol ou Gasolina?
+                </h3>
+                <div className="grid grid-cols-2 gap-3">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-400">Gasolina (R$/l)</label>
+                        <input type="number" name="gasoline" value={prices.gasoline} onChange={handlePriceChange} className={inputClassName} step="0.01" min="0" placeholder="Ex: 5.89" />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-400">Etanol (R$/l)</label>
+                        <input type="number" name="alcohol" value={prices.alcohol} onChange={handlePriceChange} className={inputClassName} step="0.01" min="0" placeholder="Ex: 3.99" />
+                    </div>
+                </div>
+                {comparison ? (
+                    <div className="mt-4 p-4 rounded-lg bg-gray-700 border border-indigo-500/50 text-sm text-gray-300 space-y-1">
+                        <p className="text-lg font-bold text-indigo-300">Abasteça com {FUEL_LABELS[comparison.best]}</p>
+                        {comparison.gasolineCostPerKm > 0 && (
+                            <p>Gasolina: {formatCurrency(comparison.gasolineCostPerKm)}/km — Etanol: {formatCurrency(comparison.ethanolCostPerKm)}/km</p>
+                        )}
+                        <p>
+                            Etanol custa {(comparison.ratio * 100).toFixed(0)}% da gasolina; compensa abaixo de {(comparison.breakEvenRatio * 100).toFixed(0)}%.
+                        </p>
+                        {comparison.estimated && (
+                            <p className="text-xs text-gray-500">Estimativa usando a proporção padrão de {DEFAULT_ETHANOL_EFFICIENCY_RATIO * 100}%: registre tanques cheios dos dois combustíveis para usar seu consumo real.</p>
+                        )}
+                    </div>
+                ) : (
+                    <p className="mt-4 text-sm text-gray-500">Informe os preços de hoje nos dois campos.</p>
+                )}
+            </div>
+
+            {/* Registrar Abastecimento */}
+            <div className="p-4 bg-gray-800 shadow-2xl rounded-xl max-w-lg mx-auto border border-gray-700">
+                <h3 className="text-xl font-semibold text-gray-100 mb-4">Registrar Abastecimento</h3>
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    <div className="grid grid-cols-2 gap-3">
+                        <div>
+                            <label className="block text-sm font-medium text-gray-400">Data</label>
+                            <input type="date" name="date" value={formData.date} onChange={handleChange} className={inputClassName} required />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-400">Combustível</label>
+                            <select name="fuelType" value={formData.fuelType} onChange={handleChange} className={inputClassName}>
+                                {Object.entries(FUEL_LABELS).map(([value, label]) => (
+                                    <option key={value} value={value}>{label}</option>
+                                ))}
+                            </select>
+                        </div>
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-400">Hodômetro (Km)</label>
+                        <input type="number" name="odometer" value={formData.odometer} onChange={handleChange} className={inputClassName}
+                            step="0.1" min="0" placeholder={currentOdometer > 0 ? `Último: ${currentOdometer.toFixed(0)}` : 'Ex: 25480'} required
+                        />
+                    </div>
+                    <div className="grid grid-cols-2 gap-3">
+                        <div>
+                            <label className="block text-sm font-medium text-gray-400">Litros</label>
+                            <input type="number" name="liters" value={formData.liters} onChange={handleChange} className={inputClassName} step="0.001" min="0" placeholder="Ex: 9.5" required />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-400">Preço por Litro (R$)</label>
+                            <input type="number" name="pricePerLiter" value={formData.pricePerLiter} onChange={handleChange} className={inputClassName} step="0.001" min="0" placeholder="Ex: 5.89" required />
+                        </div>
+                    </div>
+                    <label className="flex items-center text-sm text-gray-300">
+                        <input type="checkbox" name="fullTank" checked={formData.fullTank} onChange={handleChange} className="mr-2" />
+                        Tanque cheio (necessário para medir o km/l)
+                    </label>
+                    <div className="flex items-end gap-3">
+                        {formData.receipt && <img src={formData.receipt.previewUrl} alt="Comprovante" className="w-12 h-12 object-cover rounded border border-gray-600" />}
+                        <ImageInput
+                            key={formData.receipt ? 'receipt' : 'empty'}
+                            label="Comprovante (opcional)"
+                            maxDimension={RECEIPT_MAX_DIMENSION}
+                            onImage={(receipt) => setFormData(prev => ({ ...prev, receipt }))}
+                        />
+                    </div>
+                    <p className="text-lg font-bold text-red-400">Total: {formatCurrency(totalCost)}</p>
+                    <button type="submit"
+                        className="w-full py-3 px-4 border border-transparent rounded-lg shadow-lg text-lg font-bold text-white bg-red-600 hover:bg-red-500 transition duration-150 ease-in-out transform hover:scale-[1.01] focus:outline-none focus:ring-4 focus:ring-red-600/50"
+                        disabled={loading}
+                    >
+                        {loading ? 'Salvando...' : 'Registrar Abastecimento'}
+                    </button>
+                    {message && <p className={`mt-3 text-center text-sm font-semibold ${message.includes('sucesso') ? 'text-green-400' : 'text-red-400'}`}>{message}</p>}
+                </form>
+            </div>
 
-// URL da imagem de fallback para a foto da moto
-const PLACEHOLDER_BIKE_URL = "https://placehold.co/150x150/1f2937/ffffff?text=Rota+Max";
+            {/* Tanques Medidos */}
+            {fuelStats.tanks.length > 0 && (
+                <div className="bg-gray-700 p-6 rounded-xl shadow-inner border border-gray-600">
+                    <h3 className="text-xl font-semibold text-gray-100 mb-4">Consumo por Tanque</h3>
+                    <ul className="space-y-2">
+                        {fuelStats.tanks.slice(0, 10).map((tank, index) => {
+                            const trend = getTrend(tank, index);
+                            return (
+                                <li key={tank.id} className="bg-gray-800 p-3 rounded-lg flex justify-between text-sm">
+                                    <span className="text-gray-300">{tank.date} — {FUEL_LABELS[tank.fuelType]} — {tank.km.toFixed(0)} km</span>
+                                    <span className="text-gray-100 font-semibold">
+                                        {tank.kmPerLiter.toFixed(1)} km/l · {formatCurrency(tank.costPerKm)}/km
+                                        {trend !== null && (
+                                            <span className={`ml-2 ${trend >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                                                {trend >= 0 ? '▲' : '▼'} {Math.abs(trend).toFixed(1)}
+                                            </span>
+                                        )}
+                                    </span>
+                                </li>
+                            );
+                        })}
+                    </ul>
+                </div>
+            )}
+
+            {/* Abastecimentos */}
+            <div className="bg-gray-700 p-6 rounded-xl shadow-inner border border-gray-600">
+                <h3 className="text-xl font-semibold text-gray-100 mb-4">Abastecimentos</h3>
+                {vehicleFuelLogs.length === 0 ? (
+                    <p className="text-gray-400 text-sm">Nenhum abastecimento registrado.</p>
+                ) : (
+                    <ul className="space-y-3">
+                        {vehicleFuelLogs.map(fuelLog => (
+                            <li key={fuelLog.id} className="bg-gray-800 p-4 rounded-lg flex items-center justify-between gap-3">
+                                <div className="text-sm flex-1">
+                                    <p className="font-medium text-gray-300">
+                                        {fuelLog.date} — {FUEL_LABELS[fuelLog.fuelType] || fuelLog.fuelType}
+                                        {!fuelLog.fullTank && <span className="ml-2 text-xs text-gray-500">(parcial)</span>}
+                                    </p>
+                                    <p className="text-gray-400">
+                                        {fuelLog.odometer.toFixed(0)} km — {fuelLog.liters.toFixed(2)} l × {formatCurrency(fuelLog.pricePerLiter)} = <span className="text-red-400">{formatCurrency(fuelLog.totalCost)}</span>
+                                    </p>
+                                </div>
+                                {fuelLog.receiptUrl && <ReceiptThumbnail url={fuelLog.receiptUrl} />}
+                                {fuelLogToDelete === fuelLog.id ? (
+                                    <div className="flex gap-2">
+                                        <button onClick={confirmDelete} disabled={loading} className="px-3 py-1 rounded-lg text-sm font-bold text-white bg-red-600 hover:bg-red-500">Excluir</button>
+                                        <button onClick={() => setFuelLogToDelete(null)} className="px-3 py-1 rounded-lg text-sm font-bold text-gray-300 bg-gray-600 hover:bg-gray-500">Cancelar</button>
+                                    </div>
+                                ) : (
+                                    <button onClick={() => setFuelLogToDelete(fuelLog.id)} className="p-2 rounded-lg text-gray-400 hover:bg-gray-700 hover:text-red-400" aria-label="Excluir abastecimento">
+                                        <Trash2 className="w-4 h-4" />
+                                    </button>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+        </div>
+    );
+};
+
+// Componente: Painel da Frota (Totais por Entregador e por Moto, e Situação da Manutenção)
+const FleetView = ({ config, fleetRiders, fleetDashboard, removeFleetRider }) => {
+    const [riderToRemove, setRiderToRemove] = useState(null);
+    const { totals, rows } = fleetDashboard;
+
+    const maintenanceStyles = {
+        ok: 'bg-green-900/60 text-green-300',
+        soon: 'bg-yellow-900/60 text-yellow-300',
+        overdue: 'bg-red-900/60 text-red-300',
+    };
+
+    const confirmRemove = async () => {
+        const riderId = riderToRemove.id;
+        setRiderToRemove(null);
+        await removeFleetRider(riderId);
+    };
+
+    if (!config.fleet) return null;
+
+    return (
+        <div className="p-4 max-w-4xl mx-auto space-y-8">
+            {/* Título Centralizado */}
+            <h2 className="text-3xl font-extrabold text-gray-100 mb-6 flex items-center justify-center">
+                <Users className="w-6 h-6 mr-3 text-indigo-400" />
+                {config.fleet.name || 'Minha Frota'}
+            </h2>
+
+            {fleetRiders.length === 0 ? (
+                <p className="text-center text-gray-400">
+                    Nenhum entregador ainda. Envie o código <span className="font-mono font-bold text-green-400">{config.fleet.inviteCode}</span> para que entrem pela tela de Configurações.
+                </p>
+            ) : (
+                <>
+                    {/* Totais da Frota */}
+                    <div className="bg-gray-800 p-6 rounded-xl shadow-2xl border-t-4 border-indigo-500">
+                        <h3 className="text-xl font-semibold text-gray-100 mb-1">Totais do Mês</h3>
+                        <p className="text-xs text-gray-500 mb-4">Somente o que cada entregador compartilha.</p>
+                        <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
+                            <div>
+                                <p className="text-sm text-gray-400">Rendimento Bruto</p>
+                                <p className="text-2xl font-extrabold text-green-400">{formatCurrency(totals.gross)}</p>
+                            </div>
+                            <div>
+                                <p className="text-sm text-gray-400">Lucro Líquido</p>
+                                <p className={`text-2xl font-extrabold ${totals.net >= 0 ? 'text-indigo-400' : 'text-red-500'}`}>{formatCurrency(totals.net)}</p>
+                            </div>
+                            <div>
+                                <p className="text-sm text-gray-400">Km Rodados</p>
+                                <p className="text-2xl font-extrabold text-gray-100">{totals.km.toFixed(0)} km</p>
+                            </div>
+                            <div>
+                                <p className="text-sm text-gray-400">Manutenções Vencidas</p>
+                                <p className={`text-2xl font-extrabold ${totals.overdue > 0 ? 'text-red-400' : 'text-gray-100'}`}>{totals.overdue}</p>
+                            </div>
+                        </div>
+                    </div>
+
+                    {/* Por Entregador e por Moto */}
+                    {fleetRiders.map(rider => (
+                        <div key={rider.id} className="bg-gray-800 p-6 rounded-xl shadow-2xl border border-gray-700">
+                            <div className="flex items-start justify-between mb-4">
+                                <div>
+                                    <h3 className="text-xl font-semibold text-gray-100">{rider.name}</h3>
+                                    <p className="text-xs text-gray-500">
+                                        {rider.period?.label}
+                                        {rider.updatedAt && ` — atualizado em ${formatDateKey(toDateKey(new Date(rider.updatedAt)))} às ${toTimeKey(rider.updatedAt)}`}
+                                    </p>
+                                    <p className="text-xs text-gray-500">
+                                        Compartilha: {FLEET_SHARE_OPTIONS.filter(option => rider.share?.[option.key]).map(option => option.label.split(' (')[0]).join(', ') || 'nada'}
+                                    </p>
+                                </div>
+                                <button onClick={() => setRiderToRemove(rider)} className="p-2 rounded-lg text-gray-400 hover:bg-gray-700 hover:text-red-400" aria-label="Remover entregador">
+                                    <Trash2 className="w-4 h-4" />
+                                </button>
+                            </div>
+                            {rows.filter(row => row.riderId === rider.id).length === 0 ? (
+                                <p className="text-sm text-gray-400">Sem dados compartilhados no mês.</p>
+                            ) : (
+                                <div className="space-y-4">
+                                    {rows.filter(row => row.riderId === rider.id).map(row => (
+                                        <div key={row.vehicleId} className="p-3 bg-gray-700 rounded-lg">
+                                            <p className="font-semibold text-gray-200 flex items-center">
+                                                <Bike className="w-4 h-4 mr-2 text-indigo-400" /> {row.vehicle.name}
+                                                {row.km?.odometer > 0 && <span className="ml-2 text-xs text-gray-400">{row.km.odometer.toFixed(0)} km no hodômetro</span>}
+                                            </p>
+                                            {(row.logs || row.km) && (
+                                                <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 mt-2 text-sm">
+                                                    {row.logs && (
+                                                        <>
+                                                            <p className="text-gray-400">Dias: <span className="font-bold text-gray-100">{row.logs.daysLogged}</span></p>
+                                                            <p className="text-gray-400">Bruto: <span className="font-bold text-green-400">{formatCurrency(row.logs.gross)}</span></p>
+                                                            <p className="text-gray-400">Líquido: <span className={`font-bold ${row.logs.net >= 0 ? 'text-indigo-400' : 'text-red-500'}`}>{formatCurrency(row.logs.net)}</span></p>
+                                                        </>
+                                                    )}
+                                                    {row.km && <p className="text-gray-400">Km: <span className="font-bold text-gray-100">{row.km.km.toFixed(1)}</span></p>}
+                                                </div>
+                                            )}
+                                            {row.maintenance && (
+                                                <div className="flex flex-wrap gap-2 mt-2">
+                                                    {row.maintenance.filter(item => maintenanceStyles[item.status]).map(item => (
+                                                        <span key={item.key} className={`px-2 py-0.5 rounded-full text-xs font-semibold ${maintenanceStyles[item.status]}`}>
+                                                            {item.label}: {item.status === 'overdue' ? `vencida há ${Math.abs(item.kmRemaining).toFixed(0)} km` : `${item.kmRemaining.toFixed(0)} km`}
+                                                        </span>
+                                                    ))}
+                                                </div>
+                                            )}
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+                        </div>
+                    ))}
+                </>
+            )}
+
+            {/* Confirmação de Remoção */}
+            {riderToRemove && (
+                <div className="fixed inset-0 bg-black/70 flex items-center justify-center p-4 z-30">
+                    <div className="bg-gray-800 p-6 rounded-xl shadow-2xl border border-red-500 max-w-sm w-full">
+                        <p className="text-xl font-bold text-gray-100 mb-2">Remover {riderToRemove.name}?</p>
+                        <p className="text-sm text-gray-400 mb-6">
+                            O resumo dele deixa de aparecer e um novo código de convite é gerado para os próximos entregadores.
+                        </p>
+                        <div className="flex gap-3">
+                            <button onClick={confirmRemove}
+                                className="flex-1 py-2 px-4 rounded-lg font-bold text-white bg-red-600 hover:bg-red-500"
+                            >
+                                Remover
+                            </button>
+                            <button onClick={() => setRiderToRemove(null)}
+                                className="flex-1 py-2 px-4 rounded-lg font-bold text-gray-300 bg-gray-600 hover:bg-gray-500"
+                            >
+                                Cancelar
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Componente: Calculadora de Ofertas (Valor, Km até a Coleta e Km da Corrida x Custo por Km)
+const OfferView = ({ config, dailyLogs, activeVehicle, fuelStats, currentOdometer, activeShift, saveActiveShift, updateDailyLog }) => {
+    const [offerForm, setOfferForm] = useState({ sourceId: '', amount: '', pickupKm: '', tripKm: '', message: '' }); // Oferta digitada na calculadora
+    const todayKey = getTodayKey(config.workDayStartHour);
+    const costPerKm = getCostPerKm(activeVehicle, fuelStats.costPerKm);
+    const sourceId = offerForm.sourceId || config.earningSources[0]?.id || UNSPLIT_SOURCE.id;
+    const offer = {
+        amount: parseFloat(offerForm.amount) || 0,
+        pickupKm: parseFloat(offerForm.pickupKm) || 0,
+        tripKm: parseFloat(offerForm.tripKm) || 0,
+    };
+    const result = offer.amount > 0 && offer.pickupKm + offer.tripKm > 0 ? evaluateOffer(offer, costPerKm.total, config) : null;
+    const verdict = result ? OFFER_VERDICTS[result.verdict] : null;
+    const todayLog = dailyLogs.find(log => log.date === todayKey && getVehicleId(log) === activeVehicle.id);
+
+    const handleChange = (field, value) => setOfferForm(prev => ({ ...prev, [field]: value, message: '' }));
+
+    // Oferta aceita: vai para o turno ao vivo, para o registro de hoje ou começa um turno novo
+    const acceptOffer = async () => {
+        const distanceKm = Number(result.totalKm.toFixed(1));
+        const entry = { id: Date.now().toString(36), sourceId, amount: offer.amount, time: Date.now(), distanceKm };
+        let success;
+        let message;
+        if (activeShift) {
+            success = await saveActiveShift({ ...activeShift, entries: [...(activeShift.entries || []), entry] });
+            message = 'Corrida lançada no turno ao vivo.';
+        } else if (todayLog) {
+            const ride = { sourceId, amount: offer.amount, tip: 0, distanceKm, pickup: '', dropoff: '', time: toTimeKey(entry.time) };
+            success = await updateDailyLog(todayLog, addRideToLog(todayLog, ride));
+            message = `Corrida somada ao registro de ${formatDateKey(todayKey)}.`;
+        } else {
+            success = await saveActiveShift({ startedAt: Date.now(), pausedAt: null, pausedMs: 0, endedAt: null, entries: [entry], startOdometer: currentOdometer });
+            message = 'Turno ao vivo iniciado com esta corrida.';
+        }
+        setOfferForm(prev => success
+            ? { ...prev, amount: '', pickupKm: '', tripKm: '', message }
+            : { ...prev, message: 'Falha ao salvar a corrida. Tente novamente.' });
+    };
+
+    return (
+        <div className="p-4 bg-gray-800 shadow-2xl rounded-xl max-w-lg mx-auto border border-gray-700 space-y-6">
+            {/* Título Centralizado */}
+            <h2 className="text-3xl font-extrabold text-indigo-400 flex items-center justify-center">
+                <Calculator className="w-6 h-6 mr-2" />
+                Vale a Corrida?
+            </h2>
+
+            {/* Oferta */}
+            <div className="grid grid-cols-3 gap-3">
+                <div>
+                    <label className="block text-xs font-medium text-gray-400">Valor (R$)</label>
+                    <input type="number" inputMode="decimal" value={offerForm.amount} onChange={(e) => handleChange('amount', e.target.value)}
+                        className="mt-1 block w-full rounded-md border-gray-600 bg-gray-900 text-white text-xl font-bold shadow-sm p-2 focus:border-green-500 focus:ring-green-500"
+                        step="0.01" min="0" placeholder="0,00"
+                    />
+                </div>
+                <div>
+                    <label className="block text-xs font-medium text-gray-400">Até a Coleta (km)</label>
+                    <input type="number" inputMode="decimal" value={offerForm.pickupKm} onChange={(e) => handleChange('pickupKm', e.target.value)}
+                        className="mt-1 block w-full rounded-md border-gray-600 bg-gray-900 text-white text-xl font-bold shadow-sm p-2 focus:border-green-500 focus:ring-green-500"
+                        step="0.1" min="0" placeholder="0,0"
+                    />
+                </div>
+                <div>
+                    <label className="block text-xs font-medium text-gray-400">Corrida (km)</label>
+                    <input type="number" inputMode="decimal" value={offerForm.tripKm} onChange={(e) => handleChange('tripKm', e.target.value)}
+                        className="mt-1 block w-full rounded-md border-gray-600 bg-gray-900 text-white text-xl font-bold shadow-sm p-2 focus:border-green-500 focus:ring-green-500"
+                        step="0.1" min="0" placeholder="0,0"
+                    />
+                </div>
+            </div>
+
+            {/* Veredito */}
+            {result ? (
+                <div className={`p-4 rounded-lg border-2 ${verdict.className}`}>
+                    <p className="text-2xl font-extrabold text-center">{verdict.label}</p>
+                    <div className="grid grid-cols-3 gap-3 mt-4 text-center">
+                        <div>
+                            <p className="text-xs text-gray-400">Líquido</p>
+                            <p className="text-lg font-bold text-gray-100">{formatCurrency(result.net)}</p>
+                        </div>
+                        <div>
+                            <p className="text-xs text-gray-400">Por Km</p>
+                            <p className="text-lg font-bold text-gray-100">{formatCurrency(result.perKm)}</p>
+                            {config.offerMinPerKm > 0 && <p className="text-xs text-gray-500">mín. {formatCurrency(config.offerMinPerKm)}</p>}
+                        </div>
+                        <div>
+                            <p className="text-xs text-gray-400">Por Hora</p>
+                            <p className="text-lg font-bold text-gray-100">{formatCurrency(result.perHour)}</p>
+                            {config.offerMinPerHour > 0 && <p className="text-xs text-gray-500">mín. {formatCurrency(config.offerMinPerHour)}</p>}
+                        </div>
+                    </div>
+                    <p className="text-xs text-gray-400 mt-3 text-center">
+                        {result.totalKm.toFixed(1)} km em ~{Math.round(result.minutes)} min ({config.offerAverageSpeedKmh} km/h e {OFFER_STOP_MINUTES} min parado), com custo de {formatCurrency(result.cost)}.
+                    </p>
+                </div>
+            ) : (
+                <p className="text-sm text-gray-400 text-center">Digite o valor da oferta e os km para ver se ela compensa.</p>
+            )}
+
+            {/* Custo por Km Usado */}
+            <div className="p-3 bg-gray-700 rounded-lg text-sm">
+                <p className="flex justify-between text-gray-300 font-semibold">
+                    <span>Seu custo por km ({activeVehicle.name}):</span>
+                    <span>{formatCurrency(costPerKm.total)}</span>
+                </p>
+                <p className="text-xs text-gray-400 mt-1">
+                    Combustível {formatCurrency(costPerKm.fuel)} + Óleo {formatCurrency(costPerKm.oil)} + Demais itens {formatCurrency(costPerKm.maintenance)}
+                </p>
+                {costPerKm.fuel === 0 && (
+                    <p className="text-xs text-yellow-400 mt-1">Registre dois abastecimentos de tanque cheio para incluir o combustível.</p>
+                )}
+                {!config.offerMinPerKm && !config.offerMinPerHour && (
+                    <p className="text-xs text-gray-500 mt-1">Defina os mínimos por km e por hora nas Configurações.</p>
+                )}
+            </div>
+
+            {/* Aceitar e Salvar */}
+            {result && (
+                <div className="grid grid-cols-2 gap-3">
+                    <select value={sourceId} onChange={(e) => handleChange('sourceId', e.target.value)}
+                        className="block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-green-500 focus:ring-green-500"
+                    >
+                        {config.earningSources.map(source => (
+                            <option key={source.id} value={source.id}>{source.name}</option>
+                        ))}
+                    </select>
+                    <button type="button" onClick={acceptOffer}
+                        className="py-2 px-4 rounded-lg font-bold text-white bg-green-600 hover:bg-green-500 flex items-center justify-center"
+                    >
+                        <Check className="w-4 h-4 mr-1"/> Aceitei
+                    </button>
+                    <p className="col-span-2 text-xs text-gray-500">
+                        {activeShift ? 'Lança a corrida no turno ao vivo.' : todayLog ? 'Soma a corrida ao registro de hoje.' : 'Inicia um turno ao vivo com esta corrida.'}
+                    </p>
+                </div>
+            )}
+            {offerForm.message && <p className="text-sm text-center text-indigo-300">{offerForm.message}</p>}
+        </div>
+    );
+};
+
+// Componente: MEI (DAS, Limite Anual e Resumo para a DASN-SIMEI)
+const MeiView = ({ config, summaryLogs, fuelLogs, dasPayments, pendingDas, addDasPayment, deleteDasPayment }) => {
+    const todayKey = getTodayKey();
+    const currentYear = new Date().getFullYear();
+    const lastMonthCompetence = toDateKey(new Date(currentYear, new Date().getMonth() - 1, 1)).slice(0, 7);
+
+    const [formData, setFormData] = useState({
+        competence: pendingDas[0]?.competence || lastMonthCompetence,
+        date: todayKey,
+        amount: config.dasAmount || '',
+    });
+    const [summaryYear, setSummaryYear] = useState(currentYear);
+    const [paymentToDelete, setPaymentToDelete] = useState(null);
+    const [message, setMessage] = useState('');
+
+    // Faturamento do ano atual em relação ao limite, com projeção no ritmo atual
+    const limitStatus = useMemo(() => {
+        const revenue = summarizePeriod(summaryLogs, fuelLogs, { from: `${currentYear}-01-01`, to: todayKey }, 0).totalProfit;
+        const limit = getMeiAnnualLimit(currentYear, config.meiOpeningDate);
+        const yearStart = config.meiOpeningDate > `${currentYear}-01-01` ? config.meiOpeningDate : `${currentYear}-01-01`;
+        const elapsedDays = getDateKeysInRange({ from: yearStart, to: todayKey }).length;
+        const yearDays = getDateKeysInRange({ from: yearStart, to: `${currentYear}-12-31` }).length;
+        return {
+            revenue,
+            limit,
+            ratio: limit > 0 ? revenue / limit : 0,
+            projection: elapsedDays > 0 ? (revenue / elapsedDays) * yearDays : 0,
+        };
+    }, [summaryLogs, fuelLogs, config.meiOpeningDate, todayKey, currentYear]);
+
+    const yearSummary = useMemo(
+        () => getMeiYearSummary(summaryLogs, fuelLogs, dasPayments, config, summaryYear, todayKey),
+        [summaryLogs, fuelLogs, dasPayments, config, summaryYear, todayKey]
+    );
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setMessage('');
+        const success = await addDasPayment(formData);
+        setMessage(success ? 'Pagamento do DAS salvo com sucesso!' : 'Falha ao salvar o pagamento. Tente novamente.');
+    };
+
+    // Marca uma competência em aberto como paga hoje, com o valor mensal configurado
+    const markAsPaid = (competence) => addDasPayment({ competence, date: todayKey, amount: config.dasAmount });
+
+    const confirmDelete = async () => {
+        const paymentId = paymentToDelete;
+        setPaymentToDelete(null);
+        await deleteDasPayment(paymentId);
+    };
+
+    const copySummary = async () => {
+        try {
+            await navigator.clipboard.writeText(meiYearSummaryToText(yearSummary, summaryYear));
+            setMessage('Resumo copiado com sucesso!');
+        } catch (e) {
+            console.error("Erro ao copiar resumo:", e);
+            setMessage('Não foi possível copiar. Selecione a tabela e copie manualmente.');
+        }
+    };
+
+    const limitColor = limitStatus.ratio >= 1 ? 'bg-red-500' : limitStatus.ratio >= MEI_LIMIT_WARNING_RATIO ? 'bg-yellow-500' : 'bg-green-500';
+    const inputClassName = "mt-1 block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-teal-500 focus:ring-teal-500";
+
+    return (
+        <div className="p-4 max-w-4xl mx-auto space-y-8">
+            {/* Título Centralizado */}
+            <h2 className="text-3xl font-extrabold text-gray-100 mb-6 flex items-center justify-center">
+                <Landmark className="w-6 h-6 mr-3 text-teal-400" />
+                MEI
+            </h2>
+
+            {!config.meiEnabled && (
+                <p className="text-center text-sm text-gray-400">
+                    Ative o MEI em Configurações para receber lembretes do DAS e informar a data de abertura.
+                </p>
+            )}
+
+            {/* Limite Anual */}
+            <div className="bg-gray-800 p-6 rounded-xl shadow-2xl border-t-4 border-teal-500 space-y-3">
+                <h3 className="text-xl font-semibold text-gray-100">Faturamento {currentYear}</h3>
+                <div className="flex justify-between items-baseline">
+                    <span className="text-2xl font-extrabold text-gray-100">{formatCurrency(limitStatus.revenue)}</span>
+                    <span className="text-sm text-gray-400">Limite: {formatCurrency(limitStatus.limit)}</span>
+                </div>
+                <div className="w-full h-3 bg-gray-700 rounded-full overflow-hidden">
+                    <div className={`h-full ${limitColor}`} style={{ width: `${Math.min(limitStatus.ratio, 1) * 100}%` }} />
+                </div>
+                <p className="text-sm text-gray-400">
+                    {(limitStatus.ratio * 100).toFixed(0)}% do limite usado — no ritmo atual, o ano fecha em{' '}
+                    <span className={`font-bold ${limitStatus.projection > limitStatus.limit ? 'text-red-400' : 'text-gray-200'}`}>{formatCurrency(limitStatus.projection)}</span>.
+                </p>
+                {limitStatus.ratio >= MEI_LIMIT_TOLERANCE_RATIO ? (
+                    <p className="p-3 rounded-md bg-red-900/40 border border-red-500/50 text-sm text-red-300 flex items-start">
+                        <TriangleAlert className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0" />
+                        Faturamento mais de 20% acima do limite: o desenquadramento do MEI é retroativo a janeiro. Procure um contador.
+                    </p>
+                ) : limitStatus.ratio >= 1 ? (
+                    <p className="p-3 rounded-md bg-red-900/40 border border-red-500/50 text-sm text-red-300 flex items-start">
+                        <TriangleAlert className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0" />
+                        Limite ultrapassado. Até 20% acima, o excesso é tributado e você passa a ser ME no ano seguinte.
+                    </p>
+                ) : (limitStatus.ratio >= MEI_LIMIT_WARNING_RATIO || limitStatus.projection > limitStatus.limit) && (
+                    <p className="p-3 rounded-md bg-yellow-900/40 border border-yellow-500/50 text-sm text-yellow-300 flex items-start">
+                        <TriangleAlert className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0" />
+                        Atenção: você está se aproximando do limite anual do MEI.
+                    </p>
+                )}
+            </div>
+
+            {/* DAS em Aberto */}
+            {pendingDas.length > 0 && (
+                <div className="bg-gray-800 p-6 rounded-xl shadow-2xl border border-gray-700">
+                    <h3 className="text-xl font-semibold text-gray-100 mb-4">DAS em Aberto</h3>
+                    <ul className="space-y-2">
+                        {pendingDas.map(item => (
+                            <li key={item.competence} className="bg-gray-700 p-3 rounded-lg flex items-center justify-between gap-3 text-sm">
+                                <div>
+                                    <p className="font-medium text-gray-200">{formatCompetence(item.competence)}</p>
+                                    <p className={item.isOverdue ? 'text-red-400' : item.daysUntilDue <= DAS_REMINDER_DAYS ? 'text-yellow-400' : 'text-gray-400'}>
+                                        {item.isOverdue ? `Vencido em ${formatDateKey(item.dueDate)}` : `Vence em ${formatDateKey(item.dueDate)}`}
+                                    </p>
+                                </div>
+                                {config.dasAmount > 0 && (
+                                    <button onClick={() => markAsPaid(item.competence)} className="px-3 py-1 rounded-lg text-sm font-bold text-white bg-teal-600 hover:bg-teal-500 flex items-center">
+                                        <Check className="w-4 h-4 mr-1" /> Paguei {formatCurrency(config.dasAmount)}
+                                    </button>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+
+            {/* Registrar Pagamento */}
+            <div className="p-4 bg-gray-800 shadow-2xl rounded-xl max-w-lg mx-auto border border-gray-700">
+                <h3 className="text-xl font-semibold text-gray-100 mb-4">Registrar Pagamento do DAS</h3>
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    <div className="grid grid-cols-2 gap-3">
+                        <div>
+                            <label className="block text-sm font-medium text-gray-400">Competência</label>
+                            <input type="month" name="competence" value={formData.competence} onChange={handleChange} className={inputClassName} required />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-400">Data do Pagamento</label>
+                            <input type="date" name="date" value={formData.date} onChange={handleChange} className={inputClassName} required />
+                        </div>
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-400">Valor Pago (R$)</label>
+                        <input type="number" name="amount" value={formData.amount} onChange={handleChange} className={inputClassName} step="0.01" min="0" placeholder="Ex: 76.90" required />
+                    </div>
+                    <button type="submit"
+                        className="w-full py-3 px-4 border border-transparent rounded-lg shadow-lg text-lg font-bold text-white bg-teal-600 hover:bg-teal-500 transition duration-150 ease-in-out transform hover:scale-[1.01] focus:outline-none focus:ring-4 focus:ring-teal-600/50"
+                    >
+                        Registrar Pagamento
+                    </button>
+                    {message && <p className={`mt-3 text-center text-sm font-semibold ${message.includes('sucesso') ? 'text-green-400' : 'text-red-400'}`}>{message}</p>}
+                </form>
+            </div>
+
+            {/* Resumo Anual (DASN-SIMEI) */}
+            <div className="bg-gray-800 p-6 rounded-xl shadow-2xl border border-gray-700">
+                <div className="flex items-center justify-between mb-4">
+                    <button onClick={() => setSummaryYear(year => year - 1)} className="p-2 rounded-lg text-gray-400 hover:bg-gray-700 hover:text-teal-400" aria-label="Ano anterior">
+                        <ChevronLeft className="w-5 h-5" />
+                    </button>
+                    <h3 className="text-xl font-semibold text-gray-100">Resumo Anual {summaryYear}</h3>
+                    <button onClick={() => setSummaryYear(year => year + 1)} disabled={summaryYear >= currentYear} className="p-2 rounded-lg text-gray-400 hover:bg-gray-700 hover:text-teal-400 disabled:opacity-30" aria-label="Próximo ano">
+                        <ChevronRight className="w-5 h-5" />
+                    </button>
+                </div>
+                <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-600 text-sm">
+                        <thead>
+                            <tr className="text-left text-xs font-medium text-gray-400 uppercase tracking-wider">
+                                <th className="px-3 py-2">Mês</th>
+                                <th className="px-3 py-2 text-right">Receita Bruta</th>
+                                <th className="px-3 py-2 text-right">Despesas</th>
+                                <th className="px-3 py-2 text-right">DAS Pago</th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-700">
+                            {yearSummary.months.map(month => (
+                                <tr key={month.competence} className="text-gray-300">
+                                    <td className="px-3 py-2">{month.name}</td>
+                                    <td className="px-3 py-2 text-right text-green-400">{formatCurrency(month.revenue)}</td>
+                                    <td className="px-3 py-2 text-right text-red-400">{formatCurrency(month.expenses)}</td>
+                                    <td className="px-3 py-2 text-right">{formatCurrency(month.das)}</td>
+                                </tr>
+                            ))}
+                            <tr className="font-bold text-gray-100">
+                                <td className="px-3 py-2">Total</td>
+                                <td className="px-3 py-2 text-right text-green-400">{formatCurrency(yearSummary.totals.revenue)}</td>
+                                <td className="px-3 py-2 text-right text-red-400">{formatCurrency(yearSummary.totals.expenses)}</td>
+                                <td className="px-3 py-2 text-right">{formatCurrency(yearSummary.totals.das)}</td>
+                            </tr>
+                        </tbody>
+                    </table>
+                </div>
+                <p className="text-xs text-gray-500 mt-3">
+                    Na DASN-SIMEI, informe a receita bruta total como prestação de serviços. As despesas não entram na declaração,
+                    mas servem para conferir o lucro do ano.
+                </p>
+                <button onClick={copySummary} className="mt-4 w-full py-2 px-4 rounded-lg font-bold text-white bg-teal-600 hover:bg-teal-500 flex items-center justify-center">
+                    <Copy className="w-4 h-4 mr-2" /> Copiar Resumo
+                </button>
+            </div>
 
+            {/* Pagamentos */}
+            <div className="bg-gray-700 p-6 rounded-xl shadow-inner border border-gray-600">
+                <h3 className="text-xl font-semibold text-gray-100 mb-4">Pagamentos do DAS</h3>
+                {dasPayments.length === 0 ? (
+                    <p className="text-gray-400 text-sm">Nenhum pagamento registrado.</p>
+                ) : (
+                    <ul className="space-y-3">
+                        {dasPayments.map(payment => (
+                            <li key={payment.id} className="bg-gray-800 p-4 rounded-lg flex items-center justify-between gap-3">
+                                <div className="text-sm">
+                                    <p className="font-medium text-gray-300">{formatCompetence(payment.competence)}</p>
+                                    <p className="text-gray-400">Pago em {formatDateKey(payment.date)} — <span className="text-teal-400">{formatCurrency(payment.amount)}</span></p>
+                                </div>
+                                {paymentToDelete === payment.id ? (
+                                    <div className="flex gap-2">
+                                        <button onClick={confirmDelete} className="px-3 py-1 rounded-lg text-sm font-bold text-white bg-red-600 hover:bg-red-500">Excluir</button>
+                                        <button onClick={() => setPaymentToDelete(null)} className="px-3 py-1 rounded-lg text-sm font-bold text-gray-300 bg-gray-600 hover:bg-gray-500">Cancelar</button>
+                                    </div>
+                                ) : (
+                                    <button onClick={() => setPaymentToDelete(payment.id)} className="p-2 rounded-lg text-gray-400 hover:bg-gray-700 hover:text-red-400" aria-label="Excluir pagamento">
+                                        <Trash2 className="w-4 h-4" />
+                                    </button>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+        </div>
+    );
+};
 
 // Componente Principal da Aplicação
 const App = () => {
     const [currentTab, setCurrentTab] = useState('reports'); // Aba padrão
+    const [showMoreTabs, setShowMoreTabs] = useState(false); // Menu "Mais" da navegação inferior aberto
     const [isAuthReady, setIsAuthReady] = useState(false);
     const [userId, setUserId] = useState(null);
-    const [config, setConfig] = useState({
-        username: '',
-        bikeModel: '',
-        oilChangeCost: 0,
-        oilChangeIntervalKm: 0,
-        dailyGoal: 0,
-        workDaysPerWeek: 7,
-        fuelType: 'gasoline', 
-        bikePhotoUrl: '', // Armazena Base64 da foto
-    });
-    const [dailyLogs, setDailyLogs] = useState([]);
+    const [authProfile, setAuthProfile] = useState(null); // Conta atual (anônima ou vinculada a e-mail/Google)
+    const [config, setConfig] = useState(DEFAULT_CONFIG);
+    const [dailyLogs, setDailyLogs] = useState([]); // Registros a partir de logsFrom (mais recente primeiro)
+    const [logsLoadedFor, setLogsLoadedFor] = useState(''); // Usuário e início da janela cujos registros já chegaram
+    const [periodSummaries, setPeriodSummaries] = useState([]); // Totais por mês e por semana de cada veículo
+    const [summaryVersion, setSummaryVersion] = useState(null); // Versão dos resumos gravados (null = ainda lendo)
+    // Registros e resumos confirmados pelo servidor, sem escritas locais pendentes (só então podem ser comparados)
+    const [logsSynced, setLogsSynced] = useState(false);
+    const [summariesSynced, setSummariesSynced] = useState(false);
+    const [summaryDriftRebuiltFor, setSummaryDriftRebuiltFor] = useState(null); // Conta cujos resumos já foram refeitos por divergência
+    const [maintenanceRecords, setMaintenanceRecords] = useState([]);
+    const [fuelLogs, setFuelLogs] = useState([]);
+    const [dasPayments, setDasPayments] = useState([]); // Pagamentos do DAS (MEI)
+    const [vehicleDocs, setVehicleDocs] = useState([]); // Veículos salvos (o principal pode vir das configurações)
+    const [settingsVersions, setSettingsVersions] = useState([]); // Parâmetros de custo de cada data (ordem de gravação)
+    const [fleetRiders, setFleetRiders] = useState([]); // Resumos publicados pelos entregadores da frota própria
+    const [endedFleetMembershipKey, setEndedFleetMembershipKey] = useState(''); // Participação encerrada pelo dono: não publica mais
+    const [activeShift, setActiveShift] = useState(null); // Turno ao vivo (em andamento, pausado ou encerrado aguardando registro)
+    const [gpsTrack, setGpsTrack] = useState(EMPTY_GPS_TRACK); // Trajeto do GPS no turno ao vivo (gravado periodicamente no turno)
+    const [gpsError, setGpsError] = useState('');
     const [loading, setLoading] = useState(true);
-    const [error, setError] = useState('');
+    const [error, setError] = useState(''); // Falha da inicialização ou da autenticação: bloqueia o app
+    // Sincronização: escritas aguardando o servidor, falhas não bloqueantes e estado da conexão
+    const [pendingWrites, setPendingWrites] = useState(0);
+    const [syncError, setSyncError] = useState('');
+    const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+    // Mês e dia abertos no Histórico (mantidos aqui para continuar no mesmo lugar ao trocar de aba)
+    const [historyMonth, setHistoryMonth] = useState(() => getStartOfMonth(new Date()));
+    const [historySelectedDate, setHistorySelectedDate] = useState(null);
+    const [lastDeletedLog, setLastDeletedLog] = useState(null);
+    // Período dos relatórios (preset, data de referência e intervalo personalizado)
+    const [reportPeriod, setReportPeriod] = useState(() => ({
+        preset: 'month',
+        anchor: new Date(),
+        customRange: { from: toDateKey(getStartOfMonth(new Date())), to: getTodayKey() },
+        vehicleId: 'all', // 'all' ou o ID de um veículo
+    }));
+    // Início da janela de registros escutada (períodos anteriores: useDailyLogsInRange). Recalculado a cada render,
+    // avança com o mês: um app aberto na virada do mês passa a escutar a nova janela.
+    const logsFrom = getLogsWindowStart(getTodayKey(config.workDayStartHour));
 
     // 1. Inicialização e Autenticação do Firebase
     useEffect(() => {
@@ -71,13 +6551,25 @@ const App = () => {
 
         try {
             app = initializeApp(firebaseConfig);
-            db = getFirestore(app);
+            // Cache persistente: os dados abrem sem internet e as escritas ficam na fila até reconectar
+            db = initializeFirestore(app, {
+                localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
+            });
             auth = getAuth(app);
+            storage = getStorage(app);
+
+            if (firebaseEmulators) {
+                connectAuthEmulator(auth, firebaseEmulators.authUrl || 'http://127.0.0.1:9099', { disableWarnings: true });
+                connectFirestoreEmulator(db, firebaseEmulators.firestoreHost || '127.0.0.1', firebaseEmulators.firestorePort || 8080);
+                connectStorageEmulator(storage, firebaseEmulators.storageHost || '127.0.0.1', firebaseEmulators.storagePort || 9199);
+            }
 
             // Listener de Autenticação
             const unsubscribe = onAuthStateChanged(auth, async (user) => {
                 if (user) {
                     setUserId(user.uid);
+                    setAuthProfile(toAuthProfile(user));
+                    setLastDeletedLog(null); // O "Desfazer" pertence à conta anterior
                     setIsAuthReady(true);
                     console.log("Usuário autenticado:", user.uid);
                 } else {
@@ -104,55 +6596,249 @@ const App = () => {
         }
     }, []);
 
-    // 2. Buscar/Escutar Dados de Configuração
+    // 2. Buscar/Escutar Dados de Configuração
+    useEffect(() => {
+        if (!isAuthReady || !userId || !db) return;
+
+        const configDocRef = doc(db, 'artifacts', appId, 'users', userId, 'config', 'user_settings');
+
+        const unsubscribe = onSnapshot(configDocRef, (docSnap) => {
+            if (docSnap.exists()) {
+                setConfig(toSettingsDocument(docSnap.data()));
+            } else {
+                setConfig(DEFAULT_CONFIG); // Conta nova: não herda a configuração da conta anterior
+            }
+        }, (e) => {
+            console.error("Erro ao ler configuração:", e);
+            setSyncError("Erro ao carregar configurações. Verifique sua conexão.");
+        });
+
+        return () => unsubscribe();
+    }, [isAuthReady, userId]);
+
+    // 3. Buscar/Escutar Registros Diários
+    useEffect(() => {
+        if (!isAuthReady || !userId || !db) return;
+
+        setLogsSynced(false);
+        // Query: logs a partir do início da janela, ordenados por data (mais recente primeiro)
+        const logsCollectionRef = collection(db, 'artifacts', appId, 'users', userId, 'daily_logs');
+        const q = query(logsCollectionRef, where('date', '>=', logsFrom), orderBy('date', 'desc'));
+
+        const unsubscribe = onSnapshot(q, { includeMetadataChanges: true }, (snapshot) => {
+            setDailyLogs(snapshot.docs.map(doc => normalizeDailyLog(doc.id, doc.data())));
+            setLogsLoadedFor(`${userId}|${logsFrom}`);
+            setLogsSynced(!snapshot.metadata.fromCache && !snapshot.metadata.hasPendingWrites);
+        }, (e) => {
+            console.error("Erro ao ler logs diários:", e);
+            setSyncError("Erro ao carregar registros diários. Verifique sua conexão.");
+        });
+
+        return () => unsubscribe();
+    }, [isAuthReady, userId, logsFrom]);
+
+    // 4. Buscar/Escutar Serviços de Manutenção Realizados
+    useEffect(() => {
+        if (!isAuthReady || !userId || !db) return;
+
+        const recordsCollectionRef = collection(db, 'artifacts', appId, 'users', userId, 'maintenance_records');
+        const q = query(recordsCollectionRef, orderBy('odometer', 'desc'));
+
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            const records = snapshot.docs.map(doc => ({
+                id: doc.id,
+                ...doc.data(),
+                odometer: parseFloat(doc.data().odometer) || 0,
+                cost: parseFloat(doc.data().cost) || 0,
+                vehicleId: getVehicleId(doc.data()),
+            }));
+            setMaintenanceRecords(records);
+        }, (e) => {
+            console.error("Erro ao ler manutenções:", e);
+            setSyncError("Erro ao carregar manutenções. Verifique sua conexão.");
+        });
+
+        return () => unsubscribe();
+    }, [isAuthReady, userId]);
+
+    // 5. Buscar/Escutar Abastecimentos
+    useEffect(() => {
+        if (!isAuthReady || !userId || !db) return;
+
+        const fuelCollectionRef = collection(db, 'artifacts', appId, 'users', userId, 'fuel_logs');
+        const q = query(fuelCollectionRef, orderBy('odometer', 'desc'));
+
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            const fuelEntries = snapshot.docs.map(doc => ({
+                id: doc.id,
+                ...doc.data(),
+                odometer: parseFloat(doc.data().odometer) || 0,
+                liters: parseFloat(doc.data().liters) || 0,
+                pricePerLiter: parseFloat(doc.data().pricePerLiter) || 0,
+                totalCost: parseFloat(doc.data().totalCost) || 0,
+                fullTank: doc.data().fullTank !== false,
+                vehicleId: getVehicleId(doc.data()),
+            }));
+            setFuelLogs(fuelEntries);
+        }, (e) => {
+            console.error("Erro ao ler abastecimentos:", e);
+            setSyncError("Erro ao carregar abastecimentos. Verifique sua conexão.");
+        });
+
+        return () => unsubscribe();
+    }, [isAuthReady, userId]);
+
+    // 6. Buscar/Escutar Turno ao Vivo
+    useEffect(() => {
+        if (!isAuthReady || !userId || !db) return;
+
+        const shiftDocRef = doc(db, 'artifacts', appId, 'users', userId, 'config', 'active_shift');
+
+        const unsubscribe = onSnapshot(shiftDocRef, (docSnap) => {
+            setActiveShift(docSnap.exists() ? docSnap.data() : null);
+            if (!docSnap.exists()) setGpsTrack(EMPTY_GPS_TRACK); // Sem turno (registrado ou descartado), o trajeto recomeça
+        }, (e) => {
+            console.error("Erro ao ler turno:", e);
+            setSyncError("Erro ao carregar o turno em andamento. Verifique sua conexão.");
+        });
+
+        return () => unsubscribe();
+    }, [isAuthReady, userId]);
+
+    // 7. Expirar a opção de desfazer exclusão
+    useEffect(() => {
+        if (!lastDeletedLog) return;
+        const timer = setTimeout(() => setLastDeletedLog(null), UNDO_TIMEOUT_MS);
+        return () => clearTimeout(timer);
+    }, [lastDeletedLog]);
+
+    // 8. Acompanhar a conexão (online/offline)
+    useEffect(() => {
+        const handleOnline = () => setIsOnline(true);
+        const handleOffline = () => setIsOnline(false);
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+        };
+    }, []);
+
+    // 9. Contar as escritas que ficaram na fila de uma sessão anterior (persistidas no cache local)
+    useEffect(() => {
+        if (!isAuthReady || !userId || !db) return;
+        queueWrite(waitForPendingWrites(db));
+    }, [isAuthReady, userId]);
+
+    // 10. Buscar/Escutar Pagamentos do DAS
+    useEffect(() => {
+        if (!isAuthReady || !userId || !db) return;
+
+        const paymentsCollectionRef = collection(db, 'artifacts', appId, 'users', userId, 'das_payments');
+        const q = query(paymentsCollectionRef, orderBy('competence', 'desc'));
+
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            const payments = snapshot.docs.map(doc => ({
+                id: doc.id,
+                ...doc.data(),
+                amount: parseFloat(doc.data().amount) || 0,
+            }));
+            setDasPayments(payments);
+        }, (e) => {
+            console.error("Erro ao ler pagamentos do DAS:", e);
+            setSyncError("Erro ao carregar pagamentos do DAS. Verifique sua conexão.");
+        });
+
+        return () => unsubscribe();
+    }, [isAuthReady, userId]);
+
+    // 11. Buscar/Escutar Veículos
+    useEffect(() => {
+        if (!isAuthReady || !userId || !db) return;
+
+        const vehiclesCollectionRef = collection(db, 'artifacts', appId, 'users', userId, 'vehicles');
+
+        const unsubscribe = onSnapshot(vehiclesCollectionRef, (snapshot) => {
+            setVehicleDocs(snapshot.docs.map(doc => normalizeVehicle(doc.id, doc.data())));
+        }, (e) => {
+            console.error("Erro ao ler veículos:", e);
+            setSyncError("Erro ao carregar veículos. Verifique sua conexão.");
+        });
+
+        return () => unsubscribe();
+    }, [isAuthReady, userId]);
+
+    // 12. Buscar/Escutar Entregadores da Frota (somente para o dono de uma frota)
+    const hasFleet = !!config.fleet;
+    useEffect(() => {
+        if (!isAuthReady || !userId || !db || !hasFleet) {
+            setFleetRiders([]);
+            return;
+        }
+
+        const ridersCollectionRef = collection(db, 'artifacts', appId, 'fleets', userId, 'riders');
+
+        const unsubscribe = onSnapshot(ridersCollectionRef, (snapshot) => {
+            setFleetRiders(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (e) => {
+            console.error("Erro ao ler entregadores da frota:", e);
+            setSyncError("Erro ao carregar os entregadores da frota.");
+        });
+
+        return () => unsubscribe();
+    }, [isAuthReady, userId, hasFleet]);
+
+    // 16. Buscar/Escutar Versões das Configurações (parâmetros de custo com data de vigência)
+    useEffect(() => {
+        if (!isAuthReady || !userId || !db) return;
+
+        const versionsCollectionRef = collection(db, 'artifacts', appId, 'users', userId, 'settings_versions');
+        const q = query(versionsCollectionRef, orderBy('savedAt', 'asc'));
+
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setSettingsVersions(snapshot.docs.map(doc => normalizeSettingsVersion(doc.id, doc.data())));
+        }, (e) => {
+            console.error("Erro ao ler versões das configurações:", e);
+            setSyncError("Erro ao carregar o histórico das configurações. Verifique sua conexão.");
+        });
+
+        return () => unsubscribe();
+    }, [isAuthReady, userId]);
+
+    // 17. Buscar/Escutar Resumos por Período (mês e semana de cada veículo)
     useEffect(() => {
         if (!isAuthReady || !userId || !db) return;
 
-        const configDocRef = doc(db, 'artifacts', appId, 'users', userId, 'config', 'user_settings');
+        setSummariesSynced(false);
+        const summariesCollectionRef = collection(db, 'artifacts', appId, 'users', userId, 'period_summaries');
 
-        const unsubscribe = onSnapshot(configDocRef, (docSnap) => {
-            if (docSnap.exists()) {
-                const data = docSnap.data();
-                setConfig({
-                    username: data.username || '',
-                    bikeModel: data.bikeModel || '',
-                    oilChangeCost: parseFloat(data.oilChangeCost) || 0,
-                    oilChangeIntervalKm: parseInt(data.oilChangeIntervalKm) || 0,
-                    dailyGoal: parseFloat(data.dailyGoal) || 0,
-                    workDaysPerWeek: parseInt(data.workDaysPerWeek) || 7,
-                    fuelType: data.fuelType || 'gasoline', 
-                    bikePhotoUrl: data.bikePhotoUrl || '', // Carregar Base64
-                });
-            }
+        const unsubscribe = onSnapshot(summariesCollectionRef, { includeMetadataChanges: true }, (snapshot) => {
+            setPeriodSummaries(snapshot.docs.map(doc => normalizePeriodSummary(doc.id, doc.data())));
+            setSummariesSynced(!snapshot.metadata.fromCache && !snapshot.metadata.hasPendingWrites);
         }, (e) => {
-            console.error("Erro ao ler configuração:", e);
-            setError("Erro ao carregar configurações.");
+            console.error("Erro ao ler resumos por período:", e);
+            setSyncError("Erro ao carregar os resumos dos relatórios. Verifique sua conexão.");
         });
 
         return () => unsubscribe();
     }, [isAuthReady, userId]);
 
-    // 3. Buscar/Escutar Registros Diários
+    // 18. Buscar/Escutar a Versão dos Resumos (contas sem resumos ou com formato antigo precisam refazê-los)
     useEffect(() => {
         if (!isAuthReady || !userId || !db) return;
 
-        // Query: logs ordenados por data (mais recente primeiro)
-        const logsCollectionRef = collection(db, 'artifacts', appId, 'users', userId, 'daily_logs');
-        const q = query(logsCollectionRef, orderBy('date', 'desc'));
+        setSummaryVersion(null); // Não reaproveita o estado da conta anterior
+        const stateDocRef = doc(db, 'artifacts', appId, 'users', userId, 'config', 'summary_state');
 
-        const unsubscribe = onSnapshot(q, (snapshot) => {
-            const logs = snapshot.docs.map(doc => ({
-                id: doc.id,
-                ...doc.data(),
-                date: doc.data().date instanceof Date ? doc.data().date.toISOString().split('T')[0] : doc.data().date, // Garantir que a data esteja no formato string 'YYYY-MM-DD'
-                profit: parseFloat(doc.data().profit) || 0,
-                gasolineCost: parseFloat(doc.data().gasolineCost) || 0,
-                oilCost: parseFloat(doc.data().oilCost) || 0, // Custo rateado do óleo
-            }));
-            setDailyLogs(logs);
+        // Com metadados: a leitura do cache é seguida da resposta do servidor, mesmo sem mudança no documento
+        const unsubscribe = onSnapshot(stateDocRef, { includeMetadataChanges: true }, (docSnap) => {
+            const version = docSnap.exists() ? parseInt(docSnap.data().version) || 0 : 0;
+            // Só o servidor decide que os resumos precisam ser refeitos: offline, o cache pode não ter o documento
+            if (docSnap.metadata.fromCache && version < PERIOD_SUMMARY_VERSION) return;
+            setSummaryVersion(version);
         }, (e) => {
-            console.error("Erro ao ler logs diários:", e);
-            setError("Erro ao carregar registros diários.");
+            console.error("Erro ao ler estado dos resumos:", e);
+            setSyncError("Erro ao carregar os resumos dos relatórios. Verifique sua conexão.");
         });
 
         return () => unsubscribe();
@@ -160,519 +6846,934 @@ const App = () => {
 
     // --- Manipuladores de Dados ---
 
+    // O Firestore aplica a escrita no cache local na hora; a confirmação do servidor é acompanhada em segundo plano
+    const queueWrite = (writePromise) => {
+        setPendingWrites(count => count + 1);
+        writePromise
+            .catch((e) => {
+                console.error("Erro ao sincronizar:", e);
+                setSyncError("Algumas alterações não puderam ser sincronizadas com o servidor.");
+            })
+            .finally(() => setPendingWrites(count => count - 1));
+    };
+
+    // Envia uma imagem comprimida ao Storage e grava a URL no documento. O documento já foi
+    // salvo pela fila do Firestore; o envio da imagem depende de conexão.
+    const attachImage = (docRef, path, blob, fields, previousPath = '') => {
+        const imageRef = storageRef(storage, path);
+        queueWrite(uploadBytes(imageRef, blob, { contentType: 'image/jpeg' })
+            .then(() => getDownloadURL(imageRef))
+            .then(url => updateDoc(docRef, { [fields.url]: url, [fields.path]: path }))
+            .then(() => { if (previousPath && previousPath !== path) removeImage(previousPath); })
+            .catch((e) => {
+                console.error("Erro ao enviar imagem:", e);
+                setSyncError("Não foi possível enviar a imagem. Verifique sua conexão e tente novamente.");
+            }));
+    };
+
+    // Remove uma imagem do Storage (já removida não é erro)
+    const removeImage = (path) => {
+        if (!path || !storage) return;
+        queueWrite(deleteObject(storageRef(storage, path)).catch((e) => {
+            if (e.code !== 'storage/object-not-found') throw e;
+        }));
+    };
+
+    // Gravar uma Versão das Configurações quando os parâmetros de custo mudam (vale a partir do dia de trabalho atual)
+    const currentSettingsVersionId = settingsVersions.length > 0 ? settingsVersions[settingsVersions.length - 1].id : '';
+    const recordSettingsVersion = (parameters) => {
+        const latest = settingsVersions[settingsVersions.length - 1];
+        if (latest && isSameCostParameters(latest, parameters)) return;
+        const versionDocRef = doc(collection(db, 'artifacts', appId, 'users', userId, 'settings_versions'));
+        queueWrite(setDoc(versionDocRef, { effectiveFrom: getTodayKey(config.workDayStartHour), savedAt: Date.now(), ...parameters }));
+    };
+
+    // Recalcular Custos: grava nos registros os custos de óleo e manutenção calculados com os parâmetros atuais
+    const applyCostRecalculation = async (changes) => {
+        if (!userId || !db) {
+            setSyncError("Dados não carregados. Tente novamente após a autenticação.");
+            return false;
+        }
+        try {
+            // Cada registro altera até dois resumos (mês e semana), gravados no mesmo lote
+            const logsPerBatch = Math.floor(BATCH_WRITE_LIMIT / 3);
+            for (let start = 0; start < changes.length; start += logsPerBatch) {
+                const batch = writeBatch(db);
+                const batchChanges = changes.slice(start, start + logsPerBatch);
+                batchChanges.forEach(({ log, oilCost, maintenanceCost }) => {
+                    batch.update(doc(db, 'artifacts', appId, 'users', userId, 'daily_logs', log.id), {
+                        oilCost,
+                        maintenanceCost,
+                        settingsVersionId: currentSettingsVersionId,
+                    });
+                });
+                addSummaryWrites(batch, batchChanges.map(({ log, oilCost, maintenanceCost }) => ({ oldLog: log, newLog: { ...log, oilCost, maintenanceCost } })));
+                queueWrite(batch.commit());
+            }
+            console.log("Custos recalculados com sucesso!");
+            return true;
+        } catch (e) {
+            console.error("Erro ao recalcular custos:", e);
+            setSyncError("Erro ao recalcular os custos. Verifique sua conexão.");
+            return false;
+        }
+    };
+
     // Salvar Configuração
     const saveConfig = async (newConfig) => {
         if (!userId || !db) {
-            setError("Dados não carregados. Tente novamente após a autenticação.");
-            return;
+            setSyncError("Dados não carregados. Tente novamente após a autenticação.");
+            return false;
+        }
+        const settingsDocument = toSettingsDocument(newConfig);
+        const errors = validateSettings(settingsDocument);
+        if (errors.length > 0) {
+            setSyncError(errors[0]);
+            return false;
+        }
+        try {
+            const configDocRef = doc(db, 'artifacts', appId, 'users', userId, 'config', 'user_settings');
+            queueWrite(setDoc(configDocRef, settingsDocument));
+            recordSettingsVersion(toCostParameters(newConfig, getVehicles(vehicleDocs, newConfig)));
+            setConfig(newConfig);
+            console.log("Configuração salva com sucesso!");
+            return true;
+        } catch (e) {
+            console.error("Erro ao salvar configuração:", e);
+            setSyncError("Erro ao salvar a configuração. Verifique sua conexão.");
+            return false;
+        }
+    };
+
+    // Soma nos resumos por período as variações das alterações { oldLog, newLog }, no mesmo lote dos registros
+    const addSummaryWrites = (batch, changes) => {
+        Object.entries(getSummaryDeltas(changes)).forEach(([id, delta]) => {
+            batch.set(doc(db, 'artifacts', appId, 'users', userId, 'period_summaries', id), toSummaryIncrement(delta), { merge: true });
+        });
+    };
+
+    // Todos os registros da conta, inclusive os de fora da janela carregada (exportação, backup e resumos).
+    // Lidos do servidor: o cache só tem os registros já abertos neste aparelho. Retorna null em caso de erro (ou offline).
+    const loadAllDailyLogs = async () => {
+        if (!userId || !db) {
+            setSyncError("Dados não carregados. Tente novamente após a autenticação.");
+            return null;
+        }
+        try {
+            const logsCollectionRef = collection(db, 'artifacts', appId, 'users', userId, 'daily_logs');
+            const snapshot = await getDocsFromServer(query(logsCollectionRef, orderBy('date', 'desc')));
+            return snapshot.docs.map(doc => normalizeDailyLog(doc.id, doc.data()));
+        } catch (e) {
+            console.error("Erro ao carregar todos os registros:", e);
+            setSyncError("Erro ao carregar os registros. Verifique sua conexão.");
+            return null;
+        }
+    };
+
+    // Refazer os Resumos por Período a partir de todos os registros (contas anteriores aos resumos ou com formato antigo)
+    const rebuildPeriodSummaries = async () => {
+        const logs = await loadAllDailyLogs();
+        if (!logs) return false;
+        try {
+            const userPath = ['artifacts', appId, 'users', userId];
+            const summaries = getSummaryDeltas(logs.map(log => ({ oldLog: null, newLog: log })));
+            const summariesSnapshot = await getDocsFromServer(collection(db, ...userPath, 'period_summaries'));
+            const operations = [
+                ...summariesSnapshot.docs.filter(docSnap => !summaries[docSnap.id]).map(docSnap => batch => batch.delete(docSnap.ref)),
+                ...Object.entries(summaries).map(([id, summary]) => batch => batch.set(doc(db, ...userPath, 'period_summaries', id), summary)),
+            ];
+            const commits = [];
+            for (let start = 0; start < operations.length; start += BATCH_WRITE_LIMIT) {
+                const batch = writeBatch(db);
+                operations.slice(start, start + BATCH_WRITE_LIMIT).forEach(operation => operation(batch));
+                commits.push(batch.commit());
+            }
+            commits.forEach(queueWrite);
+            await Promise.all(commits);
+            // Só depois que todos os lotes foram aceitos: com um lote recusado, a versão não muda e o app continua
+            // nos registros carregados até a próxima abertura refazer os resumos
+            queueWrite(setDoc(doc(db, ...userPath, 'config', 'summary_state'), { version: PERIOD_SUMMARY_VERSION, rebuiltAt: Date.now() }));
+            console.log("Resumos por período refeitos com sucesso!");
+            return true;
+        } catch (e) {
+            console.error("Erro ao refazer os resumos:", e);
+            setSyncError("Erro ao montar os resumos dos relatórios. Verifique sua conexão.");
+            return false;
+        }
+    };
+
+    // Adicionar Registro Diário
+    const addDailyLog = async (logData) => {
+        if (!userId || !db) {
+            setSyncError("Dados não carregados. Tente novamente após a autenticação.");
+            return false;
+        }
+        const logDocument = toDailyLogDocument({ vehicleId: activeVehicle.id, settingsVersionId: currentSettingsVersionId, ...logData });
+        const errors = validateDailyLog(logDocument);
+        if (errors.length > 0) {
+            setSyncError(errors[0]);
+            return false;
+        }
+        try {
+            const logDocRef = doc(collection(db, 'artifacts', appId, 'users', userId, 'daily_logs'));
+            const batch = writeBatch(db);
+            batch.set(logDocRef, logDocument);
+            addSummaryWrites(batch, [{ oldLog: null, newLog: logDocument }]);
+            queueWrite(batch.commit());
+            console.log("Registro diário adicionado com sucesso!");
+            return true;
+        } catch (e) {
+            console.error("Erro ao adicionar registro diário:", e);
+            setSyncError("Erro ao adicionar registro diário. Verifique sua conexão.");
+            return false;
+        }
+    };
+
+    // Atualizar Registro Diário. oldLog: o registro como está gravado (pode ser de um mês fora da janela carregada)
+    const updateDailyLog = async (oldLog, logData) => {
+        if (!userId || !db) {
+            setSyncError("Dados não carregados. Tente novamente após a autenticação.");
+            return false;
+        }
+        const logDocument = toDailyLogDocument(logData);
+        delete logDocument.fuelCostEstimated; // Mantém a origem do custo de combustível gravada no documento
+        const errors = validateDailyLog(logDocument);
+        if (errors.length > 0) {
+            setSyncError(errors[0]);
+            return false;
+        }
+        // Os resumos trocam os valores antigos do registro pelos novos
+        if (!oldLog) {
+            setSyncError("Registro não encontrado. Ele pode ter sido excluído em outro aparelho.");
+            return false;
+        }
+        try {
+            const logDocRef = doc(db, 'artifacts', appId, 'users', userId, 'daily_logs', oldLog.id);
+            const batch = writeBatch(db);
+            batch.update(logDocRef, logDocument);
+            addSummaryWrites(batch, [{ oldLog, newLog: { ...logDocument, fuelCostEstimated: oldLog.fuelCostEstimated } }]);
+            queueWrite(batch.commit());
+            console.log("Registro diário atualizado com sucesso!");
+            return true;
+        } catch (e) {
+            console.error("Erro ao atualizar registro diário:", e);
+            setSyncError("Erro ao atualizar registro diário. Verifique sua conexão.");
+            return false;
+        }
+    };
+
+    // Excluir Registro Diário (guarda uma cópia para permitir desfazer)
+    const deleteDailyLog = async (log) => {
+        if (!userId || !db) {
+            setSyncError("Dados não carregados. Tente novamente após a autenticação.");
+            return false;
+        }
+        try {
+            const logDocRef = doc(db, 'artifacts', appId, 'users', userId, 'daily_logs', log.id);
+            const batch = writeBatch(db);
+            batch.delete(logDocRef);
+            addSummaryWrites(batch, [{ oldLog: log, newLog: null }]);
+            queueWrite(batch.commit());
+            setLastDeletedLog(log);
+            console.log("Registro diário excluído com sucesso!");
+            return true;
+        } catch (e) {
+            console.error("Erro ao excluir registro diário:", e);
+            setSyncError("Erro ao excluir registro diário. Verifique sua conexão.");
+            return false;
+        }
+    };
+
+    // Desfazer Exclusão (recria o registro com o mesmo ID)
+    const restoreDeletedLog = async () => {
+        if (!userId || !db || !lastDeletedLog) return false;
+        try {
+            const { id, ...logData } = lastDeletedLog;
+            const logDocRef = doc(db, 'artifacts', appId, 'users', userId, 'daily_logs', id);
+            const batch = writeBatch(db);
+            batch.set(logDocRef, toDailyLogDocument(logData));
+            addSummaryWrites(batch, [{ oldLog: null, newLog: logData }]);
+            queueWrite(batch.commit());
+            setLastDeletedLog(null);
+            console.log("Registro diário restaurado com sucesso!");
+            return true;
+        } catch (e) {
+            console.error("Erro ao restaurar registro diário:", e);
+            setSyncError("Erro ao restaurar registro diário. Verifique sua conexão.");
+            return false;
+        }
+    };
+
+    // Registrar Serviço de Manutenção (o próximo intervalo passa a contar deste hodômetro)
+    const addMaintenanceRecord = async (recordData) => {
+        if (!userId || !db) {
+            setSyncError("Dados não carregados. Tente novamente após a autenticação.");
+            return false;
+        }
+        try {
+            const recordsCollectionRef = collection(db, 'artifacts', appId, 'users', userId, 'maintenance_records');
+            const recordDocRef = doc(recordsCollectionRef);
+            queueWrite(setDoc(recordDocRef, {
+                itemKey: recordData.itemKey,
+                date: recordData.date, // Armazenando como string 'YYYY-MM-DD'
+                odometer: parseFloat(recordData.odometer) || 0,
+                cost: parseFloat(recordData.cost) || 0,
+                vehicleId: activeVehicle.id,
+            }));
+            if (recordData.receipt) {
+                const path = getImageStoragePath(userId, 'maintenance_records', recordDocRef.id, 'receipt');
+                attachImage(recordDocRef, path, recordData.receipt.blob, { url: 'receiptUrl', path: 'receiptPath' });
+            }
+            console.log("Manutenção registrada com sucesso!");
+            return true;
+        } catch (e) {
+            console.error("Erro ao registrar manutenção:", e);
+            setSyncError("Erro ao registrar manutenção. Verifique sua conexão.");
+            return false;
+        }
+    };
+
+    // Excluir Serviço de Manutenção
+    const deleteMaintenanceRecord = async (recordId) => {
+        if (!userId || !db) {
+            setSyncError("Dados não carregados. Tente novamente após a autenticação.");
+            return false;
+        }
+        try {
+            const recordDocRef = doc(db, 'artifacts', appId, 'users', userId, 'maintenance_records', recordId);
+            queueWrite(deleteDoc(recordDocRef));
+            removeImage(maintenanceRecords.find(record => record.id === recordId)?.receiptPath);
+            console.log("Manutenção excluída com sucesso!");
+            return true;
+        } catch (e) {
+            console.error("Erro ao excluir manutenção:", e);
+            setSyncError("Erro ao excluir manutenção. Verifique sua conexão.");
+            return false;
+        }
+    };
+
+    // Registrar Abastecimento
+    const addFuelLog = async (fuelData) => {
+        if (!userId || !db) {
+            setSyncError("Dados não carregados. Tente novamente após a autenticação.");
+            return false;
+        }
+        try {
+            const liters = parseFloat(fuelData.liters) || 0;
+            const pricePerLiter = parseFloat(fuelData.pricePerLiter) || 0;
+            const fuelCollectionRef = collection(db, 'artifacts', appId, 'users', userId, 'fuel_logs');
+            const fuelDocRef = doc(fuelCollectionRef);
+            queueWrite(setDoc(fuelDocRef, {
+                date: fuelData.date, // Armazenando como string 'YYYY-MM-DD'
+                fuelType: fuelData.fuelType,
+                odometer: parseFloat(fuelData.odometer) || 0,
+                liters,
+                pricePerLiter,
+                totalCost: liters * pricePerLiter,
+                fullTank: !!fuelData.fullTank,
+                vehicleId: activeVehicle.id,
+            }));
+            if (fuelData.receipt) {
+                const path = getImageStoragePath(userId, 'fuel_logs', fuelDocRef.id, 'receipt');
+                attachImage(fuelDocRef, path, fuelData.receipt.blob, { url: 'receiptUrl', path: 'receiptPath' });
+            }
+            console.log("Abastecimento registrado com sucesso!");
+            return true;
+        } catch (e) {
+            console.error("Erro ao registrar abastecimento:", e);
+            setSyncError("Erro ao registrar abastecimento. Verifique sua conexão.");
+            return false;
+        }
+    };
+
+    // Excluir Abastecimento
+    const deleteFuelLog = async (fuelLogId) => {
+        if (!userId || !db) {
+            setSyncError("Dados não carregados. Tente novamente após a autenticação.");
+            return false;
+        }
+        try {
+            const fuelDocRef = doc(db, 'artifacts', appId, 'users', userId, 'fuel_logs', fuelLogId);
+            queueWrite(deleteDoc(fuelDocRef));
+            removeImage(fuelLogs.find(fuelLog => fuelLog.id === fuelLogId)?.receiptPath);
+            console.log("Abastecimento excluído com sucesso!");
+            return true;
+        } catch (e) {
+            console.error("Erro ao excluir abastecimento:", e);
+            setSyncError("Erro ao excluir abastecimento. Verifique sua conexão.");
+            return false;
+        }
+    };
+
+    // Salvar Veículo (novo ou existente; o principal usa o ID fixo 'default')
+    const saveVehicle = async (vehicleData) => {
+        if (!userId || !db) {
+            setSyncError("Dados não carregados. Tente novamente após a autenticação.");
+            return false;
+        }
+        try {
+            const vehiclesCollectionRef = collection(db, 'artifacts', appId, 'users', userId, 'vehicles');
+            const vehicleDocRef = vehicleData.id ? doc(vehiclesCollectionRef, vehicleData.id) : doc(vehiclesCollectionRef);
+            const { id, ...vehicle } = normalizeVehicle(vehicleDocRef.id, vehicleData);
+            queueWrite(setDoc(vehicleDocRef, vehicle));
+            recordSettingsVersion(toCostParameters(config, getVehicles([...vehicleDocs.filter(item => item.id !== id), { id, ...vehicle }], config)));
+            // Nova foto: cada envio ganha um nome próprio (evita cache da anterior), que é removida depois
+            if (vehicleData.photo) {
+                const path = getImageStoragePath(userId, 'vehicles', vehicleDocRef.id, `photo-${Date.now().toString(36)}`);
+                attachImage(vehicleDocRef, path, vehicleData.photo.blob, { url: 'photoUrl', path: 'photoPath' }, vehicle.photoPath);
+            }
+            console.log("Veículo salvo com sucesso!");
+            return true;
+        } catch (e) {
+            console.error("Erro ao salvar veículo:", e);
+            setSyncError("Erro ao salvar veículo. Verifique sua conexão.");
+            return false;
+        }
+    };
+
+    // Excluir Veículo (os registros antigos continuam com o vehicleId original)
+    const deleteVehicle = async (vehicleId) => {
+        if (!userId || !db) {
+            setSyncError("Dados não carregados. Tente novamente após a autenticação.");
+            return false;
+        }
+        if (vehicleId === DEFAULT_VEHICLE_ID || vehicleId === activeVehicle.id) return false;
+        try {
+            const vehicleDocRef = doc(db, 'artifacts', appId, 'users', userId, 'vehicles', vehicleId);
+            queueWrite(deleteDoc(vehicleDocRef));
+            removeImage(vehicleDocs.find(vehicle => vehicle.id === vehicleId)?.photoPath);
+            console.log("Veículo excluído com sucesso!");
+            return true;
+        } catch (e) {
+            console.error("Erro ao excluir veículo:", e);
+            setSyncError("Erro ao excluir veículo. Verifique sua conexão.");
+            return false;
+        }
+    };
+
+    // Criar Frota Própria (gera o código de convite para os entregadores)
+    const createFleet = async (name) => {
+        if (!userId || !db) {
+            setSyncError("Dados não carregados. Tente novamente após a autenticação.");
+            return false;
+        }
+        try {
+            const inviteCode = generateInviteCode();
+            const inviteDocRef = doc(db, 'artifacts', appId, 'fleet_invites', inviteCode);
+            queueWrite(setDoc(inviteDocRef, { ownerId: userId, fleetName: name.trim(), createdAt: Date.now() }));
+            await saveConfig({ ...config, fleet: { name: name.trim(), inviteCode } });
+            console.log("Frota criada com sucesso!");
+            return true;
+        } catch (e) {
+            console.error("Erro ao criar frota:", e);
+            setSyncError("Erro ao criar a frota. Verifique sua conexão.");
+            return false;
+        }
+    };
+
+    // Gerar Novo Código de Convite (o anterior deixa de valer; quem já entrou continua na frota)
+    const regenerateFleetInvite = async () => {
+        if (!userId || !db) {
+            setSyncError("Dados não carregados. Tente novamente após a autenticação.");
+            return false;
+        }
+        if (!config.fleet) return false;
+        try {
+            const inviteCode = generateInviteCode();
+            queueWrite(deleteDoc(doc(db, 'artifacts', appId, 'fleet_invites', config.fleet.inviteCode)));
+            queueWrite(setDoc(doc(db, 'artifacts', appId, 'fleet_invites', inviteCode), { ownerId: userId, fleetName: config.fleet.name, createdAt: Date.now() }));
+            await saveConfig({ ...config, fleet: { ...config.fleet, inviteCode } });
+            return true;
+        } catch (e) {
+            console.error("Erro ao gerar código de convite:", e);
+            setSyncError("Erro ao gerar um novo código de convite. Verifique sua conexão.");
+            return false;
+        }
+    };
+
+    // Remover Entregador da Frota. O código é trocado junto para que ele não volte com o convite antigo.
+    const removeFleetRider = async (riderId) => {
+        if (!userId || !db) {
+            setSyncError("Dados não carregados. Tente novamente após a autenticação.");
+            return false;
+        }
+        try {
+            queueWrite(deleteDoc(doc(db, 'artifacts', appId, 'fleets', userId, 'riders', riderId)));
+            return await regenerateFleetInvite();
+        } catch (e) {
+            console.error("Erro ao remover entregador:", e);
+            setSyncError("Erro ao remover o entregador. Verifique sua conexão.");
+            return false;
+        }
+    };
+
+    // Encerrar Frota Própria (remove o convite e os resumos recebidos)
+    const deleteFleet = async () => {
+        if (!userId || !db) {
+            setSyncError("Dados não carregados. Tente novamente após a autenticação.");
+            return false;
+        }
+        if (!config.fleet) return false;
+        try {
+            queueWrite(deleteDoc(doc(db, 'artifacts', appId, 'fleet_invites', config.fleet.inviteCode)));
+            fleetRiders.forEach(rider => queueWrite(deleteDoc(doc(db, 'artifacts', appId, 'fleets', userId, 'riders', rider.id))));
+            await saveConfig({ ...config, fleet: null });
+            return true;
+        } catch (e) {
+            console.error("Erro ao encerrar frota:", e);
+            setSyncError("Erro ao encerrar a frota. Verifique sua conexão.");
+            return false;
+        }
+    };
+
+    // Entrar em uma Frota pelo código de convite. Retorna a mensagem de erro (ou '' em caso de sucesso).
+    // A consulta do convite precisa de conexão; o resumo é publicado em seguida pelo efeito da frota.
+    const joinFleet = async (code, share) => {
+        if (!userId || !db) {
+            setSyncError("Dados não carregados. Tente novamente após a autenticação.");
+            return 'Dados não carregados.';
+        }
+        const inviteCode = normalizeInviteCode(code);
+        if (inviteCode.length !== FLEET_INVITE_CODE_LENGTH) return `O código de convite tem ${FLEET_INVITE_CODE_LENGTH} letras e números.`;
+        try {
+            const inviteSnap = await getDoc(doc(db, 'artifacts', appId, 'fleet_invites', inviteCode));
+            if (!inviteSnap.exists()) return 'Código de convite inválido ou substituído pelo dono da frota.';
+            const invite = inviteSnap.data();
+            if (invite.ownerId === userId) return 'Este é o código da sua própria frota.';
+            setEndedFleetMembershipKey(''); // Novo convite aceito: volta a publicar
+            await saveConfig({
+                ...config,
+                fleetMembership: { ownerId: invite.ownerId, fleetName: invite.fleetName || '', inviteCode, share: normalizeFleetShare(share) },
+            });
+            console.log("Entrada na frota realizada com sucesso!");
+            return '';
+        } catch (e) {
+            console.error("Erro ao entrar na frota:", e);
+            return 'Não foi possível consultar o convite. Verifique sua conexão.';
+        }
+    };
+
+    // Sair da Frota (o dono deixa de ver o resumo)
+    const leaveFleet = async () => {
+        if (!userId || !db) {
+            setSyncError("Dados não carregados. Tente novamente após a autenticação.");
+            return false;
+        }
+        if (!config.fleetMembership) return false;
+        try {
+            queueWrite(deleteDoc(doc(db, 'artifacts', appId, 'fleets', config.fleetMembership.ownerId, 'riders', userId)));
+            await saveConfig({ ...config, fleetMembership: null });
+            return true;
+        } catch (e) {
+            console.error("Erro ao sair da frota:", e);
+            setSyncError("Erro ao sair da frota. Verifique sua conexão.");
+            return false;
+        }
+    };
+
+    // Participação encerrada pelo dono da frota: limpa a participação salva (o resumo já foi apagado por ele)
+    // e explica o motivo, em vez de deixar o resumo falhando a cada publicação
+    const endFleetMembership = (membership) => {
+        setEndedFleetMembershipKey(JSON.stringify(membership));
+        const configDocRef = doc(db, 'artifacts', appId, 'users', userId, 'config', 'user_settings');
+        queueWrite(setDoc(configDocRef, { fleetMembership: null }, { merge: true }));
+        const fleetName = membership.fleetName ? ` "${membership.fleetName}"` : '';
+        setSyncError(`Você não faz mais parte da frota${fleetName}: o dono removeu sua participação ou encerrou a frota. Para voltar, peça um novo código de convite.`);
+    };
+
+    // Registrar Pagamento do DAS
+    const addDasPayment = async (paymentData) => {
+        if (!userId || !db) {
+            setSyncError("Dados não carregados. Tente novamente após a autenticação.");
+            return false;
+        }
+        try {
+            const paymentsCollectionRef = collection(db, 'artifacts', appId, 'users', userId, 'das_payments');
+            queueWrite(addDoc(paymentsCollectionRef, {
+                competence: paymentData.competence, // Mês de referência 'YYYY-MM'
+                date: paymentData.date, // Data do pagamento 'YYYY-MM-DD'
+                amount: parseFloat(paymentData.amount) || 0,
+            }));
+            console.log("Pagamento do DAS registrado com sucesso!");
+            return true;
+        } catch (e) {
+            console.error("Erro ao registrar pagamento do DAS:", e);
+            setSyncError("Erro ao registrar pagamento do DAS. Verifique sua conexão.");
+            return false;
+        }
+    };
+
+    // Excluir Pagamento do DAS
+    const deleteDasPayment = async (paymentId) => {
+        if (!userId || !db) {
+            setSyncError("Dados não carregados. Tente novamente após a autenticação.");
+            return false;
         }
-        setLoading(true);
         try {
-            const configDocRef = doc(db, 'artifacts', appId, 'users', userId, 'config', 'user_settings');
-            await setDoc(configDocRef, {
-                username: newConfig.username,
-                bikeModel: newConfig.bikeModel,
-                oilChangeCost: parseFloat(newConfig.oilChangeCost) || 0,
-                oilChangeIntervalKm: parseInt(newConfig.oilChangeIntervalKm) || 0,
-                dailyGoal: parseFloat(newConfig.dailyGoal) || 0,
-                workDaysPerWeek: parseInt(newConfig.workDaysPerWeek) || 7,
-                fuelType: newConfig.fuelType, 
-                bikePhotoUrl: newConfig.bikePhotoUrl, // Salvar Base64 ou URL fallback
-            });
-            setConfig(newConfig);
-            console.log("Configuração salva com sucesso!");
+            const paymentDocRef = doc(db, 'artifacts', appId, 'users', userId, 'das_payments', paymentId);
+            queueWrite(deleteDoc(paymentDocRef));
+            console.log("Pagamento do DAS excluído com sucesso!");
+            return true;
         } catch (e) {
-            console.error("Erro ao salvar configuração:", e);
-            setError("Erro ao salvar a configuração. Verifique sua conexão.");
-        } finally {
-            setLoading(false);
+            console.error("Erro ao excluir pagamento do DAS:", e);
+            setSyncError("Erro ao excluir pagamento do DAS. Verifique sua conexão.");
+            return false;
         }
     };
 
-    // Adicionar Registro Diário
-    const addDailyLog = async (logData) => {
+    // Salvar Turno ao Vivo (iniciar, pausar, lançar ganhos, encerrar)
+    const saveActiveShift = async (shiftData) => {
         if (!userId || !db) {
-            setError("Dados não carregados. Tente novamente após a autenticação.");
+            setSyncError("Dados não carregados. Tente novamente após a autenticação.");
             return false;
         }
-        setLoading(true);
         try {
-            const logsCollectionRef = collection(db, 'artifacts', appId, 'users', userId, 'daily_logs');
-            await addDoc(logsCollectionRef, {
-                ...logData,
-                date: logData.date, // Armazenando como string 'YYYY-MM-DD'
-                profit: parseFloat(logData.profit) || 0,
-                gasolineCost: parseFloat(logData.gasolineCost) || 0,
-                oilCost: parseFloat(logData.oilCost) || 0, 
-            });
-            console.log("Registro diário adicionado com sucesso!");
+            const shiftDocRef = doc(db, 'artifacts', appId, 'users', userId, 'config', 'active_shift');
+            queueWrite(setDoc(shiftDocRef, shiftData));
             return true;
         } catch (e) {
-            console.error("Erro ao adicionar registro diário:", e);
-            setError("Erro ao adicionar registro diário. Verifique sua conexão.");
+            console.error("Erro ao salvar turno:", e);
+            setSyncError("Erro ao salvar o turno. Verifique sua conexão.");
             return false;
-        } finally {
-            setLoading(false);
         }
     };
 
-    // --- Componentes de UI ---
-
-    // Componente: Configuração
-    const ConfigurationView = () => {
-        const [formData, setFormData] = useState(config);
-        const [fileMessage, setFileMessage] = useState('');
+    // Descartar Turno ao Vivo (após virar registro diário ou por cancelamento)
+    const clearActiveShift = async () => {
+        if (!userId || !db) return false;
+        try {
+            const shiftDocRef = doc(db, 'artifacts', appId, 'users', userId, 'config', 'active_shift');
+            queueWrite(deleteDoc(shiftDocRef));
+            return true;
+        } catch (e) {
+            console.error("Erro ao descartar turno:", e);
+            setSyncError("Erro ao descartar o turno. Verifique sua conexão.");
+            return false;
+        }
+    };
 
-        useEffect(() => {
-            setFormData(config);
-        }, [config]);
+    // Importar Backup. mode 'merge': adiciona o que falta e mantém as configurações atuais
+    // (overwriteConflicts substitui as datas conflitantes pelo arquivo); mode 'replace': apaga tudo e grava o arquivo.
+    // existingLogs: registros atuais no intervalo de datas do arquivo (comparados na mesclagem)
+    const importBackup = async (backup, mode, overwriteConflicts, existingLogs) => {
+        if (!userId || !db) {
+            setSyncError("Dados não carregados. Tente novamente após a autenticação.");
+            return false;
+        }
+        try {
+            const userPath = ['artifacts', appId, 'users', userId];
+            const operations = [];
+            const setOperation = (collectionName, data) => {
+                const ref = data.id ? doc(db, ...userPath, collectionName, data.id) : doc(collection(db, ...userPath, collectionName));
+                operations.push(batch => batch.set(ref, withoutId(data)));
+            };
+            const deleteOperation = (collectionName, id) => {
+                operations.push(batch => batch.delete(doc(db, ...userPath, collectionName, id)));
+            };
 
-        const handleChange = (e) => {
-            const { name, value } = e.target;
-            setFormData(prev => ({ ...prev, [name]: value }));
-        };
+            const records = { fuelLogs, maintenanceRecords, dasPayments, vehicles: vehicleDocs };
 
-        const handleFileChange = (event) => {
-            setFileMessage('');
-            const file = event.target.files[0];
-            
-            if (file) {
-                // Verificar tamanho do arquivo (limite de 500KB)
-                const MAX_SIZE = 500 * 1024;
-                if (file.size > MAX_SIZE) { 
-                    setFileMessage('ERRO: A imagem é muito grande. Use uma imagem menor que 500KB.');
-                    event.target.value = null; // Limpar o input
-                    return;
-                }
-        
-                const reader = new FileReader();
-                reader.onloadend = () => {
-                    // Armazenar a string Base64 no campo bikePhotoUrl
-                    setFormData(prev => ({ ...prev, bikePhotoUrl: reader.result }));
-                    setFileMessage('Foto carregada com sucesso! Clique em Salvar Configurações.');
-                };
-                reader.onerror = () => {
-                    setFileMessage('ERRO: Não foi possível ler o arquivo de imagem.');
+            if (mode === 'replace') {
+                // Apaga todos os registros, não só os da janela carregada, e monta os resumos do arquivo
+                const allLogs = await loadAllDailyLogs();
+                if (!allLogs) return false;
+                allLogs.forEach(log => deleteOperation('daily_logs', log.id));
+                backup.dailyLogs.forEach(log => setOperation('daily_logs', log));
+                const summaries = getSummaryDeltas(backup.dailyLogs.map(log => ({ oldLog: null, newLog: log })));
+                periodSummaries.filter(summary => !summaries[summary.id]).forEach(summary => deleteOperation('period_summaries', summary.id));
+                Object.entries(summaries).forEach(([id, summary]) => setOperation('period_summaries', { id, ...summary }));
+                BACKUP_RECORD_COLLECTIONS.forEach(({ key, collectionName }) => {
+                    records[key].forEach(record => deleteOperation(collectionName, record.id));
+                    backup[key].forEach(record => setOperation(collectionName, record));
+                });
+                if (backup.settings) {
+                    operations.push(batch => batch.set(doc(db, ...userPath, 'config', 'user_settings'), toSettingsDocument({ ...config, ...backup.settings })));
                 }
-                reader.readAsDataURL(file);
+            } else {
+                const { newDates, conflictDates } = classifyImportedLogs(existingLogs, backup.dailyLogs);
+                const datesToWrite = new Set(overwriteConflicts ? [...newDates, ...conflictDates] : newDates);
+                const removedLogs = overwriteConflicts ? existingLogs.filter(log => conflictDates.includes(log.date)) : [];
+                const writtenLogs = backup.dailyLogs.filter(log => datesToWrite.has(log.date));
+                removedLogs.forEach(log => deleteOperation('daily_logs', log.id));
+                writtenLogs.forEach(log => setOperation('daily_logs', log));
+                const summaryChanges = [
+                    ...removedLogs.map(log => ({ oldLog: log, newLog: null })),
+                    ...writtenLogs.map(log => ({ oldLog: null, newLog: log })),
+                ];
+                Object.entries(getSummaryDeltas(summaryChanges)).forEach(([id, delta]) => {
+                    operations.push(batch => batch.set(doc(db, ...userPath, 'period_summaries', id), toSummaryIncrement(delta), { merge: true }));
+                });
+                BACKUP_RECORD_COLLECTIONS.forEach(({ key, collectionName }) => {
+                    backup[key]
+                        .filter(record => !records[key].some(existing => existing.id === record.id))
+                        .forEach(record => setOperation(collectionName, record));
+                });
             }
-        };
 
-        const handleSubmit = (e) => {
-            e.preventDefault();
-            saveConfig(formData);
-        };
+            // O Firestore limita cada lote de escrita; grava em partes
+            for (let start = 0; start < operations.length; start += BATCH_WRITE_LIMIT) {
+                const batch = writeBatch(db);
+                operations.slice(start, start + BATCH_WRITE_LIMIT).forEach(operation => operation(batch));
+                queueWrite(batch.commit());
+            }
+            console.log("Backup importado com sucesso!");
+            return true;
+        } catch (e) {
+            console.error("Erro ao importar backup:", e);
+            setSyncError("Erro ao importar o backup. Verifique sua conexão.");
+            return false;
+        }
+    };
 
-        return (
-            <div className="p-4 bg-gray-800 shadow-2xl rounded-xl max-w-lg mx-auto border border-gray-700">
-                {/* Título Centralizado */}
-                <h2 className="text-3xl font-extrabold mb-6 text-indigo-400 flex items-center justify-center">
-                    <Settings className="w-6 h-6 mr-2" />
-                    Configurações
-                </h2>
-                <form onSubmit={handleSubmit} className="space-y-6">
-                    
-                    {/* User and Bike Info */}
-                    <div className="p-4 bg-gray-700 rounded-lg shadow-inner">
-                        <h3 className="font-semibold text-indigo-300 mb-4 flex items-center border-b border-indigo-500/50 pb-2">
-                            <User className="w-4 h-4 mr-2"/> Dados Pessoais & Moto
-                        </h3>
-                        
-                        {/* Bike Photo Display and Input */}
-                        <div className="flex flex-col items-center mb-6">
-                            <img 
-                                src={formData.bikePhotoUrl || PLACEHOLDER_BIKE_URL} 
-                                alt="Foto da Moto"
-                                className="w-32 h-32 object-cover rounded-full border-4 border-indigo-500 shadow-xl mb-3"
-                                // Lidar com erro para URL e Base64 (se corrompido)
-                                onError={(e) => { e.target.onerror = null; e.target.src=PLACEHOLDER_BIKE_URL; }} 
-                            />
-                            <label className="block text-sm font-medium text-gray-400 mt-2 flex items-center w-full">
-                                <Camera className="w-4 h-4 mr-1"/> Enviar Foto da Moto (Galeria/Arquivo)
-                            </label>
-                            <input 
-                                type="file" 
-                                name="bikePhotoUrl" 
-                                accept="image/png, image/jpeg"
-                                onChange={handleFileChange}
-                                className="mt-1 block w-full text-sm text-gray-400 
-                                file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 
-                                file:text-sm file:font-semibold file:bg-indigo-600 file:text-white 
-                                hover:file:bg-indigo-500 file:cursor-pointer bg-gray-900 rounded-lg p-1"
-                            />
-                            <p className="text-xs text-gray-500 mt-1">
-                                A foto será armazenada em Base64. Máx. 500KB.
-                            </p>
-                            {fileMessage && (
-                                <p className={`mt-2 text-sm font-semibold ${fileMessage.includes('ERRO') ? 'text-red-400' : 'text-green-400'}`}>
-                                    {fileMessage}
-                                </p>
-                            )}
-                        </div>
+    // --- Conta (Vinculação, Login e Saída) ---
+    // Os manipuladores abaixo retornam null em caso de sucesso ou a mensagem de erro para a tela de perfil
 
-                        <div>
-                            <label className="block text-sm font-medium text-gray-400">Nome de Usuário</label>
-                            <input type="text" name="username" value={formData.username} onChange={handleChange}
-                                className="mt-1 block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-indigo-500 focus:ring-indigo-500"
-                                placeholder="Seu nome ou apelido" required
-                            />
-                        </div>
-                        <div>
-                            <label className="block text-sm font-medium text-gray-400 mt-3">Modelo da Moto</label>
-                            <input type="text" name="bikeModel" value={formData.bikeModel} onChange={handleChange}
-                                className="mt-1 block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-indigo-500 focus:ring-indigo-500"
-                                placeholder="Ex: Honda CG 160" required
-                            />
-                        </div>
-                    </div>
+    // Vincular a conta anônima a e-mail/senha (mantém o mesmo uid, então nenhum registro é perdido)
+    const linkEmailAccount = async (email, password) => {
+        try {
+            const credential = EmailAuthProvider.credential(email, password);
+            const result = await linkWithCredential(auth.currentUser, credential);
+            setAuthProfile(toAuthProfile(result.user)); // Vincular não dispara onAuthStateChanged
+            console.log("Conta vinculada ao e-mail com sucesso!");
+            return null;
+        } catch (e) {
+            console.error("Erro ao vincular e-mail:", e);
+            return getAuthErrorMessage(e);
+        }
+    };
 
-                    {/* Maintenance and Goals */}
-                    <div className="p-4 bg-gray-700 rounded-lg shadow-inner">
-                        <h3 className="font-semibold text-green-300 mb-4 flex items-center border-b border-green-500/50 pb-2">
-                            <Bike className="w-4 h-4 mr-2"/> Dados de Custos e Metas
-                        </h3>
-                        
-                        {/* Tipo de Combustível */}
-                        <div>
-                            <label className="block text-sm font-medium text-gray-400">Combustível Utilizado</label>
-                            <select name="fuelType" value={formData.fuelType} onChange={handleChange}
-                                className="mt-1 block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-indigo-500 focus:ring-indigo-500"
-                            >
-                                <option value="gasoline">Gasolina</option>
-                                <option value="alcohol">Álcool</option>
-                            </select>
-                            <p className="text-xs text-gray-500 mt-1">Define o rótulo de gasto nos relatórios.</p>
-                        </div>
+    // Vincular a conta atual ao Google
+    const linkGoogleAccount = async () => {
+        try {
+            const result = await linkWithPopup(auth.currentUser, new GoogleAuthProvider());
+            setAuthProfile(toAuthProfile(result.user));
+            console.log("Conta vinculada ao Google com sucesso!");
+            return null;
+        } catch (e) {
+            console.error("Erro ao vincular Google:", e);
+            return getAuthErrorMessage(e);
+        }
+    };
 
-                        <div>
-                            <label className="block text-sm font-medium text-gray-400 mt-3">Custo da Troca de Óleo (R$)</label>
-                            <input type="number" name="oilChangeCost" value={formData.oilChangeCost} onChange={handleChange}
-                                className="mt-1 block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-indigo-500 focus:ring-indigo-500"
-                                step="0.01" min="0" placeholder="Ex: 80.00"
-                            />
-                        </div>
-                        <div>
-                            <label className="block text-sm font-medium text-gray-400 mt-3">Troca de Óleo (Intervalo em Km)</label>
-                            <input type="number" name="oilChangeIntervalKm" value={formData.oilChangeIntervalKm} onChange={handleChange}
-                                className="mt-1 block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-indigo-500 focus:ring-indigo-500"
-                                min="1" placeholder="Ex: 1000"
-                            />
-                        </div>
-                        
-                        {/* Dias de Trabalho por Semana */}
-                        <div>
-                            <label className="block text-sm font-medium text-gray-400 mt-3">Dias de Trabalho por Semana (Para rateio do óleo)</label>
-                            <select name="workDaysPerWeek" value={formData.workDaysPerWeek} onChange={handleChange}
-                                className="mt-1 block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-indigo-500 focus:ring-indigo-500"
-                            >
-                                <option value="5">5 Dias (Segunda a Sexta)</option>
-                                <option value="6">6 Dias</option>
-                                <option value="7">7 Dias (Todos os dias)</option>
-                            </select>
-                        </div>
-                        
-                        <div>
-                            <label className="block text-sm font-medium text-gray-400 mt-3">Meta Diária de Lucro Líquido (R$)</label>
-                            <input type="number" name="dailyGoal" value={formData.dailyGoal} onChange={handleChange}
-                                className="mt-1 block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-indigo-500 focus:ring-indigo-500"
-                                step="0.01" min="0" placeholder="Ex: 150.00"
-                            />
-                        </div>
-                    </div>
+    // Entrar em uma conta já existente (ex.: em outro aparelho). Os listeners trocam de usuário pelo uid.
+    const signInEmailAccount = async (email, password) => {
+        try {
+            await signInWithEmailAndPassword(auth, email, password);
+            return null;
+        } catch (e) {
+            console.error("Erro ao entrar com e-mail:", e);
+            return getAuthErrorMessage(e);
+        }
+    };
 
-                    <button type="submit"
-                        className="w-full py-3 px-4 border border-transparent rounded-lg shadow-lg text-lg font-bold text-white bg-indigo-600 hover:bg-indigo-500 transition duration-150 ease-in-out transform hover:scale-[1.01] focus:outline-none focus:ring-4 focus:ring-indigo-600/50"
-                        disabled={loading}
-                    >
-                        {loading ? 'Salvando...' : 'Salvar Configurações'}
-                    </button>
-                </form>
-                {config.username && <p className="mt-4 text-center text-sm text-gray-400">Configuração de **{config.username}** salva.</p>}
-            </div>
-        );
+    const signInGoogleAccount = async () => {
+        try {
+            await signInWithPopup(auth, new GoogleAuthProvider());
+            return null;
+        } catch (e) {
+            console.error("Erro ao entrar com Google:", e);
+            return getAuthErrorMessage(e);
+        }
     };
 
-    // Componente: Registro Diário
-    const DailyLogView = () => {
-        const today = new Date().toISOString().split('T')[0];
-        const [date, setDate] = useState(today);
-        const [profit, setProfit] = useState('');
-        const [gasolineCost, setGasolineCost] = useState('');
-        const [message, setMessage] = useState('');
-
-        // Calcula o custo diário do óleo rateado
-        const dailyOilCost = useMemo(() => {
-            const cost = parseFloat(config.oilChangeCost);
-            const days = parseInt(config.workDaysPerWeek);
-            if (cost > 0 && days > 0) {
-                // Rateia o custo total do óleo pelo número de dias de trabalho na semana
-                return cost / days;
-            }
-            return 0;
-        }, [config.oilChangeCost, config.workDaysPerWeek]);
+    const resetPassword = async (email) => {
+        try {
+            await sendPasswordResetEmail(auth, email);
+            return null;
+        } catch (e) {
+            console.error("Erro ao enviar redefinição de senha:", e);
+            return getAuthErrorMessage(e);
+        }
+    };
 
-        const handleSubmit = async (e) => {
-            e.preventDefault();
-            setMessage('');
-            const success = await addDailyLog({
-                date,
-                profit: profit,
-                gasolineCost: gasolineCost,
-                oilCost: dailyOilCost, // Adicionar custo diário do óleo rateado
-            });
+    // Sair: o listener de autenticação cria uma nova sessão anônima em seguida
+    const signOutAccount = async () => {
+        try {
+            await signOut(auth);
+            setCurrentTab('reports');
+            return null;
+        } catch (e) {
+            console.error("Erro ao sair:", e);
+            return getAuthErrorMessage(e);
+        }
+    };
 
-            if (success) {
-                setMessage('Registro salvo com sucesso!');
-                setProfit('');
-                setGasolineCost('');
-            } else {
-                setMessage('Falha ao salvar o registro. Tente novamente.');
-            }
-        };
+    // --- Dados Derivados ---
 
-        return (
-            <div className="p-4 bg-gray-800 shadow-2xl rounded-xl max-w-lg mx-auto border border-gray-700">
-                {/* Título Centralizado */}
-                <h2 className="text-3xl font-extrabold mb-6 text-indigo-400 flex items-center justify-center">
-                    <Calendar className="w-6 h-6 mr-2" />
-                    Registro Diário
-                </h2>
-                <form onSubmit={handleSubmit} className="space-y-4">
-                    <div>
-                        <label className="block text-sm font-medium text-gray-400">Data do Registro</label>
-                        <input type="date" value={date} onChange={(e) => setDate(e.target.value)}
-                            className="mt-1 block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-green-500 focus:ring-green-500"
-                            required
-                        />
-                    </div>
-                    {/* Campo Rendimento Bruto */}
-                    <div>
-                        <label className="block text-sm font-medium text-gray-400 flex items-center">
-                            <TrendingUp className="w-4 h-4 mr-1 text-green-500"/> Rendimento Bruto do Dia (R$)
-                        </label>
-                        <input type="number" value={profit} onChange={(e) => setProfit(e.target.value)}
-                            className="mt-1 block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-green-500 focus:ring-green-500"
-                            step="0.01" min="0" placeholder="Ex: 185.50" required
-                        />
-                    </div>
-                    <div>
-                        <label className="block text-sm font-medium text-gray-400 flex items-center">
-                            <BatteryCharging className="w-4 h-4 mr-1 text-red-500"/> Gasto com {config.fuelType === 'alcohol' ? 'Álcool' : 'Gasolina'} (R$)
-                        </label>
-                        <input type="number" value={gasolineCost} onChange={(e) => setGasolineCost(e.target.value)}
-                            className="mt-1 block w-full rounded-md border-gray-600 bg-gray-900 text-white shadow-sm p-2 focus:border-red-500 focus:ring-red-500"
-                            step="0.01" min="0" placeholder="Ex: 35.00" required
-                        />
-                    </div>
-                    
-                    {/* Custo Diário do Óleo Rateado */}
-                    {config.oilChangeCost > 0 && config.workDaysPerWeek > 0 && (
-                        <div className="p-3 bg-gray-700 rounded-md mt-4 border border-indigo-500/50">
-                            <label className="block text-sm font-medium text-gray-400 flex items-center">
-                                <DollarSign className="w-4 h-4 mr-1 text-indigo-400"/> Custo Diário do Óleo (Rateado)
-                            </label>
-                            <p className="mt-1 text-xl font-extrabold text-indigo-400">
-                                {formatCurrency(dailyOilCost)}
-                            </p>
-                            <p className="text-xs text-gray-500 mt-1">
-                                Baseado em {formatCurrency(config.oilChangeCost)} / {config.workDaysPerWeek} dias.
-                            </p>
-                        </div>
-                    )}
+    // Veículo ativo: hodômetro, consumo e manutenção são sempre do veículo em uso
+    const vehicles = useMemo(() => getVehicles(vehicleDocs, config), [vehicleDocs, config]);
+    const activeVehicle = vehicles.find(vehicle => vehicle.id === config.activeVehicleId) || vehicles[0];
+    const getVehicleName = (vehicleId) => vehicles.find(vehicle => vehicle.id === vehicleId)?.name || 'Veículo removido';
 
-                    <button type="submit"
-                        className="w-full py-3 px-4 border border-transparent rounded-lg shadow-lg text-lg font-bold text-white bg-green-600 hover:bg-green-500 transition duration-150 ease-in-out transform hover:scale-[1.01] focus:outline-none focus:ring-4 focus:ring-green-600/50"
-                        disabled={loading}
-                    >
-                        {loading ? 'Salvando...' : 'Registrar Dia'}
-                    </button>
-                    {message && <p className={`mt-3 text-center text-sm font-semibold ${message.includes('sucesso') ? 'text-green-400' : 'text-red-400'}`}>{message}</p>}
-                </form>
-            </div>
-        );
-    };
+    // Registros dos relatórios: um por dia e veículo, montados dos resumos por período (todo o histórico).
+    // Enquanto os resumos são refeitos, usa os registros carregados.
+    const summariesReady = summaryVersion !== null && summaryVersion >= PERIOD_SUMMARY_VERSION;
+    const summaryLogs = useMemo(
+        () => summariesReady ? getSummaryDayLogs(periodSummaries) : dailyLogs,
+        [summariesReady, periodSummaries, dailyLogs]
+    );
+    const totalLogCount = summariesReady ? countSummaryLogs(periodSummaries) : dailyLogs.length;
+    // Registros escutados pelo App; as telas leem períodos anteriores com useDailyLogsInRange
+    const logsWindow = useMemo(
+        () => ({ userId, from: logsFrom, logs: dailyLogs, isLoading: logsLoadedFor !== `${userId}|${logsFrom}` }),
+        [userId, logsFrom, dailyLogs, logsLoadedFor]
+    );
 
-    // Componente: Relatórios (Cálculos e Visualização)
-    const ReportsView = () => {
-        // Usa useMemo para cálculos eficientes quando dailyLogs muda
-        const { weeklySummary, monthlySummary } = useMemo(() => {
-            const today = new Date();
-            const startOfWeek = getStartOfWeek(today);
-            const startOfMonth = getStartOfMonth(today);
-
-            let weekProfit = 0;
-            let weekGas = 0;
-            let weekOil = 0; 
-            let monthProfit = 0;
-            let monthGas = 0;
-            let monthOil = 0; 
-            let daysLogged = new Set();
-            let daysMetGoal = 0;
-
-            dailyLogs.forEach(log => {
-                // O lucro líquido agora considera o custo rateado do óleo
-                const netProfit = log.profit - log.gasolineCost - log.oilCost;
-
-                // Cálculos gerais
-                if (!daysLogged.has(log.date)) {
-                    // Verifica se a meta diária foi atingida (apenas uma vez por dia)
-                    if (config.dailyGoal > 0 && netProfit >= config.dailyGoal) {
-                        daysMetGoal++;
-                    }
-                    daysLogged.add(log.date);
-                }
+    // Bairros já usados em corridas, para sugestão nos formulários
+    const knownNeighborhoods = useMemo(() => {
+        const names = new Set();
+        dailyLogs.forEach(log => (log.rides || []).forEach(ride => {
+            if (ride.pickup) names.add(ride.pickup);
+            if (ride.dropoff) names.add(ride.dropoff);
+        }));
+        return [...names].sort((a, b) => a.localeCompare(b, 'pt-BR'));
+    }, [dailyLogs]);
 
-                const logDate = new Date(log.date);
-                // Cálculo Semanal
-                if (logDate >= startOfWeek) {
-                    weekProfit += log.profit;
-                    weekGas += log.gasolineCost;
-                    weekOil += log.oilCost; // Incluir custo rateado do óleo
-                }
+    const vehicleFuelLogs = useMemo(() => filterByVehicle(fuelLogs, activeVehicle.id), [fuelLogs, activeVehicle.id]);
+    const vehicleMaintenanceRecords = useMemo(
+        () => filterByVehicle(maintenanceRecords, activeVehicle.id),
+        [maintenanceRecords, activeVehicle.id]
+    );
+    const currentOdometer = useMemo(
+        () => getCurrentOdometer(filterByVehicle(dailyLogs, activeVehicle.id), vehicleMaintenanceRecords, vehicleFuelLogs),
+        [dailyLogs, vehicleMaintenanceRecords, vehicleFuelLogs, activeVehicle.id]
+    );
+    const fuelStats = useMemo(() => getFuelStats(vehicleFuelLogs), [vehicleFuelLogs]);
+    const maintenanceStatus = useMemo(
+        () => getMaintenanceStatus(activeVehicle, vehicleMaintenanceRecords, currentOdometer),
+        [activeVehicle, vehicleMaintenanceRecords, currentOdometer]
+    );
+    const pendingDas = useMemo(
+        () => getPendingDas(dasPayments, getTodayKey(), config.meiOpeningDate),
+        [dasPayments, config.meiOpeningDate]
+    );
+    // Lembrete do DAS: vencido ou vencendo nos próximos dias
+    const dasReminder = config.meiEnabled
+        ? pendingDas.find(item => item.daysUntilDue <= DAS_REMINDER_DAYS) || null
+        : null;
 
-                // Cálculo Mensal
-                if (logDate >= startOfMonth) {
-                    monthProfit += log.profit;
-                    monthGas += log.gasolineCost;
-                    monthOil += log.oilCost; // Incluir custo rateado do óleo
-                }
-            });
+    // Resumo publicado para o dono da frota (só muda quando os números compartilhados mudam)
+    // (a chave em texto evita republicar a cada nova leitura das configurações)
+    const fleetMembership = config.fleetMembership;
+    const fleetMembershipKey = fleetMembership ? JSON.stringify(fleetMembership) : '';
+    const fleetSummaryJson = useMemo(() => (fleetMembership
+        ? JSON.stringify(getFleetRiderSummary({
+            share: fleetMembership.share,
+            vehicles,
+            dailyLogs,
+            fuelLogs,
+            maintenanceRecords,
+            dailyGoal: config.dailyGoal,
+            todayKey: getTodayKey(config.workDayStartHour),
+        }))
+        : ''), [fleetMembershipKey, vehicles, dailyLogs, fuelLogs, maintenanceRecords, config.dailyGoal, config.workDayStartHour]);
 
-            return {
-                weeklySummary: {
-                    totalProfit: weekProfit,
-                    totalGas: weekGas,
-                    totalOil: weekOil, // Incluir no resumo
-                    netProfit: weekProfit - weekGas - weekOil, // Ajustar cálculo
-                },
-                monthlySummary: {
-                    totalProfit: monthProfit,
-                    totalGas: monthGas,
-                    totalOil: monthOil, // Incluir no resumo
-                    netProfit: monthProfit - monthGas - monthOil, // Ajustar cálculo
-                    daysLogged: daysLogged.size,
-                    daysMetGoal: daysMetGoal,
-                }
-            };
-        }, [dailyLogs, config.dailyGoal]);
+    // 13. Publicar o Resumo na Frota (entregador participante)
+    useEffect(() => {
+        if (!isAuthReady || !userId || !db || !fleetMembership || !fleetSummaryJson) return;
+        // O resumo já foi apagado pelo dono: publicar de novo o recriaria até a participação ser limpa
+        if (endedFleetMembershipKey === fleetMembershipKey) return;
+        const riderDocRef = doc(db, 'artifacts', appId, 'fleets', fleetMembership.ownerId, 'riders', userId);
+        queueWrite(setDoc(riderDocRef, {
+            name: config.username || 'Entregador',
+            inviteCode: fleetMembership.inviteCode,
+            share: fleetMembership.share,
+            ...JSON.parse(fleetSummaryJson),
+            updatedAt: Date.now(),
+        }).catch((e) => {
+            // Resumo removido pelo dono e convite trocado: a participação acabou, não é falha de sincronização
+            if (e.code !== 'permission-denied') throw e;
+            endFleetMembership(fleetMembership);
+        }));
+    }, [isAuthReady, userId, fleetMembershipKey, fleetSummaryJson, config.username]);
 
-        const ReportCard = ({ title, profit, gas, oil, net, period }) => (
-            <div className="bg-gray-800 p-6 rounded-xl shadow-2xl transition duration-300 border-t-4 border-indigo-500 hover:border-t-indigo-400">
-                <h3 className="text-xl font-semibold text-gray-100 mb-4">{title}</h3>
-                <div className="space-y-3">
-                    <div className="flex justify-between text-lg">
-                        <span className="flex items-center text-green-400"><TrendingUp className="w-5 h-5 mr-2"/> Rendimento Bruto Total:</span>
-                        <span className="font-bold text-gray-100">{formatCurrency(profit)}</span>
-                    </div>
-                    <div className="flex justify-between text-lg">
-                        <span className="flex items-center text-red-400"><BatteryCharging className="w-5 h-5 mr-2"/> Gastos ({config.fuelType === 'alcohol' ? 'Álcool' : 'Gasolina'}):</span>
-                        <span className="font-bold text-gray-100">{formatCurrency(gas)}</span>
-                    </div>
-                    {oil > 0 && ( // Exibir o custo rateado do óleo
-                         <div className="flex justify-between text-lg">
-                            <span className="flex items-center text-red-400"><DollarSign className="w-5 h-5 mr-2"/> Custo de Óleo (Rateado):</span>
-                            <span className="font-bold text-gray-100">{formatCurrency(oil)}</span>
-                        </div>
-                    )}
-                    <div className="pt-4 border-t border-gray-700 mt-4">
-                        <div className="flex justify-between text-2xl">
-                            <span className="font-extrabold text-indigo-400">Lucro Líquido:</span>
-                            <span className={`font-extrabold ${net >= 0 ? 'text-green-400' : 'text-red-500'}`}>{formatCurrency(net)}</span>
-                        </div>
-                    </div>
-                </div>
-                {/* Monthly specific stats */}
-                {period === 'monthly' && (
-                    <div className="mt-4 pt-4 border-t border-gray-700 border-dashed text-sm text-gray-400">
-                        <p>Dias Registrados: <span className="font-bold text-gray-200">{monthlySummary.daysLogged}</span></p>
-                        {config.dailyGoal > 0 && (
-                            <p>Meta Diária ({formatCurrency(config.dailyGoal)}) Atingida: <span className={`font-bold ${monthlySummary.daysMetGoal > 0 ? 'text-indigo-400' : 'text-gray-400'}`}>{monthlySummary.daysMetGoal} dias</span></p>
-                        )}
-                        <p>Custo do Óleo (R${config.oilChangeCost}): Rateado por {config.workDaysPerWeek} dias.</p>
-                        <p>Combustível: <span className="font-bold text-gray-200">{config.fuelType === 'alcohol' ? 'Álcool' : 'Gasolina'}</span></p>
-                    </div>
-                )}
-            </div>
-        );
+    // 20. Acompanhar o Próprio Resumo na Frota: o dono o apaga ao remover o entregador ou encerrar a frota
+    useEffect(() => {
+        if (!isAuthReady || !userId || !db || !fleetMembership) return;
+        const riderDocRef = doc(db, 'artifacts', appId, 'fleets', fleetMembership.ownerId, 'riders', userId);
+
+        // Com metadados: a confirmação do servidor chega mesmo quando o documento não muda
+        const unsubscribe = onSnapshot(riderDocRef, { includeMetadataChanges: true }, (docSnap) => {
+            // Só a resposta do servidor conta: o cache pode ainda não ter o resumo que acabou de ser publicado
+            if (!docSnap.exists() && !docSnap.metadata.fromCache && !docSnap.metadata.hasPendingWrites) {
+                endFleetMembership(fleetMembership);
+            }
+        }, (e) => {
+            console.error("Erro ao acompanhar o resumo na frota:", e);
+        });
 
+        return () => unsubscribe();
+    }, [isAuthReady, userId, fleetMembershipKey]);
 
-        if (dailyLogs.length === 0) {
-            return (
-                <div className="p-8 text-center bg-gray-700 rounded-xl max-w-2xl mx-auto border border-gray-600 shadow-xl">
-                    <p className="text-2xl font-bold text-yellow-400">Nenhum registro encontrado!</p>
-                    <p className="text-gray-400 mt-3">Vá para a aba "Registro Diário" para começar a adicionar seus rendimentos e gastos e ver seus relatórios aqui.</p>
-                </div>
-            );
+    // 14. Rastrear a Rota por GPS (turno em andamento com o rastreamento ligado; pausas não contam)
+    const isGpsTracking = !!activeShift && !activeShift.endedAt && !activeShift.pausedAt && !!activeShift.gpsEnabled;
+    useEffect(() => {
+        if (!isGpsTracking) return;
+        if (!navigator.geolocation) {
+            setGpsError('Este aparelho não oferece localização por GPS.');
+            return;
         }
+        // Cada retomada começa um novo trecho; após recarregar a página, continua o trajeto gravado no turno
+        setGpsTrack(prev => prev.points.length > 0 ? startGpsSegment(prev) : fromStoredRoute(activeShift.gpsTrack));
+        setGpsError('');
+        const watchId = navigator.geolocation.watchPosition(
+            (position) => {
+                setGpsError('');
+                setGpsTrack(prev => addGpsPoint(prev, {
+                    lat: position.coords.latitude,
+                    lng: position.coords.longitude,
+                    accuracy: position.coords.accuracy,
+                    time: position.timestamp,
+                }));
+            },
+            (e) => {
+                console.error("Erro no GPS:", e);
+                setGpsError(e.code === e.PERMISSION_DENIED
+                    ? 'Permissão de localização negada. Libere o acesso nas configurações do navegador.'
+                    : 'Sem sinal de GPS no momento. O rastreamento continua assim que o sinal voltar.');
+            },
+            { enableHighAccuracy: true, maximumAge: 5000, timeout: 30000 }
+        );
+        return () => navigator.geolocation.clearWatch(watchId);
+    }, [isGpsTracking]);
 
-        return (
-            <div className="p-4 max-w-4xl mx-auto space-y-8">
-                {/* Título Centralizado */}
-                <h2 className="text-3xl font-extrabold text-gray-100 mb-6 flex items-center justify-center">
-                    <LineChart className="w-6 h-6 mr-3 text-indigo-400" />
-                    Resumo de Lucros e Gastos
-                </h2>
-
-                <ReportCard
-                    title="Resumo Semanal (Últimos 7 dias)"
-                    profit={weeklySummary.totalProfit}
-                    gas={weeklySummary.totalGas}
-                    oil={weeklySummary.totalOil} 
-                    net={weeklySummary.netProfit}
-                    period="weekly"
-                />
+    // 15. Gravar o Trajeto no Turno (no máximo uma vez por minuto, para não perder a rota ao recarregar)
+    useEffect(() => {
+        if (!isGpsTracking || gpsTrack.points.length < 2) return;
+        if (Date.now() - (activeShift.gpsTrack?.savedAt || 0) < GPS_SAVE_INTERVAL_MS) return;
+        saveActiveShift({ ...activeShift, gpsTrack: { ...toStoredRoute(gpsTrack), savedAt: Date.now() } });
+    }, [isGpsTracking, gpsTrack]);
 
-                <ReportCard
-                    title="Resumo Mensal (Do Início do Mês até Hoje)"
-                    profit={monthlySummary.totalProfit}
-                    gas={monthlySummary.totalGas}
-                    oil={monthlySummary.totalOil} 
-                    net={monthlySummary.netProfit}
-                    period="monthly"
-                />
+    // 19. Refazer os Resumos por Período quando a conta ainda não os tem no formato atual
+    useEffect(() => {
+        if (!isAuthReady || !userId || !db || summaryVersion === null || summaryVersion >= PERIOD_SUMMARY_VERSION) return;
+        rebuildPeriodSummaries();
+    }, [isAuthReady, userId, summaryVersion]);
 
-                {/* Last 5 Logs */}
-                <div className="mt-8 bg-gray-700 p-6 rounded-xl shadow-inner border border-gray-600">
-                    <h3 className="text-xl font-semibold text-gray-100 mb-4">Últimos Registros</h3>
-                    <div className="overflow-x-auto">
-                        <table className="min-w-full divide-y divide-gray-600">
-                            <thead className="bg-gray-600">
-                                <tr>
-                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Data</th>
-                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Rendimento (R$)</th> 
-                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Gasto {config.fuelType === 'alcohol' ? 'Álcool' : 'Gasolina'} (R$)</th>
-                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Óleo (R$)</th> 
-                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Líquido (R$)</th>
-                                </tr>
-                            </thead>
-                            <tbody className="bg-gray-800 divide-y divide-gray-700">
-                                {dailyLogs.slice(0, 5).map((log, index) => {
-                                    const net = log.profit - log.gasolineCost - log.oilCost; 
-                                    return (
-                                        <tr key={index} className="hover:bg-gray-700 transition duration-150">
-                                            <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-300">{log.date}</td>
-                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-green-400">{formatCurrency(log.profit)}</td>
-                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-red-400">{formatCurrency(log.gasolineCost)}</td>
-                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-red-400">{formatCurrency(log.oilCost)}</td> 
-                                            <td className={`px-6 py-4 whitespace-nowrap text-sm font-semibold ${net >= 0 ? 'text-indigo-400' : 'text-red-500'}`}>{formatCurrency(net)}</td>
-                                        </tr>
-                                    );
-                                })}
-                            </tbody>
-                        </table>
-                    </div>
-                </div>
-            </div>
-        );
-    };
+    // 21. Conferir os Resumos com os Registros da janela: divergência refaz os resumos (uma vez por sessão,
+    // para não repetir a reconstrução se a diferença continuar)
+    useEffect(() => {
+        if (!summariesReady || !logsSynced || !summariesSynced || pendingWrites > 0 || summaryDriftRebuiltFor === userId) return;
+        if (!hasSummaryDrift(periodSummaries, dailyLogs, logsFrom)) return;
+        setSummaryDriftRebuiltFor(userId);
+        rebuildPeriodSummaries();
+    }, [summariesReady, logsSynced, summariesSynced, pendingWrites, periodSummaries, dailyLogs]);
+
+    // Painel do dono da frota
+    const fleetDashboard = useMemo(() => getFleetDashboard(fleetRiders), [fleetRiders]);
 
     // --- Renderização Principal ---
 
-    const NavButton = ({ tab, icon: Icon, label }) => (
+    const openTab = (tab) => {
+        setCurrentTab(tab);
+        setShowMoreTabs(false);
+    };
+
+    const NavButton = ({ tab, icon: Icon, label, isActive = currentTab === tab, onClick = () => openTab(tab) }) => (
         <button
-            onClick={() => setCurrentTab(tab)}
+            onClick={onClick}
             className={`flex flex-col items-center justify-center p-3 sm:px-4 sm:py-2 transition-all duration-200 rounded-lg focus:outline-none 
-                ${currentTab === tab ? 'bg-indigo-600 text-white shadow-lg' : 'text-gray-400 hover:bg-gray-700 hover:text-indigo-400'}`}
+                ${isActive ? 'bg-indigo-600 text-white shadow-lg' : 'text-gray-400 hover:bg-gray-700 hover:text-indigo-400'}`}
         >
             <Icon className="w-5 h-5 sm:w-6 sm:h-6" />
             <span className="text-xs sm:text-sm mt-1 font-medium hidden sm:block">{label}</span>
@@ -680,6 +7781,13 @@ const App = () => {
         </button>
     );
 
+    // Telas menos usadas ficam no menu "Mais", para a barra inferior caber em celulares de 360px
+    const moreTabs = [
+        { tab: 'offer', icon: Calculator, label: 'Calculadora de Ofertas' },
+        { tab: 'mei', icon: Landmark, label: 'MEI' },
+        ...(config.fleet ? [{ tab: 'fleet', icon: Users, label: 'Frota' }] : []),
+    ];
+
     if (error) {
         return (
             <div className="min-h-screen flex items-center justify-center bg-gray-900 p-4">
@@ -709,34 +7817,279 @@ const App = () => {
                 <header className="flex flex-col items-center justify-center max-w-4xl mx-auto">
                     <div className="flex flex-col items-center">
                         {/* A imagem pode ser URL ou Base64, o navegador trata data:image */}
-                        {config.bikePhotoUrl && (
+                        {activeVehicle.photoUrl && (
                             <img 
-                                src={config.bikePhotoUrl} 
-                                alt="Sua Moto" 
+                                src={activeVehicle.photoUrl} 
+                                alt={activeVehicle.name} 
                                 className="w-10 h-10 object-cover rounded-full border-2 border-indigo-500 mb-2 hidden sm:block"
                                 onError={(e) => { e.target.onerror = null; e.target.style.display='none'; }}
                             />
                         )}
                         <div className="text-center">
                             <h1 className="text-2xl font-extrabold text-indigo-400">🏍️ Rota Max</h1>
-                            <p className="text-xs text-gray-500 mt-1">Olá, {config.username || 'Usuário'}! ID: {userId}</p>
+                            <button onClick={() => setCurrentTab('profile')} className="text-xs text-gray-500 mt-1 hover:text-indigo-300 inline-flex items-center">
+                                Olá, {config.username || 'Usuário'}!
+                                {authProfile && (authProfile.isAnonymous
+                                    ? <span className="ml-1 text-yellow-400 flex items-center"><TriangleAlert className="w-3 h-3 mr-1" />Conta anônima</span>
+                                    : <span className="ml-1 flex items-center"><ShieldCheck className="w-3 h-3 mr-1 text-green-400" />{authProfile.email}</span>)}
+                            </button>
+                            {/* Troca do veículo em uso (só com mais de um cadastrado) */}
+                            {vehicles.length > 1 && (
+                                <select value={activeVehicle.id} onChange={(e) => saveConfig({ ...config, activeVehicleId: e.target.value })}
+                                    className="block mx-auto mt-1 text-xs rounded-md border-gray-600 bg-gray-900 text-gray-300 p-1 focus:border-indigo-500 focus:ring-indigo-500"
+                                    aria-label="Veículo em uso"
+                                >
+                                    {vehicles.map(vehicle => (
+                                        <option key={vehicle.id} value={vehicle.id}>{vehicle.name}</option>
+                                    ))}
+                                </select>
+                            )}
+                            {(!isOnline || pendingWrites > 0) && (
+                                <p className={`text-xs mt-1 font-semibold flex items-center justify-center ${isOnline ? 'text-indigo-300' : 'text-yellow-400'}`}>
+                                    {isOnline
+                                        ? <RefreshCw className="w-3 h-3 mr-1 animate-spin" />
+                                        : <CloudOff className="w-3 h-3 mr-1" />}
+                                    {isOnline ? 'Sincronizando' : 'Offline'}
+                                    {pendingWrites > 0 && ` — ${pendingWrites} alteraç${pendingWrites === 1 ? 'ão pendente' : 'ões pendentes'}`}
+                                </p>
+                            )}
                         </div>
                     </div>
                 </header>
             </div>
+
+            {dasReminder && currentTab !== 'mei' && (
+                <div className="max-w-4xl w-full mx-auto mt-4 px-4">
+                    <button onClick={() => setCurrentTab('mei')}
+                        className={`w-full flex items-center p-3 rounded-lg text-sm text-left border ${dasReminder.isOverdue ? 'bg-red-900/40 border-red-500/50 text-red-300' : 'bg-yellow-900/40 border-yellow-500/50 text-yellow-300'}`}
+                    >
+                        <Landmark className="w-4 h-4 mr-2 flex-shrink-0" />
+                        {dasReminder.isOverdue
+                            ? `DAS de ${formatCompetence(dasReminder.competence)} vencido em ${formatDateKey(dasReminder.dueDate)}.`
+                            : `DAS de ${formatCompetence(dasReminder.competence)} vence em ${formatDateKey(dasReminder.dueDate)}.`}
+                        {pendingDas.length > 1 && ` (${pendingDas.length} em aberto)`}
+                    </button>
+                </div>
+            )}
+
+            {syncError && (
+                <div className="max-w-4xl w-full mx-auto mt-4 px-4">
+                    <div className="flex items-center justify-between p-3 rounded-lg bg-red-900/40 border border-red-500/50 text-sm text-red-300">
+                        <span className="flex items-center"><TriangleAlert className="w-4 h-4 mr-2 flex-shrink-0" /> {syncError}</span>
+                        <button onClick={() => setSyncError('')} className="ml-3 text-red-300 hover:text-white" aria-label="Fechar aviso">
+                            <X className="w-4 h-4" />
+                        </button>
+                    </div>
+                </div>
+            )}
             
             <div className="flex-grow p-4 sm:p-8">
-                {currentTab === 'config' && <ConfigurationView />}
-                {currentTab === 'daily' && <DailyLogView />}
-                {currentTab === 'reports' && <ReportsView />}
+                {currentTab === 'config' && (
+                    <>
+                        <ConfigurationView config={config} loading={loading} saveConfig={saveConfig} />
+                        <VehiclesView
+                            config={config}
+                            vehicles={vehicles}
+                            activeVehicle={activeVehicle}
+                            saveConfig={saveConfig}
+                            saveVehicle={saveVehicle}
+                            deleteVehicle={deleteVehicle}
+                        />
+                        <CostRecalculationView
+                            config={config}
+                            logsWindow={logsWindow}
+                            vehicles={vehicles}
+                            settingsVersions={settingsVersions}
+                            loading={loading}
+                            getVehicleName={getVehicleName}
+                            applyCostRecalculation={applyCostRecalculation}
+                        />
+                        <FleetSettingsView
+                            config={config}
+                            fleetRiders={fleetRiders}
+                            isOnline={isOnline}
+                            saveConfig={saveConfig}
+                            joinFleet={joinFleet}
+                            createFleet={createFleet}
+                            leaveFleet={leaveFleet}
+                            regenerateFleetInvite={regenerateFleetInvite}
+                            deleteFleet={deleteFleet}
+                        />
+                        <BackupView
+                            config={config}
+                            logsWindow={logsWindow}
+                            fuelLogs={fuelLogs}
+                            maintenanceRecords={maintenanceRecords}
+                            dasPayments={dasPayments}
+                            vehicleDocs={vehicleDocs}
+                            totalLogCount={totalLogCount}
+                            loading={loading}
+                            loadAllDailyLogs={loadAllDailyLogs}
+                            importBackup={importBackup}
+                        />
+                    </>
+                )}
+                {currentTab === 'daily' && (activeShift && !activeShift.endedAt ? (
+                    <LiveShiftView
+                        config={config}
+                        activeShift={activeShift}
+                        gpsTrack={gpsTrack}
+                        gpsError={gpsError}
+                        knownNeighborhoods={knownNeighborhoods}
+                        saveActiveShift={saveActiveShift}
+                        clearActiveShift={clearActiveShift}
+                    />
+                ) : (
+                    // Um turno encerrado monta o formulário de novo, já preenchido com os valores do turno
+                    <DailyLogView
+                        key={activeShift ? activeShift.startedAt : 'manual'}
+                        config={config}
+                        activeShift={activeShift}
+                        activeVehicle={activeVehicle}
+                        currentOdometer={currentOdometer}
+                        fuelStats={fuelStats}
+                        maintenanceStatus={maintenanceStatus}
+                        knownNeighborhoods={knownNeighborhoods}
+                        loading={loading}
+                        addDailyLog={addDailyLog}
+                        saveActiveShift={saveActiveShift}
+                        clearActiveShift={clearActiveShift}
+                    />
+                ))}
+                {currentTab === 'reports' && (
+                    <>
+                        <ReportsView
+                            config={config}
+                            logsWindow={logsWindow}
+                            summaryLogs={summaryLogs}
+                            periodSummaries={summariesReady ? periodSummaries : []}
+                            fuelLogs={fuelLogs}
+                            fuelStats={fuelStats}
+                            vehicles={vehicles}
+                            activeVehicle={activeVehicle}
+                            settingsVersions={settingsVersions}
+                            reportPeriod={reportPeriod}
+                            setReportPeriod={setReportPeriod}
+                        />
+                        <IncomeStatementView config={config} summaryLogs={summaryLogs} fuelLogs={fuelLogs} getVehicleName={getVehicleName} />
+                    </>
+                )}
+                {currentTab === 'history' && (
+                    <HistoryView
+                        config={config}
+                        logsWindow={logsWindow}
+                        fuelLogs={fuelLogs}
+                        maintenanceRecords={maintenanceRecords}
+                        vehicles={vehicles}
+                        activeVehicle={activeVehicle}
+                        knownNeighborhoods={knownNeighborhoods}
+                        loading={loading}
+                        historyMonth={historyMonth}
+                        setHistoryMonth={setHistoryMonth}
+                        historySelectedDate={historySelectedDate}
+                        setHistorySelectedDate={setHistorySelectedDate}
+                        lastDeletedLog={lastDeletedLog}
+                        getVehicleName={getVehicleName}
+                        updateDailyLog={updateDailyLog}
+                        deleteDailyLog={deleteDailyLog}
+                        restoreDeletedLog={restoreDeletedLog}
+                    />
+                )}
+                {currentTab === 'maintenance' && (
+                    // Trocar o veículo em uso recomeça o formulário com o hodômetro e os custos do outro veículo
+                    <MaintenanceView
+                        key={activeVehicle.id}
+                        config={config}
+                        activeVehicle={activeVehicle}
+                        currentOdometer={currentOdometer}
+                        maintenanceStatus={maintenanceStatus}
+                        vehicleMaintenanceRecords={vehicleMaintenanceRecords}
+                        loading={loading}
+                        addMaintenanceRecord={addMaintenanceRecord}
+                        deleteMaintenanceRecord={deleteMaintenanceRecord}
+                    />
+                )}
+                {currentTab === 'fuel' && (
+                    <FuelView
+                        key={activeVehicle.id}
+                        config={config}
+                        fuelLogs={fuelLogs}
+                        vehicleFuelLogs={vehicleFuelLogs}
+                        activeVehicle={activeVehicle}
+                        fuelStats={fuelStats}
+                        currentOdometer={currentOdometer}
+                        loading={loading}
+                        addFuelLog={addFuelLog}
+                        deleteFuelLog={deleteFuelLog}
+                    />
+                )}
+                {currentTab === 'profile' && (
+                    // Entrar em outra conta recomeça o formulário com o e-mail dela
+                    <ProfileView
+                        key={userId}
+                        authProfile={authProfile}
+                        config={config}
+                        totalLogCount={totalLogCount}
+                        linkEmailAccount={linkEmailAccount}
+                        signInEmailAccount={signInEmailAccount}
+                        resetPassword={resetPassword}
+                        linkGoogleAccount={linkGoogleAccount}
+                        signInGoogleAccount={signInGoogleAccount}
+                        signOutAccount={signOutAccount}
+                    />
+                )}
+                {currentTab === 'mei' && (
+                    <MeiView
+                        config={config}
+                        summaryLogs={summaryLogs}
+                        fuelLogs={fuelLogs}
+                        dasPayments={dasPayments}
+                        pendingDas={pendingDas}
+                        addDasPayment={addDasPayment}
+                        deleteDasPayment={deleteDasPayment}
+                    />
+                )}
+                {currentTab === 'fleet' && <FleetView config={config} fleetRiders={fleetRiders} fleetDashboard={fleetDashboard} removeFleetRider={removeFleetRider} />}
+                {currentTab === 'offer' && (
+                    <OfferView
+                        config={config}
+                        dailyLogs={dailyLogs}
+                        activeVehicle={activeVehicle}
+                        fuelStats={fuelStats}
+                        currentOdometer={currentOdometer}
+                        activeShift={activeShift}
+                        saveActiveShift={saveActiveShift}
+                        updateDailyLog={updateDailyLog}
+                    />
+                )}
             </div>
 
             {/* Navegação Inferior (Fixa na parte inferior para mobile) */}
             <nav className="fixed bottom-0 left-0 right-0 bg-gray-800 border-t border-gray-700 shadow-2xl z-20">
+                {showMoreTabs && (
+                    <div className="absolute bottom-full left-0 right-0 max-w-xl mx-auto flex justify-end px-2 pb-2">
+                        <div className="w-56 bg-gray-800 border border-gray-700 rounded-lg shadow-2xl p-2 space-y-1">
+                            {moreTabs.map(({ tab, icon: Icon, label }) => (
+                                <button key={tab} onClick={() => openTab(tab)}
+                                    className={`w-full flex items-center p-2 rounded-lg text-sm font-medium ${currentTab === tab ? 'bg-indigo-600 text-white' : 'text-gray-300 hover:bg-gray-700 hover:text-indigo-400'}`}
+                                >
+                                    <Icon className="w-5 h-5 mr-2" /> {label}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                )}
                 <div className="max-w-xl mx-auto flex justify-around">
                     <NavButton tab="reports" icon={LineChart} label="Relatórios" />
+                    <NavButton tab="history" icon={History} label="Histórico" />
                     <NavButton tab="daily" icon={Calendar} label="Registro Diário" />
+                    <NavButton tab="fuel" icon={Fuel} label="Combustível" />
+                    <NavButton tab="maintenance" icon={Wrench} label="Manutenção" />
                     <NavButton tab="config" icon={Settings} label="Configurações" />
+                    <NavButton tab="more" icon={Ellipsis} label="Mais"
+                        isActive={showMoreTabs || moreTabs.some(item => item.tab === currentTab)}
+                        onClick={() => setShowMoreTabs(show => !show)}
+                    />
                 </div>
             </nav>
             {/* Espaçador para navegação inferior em telas pequenas */}
@@ -745,4 +8098,11 @@ const App = () => {
     );
 };
 
+// Service worker: guarda o app em cache para abrir sem internet (apenas no build de produção)
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('/sw.js').catch((e) => console.error("Erro ao registrar service worker:", e));
+    });
+}
+
 export default App;
\ No newline at end of file
@@ -0,0 +1,84 @@
+// Service Worker do Rota Max: mantém o app (shell) em cache para abrir sem internet.
+// Os dados não passam por aqui: o Firestore tem seu próprio cache offline (IndexedDB).
+
+const CACHE_NAME = 'rota-max-v1';
+
+// Arquivos fixos do app; os scripts gerados pelo build (/assets/) entram no cache no primeiro acesso
+const APP_SHELL = [
+    '/',
+    '/index.html',
+    '/manifest.json',
+    '/icons/icon-192.png',
+    '/icons/icon-512.png',
+    '/icons/apple-touch-icon.png',
+    '/icons/icon.svg',
+];
+
+// Dependências externas carregadas pelo index.html (Tailwind e fontes)
+const CDN_HOSTS = ['cdn.tailwindcss.com', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Remove caches de versões anteriores
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Rede primeiro, com o cache como reserva (páginas: sempre a versão mais nova quando houver internet)
+const networkFirst = async (request, fallbackUrl) => {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(fallbackUrl || request, response.clone());
+        return response;
+    } catch (e) {
+        const cached = await cache.match(fallbackUrl || request);
+        if (cached) return cached;
+        throw e;
+    }
+};
+
+// Cache primeiro, atualizando em segundo plano (arquivos com hash e CDN)
+const staleWhileRevalidate = async (request) => {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    const network = fetch(request)
+        .then((response) => {
+            // Respostas opacas (CDN sem CORS) têm status 0, mas são válidas para o cache
+            if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+            return response;
+        })
+        .catch((e) => {
+            // Sem cópia em cache, a falha da rede segue adiante (respondWith não aceita undefined)
+            if (cached) return cached;
+            throw e;
+        });
+    return cached || network;
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, '/index.html'));
+        return;
+    }
+
+    if (url.origin === self.location.origin || CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+    // Demais requisições (Firestore, autenticação) seguem direto para a rede
+});
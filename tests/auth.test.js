@@ -0,0 +1,99 @@
+// Conta: sessão anônima, vinculação ao e-mail, login em outro aparelho e saída, no emulador do Auth.
+// Os dados gravados na sessão anônima precisam continuar acessíveis depois de vincular (mesmo uid).
+import { describe, it, expect, beforeAll, beforeEach, afterAll } from 'vitest';
+import { initializeApp, deleteApp } from 'firebase/app';
+import { getAuth, connectAuthEmulator, signInAnonymously, EmailAuthProvider, linkWithCredential, signInWithEmailAndPassword, signOut } from 'firebase/auth';
+import { getFirestore, connectFirestoreEmulator, doc, setDoc, getDoc } from 'firebase/firestore';
+import { PROJECT_ID, AUTH_EMULATOR_HOST, FIRESTORE_EMULATOR_HOST, settingsPath } from './emulators.js';
+
+const EMAIL = 'entregador@example.com';
+const PASSWORD = 'senha-segura-123';
+
+// Cada "aparelho" é uma instância separada do app, com a própria sessão
+const openDevice = (name) => {
+    const app = initializeApp({ apiKey: 'demo-api-key', projectId: PROJECT_ID }, name);
+    const auth = getAuth(app);
+    connectAuthEmulator(auth, `http://${AUTH_EMULATOR_HOST}`, { disableWarnings: true });
+    const db = getFirestore(app);
+    const [host, port] = FIRESTORE_EMULATOR_HOST.split(':');
+    connectFirestoreEmulator(db, host, Number(port));
+    return { app, auth, db };
+};
+
+describe('conta no emulador do Auth', () => {
+    let phone;
+    let tablet;
+
+    beforeAll(() => {
+        phone = openDevice('phone');
+        tablet = openDevice('tablet');
+    });
+
+    beforeEach(async () => {
+        await fetch(`http://${AUTH_EMULATOR_HOST}/emulator/v1/projects/${PROJECT_ID}/accounts`, { method: 'DELETE' });
+        await fetch(`http://${FIRESTORE_EMULATOR_HOST}/emulator/v1/projects/${PROJECT_ID}/databases/(default)/documents`, { method: 'DELETE' });
+        await signOut(phone.auth);
+        await signOut(tablet.auth);
+    });
+
+    afterAll(async () => {
+        await deleteApp(phone.app);
+        await deleteApp(tablet.app);
+    });
+
+    it('vincular o e-mail mantém o uid e os dados da sessão anônima', async () => {
+        const { user: anonymous } = await signInAnonymously(phone.auth);
+        await setDoc(doc(phone.db, settingsPath(anonymous.uid)), { username: 'Ana' });
+
+        const { user: linked } = await linkWithCredential(anonymous, EmailAuthProvider.credential(EMAIL, PASSWORD));
+
+        expect(linked.uid).toBe(anonymous.uid);
+        expect(linked.isAnonymous).toBe(false);
+        expect(linked.providerData.map(provider => provider.providerId)).toContain('password');
+        const snapshot = await getDoc(doc(phone.db, settingsPath(linked.uid)));
+        expect(snapshot.data()).toEqual({ username: 'Ana' });
+    });
+
+    it('entrar com o e-mail em outro aparelho abre a mesma conta', async () => {
+        const { user: anonymous } = await signInAnonymously(phone.auth);
+        await linkWithCredential(anonymous, EmailAuthProvider.credential(EMAIL, PASSWORD));
+        await setDoc(doc(phone.db, settingsPath(anonymous.uid)), { username: 'Ana' });
+
+        const { user } = await signInWithEmailAndPassword(tablet.auth, EMAIL, PASSWORD);
+
+        expect(user.uid).toBe(anonymous.uid);
+        const snapshot = await getDoc(doc(tablet.db, settingsPath(user.uid)));
+        expect(snapshot.exists()).toBe(true);
+    });
+
+    it('sair encerra a sessão e a nova sessão anônima é outra conta, sem acesso aos dados', async () => {
+        const { user: anonymous } = await signInAnonymously(phone.auth);
+        await linkWithCredential(anonymous, EmailAuthProvider.credential(EMAIL, PASSWORD));
+        await setDoc(doc(phone.db, settingsPath(anonymous.uid)), { username: 'Ana' });
+
+        await signOut(phone.auth);
+        expect(phone.auth.currentUser).toBeNull();
+
+        const { user: next } = await signInAnonymously(phone.auth);
+        expect(next.uid).not.toBe(anonymous.uid);
+        await expect(getDoc(doc(phone.db, settingsPath(anonymous.uid)))).rejects.toMatchObject({ code: 'permission-denied' });
+    });
+
+    it('não vincula um e-mail que já pertence a outra conta', async () => {
+        const { user: first } = await signInAnonymously(phone.auth);
+        await linkWithCredential(first, EmailAuthProvider.credential(EMAIL, PASSWORD));
+
+        const { user: second } = await signInAnonymously(tablet.auth);
+        await expect(linkWithCredential(second, EmailAuthProvider.credential(EMAIL, PASSWORD)))
+            .rejects.toMatchObject({ code: 'auth/email-already-in-use' });
+    });
+
+    it('recusa a senha errada', async () => {
+        const { user } = await signInAnonymously(phone.auth);
+        await linkWithCredential(user, EmailAuthProvider.credential(EMAIL, PASSWORD));
+        await signOut(phone.auth);
+
+        await expect(signInWithEmailAndPassword(tablet.auth, EMAIL, 'senha-errada'))
+            .rejects.toHaveProperty('code', expect.stringMatching(/^auth\/(wrong-password|invalid-credential)$/));
+    });
+});
@@ -0,0 +1,116 @@
+// Configuração comum dos testes, que rodam nos emuladores do Firebase (`npm test`)
+import { readFileSync } from 'node:fs';
+import { beforeAll, beforeEach, afterAll } from 'vitest';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+
+// Projetos 'demo-*' rodam só nos emuladores, sem credenciais nem acesso à nuvem
+export const PROJECT_ID = 'demo-rota-max';
+
+// Mesmo appId usado pelo app quando __app_id não é definido
+export const APP_ID = 'default-app-id';
+
+// Endereços definidos pelo `firebase emulators:exec`
+export const AUTH_EMULATOR_HOST = process.env.FIREBASE_AUTH_EMULATOR_HOST;
+export const FIRESTORE_EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST;
+
+// Caminhos como em main.jsx
+export const userPath = (uid) => `artifacts/${APP_ID}/users/${uid}`;
+export const settingsPath = (uid) => `${userPath(uid)}/config/user_settings`;
+export const logPath = (uid, logId = 'log1') => `${userPath(uid)}/daily_logs/${logId}`;
+export const summaryPath = (uid, summaryId) => `${userPath(uid)}/period_summaries/${summaryId}`;
+export const receiptPath = (uid) => `${userPath(uid)}/fuel_logs/abc123/receipt.jpg`; // getImageStoragePath
+export const invitePath = (code) => `artifacts/${APP_ID}/fleet_invites/${code}`;
+export const riderPath = (ownerId, riderId) => `artifacts/${APP_ID}/fleets/${ownerId}/riders/${riderId}`;
+
+// Ambiente das regras para um arquivo de teste: carrega as regras de cada serviço (ex.: { storage: 'storage.rules' }),
+// apaga os dados antes de cada teste e encerra no fim. Devolve uma função que retorna o ambiente criado.
+export const useTestEnvironment = (rulesFiles) => {
+    let testEnv;
+
+    beforeAll(async () => {
+        const services = Object.entries(rulesFiles).map(([service, path]) => [service, { rules: readFileSync(path, 'utf8') }]);
+        testEnv = await initializeTestEnvironment({ projectId: PROJECT_ID, ...Object.fromEntries(services) });
+    });
+
+    beforeEach(async () => {
+        if (rulesFiles.firestore) await testEnv.clearFirestore();
+        if (rulesFiles.storage) await testEnv.clearStorage();
+    });
+
+    afterAll(() => testEnv.cleanup());
+
+    return () => testEnv;
+};
+
+// Documentos de exemplo: valores padrão válidos, com as alterações de cada teste
+const fixture = (defaults) => (overrides = {}) => ({ ...defaults, ...overrides });
+
+// Registro no formato gravado por addDailyLog
+export const dailyLog = fixture({
+    date: '2026-10-19',
+    profit: 245.5,
+    earnings: { 'iFood': 180, 'Uber Moto': 55.5 },
+    tips: 10,
+    rides: [{ source: 'iFood', amount: 18, neighborhood: 'Centro' }],
+    expenses: [{ category: 'Alimentação', amount: 22 }],
+    gasolineCost: 32.4,
+    oilCost: 3.1,
+    maintenanceCost: 4.5,
+    startOdometer: 15230,
+    endOdometer: 15342,
+    kmRidden: 112,
+    hoursWorked: 8.5,
+    startTime: '09:30',
+    fuelCostEstimated: false,
+    vehicleId: 'vehicle1',
+    settingsVersionId: '2026-10-01',
+    route: { path: [-23.55, -46.63, -23.56, -46.64], distanceKm: 1.4 },
+});
+
+// Configurações no formato gravado por saveConfig
+export const settings = fixture({
+    username: 'Ana',
+    bikeModel: 'CG 160',
+    oilChangeCost: 60,
+    oilChangeIntervalKm: 1000,
+    dailyGoal: 250,
+    weeklyGoal: 1500,
+    monthlyGoal: 6000,
+    workDaysPerWeek: 6,
+    workDayStartHour: 4,
+    fuelType: 'gasoline',
+    fixedCostAllocation: 'workDays',
+    meiEnabled: true,
+    meiOpeningDate: '2024-03-15',
+    dasAmount: 75.6,
+    offerMinPerKm: 2,
+    offerMinPerHour: 25,
+    offerAverageSpeedKmh: 30,
+    maintenance: {},
+    earningSources: ['iFood', 'Uber Moto'],
+    expenseCategories: ['Alimentação'],
+    fixedCosts: [],
+    fleet: null,
+    fleetMembership: null,
+});
+
+// Resumo do mês gravado por addSummaryWrites (ID: período, início e veículo)
+export const periodSummary = fixture({
+    period: 'month',
+    from: '2026-10-01',
+    to: '2026-10-31',
+    vehicleId: 'vehicle1',
+    totals: { profit: 245.5, netProfit: 205.5, logs: 1 },
+    days: { '2026-10-19': { profit: 245.5, netProfit: 205.5, logs: 1 } },
+});
+
+// Resumo publicado pelo entregador (efeito "Publicar o Resumo na Frota"), com o convite ABC123 do dono "owner"
+export const riderSummary = fixture({
+    name: 'Ana',
+    inviteCode: 'ABC123',
+    share: { logs: true, km: false, maintenance: false },
+    period: { month: '2026-10' },
+    vehicles: {},
+    logs: { count: 3, profit: 420 },
+    updatedAt: 1760000000000,
+});
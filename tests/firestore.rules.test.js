@@ -0,0 +1,130 @@
+// Regras dos dados do usuário (firestore.rules): registros diários e configurações, no emulador do Firestore
+import { describe, it } from 'vitest';
+import { assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import { doc, getDoc, setDoc, updateDoc, deleteDoc } from 'firebase/firestore';
+import { logPath, settingsPath, summaryPath, dailyLog, settings, periodSummary, useTestEnvironment } from './emulators.js';
+
+describe('firestore.rules: dados do usuário', () => {
+    const testEnv = useTestEnvironment({ firestore: 'firestore.rules' });
+
+    const aliceDb = () => testEnv().authenticatedContext('alice').firestore();
+
+    describe('isValidDailyLog', () => {
+        it('aceita um registro completo', async () => {
+            await assertSucceeds(setDoc(doc(aliceDb(), logPath('alice')), dailyLog()));
+        });
+
+        it('aceita registros antigos, só com data e lucro', async () => {
+            await assertSucceeds(setDoc(doc(aliceDb(), logPath('alice')), { date: '2024-02-29', profit: 0 }));
+        });
+
+        it('recusa valores negativos', async () => {
+            const db = aliceDb();
+            await assertFails(setDoc(doc(db, logPath('alice')), dailyLog({ profit: -10 })));
+            await assertFails(setDoc(doc(db, logPath('alice')), dailyLog({ gasolineCost: -1 })));
+            await assertFails(setDoc(doc(db, logPath('alice')), dailyLog({ kmRidden: -5 })));
+        });
+
+        it('recusa datas inválidas', async () => {
+            const db = aliceDb();
+            await assertFails(setDoc(doc(db, logPath('alice')), dailyLog({ date: '2099-13-45' })));
+            await assertFails(setDoc(doc(db, logPath('alice')), dailyLog({ date: '19/10/2026' })));
+            await assertFails(setDoc(doc(db, logPath('alice')), dailyLog({ startTime: '25:00' })));
+        });
+
+        it('recusa campos desconhecidos e tipos errados', async () => {
+            const db = aliceDb();
+            await assertFails(setDoc(doc(db, logPath('alice')), dailyLog({ isAdmin: true })));
+            await assertFails(setDoc(doc(db, logPath('alice')), dailyLog({ profit: '245.50' })));
+            await assertFails(setDoc(doc(db, logPath('alice')), dailyLog({ endOdometer: 15000 })));
+            await assertFails(setDoc(doc(db, logPath('alice')), dailyLog({ settingsVersionId: 20261001 })));
+        });
+
+        it('limita a rota do GPS a 300 pontos e aceita registros sem rota', async () => {
+            const db = aliceDb();
+            await assertSucceeds(setDoc(doc(db, logPath('alice')), dailyLog({ route: null })));
+            await assertSucceeds(setDoc(doc(db, logPath('alice')), dailyLog({ route: { path: Array(600).fill(-23.5), distanceKm: 42 } })));
+            await assertFails(setDoc(doc(db, logPath('alice')), dailyLog({ route: { path: Array(602).fill(-23.5), distanceKm: 42 } })));
+            await assertFails(setDoc(doc(db, logPath('alice')), dailyLog({ route: { path: [], distanceKm: -1 } })));
+            await assertFails(setDoc(doc(db, logPath('alice')), dailyLog({ route: 'Centro - Pinheiros' })));
+        });
+
+        it('valida também as edições', async () => {
+            await testEnv().withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), logPath('alice')), dailyLog()));
+            const db = aliceDb();
+            await assertSucceeds(updateDoc(doc(db, logPath('alice')), { profit: 300 }));
+            await assertFails(updateDoc(doc(db, logPath('alice')), { profit: -300 }));
+            await assertFails(updateDoc(doc(db, logPath('alice')), { extra: 1 }));
+        });
+    });
+
+    describe('isValidSettings', () => {
+        it('aceita as configurações completas', async () => {
+            await assertSucceeds(setDoc(doc(aliceDb(), settingsPath('alice')), settings()));
+        });
+
+        it('aceita a gravação parcial com merge', async () => {
+            await assertSucceeds(setDoc(doc(aliceDb(), settingsPath('alice')), { fleetMembership: null }, { merge: true }));
+        });
+
+        it('recusa valores negativos e fora dos limites', async () => {
+            const db = aliceDb();
+            await assertFails(setDoc(doc(db, settingsPath('alice')), settings({ dailyGoal: -1 })));
+            await assertFails(setDoc(doc(db, settingsPath('alice')), settings({ dasAmount: -75.6 })));
+            await assertFails(setDoc(doc(db, settingsPath('alice')), settings({ workDaysPerWeek: 8 })));
+            await assertFails(setDoc(doc(db, settingsPath('alice')), settings({ fuelType: 'diesel' })));
+            await assertFails(setDoc(doc(db, settingsPath('alice')), settings({ offerMinPerKm: -2 })));
+            await assertFails(setDoc(doc(db, settingsPath('alice')), settings({ offerAverageSpeedKmh: 0 })));
+        });
+
+        it('recusa datas inválidas', async () => {
+            await assertFails(setDoc(doc(aliceDb(), settingsPath('alice')), settings({ meiOpeningDate: '2099-13-45' })));
+        });
+
+        it('recusa campos desconhecidos', async () => {
+            await assertFails(setDoc(doc(aliceDb(), settingsPath('alice')), settings({ plan: 'premium' })));
+        });
+    });
+
+    describe('isValidPeriodSummary', () => {
+        it('aceita o resumo do mês e da semana com o ID no formato esperado', async () => {
+            const db = aliceDb();
+            await assertSucceeds(setDoc(doc(db, summaryPath('alice', 'month_2026-10-01_vehicle1')), periodSummary()));
+            await assertSucceeds(setDoc(doc(db, summaryPath('alice', 'week_2026-10-19_vehicle1')), periodSummary({ period: 'week', from: '2026-10-19', to: '2026-10-25' })));
+        });
+
+        it('recusa ID diferente do período, do início ou do veículo', async () => {
+            const db = aliceDb();
+            await assertFails(setDoc(doc(db, summaryPath('alice', 'month_2026-09-01_vehicle1')), periodSummary()));
+            await assertFails(setDoc(doc(db, summaryPath('alice', 'month_2026-10-01_vehicle2')), periodSummary()));
+            await assertFails(setDoc(doc(db, summaryPath('alice', 'year_2026-10-01_vehicle1')), periodSummary({ period: 'year' })));
+        });
+
+        it('recusa período invertido e campos desconhecidos', async () => {
+            const db = aliceDb();
+            await assertFails(setDoc(doc(db, summaryPath('alice', 'month_2026-10-01_vehicle1')), periodSummary({ to: '2026-09-30' })));
+            await assertFails(setDoc(doc(db, summaryPath('alice', 'month_2026-10-01_vehicle1')), periodSummary({ logs: [] })));
+        });
+    });
+
+    describe('dados de outro usuário', () => {
+        it('não grava na árvore de outro usuário, mesmo com dados válidos', async () => {
+            const db = aliceDb();
+            await assertFails(setDoc(doc(db, logPath('bob')), dailyLog()));
+            await assertFails(setDoc(doc(db, settingsPath('bob')), settings()));
+        });
+
+        it('não lê nem exclui os dados de outro usuário', async () => {
+            await testEnv().withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), logPath('bob')), dailyLog()));
+            const db = aliceDb();
+            await assertFails(getDoc(doc(db, logPath('bob'))));
+            await assertFails(deleteDoc(doc(db, logPath('bob'))));
+        });
+
+        it('sem login não lê nem grava', async () => {
+            const db = testEnv().unauthenticatedContext().firestore();
+            await assertFails(setDoc(doc(db, logPath('alice')), dailyLog()));
+            await assertFails(getDoc(doc(db, settingsPath('alice'))));
+        });
+    });
+});
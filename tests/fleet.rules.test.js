@@ -0,0 +1,131 @@
+// Regras da frota (firestore.rules): convites e resumos dos entregadores, no emulador do Firestore
+import { describe, it, beforeEach } from 'vitest';
+import { assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import { doc, getDoc, getDocs, collection, setDoc, updateDoc, deleteDoc } from 'firebase/firestore';
+import { APP_ID, invitePath, riderPath, riderSummary, useTestEnvironment } from './emulators.js';
+
+describe('firestore.rules: frota', () => {
+    const testEnv = useTestEnvironment({ firestore: 'firestore.rules' });
+
+    // Dono "owner" com o convite ABC123; "bob" é dono de outra frota com o convite BOB456
+    beforeEach(() => testEnv().withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        await setDoc(doc(db, invitePath('ABC123')), { ownerId: 'owner', fleetName: 'Entregas Centro', createdAt: 1 });
+        await setDoc(doc(db, invitePath('BOB456')), { ownerId: 'bob', fleetName: 'Frota do Bob', createdAt: 1 });
+    }));
+
+    const firestoreAs = (uid) => testEnv().authenticatedContext(uid).firestore();
+
+    // Entregador que já entrou na frota, gravado sem passar pelas regras
+    const seedRider = () => testEnv().withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), riderPath('owner', 'ana')), riderSummary()));
+
+    describe('entrar na frota', () => {
+        it('o entregador entra com um convite válido do dono', async () => {
+            const db = firestoreAs('ana');
+            await assertSucceeds(getDoc(doc(db, invitePath('ABC123'))));
+            await assertSucceeds(setDoc(doc(db, riderPath('owner', 'ana')), riderSummary()));
+        });
+
+        it('recusa convite inexistente ou de outro dono', async () => {
+            const db = firestoreAs('ana');
+            await assertFails(setDoc(doc(db, riderPath('owner', 'ana')), riderSummary({ inviteCode: 'ZZZ999' })));
+            await assertFails(setDoc(doc(db, riderPath('owner', 'ana')), riderSummary({ inviteCode: 'BOB456' })));
+        });
+
+        it('ninguém entra em nome de outro entregador nem na própria frota', async () => {
+            await assertFails(setDoc(doc(firestoreAs('carla'), riderPath('owner', 'ana')), riderSummary()));
+            await assertFails(setDoc(doc(firestoreAs('owner'), riderPath('owner', 'owner')), riderSummary()));
+        });
+
+        it('sem login não entra', async () => {
+            const db = testEnv().unauthenticatedContext().firestore();
+            await assertFails(getDoc(doc(db, invitePath('ABC123'))));
+            await assertFails(setDoc(doc(db, riderPath('owner', 'ana')), riderSummary()));
+        });
+
+        it('só publica as partes compartilhadas', async () => {
+            const db = firestoreAs('ana');
+            await assertFails(setDoc(doc(db, riderPath('owner', 'ana')), riderSummary({ km: { total: 120 } })));
+            await assertFails(setDoc(doc(db, riderPath('owner', 'ana')), riderSummary({ email: 'ana@exemplo.com' })));
+            await assertSucceeds(setDoc(doc(db, riderPath('owner', 'ana')), riderSummary({
+                share: { logs: true, km: true, maintenance: false },
+                km: { total: 120 },
+            })));
+        });
+    });
+
+    describe('atualizar o resumo', () => {
+        it('o entregador atualiza o próprio resumo, mesmo depois de o dono trocar o código', async () => {
+            await seedRider();
+            await testEnv().withSecurityRulesDisabled(context => deleteDoc(doc(context.firestore(), invitePath('ABC123'))));
+            await assertSucceeds(updateDoc(doc(firestoreAs('ana'), riderPath('owner', 'ana')), { logs: { count: 4, profit: 510 }, updatedAt: 1760000100000 }));
+        });
+
+        it('não troca o código do convite nem passa a publicar o que não compartilhou', async () => {
+            await seedRider();
+            const db = firestoreAs('ana');
+            await assertFails(updateDoc(doc(db, riderPath('owner', 'ana')), { inviteCode: 'BOB456' }));
+            await assertFails(updateDoc(doc(db, riderPath('owner', 'ana')), { maintenance: { due: 1 } }));
+        });
+
+        it('nem o dono nem outro usuário alteram o resumo do entregador', async () => {
+            await seedRider();
+            await assertFails(updateDoc(doc(firestoreAs('owner'), riderPath('owner', 'ana')), { name: 'Outro nome' }));
+            await assertFails(updateDoc(doc(firestoreAs('carla'), riderPath('owner', 'ana')), { name: 'Outro nome' }));
+        });
+
+        it('removido pelo dono (convite trocado), o entregador não volta a publicar', async () => {
+            await seedRider();
+            await testEnv().withSecurityRulesDisabled(async (context) => {
+                const db = context.firestore();
+                await deleteDoc(doc(db, riderPath('owner', 'ana')));
+                await deleteDoc(doc(db, invitePath('ABC123')));
+            });
+            await assertFails(setDoc(doc(firestoreAs('ana'), riderPath('owner', 'ana')), riderSummary()));
+        });
+    });
+
+    describe('excluir', () => {
+        it('o dono remove o entregador', async () => {
+            await seedRider();
+            await assertSucceeds(deleteDoc(doc(firestoreAs('owner'), riderPath('owner', 'ana'))));
+        });
+
+        it('o entregador sai da frota', async () => {
+            await seedRider();
+            await assertSucceeds(deleteDoc(doc(firestoreAs('ana'), riderPath('owner', 'ana'))));
+        });
+
+        it('outro usuário não remove o entregador', async () => {
+            await seedRider();
+            await assertFails(deleteDoc(doc(firestoreAs('bob'), riderPath('owner', 'ana'))));
+        });
+
+        it('só o dono exclui o convite', async () => {
+            await assertFails(deleteDoc(doc(firestoreAs('bob'), invitePath('ABC123'))));
+            await assertSucceeds(deleteDoc(doc(firestoreAs('owner'), invitePath('ABC123'))));
+        });
+    });
+
+    describe('acesso entre donos', () => {
+        it('o dono e o próprio entregador leem o resumo; outro dono não', async () => {
+            await seedRider();
+            await assertSucceeds(getDoc(doc(firestoreAs('owner'), riderPath('owner', 'ana'))));
+            await assertSucceeds(getDoc(doc(firestoreAs('ana'), riderPath('owner', 'ana'))));
+            await assertFails(getDoc(doc(firestoreAs('bob'), riderPath('owner', 'ana'))));
+        });
+
+        it('outro dono não lista os entregadores da frota', async () => {
+            await seedRider();
+            await assertSucceeds(getDocs(collection(firestoreAs('owner'), `artifacts/${APP_ID}/fleets/owner/riders`)));
+            await assertFails(getDocs(collection(firestoreAs('bob'), `artifacts/${APP_ID}/fleets/owner/riders`)));
+        });
+
+        it('ninguém cria convite em nome de outro dono nem lista os convites', async () => {
+            const db = firestoreAs('bob');
+            await assertFails(setDoc(doc(db, invitePath('NEW789')), { ownerId: 'owner', fleetName: 'Falsa', createdAt: 1 }));
+            await assertSucceeds(setDoc(doc(db, invitePath('NEW789')), { ownerId: 'bob', fleetName: 'Frota do Bob', createdAt: 1 }));
+            await assertFails(getDocs(collection(db, `artifacts/${APP_ID}/fleet_invites`)));
+        });
+    });
+});
@@ -0,0 +1,98 @@
+// Rota por GPS (gps.js): reproduz trajetos gravados com a mesma lógica do turno ao vivo
+import { readFileSync } from 'node:fs';
+import { describe, it, expect } from 'vitest';
+import { EMPTY_GPS_TRACK, ROUTE_MAX_POINTS, addGpsPoint, startGpsSegment, replayGpsTrace, getTraceDistanceKm, getDistanceKm, simplifyRoute, toStoredRoute, fromStoredRoute } from '../gps.js';
+
+// Trajeto gravado: { description, segments: [[{ lat, lng, accuracy, time }, ...], ...] }, um trecho por retomada
+const loadTrace = (name) => JSON.parse(readFileSync(new URL(`./fixtures/${name}.json`, import.meta.url), 'utf8'));
+
+// Distância sem filtro, ponto a ponto (o que o rastreamento somaria sem tratar a tremulação)
+const rawDistanceKm = (readings) => readings.slice(1).reduce((sum, reading, index) => sum + getDistanceKm(readings[index], reading), 0);
+
+describe('getTraceDistanceKm', () => {
+    it('moto parada: a tremulação e as leituras imprecisas não somam distância', () => {
+        const [readings] = loadTrace('gps-stopped-jitter').segments;
+        expect(rawDistanceKm(readings)).toBeGreaterThan(1);
+        expect(getTraceDistanceKm(readings)).toBe(0);
+        expect(replayGpsTrace([readings]).points).toHaveLength(1);
+    });
+
+    it('salto de posição: a leitura impossível é ignorada e o trajeto continua', () => {
+        const [readings] = loadTrace('gps-position-jump').segments;
+        const withoutJump = readings.filter((_, index) => index !== 24);
+        expect(rawDistanceKm(readings)).toBeGreaterThan(5);
+        expect(getTraceDistanceKm(readings)).toBeCloseTo(getTraceDistanceKm(withoutJump), 1);
+        expect(getTraceDistanceKm(readings)).toBeGreaterThan(1.9);
+        expect(getTraceDistanceKm(readings)).toBeLessThan(2.1);
+    });
+
+    it('sem leituras, a distância é zero', () => {
+        expect(getTraceDistanceKm([])).toBe(0);
+    });
+});
+
+describe('pausa e retomada', () => {
+    const { segments } = loadTrace('gps-pause-resume');
+
+    it('o deslocamento durante a pausa não entra na distância', () => {
+        const segmentsKm = segments.map(getTraceDistanceKm);
+        const track = replayGpsTrace(segments);
+        expect(track.distanceKm).toBeCloseTo(segmentsKm[0] + segmentsKm[1], 6);
+        expect(track.distanceKm).toBeLessThan(2.1);
+        // Num trecho só, os ~800 m andados durante a pausa seriam somados
+        expect(getTraceDistanceKm(segments.flat())).toBeGreaterThan(track.distanceKm + 0.7);
+    });
+
+    it('a retomada mantém os pontos e a distância já percorridos', () => {
+        const firstTrack = replayGpsTrace([segments[0]]);
+        const resumed = startGpsSegment(firstTrack);
+        expect(resumed.lastPoint).toBeNull();
+        expect(resumed.points).toBe(firstTrack.points);
+        expect(resumed.distanceKm).toBe(firstTrack.distanceKm);
+        expect(segments[1].reduce(addGpsPoint, resumed)).toEqual(replayGpsTrace(segments));
+    });
+
+    it('após recarregar a página, continua a partir da rota gravada no turno', () => {
+        const firstTrack = replayGpsTrace([segments[0]]);
+        const restored = fromStoredRoute(toStoredRoute(firstTrack));
+        expect(restored.lastPoint).toBeNull();
+        expect(restored.distanceKm).toBeCloseTo(firstTrack.distanceKm, 3);
+        const track = replayGpsTrace([segments[1]], restored);
+        expect(track.distanceKm).toBeCloseTo(replayGpsTrace(segments).distanceKm, 3);
+    });
+});
+
+// ~40 m para o norte a cada leitura, ondulando até ~1 km para leste e oeste
+const getLongTrack = () => {
+    const readings = Array.from({ length: 1000 }, (_, index) => ({
+        lat: -23.6 + index * 0.00036,
+        lng: -46.65 + 0.01 * Math.sin(index / 50),
+        accuracy: 10,
+        time: 1792411200000 + index * 5000,
+    }));
+    return readings.reduce(addGpsPoint, EMPTY_GPS_TRACK);
+};
+
+describe('rota resumida', () => {
+    // Turno de ~1h20 em zigue-zague, uma leitura a cada 5 s: bem mais pontos do que cabem no registro
+    const longTrack = getLongTrack();
+
+    it('cabe em ROUTE_MAX_POINTS pontos e mantém o início e o fim', () => {
+        expect(longTrack.points.length).toBeGreaterThan(ROUTE_MAX_POINTS);
+        const simplified = simplifyRoute(longTrack.points);
+        expect(simplified.length).toBeLessThanOrEqual(ROUTE_MAX_POINTS);
+        expect(simplified[0]).toBe(longTrack.points[0]);
+        expect(simplified[simplified.length - 1]).toBe(longTrack.points[longTrack.points.length - 1]);
+    });
+
+    it('grava a lista plana [lat, lng, ...] com a distância do trajeto', () => {
+        const stored = toStoredRoute(longTrack);
+        expect(stored.path.length).toBeLessThanOrEqual(ROUTE_MAX_POINTS * 2);
+        expect(stored.path.length % 2).toBe(0);
+        expect(stored.distanceKm).toBeCloseTo(longTrack.distanceKm, 3);
+    });
+
+    it('trajeto vazio continua vazio', () => {
+        expect(fromStoredRoute(toStoredRoute(EMPTY_GPS_TRACK))).toBe(EMPTY_GPS_TRACK);
+    });
+});
@@ -0,0 +1,56 @@
+// Regras do Storage (storage.rules): fotos dos veículos e comprovantes, no emulador do Storage
+import { describe, it } from 'vitest';
+import { assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import { ref, uploadBytes, getBytes, deleteObject } from 'firebase/storage';
+import { APP_ID, receiptPath, useTestEnvironment } from './emulators.js';
+
+const JPEG = { contentType: 'image/jpeg' };
+const bytes = (size) => new Uint8Array(size).fill(7);
+
+describe('storage.rules', () => {
+    const testEnv = useTestEnvironment({ storage: 'storage.rules' });
+
+    const storageAs = (uid) => testEnv().authenticatedContext(uid).storage();
+
+    // Grava um arquivo sem passar pelas regras, para os testes de leitura e exclusão
+    const seedReceipt = () => testEnv().withSecurityRulesDisabled(context => uploadBytes(ref(context.storage(), receiptPath('alice')), bytes(1024), JPEG));
+
+    it('o dono envia, lê e exclui as próprias imagens', async () => {
+        const receiptRef = ref(storageAs('alice'), receiptPath('alice'));
+        await assertSucceeds(uploadBytes(receiptRef, bytes(1024), JPEG));
+        await assertSucceeds(getBytes(receiptRef));
+        await assertSucceeds(deleteObject(receiptRef));
+    });
+
+    it('outro usuário não lê, não grava e não exclui', async () => {
+        await seedReceipt();
+        const bobStorage = storageAs('bob');
+        await assertFails(getBytes(ref(bobStorage, receiptPath('alice'))));
+        await assertFails(uploadBytes(ref(bobStorage, receiptPath('alice')), bytes(1024), JPEG));
+        await assertFails(deleteObject(ref(bobStorage, receiptPath('alice'))));
+    });
+
+    it('sem login não há acesso', async () => {
+        await seedReceipt();
+        const guestStorage = testEnv().unauthenticatedContext().storage();
+        await assertFails(getBytes(ref(guestStorage, receiptPath('alice'))));
+        await assertFails(uploadBytes(ref(guestStorage, receiptPath('alice')), bytes(1024), JPEG));
+    });
+
+    it('recusa arquivos a partir de 5 MB', async () => {
+        const receiptRef = ref(storageAs('alice'), receiptPath('alice'));
+        await assertSucceeds(uploadBytes(receiptRef, bytes(5 * 1024 * 1024 - 1), JPEG));
+        await assertFails(uploadBytes(receiptRef, bytes(5 * 1024 * 1024), JPEG));
+    });
+
+    it('aceita só imagens', async () => {
+        const receiptRef = ref(storageAs('alice'), receiptPath('alice'));
+        await assertSucceeds(uploadBytes(receiptRef, bytes(1024), { contentType: 'image/png' }));
+        await assertFails(uploadBytes(receiptRef, bytes(1024), { contentType: 'application/pdf' }));
+        await assertFails(uploadBytes(receiptRef, bytes(1024), { contentType: 'text/html' }));
+    });
+
+    it('não há acesso fora da pasta do usuário', async () => {
+        await assertFails(uploadBytes(ref(storageAs('alice'), `artifacts/${APP_ID}/shared/receipt.jpg`), bytes(1024), JPEG));
+    });
+});